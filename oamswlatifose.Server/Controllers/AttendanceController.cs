@@ -2,9 +2,11 @@
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using oamswlatifose.Server.DTO.attendances;
+using oamswlatifose.Server.DTO.Live;
 using oamswlatifose.Server.Model;
 using oamswlatifose.Server.Services;
 using oamswlatifose.Server.Services.Attendance.Interfaces;
+using oamswlatifose.Server.Services.Live.Interfaces;
 using oamswlatifose.Server.Utilities.Security;
 
 namespace oamswlatifose.Server.Controllers
@@ -43,17 +45,23 @@ namespace oamswlatifose.Server.Controllers
     {
         private readonly IAttendanceService _attendanceService;
         private readonly IAttendanceVerificationService _verificationService;
+        private readonly IAttendanceReportService _reportService;
+        private readonly ILiveUpdateService _liveService;
         private readonly ApplicationDbContext _db;
         private readonly ILogger<AttendanceController> _logger;
 
         public AttendanceController(
             IAttendanceService attendanceService,
             IAttendanceVerificationService verificationService,
+            IAttendanceReportService reportService,
+            ILiveUpdateService liveService,
             ApplicationDbContext db,
             ILogger<AttendanceController> logger)
         {
             _attendanceService = attendanceService ?? throw new ArgumentNullException(nameof(attendanceService));
             _verificationService = verificationService ?? throw new ArgumentNullException(nameof(verificationService));
+            _reportService = reportService ?? throw new ArgumentNullException(nameof(reportService));
+            _liveService = liveService ?? throw new ArgumentNullException(nameof(liveService));
             _db = db ?? throw new ArgumentNullException(nameof(db));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
@@ -82,7 +90,8 @@ namespace oamswlatifose.Server.Controllers
                         "No employee record linked to your account"));
 
                 var result = await _verificationService.RequestClockInOtpAsync(
-                    employeeId, dto?.Latitude, dto?.Longitude, GetClientIpAddress(), dto?.ClientTimestampMs);
+                    employeeId, dto?.Latitude, dto?.Longitude, GetClientIpAddress(), dto?.ClientTimestampMs,
+                    dto?.QueuedOffline ?? false);
                 if (!result.IsSuccess)
                     return BadRequest(result);
 
@@ -124,6 +133,7 @@ namespace oamswlatifose.Server.Controllers
                     return BadRequest(result);
 
                 _logger.LogInformation("Employee {EmployeeId} completed OTP clock-in", employeeId);
+                PublishAttendance("clock-in", result.Data, result.Message);
                 return Ok(result);
             }
             catch (Exception ex)
@@ -152,9 +162,23 @@ namespace oamswlatifose.Server.Controllers
                         "No employee record linked to your account"));
 
                 var result = await _verificationService.RequestAdminVerifyAsync(
-                    employeeId, dto?.Latitude, dto?.Longitude, GetClientIpAddress(), dto?.ClientTimestampMs);
+                    employeeId, dto?.Latitude, dto?.Longitude, GetClientIpAddress(), dto?.ClientTimestampMs,
+                    dto?.QueuedOffline ?? false);
 
-                return result.IsSuccess ? Ok(result) : BadRequest(result);
+                if (!result.IsSuccess) return BadRequest(result);
+
+                var employee = await _db.EMEmployees.FirstOrDefaultAsync(e => e.Id == employeeId);
+                var name = employee != null ? $"{employee.FirstName} {employee.LastName}" : null;
+                _liveService.Publish(new LiveEventDTO
+                {
+                    Type = "verify-request",
+                    Action = "submitted",
+                    EmployeeId = employeeId,
+                    EmployeeName = name,
+                    Message = $"{name ?? "An employee"} is waiting for clock-in approval",
+                    Date = DateTime.Today.ToString("yyyy-MM-dd")
+                });
+                return Ok(result);
             }
             catch (Exception ex)
             {
@@ -198,6 +222,14 @@ namespace oamswlatifose.Server.Controllers
                 if (!result.IsSuccess) return BadRequest(result);
 
                 _logger.LogInformation("Admin {AdminId} approved clock-in request {RequestId}", GetCurrentUserId(), requestId);
+                PublishAttendance("clock-in", result.Data, result.Message);
+                _liveService.Publish(new LiveEventDTO
+                {
+                    Type = "verify-request",
+                    Action = "approved",
+                    EmployeeId = result.Data?.EmployeeId,
+                    EmployeeName = result.Data?.EmployeeName
+                });
                 return Ok(result);
             }
             catch (Exception ex)
@@ -265,6 +297,7 @@ namespace oamswlatifose.Server.Controllers
                 if (!result.IsSuccess) return BadRequest(result);
 
                 _logger.LogInformation("Employee {EmployeeId} completed OTP clock-out", employeeId);
+                PublishAttendance("clock-out", result.Data, result.Message);
                 return Ok(result);
             }
             catch (Exception ex)
@@ -292,7 +325,10 @@ namespace oamswlatifose.Server.Controllers
                         "No employee record linked to your account"));
 
                 var result = await _attendanceService.LogTimeOffAsync(employeeId);
-                return result.IsSuccess ? Ok(result) : BadRequest(result);
+                if (!result.IsSuccess) return BadRequest(result);
+
+                PublishAttendance("time-off", result.Data, result.Message);
+                return Ok(result);
             }
             catch (Exception ex)
             {
@@ -338,6 +374,7 @@ namespace oamswlatifose.Server.Controllers
                 _logger.LogInformation("Employee {EmployeeId} clocked in at {Time}",
                     employeeId, result.Data?.TimeInFormatted);
 
+                PublishAttendance("clock-in", result.Data, result.Message);
                 return Ok(result);
             }
             catch (Exception ex)
@@ -383,6 +420,7 @@ namespace oamswlatifose.Server.Controllers
                 _logger.LogInformation("Employee {EmployeeId} clocked out at {Time}, Hours worked: {Hours}",
                     employeeId, result.Data?.TimeOutFormatted, result.Data?.HoursWorked);
 
+                PublishAttendance("clock-out", result.Data, result.Message);
                 return Ok(result);
             }
             catch (Exception ex)
@@ -414,6 +452,14 @@ namespace oamswlatifose.Server.Controllers
 
                 var result = await _attendanceService.GetTodayAttendanceAsync(employeeId);
 
+                // After midnight, an overnight shift's record still belongs to "today" until clock-out.
+                if (result.IsSuccess && result.Data == null)
+                {
+                    var carryOver = await _verificationService.GetOvernightCarryOverAsync(employeeId);
+                    if (carryOver != null)
+                        return Ok(ServiceResponse<AttendanceResponseDTO>.SuccessResult(carryOver, "Overnight shift in progress"));
+                }
+
                 return Ok(result);
             }
             catch (Exception ex)
@@ -636,61 +682,112 @@ namespace oamswlatifose.Server.Controllers
         }
 
         /// <summary>
-        /// Gets late arrivals for a specific date (Admin/Manager only).
+        /// Gets late arrivals for a date range (Admin/Manager only). Lateness is graded against each
+        /// employee's schedule, so minutes late are measured from the start of their own shift.
         /// </summary>
-        /// <param name="date">Date to check</param>
-        /// <param name="threshold">Late threshold time (default: 09:15)</param>
-        /// <returns>List of late arrivals</returns>
+        /// <param name="startDate">First day (or use <paramref name="date"/> for a single day)</param>
+        /// <param name="endDate">Last day, at most 93 days after the first</param>
+        /// <param name="date">Single day to check</param>
+        /// <param name="department">Optional department filter</param>
+        /// <returns>List of late arrivals, newest first</returns>
         [HttpGet("admin/late-arrivals")]
         [PermissionAuthorize("view_attendance")]
-        [ProducesResponseType(typeof(ServiceResponse<IEnumerable<LateArrivalDTO>>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<List<LateArrivalDTO>>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<List<LateArrivalDTO>>), StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status403Forbidden)]
         public async Task<IActionResult> GetLateArrivals(
-            [FromQuery] DateTime date,
-            [FromQuery] string threshold = "09:15")
+            [FromQuery] DateTime? startDate,
+            [FromQuery] DateTime? endDate,
+            [FromQuery] DateTime? date,
+            [FromQuery] string? department = null)
         {
             try
             {
-                if (!TimeSpan.TryParse(threshold, out var lateThreshold))
-                {
-                    lateThreshold = new TimeSpan(9, 15, 0);
-                }
+                var result = await _reportService.GetLateArrivalsAsync(
+                    startDate ?? date ?? default, endDate ?? date ?? default, department);
+                if (!result.IsSuccess)
+                    return BadRequest(result);
 
-                var result = await _attendanceService.GetLateArrivalsAsync(date, lateThreshold);
                 return Ok(result);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error getting late arrivals for {Date}", date);
-                return StatusCode(500, ServiceResponse<IEnumerable<LateArrivalDTO>>.FromException(
+                _logger.LogError(ex, "Error getting late arrivals for {Start}..{End}", startDate ?? date, endDate ?? date);
+                return StatusCode(500, ServiceResponse<List<LateArrivalDTO>>.FromException(
                     ex, "Failed to get late arrivals"));
             }
         }
 
         /// <summary>
-        /// Gets absent employees for a specific date (Admin/Manager only).
+        /// Gets absences for a date range (Admin/Manager only): one row per employee per scheduled
+        /// work day with no attendance record and no approved leave.
         /// </summary>
-        /// <param name="date">Date to check</param>
-        /// <returns>List of absent employees</returns>
+        /// <param name="startDate">First day (or use <paramref name="date"/> for a single day)</param>
+        /// <param name="endDate">Last day, at most 93 days after the first</param>
+        /// <param name="date">Single day to check</param>
+        /// <param name="department">Optional department filter</param>
+        /// <param name="employeeId">Optional employee filter</param>
+        /// <returns>List of absences, newest first</returns>
         [HttpGet("admin/absent-employees")]
         [PermissionAuthorize("view_attendance")]
-        [ProducesResponseType(typeof(ServiceResponse<IEnumerable<AbsentEmployeeDTO>>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<List<AbsentEmployeeDTO>>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<List<AbsentEmployeeDTO>>), StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status403Forbidden)]
-        public async Task<IActionResult> GetAbsentEmployees([FromQuery] DateTime date)
+        public async Task<IActionResult> GetAbsentEmployees(
+            [FromQuery] DateTime? startDate,
+            [FromQuery] DateTime? endDate,
+            [FromQuery] DateTime? date,
+            [FromQuery] string? department = null,
+            [FromQuery] int? employeeId = null)
         {
             try
             {
-                var result = await _attendanceService.GetAbsentEmployeesAsync(date);
+                var result = await _reportService.GetAbsencesAsync(
+                    startDate ?? date ?? default, endDate ?? date ?? default, department, employeeId);
+                if (!result.IsSuccess)
+                    return BadRequest(result);
+
                 return Ok(result);
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error getting absent employees for {Date}", date);
-                return StatusCode(500, ServiceResponse<IEnumerable<AbsentEmployeeDTO>>.FromException(
+                _logger.LogError(ex, "Error getting absent employees for {Start}..{End}", startDate ?? date, endDate ?? date);
+                return StatusCode(500, ServiceResponse<List<AbsentEmployeeDTO>>.FromException(
                     ex, "Failed to get absent employees"));
             }
         }
 
+        /// <summary>
+        /// Gets every department's counts for one day plus its recent on-time trend (Admin/Manager only).
+        /// </summary>
+        /// <param name="date">Day to break down (defaults to today)</param>
+        /// <param name="days">Days of on-time trend ending on <paramref name="date"/>, 1 to 31</param>
+        /// <returns>One row per department</returns>
+        [HttpGet("admin/department-breakdown")]
+        [PermissionAuthorize("view_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<List<DepartmentBreakdownDTO>>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<List<DepartmentBreakdownDTO>>), StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status403Forbidden)]
+        public async Task<IActionResult> GetDepartmentBreakdown(
+            [FromQuery] DateTime? date,
+            [FromQuery] int days = 7)
+        {
+            try
+            {
+                var result = await _reportService.GetDepartmentBreakdownAsync(date ?? DateTime.Today, days);
+                if (!result.IsSuccess)
+                    return BadRequest(result);
+
+                return Ok(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting the department breakdown for {Date}", date);
+                return StatusCode(500, ServiceResponse<List<DepartmentBreakdownDTO>>.FromException(
+                    ex, "Failed to get the department breakdown"));
+            }
+        }
+
         /// <summary>
         /// Gets department attendance statistics (Admin/Manager only).
         /// </summary>
@@ -1042,6 +1139,21 @@ namespace oamswlatifose.Server.Controllers
             return HttpContext.Connection.RemoteIpAddress?.ToString() ?? "0.0.0.0";
         }
 
+        /// <summary>Tells open manager dashboards (<see cref="LiveController"/>) that a record changed.</summary>
+        private void PublishAttendance(string action, AttendanceResponseDTO record, string message)
+        {
+            if (record == null) return;
+            _liveService.Publish(new LiveEventDTO
+            {
+                Type = "attendance",
+                Action = action,
+                EmployeeId = record.EmployeeId,
+                EmployeeName = record.EmployeeName,
+                Message = message,
+                Date = record.AttendanceDate.ToString("yyyy-MM-dd")
+            });
+        }
+
         #endregion
     }
 }
@@ -21,14 +21,17 @@ namespace oamswlatifose.Server.Controllers
     public class AuthController : BaseApiController
     {
         private readonly IAuthenticationService _authService;
+        private readonly ITwoFactorService _twoFactorService;
 
-        public AuthController(IAuthenticationService authService)
+        public AuthController(IAuthenticationService authService, ITwoFactorService twoFactorService)
         {
             _authService = authService;
+            _twoFactorService = twoFactorService;
         }
 
         /// <summary>
-        /// Authenticates a user and returns access tokens.
+        /// Authenticates a user and returns access tokens. Accounts that need two-step sign-in get
+        /// <c>requiresTwoFactor</c> and a challenge instead; finish at <c>login/verify-2fa</c>.
         /// </summary>
         /// <param name="loginRequest">Login credentials</param>
         /// <returns>Access token, refresh token, and user information</returns>
@@ -52,11 +55,57 @@ namespace oamswlatifose.Server.Controllers
                 return BadRequest(result);
             }
 
+            if (!result.Data.RequiresTwoFactor)
+                SetTokenCookies(result.Data.AccessToken, result.Data.RefreshToken, result.Data.ExpiresAt);
+
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Second step of a two-factor sign-in: the challenge from login plus the emailed code.
+        /// A new code can be requested with <c>POST api/requestotp/send-2fa</c>.
+        /// </summary>
+        /// <param name="twoFactorDto">Challenge token and 6-digit code</param>
+        /// <returns>Access token, refresh token, and user information</returns>
+        [HttpPost("login/verify-2fa")]
+        [AllowAnonymous]
+        [ProducesResponseType(typeof(ServiceResponse<LoginResponseDTO>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<LoginResponseDTO>), StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> VerifyTwoFactor([FromBody] TwoFactorDTO twoFactorDto)
+        {
+            var ipAddress = HttpContext.Connection.RemoteIpAddress?.ToString() ?? "0.0.0.0";
+            var userAgent = Request.Headers["User-Agent"].ToString();
+
+            var result = await _authService.VerifyTwoFactorAsync(twoFactorDto, ipAddress, userAgent);
+
+            if (!result.IsSuccess)
+                return BadRequest(result);
+
             SetTokenCookies(result.Data.AccessToken, result.Data.RefreshToken, result.Data.ExpiresAt);
 
             return Ok(result);
         }
 
+        /// <summary>
+        /// Turns two-step sign-in on or off for the current user. Admin/HR always have it, and
+        /// turning it off takes the current password.
+        /// </summary>
+        /// <param name="dto">Whether to require the emailed code at sign-in, and the password to turn it off</param>
+        /// <returns>The new setting</returns>
+        [HttpPut("two-factor")]
+        [Authorize]
+        [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> SetTwoFactor([FromBody] TwoFactorSettingDTO dto)
+        {
+            var result = await _twoFactorService.SetRequiredAsync(GetCurrentUserId(), dto?.Enabled == true, dto?.CurrentPassword);
+
+            if (!result.IsSuccess)
+                return BadRequest(result);
+
+            return Ok(result);
+        }
+
         /// <summary>
         /// Registers a new user account.
         /// </summary>
@@ -112,17 +161,18 @@ namespace oamswlatifose.Server.Controllers
         /// <summary>
         /// Logs out the current user.
         /// </summary>
+        /// <param name="everywhere">Also revoke the user's tokens on every other device</param>
         /// <returns>Logout result</returns>
         [HttpPost("logout")]
         [Authorize]
         [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status200OK)]
         [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status401Unauthorized)]
-        public async Task<IActionResult> Logout()
+        public async Task<IActionResult> Logout([FromQuery] bool everywhere = false)
         {
             var userId = GetCurrentUserId();
             var accessToken = Request.Headers["Authorization"].ToString().Replace("Bearer ", "");
 
-            var result = await _authService.LogoutAsync(userId, accessToken);
+            var result = await _authService.LogoutAsync(userId, accessToken, everywhere);
 
             Response.Cookies.Delete("access_token");
             Response.Cookies.Delete("refresh_token");
@@ -0,0 +1,91 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using oamswlatifose.Server.DTO.Calendar;
+using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Calendar.Interfaces;
+using System.Text;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// API controller for the caller's work calendar as iCalendar — shifts, approved leave and work
+    /// events — as a one-off download or a feed URL calendar apps subscribe to.
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/calendar")]
+    [Authorize]
+    public class CalendarFeedController : BaseApiController
+    {
+        private const string NoEmployee = "No employee record linked to your account";
+
+        private readonly ICalendarFeedService _service;
+
+        public CalendarFeedController(ICalendarFeedService service) =>
+            _service = service ?? throw new ArgumentNullException(nameof(service));
+
+        /// <summary>Download the caller's calendar as an .ics file.</summary>
+        [HttpGet("my.ics")]
+        public async Task<IActionResult> Download()
+        {
+            var employeeId = GetCurrentEmployeeId();
+            if (employeeId == 0) return BadRequest(ServiceResponse<string>.FailureResult(NoEmployee));
+
+            var result = await _service.BuildAsync(employeeId);
+            if (!result.IsSuccess) return BadRequest(result);
+            return File(Encoding.UTF8.GetBytes(result.Data), "text/calendar", "work-calendar.ics");
+        }
+
+        /// <summary>The caller's feed without its URL token (null data when they haven't created one).</summary>
+        [HttpGet("feed")]
+        public async Task<IActionResult> GetFeed()
+        {
+            var employeeId = GetCurrentEmployeeId();
+            if (employeeId == 0) return BadRequest(ServiceResponse<CalendarFeedDTO>.FailureResult(NoEmployee));
+
+            var result = await _service.GetFeedAsync(employeeId);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Create the caller's feed, or give it a new URL (the old one stops working). The URL token is returned only here.</summary>
+        [HttpPost("feed")]
+        public async Task<IActionResult> ResetFeed()
+        {
+            var employeeId = GetCurrentEmployeeId();
+            if (employeeId == 0) return BadRequest(ServiceResponse<CalendarFeedDTO>.FailureResult(NoEmployee));
+
+            var result = await _service.ResetFeedAsync(employeeId);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Turn the caller's feed off.</summary>
+        [HttpDelete("feed")]
+        public async Task<IActionResult> RemoveFeed()
+        {
+            var employeeId = GetCurrentEmployeeId();
+            if (employeeId == 0) return BadRequest(ServiceResponse<bool>.FailureResult(NoEmployee));
+
+            var result = await _service.RemoveFeedAsync(employeeId);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>
+        /// The subscribed feed. Calendar apps can't sign in, so the secret token in the URL is the
+        /// credential; unknown tokens get a plain 404.
+        /// </summary>
+        [AllowAnonymous]
+        [HttpGet("feed/{token}.ics")]
+        public async Task<IActionResult> Feed(string token)
+        {
+            var employeeId = await _service.EmployeeForTokenAsync(token);
+            if (employeeId == null) return NotFound();
+
+            var result = await _service.BuildAsync(employeeId.Value);
+            if (!result.IsSuccess) return StatusCode(StatusCodes.Status500InternalServerError);
+            return Content(result.Data, "text/calendar; charset=utf-8");
+        }
+    }
+}
@@ -133,6 +133,56 @@ namespace oamswlatifose.Server.Controllers
             return Ok(result);
         }
 
+        /// <summary>
+        /// Deactivates or reactivates an employee. Deactivating also disables their login account.
+        /// </summary>
+        /// <param name="id">Employee ID</param>
+        /// <param name="dto">The new active state</param>
+        /// <returns>Updated employee</returns>
+        [HttpPut("{id}/active")]
+        [PermissionAuthorize("edit_employees")]
+        [ProducesResponseType(typeof(ServiceResponse<EmployeeResponseDTO>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<EmployeeResponseDTO>), StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> SetEmployeeActive(int id, [FromBody] SetEmployeeActiveDTO dto)
+        {
+            var result = await _employeeService.SetEmployeeActiveAsync(id, dto.IsActive);
+
+            if (!result.IsSuccess)
+            {
+                if (result.Message.Contains("not found"))
+                    return NotFound(result);
+
+                return BadRequest(result);
+            }
+
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Sets or clears an employee's team lead, who approves the TeamLead step of their leave requests.
+        /// </summary>
+        /// <param name="id">Employee ID</param>
+        /// <param name="dto">The lead's employee ID, or null to clear it</param>
+        /// <returns>Updated employee</returns>
+        [HttpPut("{id}/team-lead")]
+        [PermissionAuthorize("edit_employees")]
+        [ProducesResponseType(typeof(ServiceResponse<EmployeeResponseDTO>), StatusCodes.Status200OK)]
+        [ProducesResponseType(typeof(ServiceResponse<EmployeeResponseDTO>), StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> SetTeamLead(int id, [FromBody] SetTeamLeadDTO dto)
+        {
+            var result = await _employeeService.SetTeamLeadAsync(id, dto.TeamLeadId);
+
+            if (!result.IsSuccess)
+            {
+                if (result.Message.Contains("not found"))
+                    return NotFound(result);
+
+                return BadRequest(result);
+            }
+
+            return Ok(result);
+        }
+
         /// <summary>
         /// Deletes an employee.
         /// </summary>
@@ -195,11 +245,24 @@ namespace oamswlatifose.Server.Controllers
         }
 
         /// <summary>
-        /// Gets employees without user accounts.
+        /// Gets every employee with account, branch and active state, for the HR directory.
+        /// </summary>
+        /// <returns>All employees, by last name</returns>
+        [HttpGet("directory")]
+        [PermissionAuthorize("view_employees")]
+        [ProducesResponseType(typeof(ServiceResponse<IEnumerable<EmployeeResponseDTO>>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> GetDirectory()
+        {
+            var result = await _employeeService.GetDirectoryAsync();
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Gets active employees without user accounts.
         /// </summary>
         /// <returns>Employees without user accounts</returns>
         [HttpGet("no-account")]
-        [PermissionAuthorize("manage_users")]
+        [PermissionAuthorize("view_employees")]
         [ProducesResponseType(typeof(ServiceResponse<IEnumerable<EmployeeSummaryDTO>>), StatusCodes.Status200OK)]
         public async Task<IActionResult> GetEmployeesWithoutAccounts()
         {
@@ -0,0 +1,54 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// API controller for leave approval chains — who approves a request, in order, by leave type
+    /// and length. Deciding the steps themselves happens on <c>PUT api/leave/{id}/approve</c>.
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/leave")]
+    [Authorize]
+    public class LeaveApprovalController : BaseApiController
+    {
+        private readonly ILeaveApprovalService _service;
+        private readonly ILogger<LeaveApprovalController> _logger;
+
+        public LeaveApprovalController(ILeaveApprovalService service, ILogger<LeaveApprovalController> logger)
+        {
+            _service = service ?? throw new ArgumentNullException(nameof(service));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        private string GetCurrentRoleName() => User.FindFirst("role_name")?.Value ?? "";
+
+        private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
+
+        /// <summary>Approval chains (every signed-in user; the request form shows who will approve).</summary>
+        [HttpGet("approval-chains")]
+        public async Task<IActionResult> GetChains() => Ok(await _service.GetChainsAsync());
+
+        /// <summary>Replace the approval chains (HR/Admin only). Requests already filed keep their steps.</summary>
+        [HttpPut("approval-chains")]
+        public async Task<IActionResult> SaveChains([FromBody] List<SaveLeaveApprovalChainDTO> chains)
+        {
+            if (!IsManagerRole()) return Forbid();
+            if (!ModelState.IsValid)
+                return BadRequest(ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult("Invalid request"));
+
+            var result = await _service.SaveChainsAsync(chains);
+            if (!result.IsSuccess) return BadRequest(result);
+
+            _logger.LogInformation("Leave approval chains updated by user {UserId}", GetCurrentUserId());
+            return Ok(result);
+        }
+    }
+}
@@ -0,0 +1,113 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// API controller for leave entitlements: an employee's own balances, HR/Admin's view of every
+    /// balance, the per-type policies and manual adjustments (each kept with its audit note).
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/leave")]
+    [Authorize]
+    public class LeaveBalanceController : BaseApiController
+    {
+        private readonly ILeaveBalanceService _service;
+        private readonly ILogger<LeaveBalanceController> _logger;
+
+        public LeaveBalanceController(ILeaveBalanceService service, ILogger<LeaveBalanceController> logger)
+        {
+            _service = service ?? throw new ArgumentNullException(nameof(service));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        private string GetCurrentRoleName() => User.FindFirst("role_name")?.Value ?? "";
+
+        private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
+
+        // ── Employee endpoints ────────────────────────────────────────
+
+        /// <summary>
+        /// The current employee's balances for <paramref name="asOf"/>'s year (default today), with
+        /// accrual counted up to that day — the request form passes the leave's start date.
+        /// </summary>
+        [HttpGet("balances/mine")]
+        public async Task<IActionResult> GetMine([FromQuery] DateTime? asOf = null)
+        {
+            var empId = GetCurrentEmployeeId();
+            if (empId == 0) return Ok(ServiceResponse<List<LeaveBalanceDTO>>.SuccessResult([]));
+
+            var result = await _service.GetBalancesAsync(empId, (asOf ?? DateTime.UtcNow).Date);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Leave policies (every signed-in user; the request form shows which types are tracked).</summary>
+        [HttpGet("policies")]
+        public async Task<IActionResult> GetPolicies() => Ok(await _service.GetPoliciesAsync());
+
+        // ── HR/Admin endpoints ─────────────────────────────────────────
+
+        /// <summary>Every active employee's balances for a year (HR/Admin only).</summary>
+        [HttpGet("balances/all")]
+        public async Task<IActionResult> GetAll([FromQuery] int? year = null)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var result = await _service.GetAllBalancesAsync(year ?? DateTime.UtcNow.Year);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>One employee's balances as of a day (HR/Admin only; the review form passes the leave's start date).</summary>
+        [HttpGet("balances/employee/{employeeId}")]
+        public async Task<IActionResult> GetForEmployee(int employeeId, [FromQuery] DateTime? asOf = null)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var result = await _service.GetBalancesAsync(employeeId, (asOf ?? DateTime.UtcNow).Date);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Adjustments made to an employee's balances in a year, newest first (HR/Admin, or the employee themself).</summary>
+        [HttpGet("balances/adjustments")]
+        public async Task<IActionResult> GetAdjustments([FromQuery] int employeeId, [FromQuery] int? year = null)
+        {
+            if (!IsManagerRole() && employeeId != GetCurrentEmployeeId()) return Forbid();
+
+            return Ok(await _service.GetAdjustmentsAsync(employeeId, year ?? DateTime.UtcNow.Year));
+        }
+
+        /// <summary>Add or remove days from an employee's balance, with a required note (HR/Admin only).</summary>
+        [HttpPost("balances/adjustments")]
+        public async Task<IActionResult> Adjust([FromBody] AdjustLeaveBalanceDTO dto)
+        {
+            if (!IsManagerRole()) return Forbid();
+            if (!ModelState.IsValid)
+                return BadRequest(ServiceResponse<LeaveBalanceDTO>.FailureResult("Invalid request"));
+
+            var result = await _service.AdjustAsync(dto, GetCurrentUserId());
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Change a leave type's entitlement, accrual, carry-over cap or enforcement (HR/Admin only).</summary>
+        [HttpPut("policies/{leaveType}")]
+        public async Task<IActionResult> UpdatePolicy(string leaveType, [FromBody] UpdateLeavePolicyDTO dto)
+        {
+            if (!IsManagerRole()) return Forbid();
+            if (!ModelState.IsValid)
+                return BadRequest(ServiceResponse<LeavePolicyDTO>.FailureResult("Invalid request"));
+
+            var result = await _service.UpdatePolicyAsync(leaveType, dto);
+            if (!result.IsSuccess) return BadRequest(result);
+
+            _logger.LogInformation("Leave policy {LeaveType} updated by user {UserId}", leaveType, GetCurrentUserId());
+            return Ok(result);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// API controller for the team leave calendar — everyone's approved and pending leave by month —
+    /// and the per-department minimum headcounts reviewers are warned about before approving.
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/leave")]
+    [Authorize]
+    public class LeaveCalendarController : BaseApiController
+    {
+        private readonly ApplicationDbContext _db;
+        private readonly ILeaveCalendarService _service;
+        private readonly ILeaveApprovalService _approvals;
+        private readonly ILogger<LeaveCalendarController> _logger;
+
+        public LeaveCalendarController(ApplicationDbContext db, ILeaveCalendarService service, ILeaveApprovalService approvals,
+            ILogger<LeaveCalendarController> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _service = service ?? throw new ArgumentNullException(nameof(service));
+            _approvals = approvals ?? throw new ArgumentNullException(nameof(approvals));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        private string GetCurrentRoleName() => User.FindFirst("role_name")?.Value ?? "";
+
+        private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
+
+        /// <summary>Approved and pending leave for a month, filterable by department and branch (HR/Admin only).</summary>
+        [HttpGet("calendar")]
+        public async Task<IActionResult> GetCalendar([FromQuery] int year, [FromQuery] int month,
+            [FromQuery] string? department = null, [FromQuery] int? branchId = null)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var result = await _service.GetCalendarAsync(year, month, department, branchId);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>
+        /// Days approving a pending request would leave its department below the minimum headcount —
+        /// for HR/Admin and whoever can decide the request's current step.
+        /// </summary>
+        [HttpGet("{id}/coverage")]
+        public async Task<IActionResult> GetCoverage(int id)
+        {
+            var leave = await _db.EMLeaveRequests
+                .Include(r => r.Employee)
+                .Include(r => r.ApprovalSteps)
+                .FirstOrDefaultAsync(r => r.Id == id);
+            if (leave == null) return NotFound(ServiceResponse<LeaveCoverageDTO>.FailureResult("Leave request not found"));
+
+            if (!IsManagerRole())
+            {
+                var check = await _approvals.CheckAsync(leave, GetCurrentUserId(), GetCurrentEmployeeId(), GetCurrentRoleName());
+                if (leave.Status != "Pending" || !check.CanAct) return Forbid();
+            }
+
+            var result = await _service.GetCoverageAsync(leave);
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
+        }
+
+        /// <summary>Departments with their active headcount and minimum (HR/Admin only).</summary>
+        [HttpGet("coverage-rules")]
+        public async Task<IActionResult> GetRules()
+        {
+            if (!IsManagerRole()) return Forbid();
+            return Ok(await _service.GetRulesAsync());
+        }
+
+        /// <summary>Replace the minimum headcounts (HR/Admin only). A minimum of 0 removes the rule.</summary>
+        [HttpPut("coverage-rules")]
+        public async Task<IActionResult> SaveRules([FromBody] List<SaveDepartmentCoverageDTO> rules)
+        {
+            if (!IsManagerRole()) return Forbid();
+            if (!ModelState.IsValid)
+                return BadRequest(ServiceResponse<List<DepartmentCoverageDTO>>.FailureResult("Invalid request"));
+
+            var result = await _service.SaveRulesAsync(rules);
+            if (!result.IsSuccess) return BadRequest(result);
+
+            _logger.LogInformation("Department minimum headcounts updated by user {UserId}", GetCurrentUserId());
+            return Ok(result);
+        }
+    }
+}
@@ -1,16 +1,24 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using System.Globalization;
 using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.DTO.Live;
 using oamswlatifose.Server.Model;
 using oamswlatifose.Server.Model.occurance;
 using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Leave;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+using oamswlatifose.Server.Services.Live.Interfaces;
+using oamswlatifose.Server.Services.Schedule.Interfaces;
 
 namespace oamswlatifose.Server.Controllers
 {
     /// <summary>
     /// API controller for employee leave request operations.
-    /// Provides endpoints for submitting, reviewing, and managing leave requests.
+    /// Provides endpoints for submitting, reviewing, and managing leave requests, and for the files
+    /// (medical certificates etc.) attached to them. Requests are decided step by step along their
+    /// approval chain (see <see cref="ILeaveApprovalService"/>).
     ///
     /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
     /// A valid license key is required after the 30-day trial. Day 31 and beyond will
@@ -22,11 +30,20 @@ namespace oamswlatifose.Server.Controllers
     public class LeaveRequestController : BaseApiController
     {
         private readonly ApplicationDbContext _db;
+        private readonly ILiveUpdateService _liveService;
+        private readonly ILeaveBalanceService _balances;
+        private readonly ILeaveApprovalService _approvals;
+        private readonly IWorkScheduleService _scheduleService;
         private readonly ILogger<LeaveRequestController> _logger;
 
-        public LeaveRequestController(ApplicationDbContext db, ILogger<LeaveRequestController> logger)
+        public LeaveRequestController(ApplicationDbContext db, ILiveUpdateService liveService, ILeaveBalanceService balances,
+            ILeaveApprovalService approvals, IWorkScheduleService scheduleService, ILogger<LeaveRequestController> logger)
         {
             _db = db;
+            _liveService = liveService;
+            _balances = balances;
+            _approvals = approvals;
+            _scheduleService = scheduleService;
             _logger = logger;
         }
 
@@ -34,6 +51,38 @@ namespace oamswlatifose.Server.Controllers
 
         private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
 
+        private static readonly string[] Portions = ["Full", "AM", "PM", "Hours"];
+
+        private const long MaxAttachmentBytes = 5 * 1024 * 1024;
+        private const int MaxAttachmentsPerRequest = 5;
+        private const int MaxUnlinkedAttachments = 10;
+        private const int MaxFileNameLength = 255;
+
+        // Uploads never linked to a request are dropped after this long.
+        private static readonly TimeSpan OrphanAttachmentAge = TimeSpan.FromHours(24);
+
+        // Content types accepted for attachments, with the extensions each may carry.
+        private static readonly Dictionary<string, string[]> AttachmentTypes = new()
+        {
+            ["application/pdf"] = [".pdf"],
+            ["image/jpeg"] = [".jpg", ".jpeg"],
+            ["image/png"] = [".png"],
+            ["image/webp"] = [".webp"],
+        };
+
+        // Whether the file's first bytes match its declared content type.
+        private static bool HasSignature(string contentType, byte[] b) => contentType switch
+        {
+            "application/pdf" => b.AsSpan().StartsWith("%PDF"u8),
+            "image/jpeg" => b.AsSpan().StartsWith(new byte[] { 0xFF, 0xD8, 0xFF }),
+            "image/png" => b.AsSpan().StartsWith(new byte[] { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A }),
+            "image/webp" => b.AsSpan().StartsWith("RIFF"u8) && b.Length >= 12 && b.AsSpan(8, 4).SequenceEqual("WEBP"u8),
+            _ => false,
+        };
+
+        private static TimeSpan? ParseTime(string value) =>
+            TimeSpan.TryParseExact(value ?? "", @"hh\:mm", CultureInfo.InvariantCulture, out var t) ? t : null;
+
         // ── Employee endpoints ────────────────────────────────────────
 
         /// <summary>Get the current employee's own leave requests.</summary>
@@ -48,10 +97,17 @@ namespace oamswlatifose.Server.Controllers
                 .OrderByDescending(r => r.CreatedAt)
                 .ToListAsync();
 
-            return Ok(ServiceResponse<List<LeaveResponseDTO>>.SuccessResult(rows.Select(ToDto).ToList()));
+            var list = await WithDetailsAsync(rows.Select(ToDto).ToList());
+            return Ok(ServiceResponse<List<LeaveResponseDTO>>.SuccessResult(list));
         }
 
-        /// <summary>Submit a new leave request.</summary>
+        /// <summary>
+        /// Submit a new leave request — whole days, a morning/afternoon half day, or an hour range on
+        /// one day. Requests past the type's remaining balance are refused when its policy blocks,
+        /// otherwise accepted with the shortfall in the message. Files uploaded beforehand are linked
+        /// through <see cref="SubmitLeaveDTO.AttachmentIds"/>; types whose policy requires one refuse
+        /// a long enough request without it.
+        /// </summary>
         [HttpPost]
         public async Task<IActionResult> Submit([FromBody] SubmitLeaveDTO dto)
         {
@@ -65,11 +121,31 @@ namespace oamswlatifose.Server.Controllers
             if (dto.EndDate < dto.StartDate)
                 return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("End date must be on or after start date"));
 
+            var portion = string.IsNullOrWhiteSpace(dto.Portion) ? "Full" : dto.Portion.Trim();
+            if (!Portions.Contains(portion))
+                return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("Duration must be Full, AM, PM or Hours"));
+            if (portion != "Full" && dto.EndDate.Date != dto.StartDate.Date)
+                return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("Half-day and hourly leave cover a single day"));
+
+            TimeSpan? startTime = null, endTime = null;
+            if (portion == "Hours")
+            {
+                startTime = ParseTime(dto.StartTime);
+                endTime = ParseTime(dto.EndTime);
+                if (!startTime.HasValue || !endTime.HasValue)
+                    return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("Enter the leave's start and end time (HH:mm)"));
+                if (endTime <= startTime)
+                    return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("Leave end time must be after its start time"));
+            }
+
             var leave = new EMLeaveRequest
             {
                 EmployeeId = empId,
                 StartDate = dto.StartDate.Date,
                 EndDate = dto.EndDate.Date,
+                Portion = portion,
+                StartTime = startTime,
+                EndTime = endTime,
                 LeaveType = dto.LeaveType,
                 Reason = dto.Reason ?? "",
                 Status = "Pending",
@@ -78,10 +154,33 @@ namespace oamswlatifose.Server.Controllers
                 UpdatedAt = DateTime.UtcNow,
             };
 
+            var balance = await _balances.CheckRequestAsync(leave);
+            if (balance.Blocked)
+                return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult(balance.Message));
+
+            // Only the caller's own uploads that aren't on another request yet.
+            var userId = GetCurrentUserId();
+            var attachmentIds = (dto.AttachmentIds ?? []).Distinct().ToList();
+            var attachments = _db.EMLeaveAttachments
+                .Where(a => attachmentIds.Contains(a.Id) && a.UploadedByUserId == userId && a.LeaveRequestId == null);
+            var attachmentCount = await attachments.CountAsync();
+            if (attachmentCount > MaxAttachmentsPerRequest)
+                return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult($"Attach at most {MaxAttachmentsPerRequest} files"));
+            if (balance.AttachmentRequired && attachmentCount == 0)
+                return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult(balance.AttachmentMessage));
+
+            await _approvals.StartAsync(leave);
             _db.EMLeaveRequests.Add(leave);
             await _db.SaveChangesAsync();
+            if (attachmentCount > 0)
+                await attachments.ExecuteUpdateAsync(s => s.SetProperty(a => a.LeaveRequestId, leave.Id));
+
+            await _db.Entry(leave).Reference(r => r.Employee).LoadAsync();
+            PublishLeave("submitted", leave);
 
-            return Ok(ServiceResponse<LeaveResponseDTO>.SuccessResult(ToDto(leave), "Leave request submitted"));
+            var message = balance.Exceeded ? $"Leave request submitted. {balance.Message}" : "Leave request submitted";
+            var result = (await WithDetailsAsync([ToDto(leave)]))[0];
+            return Ok(ServiceResponse<LeaveResponseDTO>.SuccessResult(result, message));
         }
 
         /// <summary>Cancel a pending leave request (employee can only cancel their own Pending requests).</summary>
@@ -98,17 +197,19 @@ namespace oamswlatifose.Server.Controllers
             if (!IsManagerRole() && leave.Status != "Pending")
                 return BadRequest(ServiceResponse<bool>.FailureResult("Only pending requests can be cancelled"));
 
+            await _db.Entry(leave).Reference(r => r.Employee).LoadAsync();
             _db.EMLeaveRequests.Remove(leave);
             await _db.SaveChangesAsync();
+            PublishLeave("cancelled", leave);
 
             return Ok(ServiceResponse<bool>.SuccessResult(true, "Leave request cancelled"));
         }
 
         // ── HR/Admin endpoints ─────────────────────────────────────────
 
-        /// <summary>Get all leave requests (HR/Admin only).</summary>
+        /// <summary>Get all leave requests (HR/Admin only), optionally one employee's.</summary>
         [HttpGet("all")]
-        public async Task<IActionResult> GetAll([FromQuery] string status = null)
+        public async Task<IActionResult> GetAll([FromQuery] string status = null, [FromQuery] int? employeeId = null)
         {
             if (!IsManagerRole()) return Forbid();
 
@@ -118,30 +219,227 @@ namespace oamswlatifose.Server.Controllers
 
             if (!string.IsNullOrWhiteSpace(status))
                 query = query.Where(r => r.Status == status);
+            if (employeeId.HasValue)
+                query = query.Where(r => r.EmployeeId == employeeId.Value);
 
             var rows = await query.OrderByDescending(r => r.CreatedAt).ToListAsync();
-            return Ok(ServiceResponse<List<LeaveResponseDTO>>.SuccessResult(rows.Select(ToDtoWithName).ToList()));
+            var list = await WithDetailsAsync(rows.Select(ToDtoWithName).ToList());
+            return Ok(ServiceResponse<List<LeaveResponseDTO>>.SuccessResult(list));
+        }
+
+        // ── Approvers ─────────────────────────────────────────────────
+
+        /// <summary>
+        /// Pending requests whose current approval step the caller can decide — team leads see their
+        /// team's (and those delegated to them), HR/Admin the steps for their role.
+        /// </summary>
+        [HttpGet("approvals")]
+        public async Task<IActionResult> GetAwaitingMe()
+        {
+            var empId = GetCurrentEmployeeId();
+            var rows = await _db.EMLeaveRequests
+                .Include(r => r.Employee)
+                .Where(r => r.Status == "Pending" && r.EmployeeId != empId)
+                .OrderBy(r => r.StartDate)
+                .ToListAsync();
+
+            var list = (await WithDetailsAsync(rows.Select(ToDtoWithName).ToList())).Where(r => r.CanReview).ToList();
+            return Ok(ServiceResponse<List<LeaveResponseDTO>>.SuccessResult(list));
         }
 
-        /// <summary>Approve or reject a leave request (HR/Admin only).</summary>
+        /// <summary>
+        /// Approve or reject the step a leave request is waiting on (its approver — see
+        /// <see cref="ILeaveApprovalService"/>). The request is approved once its last step is, and
+        /// rejected by a rejection at any step.
+        /// </summary>
         [HttpPut("{id}/approve")]
         public async Task<IActionResult> Approve(int id, [FromBody] ApproveLeaveDTO dto)
         {
-            if (!IsManagerRole()) return Forbid();
-
-            var leave = await _db.EMLeaveRequests.Include(r => r.Employee).FirstOrDefaultAsync(r => r.Id == id);
+            var leave = await _db.EMLeaveRequests
+                .Include(r => r.Employee)
+                .Include(r => r.ApprovalSteps)
+                .FirstOrDefaultAsync(r => r.Id == id);
             if (leave == null) return NotFound(ServiceResponse<LeaveResponseDTO>.FailureResult("Leave request not found"));
             if (leave.Status != "Pending") return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult("Only pending requests can be approved/rejected"));
 
-            leave.Status = dto.IsApproved ? "Approved" : "Rejected";
-            leave.ApprovedByUserId = GetCurrentUserId();
-            leave.ApprovalNote = dto.Note?.Trim() ?? "";
-            leave.UpdatedAt = DateTime.UtcNow;
+            var check = await _approvals.CheckAsync(leave, GetCurrentUserId(), GetCurrentEmployeeId(), GetCurrentRoleName());
+            if (!check.CanAct) return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult(check.Message));
+
+            // Balances may have moved since the request was filed (other approvals, adjustments).
+            if (dto.IsApproved && check.IsFinal)
+            {
+                var balance = await _balances.CheckRequestAsync(leave, leave.Id);
+                if (balance.Blocked)
+                    return BadRequest(ServiceResponse<LeaveResponseDTO>.FailureResult(balance.Message));
+            }
+
+            _approvals.Apply(leave, check, dto.IsApproved, GetCurrentUserId(), dto.Note?.Trim() ?? "");
+            await _db.SaveChangesAsync();
+
+            var action = leave.Status == "Pending" ? "forwarded" : dto.IsApproved ? "approved" : "rejected";
+            PublishLeave(action, leave);
+            var result = (await WithDetailsAsync([ToDtoWithName(leave)]))[0];
+
+            var message = $"Leave request {action}";
+            var next = result.Approvals.FirstOrDefault(s => s.IsCurrent);
+            if (next != null)
+                message = $"Step {check.Step!.StepOrder} of {check.StepCount} approved — now with {next.Approver}";
+            if (check.SameApprover)
+                message += " (no other approver was available for this step)";
+            return Ok(ServiceResponse<LeaveResponseDTO>.SuccessResult(result, message));
+        }
+
+        // ── Attachments ───────────────────────────────────────────────
 
+        /// <summary>
+        /// Upload a file for a leave request about to be filed — a PDF or JPEG/PNG/WebP image up to
+        /// 5 MB. Returns its id for <see cref="SubmitLeaveDTO.AttachmentIds"/>. Each user can hold at
+        /// most <see cref="MaxUnlinkedAttachments"/> uploads not on a request; ones left unlinked for a
+        /// day are deleted.
+        /// </summary>
+        [HttpPost("attachments")]
+        [RequestSizeLimit(MaxAttachmentBytes + 64 * 1024)]
+        public async Task<IActionResult> UploadAttachment(IFormFile file)
+        {
+            if (file == null || file.Length == 0)
+                return BadRequest(ServiceResponse<LeaveAttachmentDTO>.FailureResult("Choose a file to upload"));
+            if (file.Length > MaxAttachmentBytes)
+                return BadRequest(ServiceResponse<LeaveAttachmentDTO>.FailureResult("Attachments can be at most 5 MB"));
+
+            var contentType = file.ContentType?.ToLowerInvariant() ?? "";
+            var extension = Path.GetExtension(file.FileName ?? "").ToLowerInvariant();
+            if (!AttachmentTypes.TryGetValue(contentType, out var extensions) || !extensions.Contains(extension))
+                return BadRequest(ServiceResponse<LeaveAttachmentDTO>.FailureResult("Attach a PDF or a JPEG, PNG or WebP image"));
+
+            var staleBefore = DateTime.UtcNow - OrphanAttachmentAge;
+            await _db.EMLeaveAttachments
+                .Where(a => a.LeaveRequestId == null && a.CreatedAt < staleBefore)
+                .ExecuteDeleteAsync();
+
+            var userId = GetCurrentUserId();
+            if (await _db.EMLeaveAttachments.CountAsync(a => a.UploadedByUserId == userId && a.LeaveRequestId == null) >= MaxUnlinkedAttachments)
+                return BadRequest(ServiceResponse<LeaveAttachmentDTO>.FailureResult(
+                    $"You have {MaxUnlinkedAttachments} uploads not on a request yet — file the request or remove some first"));
+
+            using var stream = new MemoryStream();
+            await file.CopyToAsync(stream);
+            var content = stream.ToArray();
+            if (!HasSignature(contentType, content))
+                return BadRequest(ServiceResponse<LeaveAttachmentDTO>.FailureResult("The file's contents don't match its type — attach a PDF or a JPEG, PNG or WebP image"));
+
+            // Keep the extension when shortening a long name to fit the column.
+            var fileName = Path.GetFileName(file.FileName);
+            if (fileName.Length > MaxFileNameLength)
+                fileName = Path.GetFileNameWithoutExtension(fileName)[..(MaxFileNameLength - extension.Length)] + extension;
+
+            var attachment = new EMLeaveAttachment
+            {
+                FileName = fileName,
+                ContentType = contentType,
+                SizeBytes = file.Length,
+                Content = content,
+                UploadedByUserId = userId,
+                CreatedAt = DateTime.UtcNow,
+            };
+            _db.EMLeaveAttachments.Add(attachment);
+            await _db.SaveChangesAsync();
+
+            return Ok(ServiceResponse<LeaveAttachmentDTO>.SuccessResult(ToAttachmentDto(attachment), "File uploaded"));
+        }
+
+        /// <summary>
+        /// Download an attachment (its uploader, the employee whose request it's on, HR/Admin, or
+        /// whoever the request is waiting on).
+        /// </summary>
+        [HttpGet("attachments/{id}")]
+        public async Task<IActionResult> GetAttachment(int id)
+        {
+            var attachment = await _db.EMLeaveAttachments
+                .Include(a => a.LeaveRequest).ThenInclude(r => r.ApprovalSteps)
+                .FirstOrDefaultAsync(a => a.Id == id);
+            if (attachment == null) return NotFound(ServiceResponse<bool>.FailureResult("Attachment not found"));
+
+            var canView = IsManagerRole()
+                || attachment.UploadedByUserId == GetCurrentUserId()
+                || (attachment.LeaveRequest != null && attachment.LeaveRequest.EmployeeId == GetCurrentEmployeeId());
+            if (!canView && attachment.LeaveRequest?.Status == "Pending")
+                canView = (await _approvals.CheckAsync(attachment.LeaveRequest, GetCurrentUserId(), GetCurrentEmployeeId(), GetCurrentRoleName())).CanAct;
+            if (!canView) return Forbid();
+
+            return File(attachment.Content, attachment.ContentType, attachment.FileName);
+        }
+
+        /// <summary>Remove an uploaded file before the request it was meant for is filed.</summary>
+        [HttpDelete("attachments/{id}")]
+        public async Task<IActionResult> DeleteAttachment(int id)
+        {
+            var attachment = await _db.EMLeaveAttachments.FindAsync(id);
+            if (attachment == null) return NotFound(ServiceResponse<bool>.FailureResult("Attachment not found"));
+            if (attachment.UploadedByUserId != GetCurrentUserId()) return Forbid();
+            if (attachment.LeaveRequestId != null)
+                return BadRequest(ServiceResponse<bool>.FailureResult("Files on a filed request can't be removed"));
+
+            _db.EMLeaveAttachments.Remove(attachment);
             await _db.SaveChangesAsync();
+            return Ok(ServiceResponse<bool>.SuccessResult(true, "Attachment removed"));
+        }
+
+        // Fills in each row's attachments (metadata only — the file bytes stay in the database) and
+        // its approval timeline as the caller sees it.
+        private async Task<List<LeaveResponseDTO>> WithDetailsAsync(List<LeaveResponseDTO> rows)
+        {
+            var ids = rows.Select(r => r.Id).ToList();
+            var files = await _db.EMLeaveAttachments
+                .Where(a => a.LeaveRequestId != null && ids.Contains(a.LeaveRequestId.Value))
+                .OrderBy(a => a.Id)
+                .Select(a => new { RequestId = a.LeaveRequestId.Value, a.Id, a.FileName, a.ContentType, a.SizeBytes })
+                .ToListAsync();
+
+            var byRequest = files.ToLookup(f => f.RequestId, f => new LeaveAttachmentDTO
+            {
+                Id = f.Id,
+                FileName = f.FileName,
+                ContentType = f.ContentType,
+                SizeBytes = f.SizeBytes,
+            });
+            foreach (var row in rows) row.Attachments = byRequest[row.Id].ToList();
 
-            var action = dto.IsApproved ? "approved" : "rejected";
-            return Ok(ServiceResponse<LeaveResponseDTO>.SuccessResult(ToDtoWithName(leave), $"Leave request {action}"));
+            // Full-day leave counts the days the employee was due at work, as the balance charges it.
+            var full = rows.Where(r => r.Portion is not ("AM" or "PM" or "Hours")).ToList();
+            if (full.Count > 0)
+            {
+                DateTime Day(string iso) => DateTime.ParseExact(iso, "yyyy-MM-dd", CultureInfo.InvariantCulture);
+                var workDays = await _scheduleService.WorkDaysAsync(
+                    full.Select(r => r.EmployeeId), full.Min(r => Day(r.StartDate)), full.Max(r => Day(r.EndDate)));
+                foreach (var row in full)
+                    row.Days = LeaveDays.Between(Day(row.StartDate), Day(row.EndDate), day => workDays(row.EmployeeId, day));
+            }
+
+            await _approvals.FillApprovalsAsync(rows, GetCurrentUserId(), GetCurrentEmployeeId(), GetCurrentRoleName());
+            return rows;
+        }
+
+        private static LeaveAttachmentDTO ToAttachmentDto(EMLeaveAttachment a) => new()
+        {
+            Id = a.Id,
+            FileName = a.FileName,
+            ContentType = a.ContentType,
+            SizeBytes = a.SizeBytes,
+        };
+
+        /// <summary>Lets open manager dashboards reload their leave panels (see LiveController).</summary>
+        private void PublishLeave(string action, EMLeaveRequest r)
+        {
+            var name = r.Employee != null ? $"{r.Employee.FirstName} {r.Employee.LastName}" : null;
+            _liveService.Publish(new LiveEventDTO
+            {
+                Type = "leave",
+                Action = action,
+                EmployeeId = r.EmployeeId,
+                EmployeeName = name,
+                Message = $"{name ?? "An employee"}: {r.LeaveType} leave {r.StartDate:yyyy-MM-dd}–{r.EndDate:yyyy-MM-dd} {action}",
+                Date = r.StartDate.ToString("yyyy-MM-dd")
+            });
         }
 
         private static LeaveResponseDTO ToDto(EMLeaveRequest r) => new()
@@ -152,6 +450,10 @@ namespace oamswlatifose.Server.Controllers
             StartDate = r.StartDate.ToString("yyyy-MM-dd"),
             EndDate = r.EndDate.ToString("yyyy-MM-dd"),
             LeaveType = r.LeaveType,
+            Portion = r.Portion,
+            StartTime = r.StartTime?.ToString(@"hh\:mm"),
+            EndTime = r.EndTime?.ToString(@"hh\:mm"),
+            Days = LeaveDays.Of(r),
             Reason = r.Reason,
             Status = r.Status,
             ApprovalNote = r.ApprovalNote,
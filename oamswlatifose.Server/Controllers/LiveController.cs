@@ -0,0 +1,101 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using oamswlatifose.Server.DTO.Live;
+using oamswlatifose.Server.Services.Live.Interfaces;
+using oamswlatifose.Server.Utilities.Security;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// Server-Sent Events stream for the manager dashboard: new clock-ins, admin-verify requests
+    /// and leave submissions are pushed as they happen so the team table, breakdown chart and
+    /// pending panels refresh within seconds. The client falls back to polling when the stream
+    /// can't be held open (proxies that buffer, dropped connections).
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public class LiveController : BaseApiController
+    {
+        // Comment line sent while idle so proxies and the browser keep the connection open.
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(20);
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly ILiveUpdateService _liveService;
+        private readonly ILogger<LiveController> _logger;
+
+        public LiveController(ILiveUpdateService liveService, ILogger<LiveController> logger)
+        {
+            _liveService = liveService ?? throw new ArgumentNullException(nameof(liveService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <summary>
+        /// Opens the dashboard event stream (HR/Admin). Events are named after
+        /// <see cref="LiveEventDTO.Type"/> with the DTO as JSON data; the first event is "ready".
+        /// </summary>
+        [HttpGet("team")]
+        [PermissionAuthorize("view_attendance")]
+        [Produces("text/event-stream")]
+        public async Task StreamTeam()
+        {
+            var cancellation = HttpContext.RequestAborted;
+
+            Response.StatusCode = StatusCodes.Status200OK;
+            Response.ContentType = "text/event-stream";
+            Response.Headers.CacheControl = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no";
+
+            var reader = _liveService.Subscribe(out var subscriptionId);
+            _logger.LogInformation("User {UserId} opened the live dashboard stream ({Count} open)",
+                GetCurrentUserId(), _liveService.SubscriberCount);
+
+            try
+            {
+                await WriteAsync("retry: 5000\n\n", cancellation);
+                await WriteEventAsync(new LiveEventDTO { Type = "ready", OccurredAt = DateTime.UtcNow }, cancellation);
+
+                while (!cancellation.IsCancellationRequested)
+                {
+                    using var idle = CancellationTokenSource.CreateLinkedTokenSource(cancellation);
+                    idle.CancelAfter(HeartbeatInterval);
+                    try
+                    {
+                        if (!await reader.WaitToReadAsync(idle.Token))
+                            break;
+                    }
+                    catch (OperationCanceledException) when (!cancellation.IsCancellationRequested)
+                    {
+                        await WriteAsync(": ping\n\n", cancellation);
+                        continue;
+                    }
+
+                    while (reader.TryRead(out var liveEvent))
+                        await WriteEventAsync(liveEvent, cancellation);
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // Client went away — nothing to report.
+            }
+            finally
+            {
+                _liveService.Unsubscribe(subscriptionId);
+            }
+        }
+
+        private Task WriteEventAsync(LiveEventDTO liveEvent, CancellationToken cancellation) =>
+            WriteAsync($"event: {liveEvent.Type}\ndata: {JsonSerializer.Serialize(liveEvent, JsonOptions)}\n\n", cancellation);
+
+        private async Task WriteAsync(string chunk, CancellationToken cancellation)
+        {
+            await Response.WriteAsync(chunk, cancellation);
+            await Response.Body.FlushAsync(cancellation);
+        }
+    }
+}
@@ -0,0 +1,203 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Live;
+using oamswlatifose.Server.DTO.Overtime;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Live.Interfaces;
+
+namespace oamswlatifose.Server.Controllers
+{
+    /// <summary>
+    /// API controller for overtime requests: employees file the hours they plan to work past their
+    /// shift on a day, HR/Admin approve or reject them. Approved requests are the authorised
+    /// overtime the attendance views and the payroll timesheet flag.
+    ///
+    /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
+    /// A valid license key is required after the 30-day trial. Day 31 and beyond will
+    /// deny all requests until a license issued by robram3000@gmail.com is activated.</para>
+    /// </summary>
+    [ApiController]
+    [Route("api/overtime")]
+    [Authorize]
+    public class OvertimeRequestController : BaseApiController
+    {
+        private readonly ApplicationDbContext _db;
+        private readonly ILiveUpdateService _liveService;
+        private readonly ILogger<OvertimeRequestController> _logger;
+
+        public OvertimeRequestController(ApplicationDbContext db, ILiveUpdateService liveService, ILogger<OvertimeRequestController> logger)
+        {
+            _db = db;
+            _liveService = liveService;
+            _logger = logger;
+        }
+
+        private string GetCurrentRoleName() => User.FindFirst("role_name")?.Value ?? "";
+
+        private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
+
+        // ── Employee endpoints ────────────────────────────────────────
+
+        /// <summary>Get the current employee's own overtime requests.</summary>
+        [HttpGet("mine")]
+        public async Task<IActionResult> GetMine()
+        {
+            var empId = GetCurrentEmployeeId();
+            if (empId == 0) return Ok(ServiceResponse<List<OvertimeResponseDTO>>.SuccessResult([]));
+
+            var rows = await _db.EMOvertimeRequests
+                .Where(r => r.EmployeeId == empId)
+                .OrderByDescending(r => r.Date)
+                .ThenByDescending(r => r.CreatedAt)
+                .ToListAsync();
+
+            return Ok(ServiceResponse<List<OvertimeResponseDTO>>.SuccessResult(rows.Select(ToDto).ToList()));
+        }
+
+        /// <summary>File an overtime request for one day. One open (pending or approved) request per day.</summary>
+        [HttpPost]
+        public async Task<IActionResult> Submit([FromBody] SubmitOvertimeDTO dto)
+        {
+            if (!ModelState.IsValid)
+                return BadRequest(ServiceResponse<OvertimeResponseDTO>.FailureResult("Invalid request"));
+
+            var empId = GetCurrentEmployeeId();
+            if (empId == 0)
+                return BadRequest(ServiceResponse<OvertimeResponseDTO>.FailureResult("No employee record linked to your account"));
+
+            var date = dto.Date.Date;
+            var taken = await _db.EMOvertimeRequests
+                .AnyAsync(r => r.EmployeeId == empId && r.Date == date && r.Status != "Rejected");
+            if (taken)
+                return BadRequest(ServiceResponse<OvertimeResponseDTO>.FailureResult("You already have an overtime request for that day"));
+
+            var overtime = new EMOvertimeRequest
+            {
+                EmployeeId = empId,
+                Date = date,
+                PlannedHours = Math.Round(dto.PlannedHours, 2),
+                Reason = dto.Reason?.Trim() ?? "",
+                Status = "Pending",
+                ApprovalNote = "",
+                CreatedAt = DateTime.UtcNow,
+                UpdatedAt = DateTime.UtcNow,
+            };
+
+            _db.EMOvertimeRequests.Add(overtime);
+            await _db.SaveChangesAsync();
+
+            await _db.Entry(overtime).Reference(r => r.Employee).LoadAsync();
+            PublishOvertime("submitted", overtime);
+
+            return Ok(ServiceResponse<OvertimeResponseDTO>.SuccessResult(ToDto(overtime), "Overtime request submitted"));
+        }
+
+        /// <summary>
+        /// Cancel a pending overtime request (employees only their own). Decided requests stay on
+        /// record: approved hours feed payroll, so they can't be deleted from here.
+        /// </summary>
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> Cancel(int id)
+        {
+            var empId = GetCurrentEmployeeId();
+            var overtime = await _db.EMOvertimeRequests.FindAsync(id);
+            if (overtime == null) return NotFound(ServiceResponse<bool>.FailureResult("Overtime request not found"));
+
+            if (!IsManagerRole() && overtime.EmployeeId != empId)
+                return Forbid();
+
+            if (overtime.Status != "Pending")
+                return BadRequest(ServiceResponse<bool>.FailureResult("Only pending requests can be cancelled"));
+
+            await _db.Entry(overtime).Reference(r => r.Employee).LoadAsync();
+            _db.EMOvertimeRequests.Remove(overtime);
+            await _db.SaveChangesAsync();
+            PublishOvertime("cancelled", overtime);
+
+            return Ok(ServiceResponse<bool>.SuccessResult(true, "Overtime request cancelled"));
+        }
+
+        // ── HR/Admin endpoints ─────────────────────────────────────────
+
+        /// <summary>
+        /// Get all overtime requests (HR/Admin only), optionally by status and by day
+        /// (<paramref name="startDate"/>/<paramref name="endDate"/> inclusive, either may be left out).
+        /// </summary>
+        [HttpGet("all")]
+        public async Task<IActionResult> GetAll([FromQuery] string status = null, [FromQuery] DateTime? startDate = null, [FromQuery] DateTime? endDate = null)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var query = _db.EMOvertimeRequests
+                .Include(r => r.Employee)
+                .AsQueryable();
+
+            if (!string.IsNullOrWhiteSpace(status))
+                query = query.Where(r => r.Status == status);
+            if (startDate.HasValue)
+                query = query.Where(r => r.Date >= startDate.Value.Date);
+            if (endDate.HasValue)
+                query = query.Where(r => r.Date <= endDate.Value.Date);
+
+            var rows = await query.OrderByDescending(r => r.Date).ThenByDescending(r => r.CreatedAt).ToListAsync();
+            return Ok(ServiceResponse<List<OvertimeResponseDTO>>.SuccessResult(rows.Select(ToDto).ToList()));
+        }
+
+        /// <summary>Approve or reject an overtime request (HR/Admin only, never their own — it feeds payroll).</summary>
+        [HttpPut("{id}/approve")]
+        public async Task<IActionResult> Approve(int id, [FromBody] ApproveOvertimeDTO dto)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var overtime = await _db.EMOvertimeRequests.Include(r => r.Employee).FirstOrDefaultAsync(r => r.Id == id);
+            if (overtime == null) return NotFound(ServiceResponse<OvertimeResponseDTO>.FailureResult("Overtime request not found"));
+            if (overtime.Status != "Pending") return BadRequest(ServiceResponse<OvertimeResponseDTO>.FailureResult("Only pending requests can be approved/rejected"));
+            if (overtime.EmployeeId == GetCurrentEmployeeId())
+                return BadRequest(ServiceResponse<OvertimeResponseDTO>.FailureResult("You can't decide your own overtime request"));
+
+            overtime.Status = dto.IsApproved ? "Approved" : "Rejected";
+            overtime.ApprovedByUserId = GetCurrentUserId();
+            overtime.ApprovalNote = dto.Note?.Trim() ?? "";
+            overtime.UpdatedAt = DateTime.UtcNow;
+
+            await _db.SaveChangesAsync();
+
+            var action = dto.IsApproved ? "approved" : "rejected";
+            _logger.LogInformation("Overtime request {Id} {Action} by user {UserId}", id, action, overtime.ApprovedByUserId);
+            PublishOvertime(action, overtime);
+            return Ok(ServiceResponse<OvertimeResponseDTO>.SuccessResult(ToDto(overtime), $"Overtime request {action}"));
+        }
+
+        /// <summary>Lets open manager dashboards reload their overtime panels (see LiveController).</summary>
+        private void PublishOvertime(string action, EMOvertimeRequest r)
+        {
+            var name = r.Employee != null ? $"{r.Employee.FirstName} {r.Employee.LastName}" : null;
+            _liveService.Publish(new LiveEventDTO
+            {
+                Type = "overtime",
+                Action = action,
+                EmployeeId = r.EmployeeId,
+                EmployeeName = name,
+                Message = $"{name ?? "An employee"}: {r.PlannedHours:0.##}h overtime on {r.Date:yyyy-MM-dd} {action}",
+                Date = r.Date.ToString("yyyy-MM-dd")
+            });
+        }
+
+        private static OvertimeResponseDTO ToDto(EMOvertimeRequest r) => new()
+        {
+            Id = r.Id,
+            EmployeeId = r.EmployeeId,
+            EmployeeName = r.Employee != null ? $"{r.Employee.FirstName} {r.Employee.LastName}" : null,
+            Department = r.Employee?.Department,
+            Date = r.Date.ToString("yyyy-MM-dd"),
+            PlannedHours = r.PlannedHours,
+            Reason = r.Reason,
+            Status = r.Status,
+            ApprovalNote = r.ApprovalNote,
+            CreatedAt = r.CreatedAt.ToString("yyyy-MM-dd"),
+        };
+    }
+}
@@ -3,6 +3,7 @@ using Microsoft.AspNetCore.Mvc;
 using oamswlatifose.Server.DTO.OTP;
 using oamswlatifose.Server.Services.Email.Interfaces; // Updated namespace
 using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.Authentication.Interfaces;
 
 namespace oamswlatifose.Server.Controllers
 {
@@ -37,13 +38,16 @@ namespace oamswlatifose.Server.Controllers
     public class RequestOTPController : BaseApiController
     {
         private readonly IEmailService _emailService; // Changed from IEmailOTPService
+        private readonly ITwoFactorService _twoFactorService;
         private readonly ILogger<RequestOTPController> _logger;
 
         public RequestOTPController(
             IEmailService emailService, // Changed parameter
+            ITwoFactorService twoFactorService,
             ILogger<RequestOTPController> logger)
         {
             _emailService = emailService ?? throw new ArgumentNullException(nameof(emailService));
+            _twoFactorService = twoFactorService ?? throw new ArgumentNullException(nameof(twoFactorService));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
@@ -198,70 +202,48 @@ namespace oamswlatifose.Server.Controllers
         }
 
         /// <summary>
-        /// Generates and sends an OTP for two-factor authentication via email.
-        /// Used after successful password verification to add an extra security layer.
+        /// Sends a fresh two-factor code for a sign-in waiting on its second step.
+        /// The caller isn't signed in yet, so the challenge token from login identifies the account;
+        /// the code itself only goes to the account's email.
         /// </summary>
-        /// <param name="request">User ID for 2FA OTP generation</param>
+        /// <param name="request">Challenge token returned by <c>POST api/auth/login</c></param>
         /// <returns>Success status with expiration time</returns>
         /// <response code="200">2FA OTP sent successfully</response>
-        /// <response code="400">Invalid user or 2FA not enabled</response>
-        /// <response code="401">Unauthorized access</response>
+        /// <response code="400">Unknown or expired challenge, or resent too soon</response>
         [HttpPost("send-2fa")]
-        [Authorize]
+        [AllowAnonymous]
         [ProducesResponseType(typeof(OTPGenerationResponseDTO), StatusCodes.Status200OK)]
         [ProducesResponseType(typeof(ErrorResponseDTO), StatusCodes.Status400BadRequest)]
-        [ProducesResponseType(typeof(ErrorResponseDTO), StatusCodes.Status401Unauthorized)]
         public async Task<IActionResult> SendTwoFactorOTP([FromBody] TwoFactorOTPRequestDTO request)
         {
             try
             {
-                var userId = GetCurrentUserId();
-                if (userId == 0)
-                {
-                    return Unauthorized(new ErrorResponseDTO
-                    {
-                        Message = "User not authenticated",
-                        CorrelationId = GetCorrelationId()
-                    });
-                }
-
                 var clientIp = GetClientIpAddress();
 
-                // Get user email from database (you'll need to inject user service)
-                string userEmail = await GetUserEmailById(userId);
-                string userName = await GetUserNameById(userId);
-                string otpCode = GenerateNumericOtp(6);
-                int expiryMinutes = 5;
-
-                // Send email using IEmailService
-                var emailResult = await _emailService.SendTwoFactorOtpAsync(
-                    userEmail,
-                    userName,
-                    otpCode,
-                    expiryMinutes);
-
-                if (!emailResult.IsSuccess)
+                var result = await _twoFactorService.ResendAsync(request?.ChallengeToken);
+                if (!result.IsSuccess)
                 {
                     return BadRequest(new ErrorResponseDTO
                     {
-                        Message = emailResult.Message ?? "Failed to send 2FA code",
+                        Message = result.Message ?? "Failed to send 2FA code",
                         CorrelationId = GetCorrelationId()
                     });
                 }
 
-                _logger.LogInformation("2FA OTP sent to user {UserId} from IP {ClientIp}", userId, clientIp);
+                _logger.LogInformation("2FA OTP resent to {Email} from IP {ClientIp}", result.Data.EmailMasked, clientIp);
 
                 return Ok(new OTPGenerationResponseDTO
                 {
-                    Success = true,
-                    Message = "Two-factor authentication code sent",
-                    ExpiresInMinutes = expiryMinutes,
-                    EmailMasked = MaskEmail(userEmail)
+                    Success = result.Data.Sent,
+                    Message = result.Data.Sent ? "Two-factor authentication code sent" : result.Data.Message,
+                    ExpiresInMinutes = result.Data.ExpiresInMinutes,
+                    EmailMasked = result.Data.EmailMasked,
+                    ExpiresAt = DateTime.UtcNow.AddMinutes(result.Data.ExpiresInMinutes)
                 });
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, "Error sending 2FA OTP for user {UserId}", GetCurrentUserId());
+                _logger.LogError(ex, "Error resending 2FA OTP");
                 return StatusCode(500, new ErrorResponseDTO
                 {
                     Message = "Failed to send 2FA code",
@@ -298,20 +280,6 @@ namespace oamswlatifose.Server.Controllers
             return System.Globalization.CultureInfo.CurrentCulture.TextInfo.ToTitleCase(name);
         }
 
-        private async Task<string> GetUserEmailById(int userId)
-        {
-            // Implement this method to get user email from database
-            // This would typically use a user service/repository
-            throw new NotImplementedException();
-        }
-
-        private async Task<string> GetUserNameById(int userId)
-        {
-            // Implement this method to get user name from database
-            // This would typically use a user service/repository
-            throw new NotImplementedException();
-        }
-
         #region Helper Methods (keep existing ones)
 
         private bool IsValidEmail(string email)
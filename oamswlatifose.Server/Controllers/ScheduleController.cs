@@ -43,6 +43,19 @@ namespace oamswlatifose.Server.Controllers
             return Ok(result);
         }
 
+        /// <summary>Gets every version of the logged-in employee's schedule (past, current, upcoming).</summary>
+        [HttpGet("my/history")]
+        [ProducesResponseType(typeof(ServiceResponse<List<WorkScheduleDTO>>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> GetMyHistory()
+        {
+            var employeeId = GetCurrentEmployeeId();
+            if (employeeId == 0)
+                return Ok(ServiceResponse<List<WorkScheduleDTO>>.FailureResult("No employee record linked to your account"));
+
+            var result = await _scheduleService.GetHistoryAsync(employeeId);
+            return Ok(result);
+        }
+
         /// <summary>Lists every employee's active schedule (Admin/Manager).</summary>
         [HttpGet]
         [PermissionAuthorize("view_attendance")]
@@ -53,6 +66,16 @@ namespace oamswlatifose.Server.Controllers
             return Ok(result);
         }
 
+        /// <summary>Gets every version of every employee's schedule, to grade past days (Admin/Manager).</summary>
+        [HttpGet("history")]
+        [PermissionAuthorize("view_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<List<WorkScheduleDTO>>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> GetAllHistory()
+        {
+            var result = await _scheduleService.GetAllHistoryAsync();
+            return Ok(result);
+        }
+
         /// <summary>Gets a specific employee's schedule (Admin/Manager).</summary>
         [HttpGet("employee/{employeeId:int}")]
         [PermissionAuthorize("view_attendance")]
@@ -63,7 +86,17 @@ namespace oamswlatifose.Server.Controllers
             return Ok(result);
         }
 
-        /// <summary>Removes (deactivates) a specific employee's schedule (Admin/Manager).</summary>
+        /// <summary>Gets every version of a specific employee's schedule (Admin/Manager).</summary>
+        [HttpGet("employee/{employeeId:int}/history")]
+        [PermissionAuthorize("view_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<List<WorkScheduleDTO>>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> GetHistory(int employeeId)
+        {
+            var result = await _scheduleService.GetHistoryAsync(employeeId);
+            return Ok(result);
+        }
+
+        /// <summary>Removes a specific employee's schedule from today on; past days keep theirs (Admin/Manager).</summary>
         [HttpDelete("employee/{employeeId:int}")]
         [PermissionAuthorize("edit_attendance")]
         [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status200OK)]
@@ -92,5 +125,61 @@ namespace oamswlatifose.Server.Controllers
                 dto.EmployeeId, GetCurrentUserId());
             return Ok(result);
         }
+
+        /// <summary>Lists the shift templates (Admin/Manager).</summary>
+        [HttpGet("templates")]
+        [PermissionAuthorize("view_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<List<ShiftTemplateDTO>>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> GetTemplates()
+        {
+            var result = await _scheduleService.GetTemplatesAsync();
+            return Ok(result);
+        }
+
+        /// <summary>Creates or updates a shift template (Admin/Manager).</summary>
+        [HttpPost("templates")]
+        [PermissionAuthorize("edit_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<ShiftTemplateDTO>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> SaveTemplate([FromBody] SaveShiftTemplateDTO dto)
+        {
+            var result = await _scheduleService.SaveTemplateAsync(dto);
+            if (!result.IsSuccess)
+                return BadRequest(result);
+
+            _logger.LogInformation("Shift template {TemplateId} saved by user {UserId}",
+                result.Data?.Id, GetCurrentUserId());
+            return Ok(result);
+        }
+
+        /// <summary>Deletes (deactivates) a shift template (Admin/Manager).</summary>
+        [HttpDelete("templates/{templateId:int}")]
+        [PermissionAuthorize("edit_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<bool>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> DeleteTemplate(int templateId)
+        {
+            var result = await _scheduleService.DeleteTemplateAsync(templateId);
+            if (!result.IsSuccess)
+                return BadRequest(result);
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Assigns a shift template to many employees and/or a department from an effective date (Admin/Manager).
+        /// </summary>
+        [HttpPost("assign")]
+        [PermissionAuthorize("edit_attendance")]
+        [ProducesResponseType(typeof(ServiceResponse<AssignShiftTemplateResultDTO>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> Assign([FromBody] AssignShiftTemplateDTO dto)
+        {
+            var result = await _scheduleService.AssignTemplateAsync(dto);
+            if (!result.IsSuccess)
+                return BadRequest(result);
+
+            _logger.LogInformation("Shift template {TemplateId} assigned to {Count} employee(s) by user {UserId}",
+                dto.TemplateId, result.Data?.AssignedCount, GetCurrentUserId());
+            return Ok(result);
+        }
     }
 }
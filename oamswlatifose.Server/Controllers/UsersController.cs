@@ -56,7 +56,7 @@ namespace oamswlatifose.Server.Controllers
             return Ok(result);
         }
 
-        /// <summary>Creates an employee + linked login account (Admin/HR).</summary>
+        /// <summary>Creates an employee + linked login account, or an account for an existing employee (Admin/HR).</summary>
         [HttpPost]
         [PermissionAuthorize("edit_employees")]
         [ProducesResponseType(typeof(ServiceResponse<UserAccountSummaryDTO>), StatusCodes.Status200OK)]
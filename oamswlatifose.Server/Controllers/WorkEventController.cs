@@ -5,12 +5,16 @@ using oamswlatifose.Server.DTO.WorkEvent;
 using oamswlatifose.Server.Model;
 using oamswlatifose.Server.Model.occurance;
 using oamswlatifose.Server.Services;
+using oamswlatifose.Server.Services.WorkEvent;
+using oamswlatifose.Server.Services.WorkEvent.Implementation;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
 
 namespace oamswlatifose.Server.Controllers
 {
     /// <summary>
-    /// API controller for company work-event management (holidays, special days, etc.).
-    /// HR/Admin can create and delete events; all authenticated users can read them.
+    /// API controller for company work-event management (holidays, special days, etc.) — the app's
+    /// holiday calendar. HR/Admin can create, import and delete events, company-wide or for one
+    /// branch; all authenticated users can read the ones that apply to them.
     ///
     /// <para>License: Proprietary software by Roberto V Ramirez Jr (robram3000@gmail.com).
     /// A valid license key is required after the 30-day trial. Day 31 and beyond will
@@ -22,28 +26,36 @@ namespace oamswlatifose.Server.Controllers
     public class WorkEventController : BaseApiController
     {
         private readonly ApplicationDbContext _db;
+        private readonly IWorkEventService _service;
 
-        public WorkEventController(ApplicationDbContext db) => _db = db;
+        public WorkEventController(ApplicationDbContext db, IWorkEventService service)
+        {
+            _db = db;
+            _service = service;
+        }
 
         private string GetCurrentRoleName() => User.FindFirst("role_name")?.Value ?? "";
         private bool IsManagerRole() { var r = GetCurrentRoleName(); return r == "Admin" || r == "HR"; }
 
-        /// <summary>Get work events for a given year/month (all authenticated users).</summary>
+        /// <summary>
+        /// Get work events for a given year/month: the company-wide ones plus the caller's own branch's.
+        /// HR/Admin can ask for another branch's with <paramref name="branchId"/>, or for every
+        /// branch's with <paramref name="all"/> (the events screen).
+        /// </summary>
         [HttpGet]
-        public async Task<IActionResult> GetByMonth([FromQuery] int year, [FromQuery] int month)
+        public async Task<IActionResult> GetByMonth([FromQuery] int year, [FromQuery] int month, [FromQuery] int? branchId = null, [FromQuery] bool all = false)
         {
-            if (year < 2000 || year > 2100 || month < 1 || month > 12)
-                return BadRequest(ServiceResponse<List<WorkEventResponseDTO>>.FailureResult("Invalid year or month"));
-
-            var start = new DateTime(year, month, 1);
-            var end = start.AddMonths(1).AddDays(-1);
-
-            var events = await _db.EMWorkEvents
-                .Where(e => e.Date >= start && e.Date <= end)
-                .OrderBy(e => e.Date)
-                .ToListAsync();
+            ServiceResponse<List<WorkEventResponseDTO>> result;
+            if (IsManagerRole() && (all || branchId.HasValue))
+                result = await _service.GetMonthAsync(year, month, all, branchId);
+            else
+            {
+                var empId = GetCurrentEmployeeId();
+                var ownBranch = await _db.EMEmployees.Where(e => e.Id == empId).Select(e => e.BranchId).FirstOrDefaultAsync();
+                result = await _service.GetMonthAsync(year, month, false, ownBranch);
+            }
 
-            return Ok(ServiceResponse<List<WorkEventResponseDTO>>.SuccessResult(events.Select(ToDto).ToList()));
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
         }
 
         /// <summary>Create a work event (HR/Admin only).</summary>
@@ -54,23 +66,41 @@ namespace oamswlatifose.Server.Controllers
             if (!ModelState.IsValid)
                 return BadRequest(ServiceResponse<WorkEventResponseDTO>.FailureResult("Invalid request"));
 
-            var validTypes = new[] { "Holiday", "DayOff", "Closed" };
-            if (!validTypes.Contains(dto.EventType))
-                return BadRequest(ServiceResponse<WorkEventResponseDTO>.FailureResult("EventType must be Holiday, DayOff, or Closed"));
+            if (!WorkEventDays.Types.Contains(dto.EventType))
+                return BadRequest(ServiceResponse<WorkEventResponseDTO>.FailureResult("EventType must be Holiday, SpecialNonWorking, DayOff, or Closed"));
+
+            var branch = dto.BranchId.HasValue ? await _db.EMBranches.FindAsync(dto.BranchId.Value) : null;
+            if (dto.BranchId.HasValue && branch == null)
+                return BadRequest(ServiceResponse<WorkEventResponseDTO>.FailureResult("Branch not found"));
 
             var ev = new EMWorkEvent
             {
                 Date = dto.Date.Date,
                 EventType = dto.EventType,
                 Name = dto.Name,
+                BranchId = dto.BranchId,
                 CreatedByUserId = GetCurrentUserId(),
                 CreatedAt = DateTime.UtcNow,
             };
 
             _db.EMWorkEvents.Add(ev);
             await _db.SaveChangesAsync();
+            ev.Branch = branch;
 
-            return Ok(ServiceResponse<WorkEventResponseDTO>.SuccessResult(ToDto(ev), "Work event created"));
+            return Ok(ServiceResponse<WorkEventResponseDTO>.SuccessResult(WorkEventService.ToDto(ev), "Work event created"));
+        }
+
+        /// <summary>
+        /// Import holidays from a parsed iCalendar or CSV file (HR/Admin only). Events already on
+        /// the calendar are skipped, so re-importing the same file is harmless.
+        /// </summary>
+        [HttpPost("import")]
+        public async Task<IActionResult> Import([FromBody] List<CreateWorkEventDTO> events)
+        {
+            if (!IsManagerRole()) return Forbid();
+
+            var result = await _service.ImportAsync(events, GetCurrentUserId());
+            return result.IsSuccess ? Ok(result) : BadRequest(result);
         }
 
         /// <summary>Delete a work event (HR/Admin only).</summary>
@@ -87,14 +117,5 @@ namespace oamswlatifose.Server.Controllers
 
             return Ok(ServiceResponse<bool>.SuccessResult(true, "Work event deleted"));
         }
-
-        private static WorkEventResponseDTO ToDto(EMWorkEvent e) => new()
-        {
-            Id = e.Id,
-            Date = e.Date.ToString("yyyy-MM-dd"),
-            EventType = e.EventType,
-            Name = e.Name,
-            CreatedByUserId = e.CreatedByUserId,
-        };
     }
 }
@@ -181,7 +181,7 @@ namespace oamswlatifose.Server.DTO.attendances
         public DateTime EndDate { get; set; }
 
         public int? EmployeeId { get; set; }
-        public string Department { get; set; }
+        public string? Department { get; set; }
         public bool IncludeOvertime { get; set; } = true;
         public bool IncludeLateArrivals { get; set; } = true;
     }
@@ -235,7 +235,7 @@ namespace oamswlatifose.Server.DTO.attendances
     }
 
     /// <summary>
-    /// Absent employee information
+    /// Absent employee information — one row per employee per scheduled day missed
     /// </summary>
     public class AbsentEmployeeDTO
     {
@@ -243,7 +243,38 @@ namespace oamswlatifose.Server.DTO.attendances
         public string EmployeeName { get; set; }
         public string Department { get; set; }
         public string Position { get; set; }
+        public DateTime Date { get; set; }
+        /// <summary>Start of the first shift the employee was scheduled for that day.</summary>
+        public TimeSpan? ExpectedTime { get; set; }
         public bool HasApprovedLeave { get; set; }
+        /// <summary>A leave request covering the day is still waiting for a decision.</summary>
+        public bool HasPendingLeave { get; set; }
+    }
+
+    /// <summary>
+    /// One department's day on the manager dashboard, graded against each member's schedule
+    /// </summary>
+    public class DepartmentBreakdownDTO
+    {
+        /// <summary>Department name, or "Unassigned" for employees without one.</summary>
+        public string Department { get; set; }
+        public int Employees { get; set; }
+        public int Present { get; set; }
+        public int Late { get; set; }
+        /// <summary>Scheduled, no record and no approved leave.</summary>
+        public int Absent { get; set; }
+        public int TimeOff { get; set; }
+        public int OnLeave { get; set; }
+        /// <summary>Present share of present + late + absent, in percent; null when nobody was expected.</summary>
+        public double? OnTimeRate { get; set; }
+        /// <summary>On-time rate for each day up to and including the requested one, oldest first.</summary>
+        public List<DepartmentTrendPointDTO> Trend { get; set; } = new List<DepartmentTrendPointDTO>();
+    }
+
+    public class DepartmentTrendPointDTO
+    {
+        public DateTime Date { get; set; }
+        public double? OnTimeRate { get; set; }
     }
 
     /// <summary>
@@ -289,6 +320,23 @@ namespace oamswlatifose.Server.DTO.attendances
         public int FailCount { get; set; }
         public List<string> Errors { get; set; }
         public List<int> CreatedIds { get; set; }
+
+        /// <summary>
+        /// One entry per rejected record, keyed by its zero-based position in the submitted list
+        /// so the client can point back at the offending CSV row.
+        /// </summary>
+        public List<BulkImportRowErrorDTO> RowErrors { get; set; }
+    }
+
+    /// <summary>
+    /// A single rejected record from a bulk import
+    /// </summary>
+    public class BulkImportRowErrorDTO
+    {
+        public int RowIndex { get; set; }
+        public int EmployeeId { get; set; }
+        public string AttendanceDate { get; set; }
+        public string Message { get; set; }
     }
     /// <summary>
     /// Dashboard attendance statistics for overview display
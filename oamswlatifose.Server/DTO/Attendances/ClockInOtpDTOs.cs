@@ -9,6 +9,8 @@ namespace oamswlatifose.Server.DTO.attendances
         public double? Longitude { get; set; }
         /// <summary>Unix epoch ms captured on the client at the moment the button was tapped — used to record the accurate tap time even if location lookup adds delay.</summary>
         public long? ClientTimestampMs { get; set; }
+        /// <summary>True when the tap was queued on the device while offline and is being replayed — lets an older <see cref="ClientTimestampMs"/> stand as the Time In: up to 15 minutes old with an OTP, earlier the same day only through admin-verify.</summary>
+        public bool QueuedOffline { get; set; }
     }
 
     /// <summary>Body for requesting a clock-out OTP — carries the client tap time (optional).</summary>
@@ -56,6 +58,8 @@ namespace oamswlatifose.Server.DTO.attendances
         public string WorkLocation { get; set; }
         public string BranchName { get; set; }
         public bool OnSite { get; set; }
+        /// <summary>True when the requested time is a device timestamp from a tap queued offline well before it was sent — the approver confirms it.</summary>
+        public bool DeviceTime { get; set; }
         public DateTime RequestedAt { get; set; }
     }
 }
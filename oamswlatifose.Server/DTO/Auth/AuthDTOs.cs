@@ -18,7 +18,9 @@ namespace oamswlatifose.Server.DTO.Auth
     }
 
     /// <summary>
-    /// DTO for login response with authentication tokens.
+    /// DTO for login response with authentication tokens. When the account needs a second step,
+    /// <see cref="RequiresTwoFactor"/> is set, the tokens are empty and <see cref="TwoFactor"/>
+    /// describes the emailed code to verify at <c>POST api/auth/login/verify-2fa</c>.
     /// </summary>
     public class LoginResponseDTO
     {
@@ -26,6 +28,21 @@ namespace oamswlatifose.Server.DTO.Auth
         public string RefreshToken { get; set; }
         public DateTime ExpiresAt { get; set; }
         public UserResponseDTO User { get; set; }
+        public bool RequiresTwoFactor { get; set; }
+        public TwoFactorChallengeDTO TwoFactor { get; set; }
+    }
+
+    /// <summary>
+    /// A pending two-factor sign-in: the opaque token the client sends back with the code.
+    /// </summary>
+    public class TwoFactorChallengeDTO
+    {
+        public string ChallengeToken { get; set; }
+        public string EmailMasked { get; set; }
+        public int ExpiresInMinutes { get; set; }
+        /// <summary>False when the email could not be delivered (the client offers a resend).</summary>
+        public bool Sent { get; set; }
+        public string Message { get; set; }
     }
 
     /// <summary>
@@ -86,8 +103,8 @@ namespace oamswlatifose.Server.DTO.Auth
     /// </summary>
     public class TwoFactorDTO
     {
-        [Required(ErrorMessage = "User ID is required")]
-        public int UserId { get; set; }
+        [Required(ErrorMessage = "Sign-in challenge is required")]
+        public string ChallengeToken { get; set; }
 
         [Required(ErrorMessage = "Verification code is required")]
         [StringLength(6, MinimumLength = 6, ErrorMessage = "Verification code must be 6 digits")]
@@ -95,6 +112,17 @@ namespace oamswlatifose.Server.DTO.Auth
         public string Code { get; set; }
     }
 
+    /// <summary>
+    /// DTO for the current user's two-step sign-in setting.
+    /// </summary>
+    public class TwoFactorSettingDTO
+    {
+        public bool Enabled { get; set; }
+
+        /// <summary>Required to turn the second step off, so an unattended session can't.</summary>
+        public string CurrentPassword { get; set; }
+    }
+
     /// <summary>
     /// DTO for authentication context used internally.
     /// </summary>
@@ -0,0 +1,13 @@
+namespace oamswlatifose.Server.DTO.Calendar
+{
+    /// <summary>
+    /// The caller's subscribable calendar feed; the client builds the URL from the token. Only the
+    /// token's hash is kept, so <see cref="Token"/> is set just when the feed is created or reset.
+    /// </summary>
+    public class CalendarFeedDTO
+    {
+        public string? Token { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? LastReadAt { get; set; }
+    }
+}
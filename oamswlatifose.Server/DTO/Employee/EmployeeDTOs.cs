@@ -19,8 +19,16 @@ namespace oamswlatifose.Server.DTO.Employee
         public string Position { get; set; }
         public string Department { get; set; }
         public string City { get; set; }
+        public DateTime? HiredAt { get; set; }
+        public int? BranchId { get; set; }
+        public string BranchName { get; set; }
+        public int? TeamLeadId { get; set; }
+        public string? TeamLeadName { get; set; }
+        public bool IsActive { get; set; }
+        public string DeactivatedAtFormatted { get; set; }
         public bool HasUserAccount { get; set; }
         public int? UserAccountId { get; set; }
+        public string Username { get; set; }
         public int AttendanceCount { get; set; }
         public string CreatedAtFormatted { get; set; }
         public string UpdatedAtFormatted { get; set; }
@@ -65,50 +73,77 @@ namespace oamswlatifose.Server.DTO.Employee
         [StringLength(255, ErrorMessage = "Email cannot exceed 255 characters")]
         public string Email { get; set; }
 
+        // Optional — nullable so ASP.NET doesn't treat the non-nullable string as implicitly required.
         [Phone(ErrorMessage = "Invalid phone number format")]
         [StringLength(20, ErrorMessage = "Phone number cannot exceed 20 characters")]
-        public string Phone { get; set; }
+        public string? Phone { get; set; }
 
         [StringLength(100, ErrorMessage = "Position cannot exceed 100 characters")]
-        public string Position { get; set; }
+        public string? Position { get; set; }
 
         [StringLength(100, ErrorMessage = "Department cannot exceed 100 characters")]
-        public string Department { get; set; }
+        public string? Department { get; set; }
 
         [StringLength(100, ErrorMessage = "City cannot exceed 100 characters")]
-        public string City { get; set; }
+        public string? City { get; set; }
+
+        public DateTime? HiredAt { get; set; }
+
+        public int? BranchId { get; set; }
     }
 
     /// <summary>
     /// DTO for updating existing employee records.
-    /// All properties are optional to support partial updates.
+    /// Null leaves a field unchanged, except HiredAt and BranchId, which null clears.
     /// </summary>
     public class UpdateEmployeeDTO
     {
         [StringLength(100, MinimumLength = 2, ErrorMessage = "First name must be between 2 and 100 characters")]
         [RegularExpression(@"^[a-zA-Z\s\-']+$", ErrorMessage = "First name can only contain letters, spaces, hyphens, and apostrophes")]
-        public string FirstName { get; set; }
+        public string? FirstName { get; set; }
 
         [StringLength(100, MinimumLength = 2, ErrorMessage = "Last name must be between 2 and 100 characters")]
         [RegularExpression(@"^[a-zA-Z\s\-']+$", ErrorMessage = "Last name can only contain letters, spaces, hyphens, and apostrophes")]
-        public string LastName { get; set; }
+        public string? LastName { get; set; }
 
         [EmailAddress(ErrorMessage = "Invalid email format")]
         [StringLength(255, ErrorMessage = "Email cannot exceed 255 characters")]
-        public string Email { get; set; }
+        public string? Email { get; set; }
 
         [Phone(ErrorMessage = "Invalid phone number format")]
         [StringLength(20, ErrorMessage = "Phone number cannot exceed 20 characters")]
-        public string Phone { get; set; }
+        public string? Phone { get; set; }
 
         [StringLength(100, ErrorMessage = "Position cannot exceed 100 characters")]
-        public string Position { get; set; }
+        public string? Position { get; set; }
 
         [StringLength(100, ErrorMessage = "Department cannot exceed 100 characters")]
-        public string Department { get; set; }
+        public string? Department { get; set; }
 
         [StringLength(100, ErrorMessage = "City cannot exceed 100 characters")]
-        public string City { get; set; }
+        public string? City { get; set; }
+
+        /// <summary>Always applied: null clears the hire date.</summary>
+        public DateTime? HiredAt { get; set; }
+
+        /// <summary>Always applied: null clears the branch.</summary>
+        public int? BranchId { get; set; }
+    }
+
+    /// <summary>
+    /// Deactivates or reactivates an employee record (and its login account, if any).
+    /// </summary>
+    public class SetEmployeeActiveDTO
+    {
+        public bool IsActive { get; set; }
+    }
+
+    /// <summary>
+    /// Sets or clears (null) an employee's team lead — their first approver on leave chains.
+    /// </summary>
+    public class SetTeamLeadDTO
+    {
+        public int? TeamLeadId { get; set; }
     }
 
     /// <summary>
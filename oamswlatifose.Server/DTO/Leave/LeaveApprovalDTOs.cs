@@ -0,0 +1,66 @@
+using System.ComponentModel.DataAnnotations;
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.DTO.Leave
+{
+    public class LeaveApprovalChainDTO
+    {
+        public int Id { get; set; }
+        public string Name { get; set; }
+        public string? LeaveType { get; set; }
+        public decimal OverDays { get; set; }
+        public List<string> Steps { get; set; } = [];
+    }
+
+    public class SaveLeaveApprovalChainDTO
+    {
+        [Required]
+        [MaxLength(100)]
+        public string Name { get; set; }
+
+        /// <summary>Null or empty for every leave type.</summary>
+        [MaxLength(50)]
+        public string? LeaveType { get; set; }
+
+        [Range(0, 365)]
+        public decimal OverDays { get; set; }
+
+        /// <summary>Approver roles in order: "TeamLead", "HR" or "Admin".</summary>
+        [Required]
+        public List<string> Steps { get; set; } = [];
+    }
+
+    /// <summary>
+    /// One step of a request's approval timeline. For the step being waited on, Approver is who can
+    /// act now (the team lead, their delegate, or the role); for decided steps it's who acted.
+    /// </summary>
+    public class LeaveApprovalStepDTO
+    {
+        public int Order { get; set; }
+        public string ApproverRole { get; set; }
+        public string Status { get; set; }   // Pending, Approved, Rejected, Skipped
+        public bool IsCurrent { get; set; }
+        public string? Approver { get; set; }
+        public string? DelegatedFrom { get; set; }
+        public string Note { get; set; }
+        public string? ActedAt { get; set; }
+    }
+
+    /// <summary>Whether a user can decide the current step of a request (see ILeaveApprovalService.CheckAsync).</summary>
+    public class LeaveApprovalCheck
+    {
+        public bool CanAct { get; set; }
+        public string Message { get; set; }
+
+        /// <summary>Null for requests filed before approval chains, which any HR/Admin decides outright.</summary>
+        public EMLeaveApprovalStep? Step { get; set; }
+        public bool IsFinal { get; set; }
+        public int StepCount { get; set; }
+
+        /// <summary>Set when the team lead is on leave and the caller acts in their place.</summary>
+        public string? DelegatedFrom { get; set; }
+
+        /// <summary>Set when the caller decided an earlier step and nobody else can take this one.</summary>
+        public bool SameApprover { get; set; }
+    }
+}
@@ -0,0 +1,112 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace oamswlatifose.Server.DTO.Leave
+{
+    public class LeavePolicyDTO
+    {
+        public string LeaveType { get; set; }
+        public decimal YearlyDays { get; set; }
+        public bool AccruesMonthly { get; set; }
+        public decimal CarryOverCap { get; set; }
+        public bool BlockWhenExceeded { get; set; }
+        public bool RequiresAttachment { get; set; }
+        public decimal AttachmentOverDays { get; set; }
+    }
+
+    public class UpdateLeavePolicyDTO
+    {
+        [Range(0, 365)]
+        public decimal YearlyDays { get; set; }
+
+        public bool AccruesMonthly { get; set; }
+
+        [Range(0, 365)]
+        public decimal CarryOverCap { get; set; }
+
+        public bool BlockWhenExceeded { get; set; }
+
+        public bool RequiresAttachment { get; set; }
+
+        [Range(0, 365)]
+        public decimal AttachmentOverDays { get; set; }
+    }
+
+    /// <summary>
+    /// One leave type's balance for a year: Available = CarriedOver + Accrued + Adjusted − Used.
+    /// Pending requests are not deducted yet; Remaining = Available − Pending is what can still be filed.
+    /// </summary>
+    public class LeaveBalanceDTO
+    {
+        public string LeaveType { get; set; }
+        public int Year { get; set; }
+        public string AsOf { get; set; }
+        public decimal Entitlement { get; set; }
+        public decimal CarriedOver { get; set; }
+        public decimal Accrued { get; set; }
+        public decimal Adjusted { get; set; }
+        public decimal Used { get; set; }
+        public decimal Pending { get; set; }
+        public decimal Available { get; set; }
+        public decimal Remaining { get; set; }
+        public bool AccruesMonthly { get; set; }
+        public decimal CarryOverCap { get; set; }
+        public bool BlockWhenExceeded { get; set; }
+        public bool RequiresAttachment { get; set; }
+        public decimal AttachmentOverDays { get; set; }
+    }
+
+    public class EmployeeLeaveBalanceDTO
+    {
+        public int EmployeeId { get; set; }
+        public int EmployeeNo { get; set; }
+        public string EmployeeName { get; set; }
+        public string Department { get; set; }
+        public List<LeaveBalanceDTO> Balances { get; set; } = [];
+    }
+
+    public class AdjustLeaveBalanceDTO
+    {
+        [Required]
+        public int EmployeeId { get; set; }
+
+        [Required]
+        [MaxLength(50)]
+        public string LeaveType { get; set; }
+
+        [Range(2000, 2100)]
+        public int Year { get; set; }
+
+        [Range(-365, 365)]
+        public decimal Days { get; set; }
+
+        [Required]
+        [MaxLength(500)]
+        public string Note { get; set; }
+    }
+
+    public class LeaveBalanceAdjustmentDTO
+    {
+        public int Id { get; set; }
+        public string LeaveType { get; set; }
+        public int Year { get; set; }
+        public decimal Days { get; set; }
+        public string Note { get; set; }
+        public string AdjustedBy { get; set; }
+        public string CreatedAt { get; set; }
+    }
+
+    /// <summary>How a leave request sits against the balance it draws on (see ILeaveBalanceService.CheckRequestAsync).</summary>
+    public class LeaveBalanceCheck
+    {
+        public bool Tracked { get; set; }
+        public decimal Requested { get; set; }
+        public decimal Remaining { get; set; }
+        public bool Exceeded => Tracked && Requested > Remaining;
+        public bool Blocked { get; set; }
+        public string Message { get; set; }
+
+        /// <summary>The type's policy wants a file (e.g. a medical certificate) for a request this long.</summary>
+        public bool AttachmentRequired { get; set; }
+        public string AttachmentMessage { get; set; }
+    }
+}
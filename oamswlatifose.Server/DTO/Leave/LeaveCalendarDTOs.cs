@@ -0,0 +1,72 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace oamswlatifose.Server.DTO.Leave
+{
+    /// <summary>Everyone's approved and pending leave overlapping one month, with each department's coverage.</summary>
+    public class LeaveCalendarDTO
+    {
+        public int Year { get; set; }
+        public int Month { get; set; }
+        public List<LeaveCalendarEntryDTO> Entries { get; set; } = [];
+        public List<DepartmentCoverageDTO> Departments { get; set; } = [];
+
+        /// <summary>Days on which approved leave already leaves a department below its minimum.</summary>
+        public List<CoverageShortfallDTO> ShortDays { get; set; } = [];
+    }
+
+    public class LeaveCalendarEntryDTO
+    {
+        public int RequestId { get; set; }
+        public int EmployeeId { get; set; }
+        public string EmployeeName { get; set; }
+        public string? Department { get; set; }
+        public string? BranchName { get; set; }
+        public string LeaveType { get; set; }
+        public string Portion { get; set; }
+        public string? StartTime { get; set; }
+        public string? EndTime { get; set; }
+        public string StartDate { get; set; }
+        public string EndDate { get; set; }
+        public string Status { get; set; }   // Approved, Pending
+    }
+
+    /// <summary>A department's active headcount and the minimum that must be at work (0 = none).</summary>
+    public class DepartmentCoverageDTO
+    {
+        public string Department { get; set; }
+        public int Headcount { get; set; }
+        public int MinHeadcount { get; set; }
+    }
+
+    public class SaveDepartmentCoverageDTO
+    {
+        [Required]
+        [MaxLength(100)]
+        public string Department { get; set; }
+
+        [Range(0, 1000)]
+        public int MinHeadcount { get; set; }
+    }
+
+    public class CoverageShortfallDTO
+    {
+        public string Date { get; set; }
+        public string Department { get; set; }
+
+        /// <summary>Employees of the department not on full-day leave that day.</summary>
+        public int Available { get; set; }
+        public int MinHeadcount { get; set; }
+    }
+
+    /// <summary>
+    /// What approving one request would do to its department's coverage: the days it would leave the
+    /// department below <see cref="MinHeadcount"/>, counting leave already approved.
+    /// </summary>
+    public class LeaveCoverageDTO
+    {
+        public string? Department { get; set; }
+        public int Headcount { get; set; }
+        public int MinHeadcount { get; set; }
+        public List<CoverageShortfallDTO> ShortDays { get; set; } = [];
+    }
+}
@@ -14,8 +14,18 @@ namespace oamswlatifose.Server.DTO.Leave
         [MaxLength(50)]
         public string LeaveType { get; set; }
 
+        /// <summary>"Full" (default), "AM", "PM" or "Hours" — anything but Full is a single day.</summary>
+        [MaxLength(10)]
+        public string Portion { get; set; }
+
+        public string StartTime { get; set; }   // "HH:mm", Hours only
+        public string EndTime { get; set; }     // "HH:mm", Hours only
+
         [MaxLength(500)]
         public string Reason { get; set; }
+
+        /// <summary>Files uploaded beforehand via POST /api/leave/attachments, linked to the request on submit.</summary>
+        public List<int> AttachmentIds { get; set; } = [];
     }
 
     public class LeaveResponseDTO
@@ -26,10 +36,29 @@ namespace oamswlatifose.Server.DTO.Leave
         public string StartDate { get; set; }
         public string EndDate { get; set; }
         public string LeaveType { get; set; }
+        public string Portion { get; set; }
+        public string StartTime { get; set; }
+        public string EndTime { get; set; }
+        public decimal Days { get; set; }
         public string Reason { get; set; }
         public string Status { get; set; }
         public string ApprovalNote { get; set; }
         public string CreatedAt { get; set; }
+        public List<LeaveAttachmentDTO> Attachments { get; set; } = [];
+
+        /// <summary>Approval chain steps in order; empty for requests filed before chains.</summary>
+        public List<LeaveApprovalStepDTO> Approvals { get; set; } = [];
+
+        /// <summary>Whether the caller can approve or reject the step the request is waiting on.</summary>
+        public bool CanReview { get; set; }
+    }
+
+    public class LeaveAttachmentDTO
+    {
+        public int Id { get; set; }
+        public string FileName { get; set; }
+        public string ContentType { get; set; }
+        public long SizeBytes { get; set; }
     }
 
     public class ApproveLeaveDTO
@@ -0,0 +1,20 @@
+namespace oamswlatifose.Server.DTO.Live
+{
+    /// <summary>
+    /// One change pushed to the manager dashboard over <c>GET /api/live/team</c>.
+    /// Type is "attendance" (clock-in/out recorded), "verify-request" (admin-verify clock-in
+    /// submitted or approved), "leave" (leave submitted, decided or cancelled) or "overtime"
+    /// (the same for overtime requests); the client reloads the matching panel rather than patching rows from the event itself.
+    /// </summary>
+    public class LiveEventDTO
+    {
+        public string Type { get; set; }
+        public string Action { get; set; }
+        public int? EmployeeId { get; set; }
+        public string EmployeeName { get; set; }
+        public string Message { get; set; }
+        /// <summary>"yyyy-MM-dd" of the attendance day the change belongs to, when there is one.</summary>
+        public string Date { get; set; }
+        public DateTime OccurredAt { get; set; }
+    }
+}
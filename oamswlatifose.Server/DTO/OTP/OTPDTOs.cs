@@ -30,6 +30,10 @@ namespace oamswlatifose.Server.DTO.OTP
     /// </summary>
     public class TwoFactorOTPRequestDTO
     {
+        /// <summary>The challenge returned by login when the account needs a second step.</summary>
+        [Required(ErrorMessage = "Sign-in challenge is required")]
+        public string ChallengeToken { get; set; }
+
         public OTPPurpose Purpose { get; set; } = OTPPurpose.TwoFactorAuthentication;
     }
 
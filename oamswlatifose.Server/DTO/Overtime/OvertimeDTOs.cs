@@ -0,0 +1,40 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace oamswlatifose.Server.DTO.Overtime
+{
+    public class SubmitOvertimeDTO
+    {
+        [Required]
+        public DateTime Date { get; set; }
+
+        [Range(0.5, 12, ErrorMessage = "Planned hours must be between 0.5 and 12")]
+        public decimal PlannedHours { get; set; }
+
+        [Required]
+        [MaxLength(500)]
+        public string Reason { get; set; }
+    }
+
+    public class OvertimeResponseDTO
+    {
+        public int Id { get; set; }
+        public int EmployeeId { get; set; }
+        public string EmployeeName { get; set; }
+        public string Department { get; set; }
+        public string Date { get; set; }
+        public decimal PlannedHours { get; set; }
+        public string Reason { get; set; }
+        public string Status { get; set; }
+        public string ApprovalNote { get; set; }
+        public string CreatedAt { get; set; }
+    }
+
+    public class ApproveOvertimeDTO
+    {
+        [Required]
+        public bool IsApproved { get; set; }
+
+        [MaxLength(500)]
+        public string Note { get; set; }
+    }
+}
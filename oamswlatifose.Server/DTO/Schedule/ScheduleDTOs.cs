@@ -19,11 +19,77 @@ namespace oamswlatifose.Server.DTO.Schedule
 
         /// <summary>StartTime + grace, "HH:mm" — the cutoff after which a clock-in is "Late".</summary>
         public string LateAfter { get; set; }
+
+        /// <summary>True when the employee has a per-weekday shift pattern rather than one daily shift.</summary>
+        public bool UsesShiftPattern { get; set; }
+
+        /// <summary>
+        /// Every shift in the week, ordered Mon→Sun then by start. Always filled — a plain
+        /// schedule is expanded to one shift per work day — so clients can treat both alike.
+        /// </summary>
+        public List<WorkShiftDTO> Shifts { get; set; } = new();
+
+        /// <summary>First day this version applies to ("yyyy-MM-dd"); null for pre-versioning rows.</summary>
+        public string EffectiveFrom { get; set; }
+
+        /// <summary>Date of the next scheduled version, when a change is already lined up.</summary>
+        public string NextEffectiveFrom { get; set; }
+
+        /// <summary>Weeks in the rotation cycle (1 = no rotation).</summary>
+        public int RotationWeeks { get; set; } = 1;
+
+        /// <summary>
+        /// Monday ("yyyy-MM-dd") on which <see cref="RotationStartWeek"/> applies; the rotation
+        /// week of any date is (whole weeks since this Monday + RotationStartWeek) mod RotationWeeks.
+        /// </summary>
+        public string RotationAnchor { get; set; }
+
+        public int RotationStartWeek { get; set; }
+
+        public int? TemplateId { get; set; }
+        public string TemplateName { get; set; }
+
+        /// <summary>True for a history entry that ends the schedule: from EffectiveFrom on the employee has none.</summary>
+        public bool EndsSchedule { get; set; }
+    }
+
+    /// <summary>
+    /// One shift on one weekday. <see cref="EndTime"/> at or before <see cref="StartTime"/> means the
+    /// shift ends the next day (e.g. 22:00–06:00). Several shifts on the same day form a split shift.
+    /// </summary>
+    public class WorkShiftDTO
+    {
+        [Required(ErrorMessage = "Shift day is required")]
+        [RegularExpression("^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)$", ErrorMessage = "Shift day must be Mon–Sun")]
+        public string Day { get; set; }
+
+        [Required(ErrorMessage = "Shift start time is required")]
+        [RegularExpression(@"^([01]\d|2[0-3]):[0-5]\d$", ErrorMessage = "Shift start must be HH:mm (24h)")]
+        public string StartTime { get; set; }
+
+        [Required(ErrorMessage = "Shift end time is required")]
+        [RegularExpression(@"^([01]\d|2[0-3]):[0-5]\d$", ErrorMessage = "Shift end must be HH:mm (24h)")]
+        public string EndTime { get; set; }
+
+        [Range(0, 120, ErrorMessage = "Grace minutes must be between 0 and 120")]
+        public int GraceMinutes { get; set; } = 5;
+
+        /// <summary>Rotation week this shift belongs to (0 = week A); always 0 without a rotation.</summary>
+        [Range(0, 3, ErrorMessage = "Shift week must be between 0 and 3")]
+        public int Week { get; set; }
+
+        /// <summary>Output only — the shift runs past midnight.</summary>
+        public bool Overnight { get; set; }
+
+        /// <summary>Output only — StartTime + grace, "HH:mm".</summary>
+        public string LateAfter { get; set; }
     }
 
     /// <summary>
     /// Create-or-update payload for an employee's schedule (admin). EmployeeId is
     /// optional for the "set my own" convenience endpoint, where it is taken from the token.
+    /// When <see cref="Shifts"/> is non-empty it replaces the single Start/End shift; clients
+    /// still send StartTime/EndTime (the first shift) for older readers of the schedule.
     /// </summary>
     public class SetWorkScheduleDTO
     {
@@ -42,5 +108,105 @@ namespace oamswlatifose.Server.DTO.Schedule
 
         [MaxLength(50)]
         public string WorkDays { get; set; } = "Mon,Tue,Wed,Thu,Fri";
+
+        /// <summary>Optional per-weekday shift pattern (overnight and split shifts allowed).</summary>
+        public List<WorkShiftDTO> Shifts { get; set; }
+
+        /// <summary>Weeks in the rotation cycle; above 1 the <see cref="Shifts"/> carry a week index.</summary>
+        [Range(1, 4, ErrorMessage = "Rotation must be between 1 and 4 weeks")]
+        public int RotationWeeks { get; set; } = 1;
+
+        /// <summary>Rotation week in force on <see cref="EffectiveFrom"/>'s week.</summary>
+        [Range(0, 3, ErrorMessage = "Rotation start week must be between 0 and 3")]
+        public int RotationStartWeek { get; set; }
+
+        /// <summary>
+        /// "yyyy-MM-dd" the change takes effect (today or later; defaults to today). Earlier days keep
+        /// the schedule they were worked under.
+        /// </summary>
+        [RegularExpression(@"^\d{4}-\d{2}-\d{2}$", ErrorMessage = "Effective date must be yyyy-MM-dd")]
+        public string EffectiveFrom { get; set; }
+    }
+
+    /// <summary>A named shift template as returned to clients.</summary>
+    public class ShiftTemplateDTO
+    {
+        public int Id { get; set; }
+        public string Name { get; set; }
+        public string Description { get; set; }
+        public string StartTime { get; set; }   // "HH:mm"
+        public string EndTime { get; set; }     // "HH:mm"
+        public int GraceMinutes { get; set; }
+        public string WorkDays { get; set; }
+        public int RotationWeeks { get; set; } = 1;
+        public bool UsesShiftPattern { get; set; }
+        public List<WorkShiftDTO> Shifts { get; set; } = new();
+
+        /// <summary>Employees whose current schedule was assigned from this template.</summary>
+        public int AssignedCount { get; set; }
+    }
+
+    /// <summary>Create (no Id) or update payload for a shift template.</summary>
+    public class SaveShiftTemplateDTO
+    {
+        public int? Id { get; set; }
+
+        [Required(ErrorMessage = "Template name is required")]
+        [MaxLength(100, ErrorMessage = "Template name cannot exceed 100 characters")]
+        public string Name { get; set; }
+
+        [MaxLength(250, ErrorMessage = "Description cannot exceed 250 characters")]
+        public string Description { get; set; }
+
+        [Required(ErrorMessage = "Start time is required")]
+        [RegularExpression(@"^([01]\d|2[0-3]):[0-5]\d$", ErrorMessage = "Start time must be HH:mm (24h)")]
+        public string StartTime { get; set; }
+
+        [Required(ErrorMessage = "End time is required")]
+        [RegularExpression(@"^([01]\d|2[0-3]):[0-5]\d$", ErrorMessage = "End time must be HH:mm (24h)")]
+        public string EndTime { get; set; }
+
+        [Range(0, 120, ErrorMessage = "Grace minutes must be between 0 and 120")]
+        public int GraceMinutes { get; set; } = 5;
+
+        [MaxLength(50)]
+        public string WorkDays { get; set; } = "Mon,Tue,Wed,Thu,Fri";
+
+        public List<WorkShiftDTO> Shifts { get; set; }
+
+        [Range(1, 4, ErrorMessage = "Rotation must be between 1 and 4 weeks")]
+        public int RotationWeeks { get; set; } = 1;
+    }
+
+    /// <summary>
+    /// Assigns a template to many employees at once — an explicit list, a whole department, or both.
+    /// </summary>
+    public class AssignShiftTemplateDTO
+    {
+        [Required(ErrorMessage = "Template is required")]
+        public int TemplateId { get; set; }
+
+        public List<int> EmployeeIds { get; set; } = new();
+
+        /// <summary>Every employee in this department is included as well.</summary>
+        [MaxLength(100)]
+        public string Department { get; set; }
+
+        /// <summary>"yyyy-MM-dd" the assignment takes effect (today or later; defaults to today).</summary>
+        [RegularExpression(@"^\d{4}-\d{2}-\d{2}$", ErrorMessage = "Effective date must be yyyy-MM-dd")]
+        public string EffectiveFrom { get; set; }
+
+        /// <summary>Rotation week the group starts on (e.g. half the crew on week A, half on week B).</summary>
+        [Range(0, 3, ErrorMessage = "Rotation start week must be between 0 and 3")]
+        public int RotationStartWeek { get; set; }
+    }
+
+    /// <summary>Outcome of a bulk template assignment.</summary>
+    public class AssignShiftTemplateResultDTO
+    {
+        public int TotalEmployees { get; set; }
+        public int AssignedCount { get; set; }
+        public string EffectiveFrom { get; set; }
+        public List<int> AssignedEmployeeIds { get; set; } = new();
     }
 }
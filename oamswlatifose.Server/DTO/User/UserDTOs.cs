@@ -25,6 +25,25 @@ namespace oamswlatifose.Server.DTO.User
         public Dictionary<string, bool> RolePermissions { get; set; }
         public int? EmployeeId { get; set; }
         public string EmployeeName { get; set; }
+
+        // Employee profile, filled when the account is linked to an employee (shown on "My account").
+        public int? EmployeeNumber { get; set; }
+        public string Phone { get; set; }
+        public string Position { get; set; }
+        public string Department { get; set; }
+        public string City { get; set; }
+        public DateTime? HiredAt { get; set; }
+        public int? BranchId { get; set; }
+        public string BranchName { get; set; }
+        public string BranchAddress { get; set; }
+
+        /// <summary>The account's own two-step sign-in opt-in.</summary>
+        public bool RequireTwoFactor { get; set; }
+        /// <summary>Admin/HR always sign in with a code, whatever <see cref="RequireTwoFactor"/> says.</summary>
+        public bool TwoFactorRequiredByRole { get; set; }
+        /// <summary>Admin/HR turned the second step on for this account; the user can't turn it off.</summary>
+        public bool TwoFactorRequiredByAdmin { get; set; }
+
         public bool IsActive { get; set; }
         public bool IsEmailVerified { get; set; }
         public DateTime? EmailVerifiedAt { get; set; }
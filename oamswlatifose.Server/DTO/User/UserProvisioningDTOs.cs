@@ -38,6 +38,12 @@ namespace oamswlatifose.Server.DTO.User
 
         [Required(ErrorMessage = "Role is required")]
         public int RoleId { get; set; }
+
+        /// <summary>
+        /// Give an existing employee record (one without an account) a login instead of creating a
+        /// new employee; the name and profile fields are then left as they are.
+        /// </summary>
+        public int? EmployeeId { get; set; }
     }
 
     /// <summary>A user account row for the management list.</summary>
@@ -52,6 +58,12 @@ namespace oamswlatifose.Server.DTO.User
         public string EmployeeName { get; set; }
         public string Department { get; set; }
         public bool IsActive { get; set; }
+        /// <summary>The per-user two-step sign-in opt-in.</summary>
+        public bool RequireTwoFactor { get; set; }
+        /// <summary>True for Admin/HR, who always sign in with an emailed code.</summary>
+        public bool TwoFactorRequiredByRole { get; set; }
+        /// <summary>Admin/HR require the emailed code for this account.</summary>
+        public bool TwoFactorRequiredByAdmin { get; set; }
         public string CreatedAtFormatted { get; set; }
         public string HiredAtFormatted { get; set; }
     }
@@ -67,6 +79,11 @@ namespace oamswlatifose.Server.DTO.User
         [MaxLength(100)] public string? Department { get; set; }
         public int RoleId { get; set; }
         public bool IsActive { get; set; }
+        /// <summary>
+        /// Require an emailed code at sign-in (always on for Admin/HR regardless). Kept apart from
+        /// the user's own opt-in, so clearing it never turns off what the user chose.
+        /// </summary>
+        public bool TwoFactorRequiredByAdmin { get; set; }
         /// <summary>Leave blank to keep the current password.</summary>
         [MinLength(6, ErrorMessage = "Password must be at least 6 characters")]
         public string? NewPassword { get; set; }
@@ -9,11 +9,14 @@ namespace oamswlatifose.Server.DTO.WorkEvent
 
         [Required]
         [MaxLength(30)]
-        public string EventType { get; set; } // Holiday, DayOff, Closed
+        public string EventType { get; set; } // Holiday, SpecialNonWorking, DayOff, Closed
 
         [Required]
         [MaxLength(200)]
         public string Name { get; set; }
+
+        /// <summary>Branch for a regional holiday; null for every branch.</summary>
+        public int? BranchId { get; set; }
     }
 
     public class WorkEventResponseDTO
@@ -22,6 +25,20 @@ namespace oamswlatifose.Server.DTO.WorkEvent
         public string Date { get; set; }
         public string EventType { get; set; }
         public string Name { get; set; }
+        public int? BranchId { get; set; }
+        public string? BranchName { get; set; }
         public int CreatedByUserId { get; set; }
     }
+
+    /// <summary>
+    /// Outcome of importing a holiday file. Rows already on the calendar (same date, branch and
+    /// name) are skipped rather than failed, so the same file can be imported again safely.
+    /// </summary>
+    public class WorkEventImportResultDTO
+    {
+        public int TotalRecords { get; set; }
+        public int Imported { get; set; }
+        public int Skipped { get; set; }
+        public List<string> Errors { get; set; } = [];
+    }
 }
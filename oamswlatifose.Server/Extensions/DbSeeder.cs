@@ -131,6 +131,32 @@ namespace oamswlatifose.Server.Extensions
                     created.Add(a.Username);
                 }
 
+                // Starter shift templates for bulk assignment (edit or delete them in the UI).
+                if (!await db.EMShiftTemplates.AnyAsync())
+                {
+                    db.EMShiftTemplates.AddRange(
+                        new EMShiftTemplate
+                        {
+                            Name = "Morning 8–5 Mon–Fri",
+                            StartTime = new TimeSpan(8, 0, 0),
+                            EndTime = new TimeSpan(17, 0, 0),
+                            GraceMinutes = 5,
+                            WorkDays = "Mon,Tue,Wed,Thu,Fri",
+                            CreatedAt = DateTime.UtcNow,
+                        },
+                        new EMShiftTemplate
+                        {
+                            Name = "Weekend Ops",
+                            Description = "Saturday and Sunday day shift",
+                            StartTime = new TimeSpan(7, 0, 0),
+                            EndTime = new TimeSpan(19, 0, 0),
+                            GraceMinutes = 10,
+                            WorkDays = "Sat,Sun",
+                            CreatedAt = DateTime.UtcNow,
+                        });
+                    await db.SaveChangesAsync();
+                }
+
                 // Example office branch (edit it, or use "Use my current location" in the UI).
                 if (!await db.EMBranches.AnyAsync())
                 {
@@ -34,14 +34,22 @@ using oamswlatifose.Server.Services.Attendance.Implementation;
 using oamswlatifose.Server.Services.Attendance.Interfaces;
 using oamswlatifose.Server.Services.Branch.Implementation;
 using oamswlatifose.Server.Services.Branch.Interfaces;
+using oamswlatifose.Server.Services.Calendar.Implementation;
+using oamswlatifose.Server.Services.Calendar.Interfaces;
 using oamswlatifose.Server.Services.Email.Implementation;
 using oamswlatifose.Server.Services.Email.Interfaces;
 using oamswlatifose.Server.Services.EmployeeManagement.Implementation;
 using oamswlatifose.Server.Services.EmployeeManagement.Interfaces;
+using oamswlatifose.Server.Services.Leave.Implementation;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+using oamswlatifose.Server.Services.Live.Implementation;
+using oamswlatifose.Server.Services.Live.Interfaces;
 using oamswlatifose.Server.Services.Schedule.Implementation;
 using oamswlatifose.Server.Services.Schedule.Interfaces;
 using oamswlatifose.Server.Services.UserProvisioning.Implementation;
 using oamswlatifose.Server.Services.UserProvisioning.Interfaces;
+using oamswlatifose.Server.Services.WorkEvent.Implementation;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
 using oamswlatifose.Server.Utilities.Security;
 using oamswlatifose.Server.Validations.Validators;
 using System.Reflection;
@@ -218,6 +226,8 @@ namespace oamswlatifose.Server.Extensions
             // registering the framework service instead of ours and leaving AuthController unresolvable.
             services.AddScoped<oamswlatifose.Server.Services.Authentication.Interfaces.IAuthenticationService,
                                oamswlatifose.Server.Services.Authentication.Implementation.AuthenticationService>();
+            services.AddScoped<oamswlatifose.Server.Services.Authentication.Interfaces.ITwoFactorService,
+                               oamswlatifose.Server.Services.Authentication.Implementation.TwoFactorService>();
             services.AddScoped<IAttendanceService, AttendanceService>();
             services.AddScoped<IEmailService, EmailService>();
 
@@ -225,8 +235,17 @@ namespace oamswlatifose.Server.Extensions
             services.AddSingleton<IOTPGenerator, OTPGenerator>();
             services.AddScoped<IWorkScheduleService, WorkScheduleService>();
             services.AddScoped<IBranchService, BranchService>();
+            services.AddScoped<IWorkEventService, WorkEventService>();
             services.AddScoped<IAttendanceVerificationService, AttendanceVerificationService>();
+            services.AddScoped<IAttendanceReportService, AttendanceReportService>();
             services.AddScoped<IUserProvisioningService, UserProvisioningService>();
+            services.AddScoped<ILeaveBalanceService, LeaveBalanceService>();
+            services.AddScoped<ILeaveApprovalService, LeaveApprovalService>();
+            services.AddScoped<ILeaveCalendarService, LeaveCalendarService>();
+            services.AddScoped<ICalendarFeedService, CalendarFeedService>();
+
+            // Live dashboard push (SSE) — one in-memory hub shared by every request
+            services.AddSingleton<ILiveUpdateService, LiveUpdateService>();
 
             return services;
         }
@@ -32,6 +32,16 @@ namespace oamswlatifose.Server.MappingProfiles
                     opt => opt.MapFrom(src => src.UserAccount != null))
                 .ForMember(dest => dest.UserAccountId,
                     opt => opt.MapFrom(src => src.UserAccount != null ? src.UserAccount.Id : (int?)null))
+                .ForMember(dest => dest.Username,
+                    opt => opt.MapFrom(src => src.UserAccount != null ? src.UserAccount.Username : null))
+                .ForMember(dest => dest.BranchName,
+                    opt => opt.MapFrom(src => src.Branch != null ? src.Branch.Name : null))
+                .ForMember(dest => dest.TeamLeadName,
+                    opt => opt.MapFrom(src => src.TeamLead != null ? $"{src.TeamLead.FirstName} {src.TeamLead.LastName}" : null))
+                .ForMember(dest => dest.IsActive,
+                    opt => opt.MapFrom(src => src.DeactivatedAt == null))
+                .ForMember(dest => dest.DeactivatedAtFormatted,
+                    opt => opt.MapFrom(src => src.DeactivatedAt.HasValue ? src.DeactivatedAt.Value.ToString("yyyy-MM-dd") : null))
                 .ForMember(dest => dest.AttendanceCount,
                     opt => opt.MapFrom(src => src.Attendances != null ? src.Attendances.Count() : 0))
                 .ForMember(dest => dest.CreatedAtFormatted,
@@ -53,6 +63,15 @@ namespace oamswlatifose.Server.MappingProfiles
             CreateMap<CreateEmployeeDTO, EMEmployees>()
                 .ForMember(dest => dest.Id, opt => opt.Ignore())
                 .ForMember(dest => dest.EmployeeID, opt => opt.MapFrom(src => src.EmployeeID))
+                // Optional text columns are NOT NULL in the database
+                .ForMember(dest => dest.Phone, opt => opt.MapFrom(src => src.Phone ?? ""))
+                .ForMember(dest => dest.Position, opt => opt.MapFrom(src => src.Position ?? ""))
+                .ForMember(dest => dest.Department, opt => opt.MapFrom(src => src.Department ?? ""))
+                .ForMember(dest => dest.City, opt => opt.MapFrom(src => src.City ?? ""))
+                .ForMember(dest => dest.DeactivatedAt, opt => opt.Ignore())
+                .ForMember(dest => dest.Branch, opt => opt.Ignore())
+                .ForMember(dest => dest.TeamLeadId, opt => opt.Ignore())
+                .ForMember(dest => dest.TeamLead, opt => opt.Ignore())
                 .ForMember(dest => dest.CreatedAt, opt => opt.Ignore())
                 .ForMember(dest => dest.UpdatedAt, opt => opt.Ignore())
                 .ForMember(dest => dest.UserAccount, opt => opt.Ignore())
@@ -66,6 +85,10 @@ namespace oamswlatifose.Server.MappingProfiles
                 .ForMember(dest => dest.UpdatedAt, opt => opt.Ignore())
                 .ForMember(dest => dest.UserAccount, opt => opt.Ignore())
                 .ForMember(dest => dest.Attendances, opt => opt.Ignore())
+                .ForMember(dest => dest.DeactivatedAt, opt => opt.Ignore())
+                .ForMember(dest => dest.Branch, opt => opt.Ignore())
+                .ForMember(dest => dest.TeamLeadId, opt => opt.Ignore())
+                .ForMember(dest => dest.TeamLead, opt => opt.Ignore())
                 .ForAllMembers(opts => opts.Condition((src, dest, srcMember) => srcMember != null));
         }
     }
@@ -32,6 +32,18 @@ namespace oamswlatifose.Server.MappingProfiles
                     opt => opt.MapFrom(src => src.Role != null ? MapRolePermissions(src.Role) : null))
                 .ForMember(dest => dest.EmployeeName,
                     opt => opt.MapFrom(src => src.Employee != null ? $"{src.Employee.FirstName} {src.Employee.LastName}" : null))
+                .ForMember(dest => dest.EmployeeNumber,
+                    opt => opt.MapFrom(src => src.Employee != null ? src.Employee.EmployeeID : (int?)null))
+                .ForMember(dest => dest.Phone, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.Phone : null))
+                .ForMember(dest => dest.Position, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.Position : null))
+                .ForMember(dest => dest.Department, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.Department : null))
+                .ForMember(dest => dest.City, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.City : null))
+                .ForMember(dest => dest.HiredAt, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.HiredAt : null))
+                .ForMember(dest => dest.BranchId, opt => opt.MapFrom(src => src.Employee != null ? src.Employee.BranchId : null))
+                .ForMember(dest => dest.BranchName,
+                    opt => opt.MapFrom(src => src.Employee != null && src.Employee.Branch != null ? src.Employee.Branch.Name : null))
+                .ForMember(dest => dest.BranchAddress,
+                    opt => opt.MapFrom(src => src.Employee != null && src.Employee.Branch != null ? src.Employee.Branch.Address : null))
                 .ForMember(dest => dest.IsLocked,
                     opt => opt.MapFrom(src => src.LockoutEnd.HasValue && src.LockoutEnd > DateTime.UtcNow))
                 .ForMember(dest => dest.LockoutRemainingMinutes,
@@ -0,0 +1,28 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddWorkScheduleShifts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "ShiftsJson",
+                table: "EMWorkSchedule",
+                type: "text",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "ShiftsJson",
+                table: "EMWorkSchedule");
+        }
+    }
+}
@@ -0,0 +1,135 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddShiftTemplatesAndScheduleVersions : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_EMWorkSchedule_EmployeeId",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "EffectiveFrom",
+                table: "EMWorkSchedule",
+                type: "date",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "RotationStartWeek",
+                table: "EMWorkSchedule",
+                type: "integer",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<int>(
+                name: "RotationWeeks",
+                table: "EMWorkSchedule",
+                type: "integer",
+                nullable: false,
+                defaultValue: 1);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TemplateId",
+                table: "EMWorkSchedule",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateTable(
+                name: "EMShiftTemplate",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    Name = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: false),
+                    Description = table.Column<string>(type: "character varying(250)", maxLength: 250, nullable: true),
+                    StartTime = table.Column<TimeSpan>(type: "time", nullable: false),
+                    EndTime = table.Column<TimeSpan>(type: "time", nullable: false),
+                    GraceMinutes = table.Column<int>(type: "integer", nullable: false),
+                    WorkDays = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: true),
+                    ShiftsJson = table.Column<string>(type: "text", nullable: true),
+                    RotationWeeks = table.Column<int>(type: "integer", nullable: false, defaultValue: 1),
+                    IsActive = table.Column<bool>(type: "boolean", nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMShiftTemplate", x => x.Id);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMWorkSchedule_EmployeeId_EffectiveFrom",
+                table: "EMWorkSchedule",
+                columns: new[] { "EmployeeId", "EffectiveFrom" },
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMWorkSchedule_TemplateId",
+                table: "EMWorkSchedule",
+                column: "TemplateId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMShiftTemplate_Name",
+                table: "EMShiftTemplate",
+                column: "Name",
+                unique: true);
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_EMWorkSchedule_EMShiftTemplate_TemplateId",
+                table: "EMWorkSchedule",
+                column: "TemplateId",
+                principalTable: "EMShiftTemplate",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_EMWorkSchedule_EMShiftTemplate_TemplateId",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropTable(
+                name: "EMShiftTemplate");
+
+            migrationBuilder.DropIndex(
+                name: "IX_EMWorkSchedule_EmployeeId_EffectiveFrom",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropIndex(
+                name: "IX_EMWorkSchedule_TemplateId",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropColumn(
+                name: "EffectiveFrom",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropColumn(
+                name: "RotationStartWeek",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropColumn(
+                name: "RotationWeeks",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.DropColumn(
+                name: "TemplateId",
+                table: "EMWorkSchedule");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMWorkSchedule_EmployeeId",
+                table: "EMWorkSchedule",
+                column: "EmployeeId",
+                unique: true);
+        }
+    }
+}
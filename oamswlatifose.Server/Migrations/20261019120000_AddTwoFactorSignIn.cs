@@ -0,0 +1,73 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddTwoFactorSignIn : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "RequireTwoFactor",
+                table: "EMAuthorizeruser",
+                type: "boolean",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.CreateTable(
+                name: "EMLoginChallenge",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    UserId = table.Column<int>(type: "integer", nullable: false),
+                    ChallengeToken = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: false),
+                    Code = table.Column<string>(type: "character varying(10)", maxLength: 10, nullable: false),
+                    IPAddress = table.Column<string>(type: "character varying(45)", maxLength: 45, nullable: true),
+                    ExpiresAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    IsUsed = table.Column<bool>(type: "boolean", nullable: false),
+                    Attempts = table.Column<int>(type: "integer", nullable: false),
+                    SendCount = table.Column<int>(type: "integer", nullable: false),
+                    LastSentAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLoginChallenge", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_EMLoginChallenge_EMAuthorizeruser_UserId",
+                        column: x => x.UserId,
+                        principalTable: "EMAuthorizeruser",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLoginChallenge_ChallengeToken",
+                table: "EMLoginChallenge",
+                column: "ChallengeToken",
+                unique: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLoginChallenge_UserId_IsUsed",
+                table: "EMLoginChallenge",
+                columns: new[] { "UserId", "IsUsed" });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "EMLoginChallenge");
+
+            migrationBuilder.DropColumn(
+                name: "RequireTwoFactor",
+                table: "EMAuthorizeruser");
+        }
+    }
+}
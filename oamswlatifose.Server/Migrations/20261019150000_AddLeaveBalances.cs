@@ -0,0 +1,90 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddLeaveBalances : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "EMLeaveBalanceAdjustments",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    EmployeeId = table.Column<int>(type: "integer", nullable: false),
+                    LeaveType = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: false),
+                    Year = table.Column<int>(type: "integer", nullable: false),
+                    Days = table.Column<decimal>(type: "numeric(5,2)", precision: 5, scale: 2, nullable: false),
+                    Note = table.Column<string>(type: "character varying(500)", maxLength: 500, nullable: false),
+                    AdjustedByUserId = table.Column<int>(type: "integer", nullable: true),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLeaveBalanceAdjustments", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_EMLeaveBalanceAdjustments_EMEmployees_EmployeeId",
+                        column: x => x.EmployeeId,
+                        principalTable: "EMEmployees",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "EMLeavePolicies",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    LeaveType = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: false),
+                    YearlyDays = table.Column<decimal>(type: "numeric(5,2)", precision: 5, scale: 2, nullable: false),
+                    AccruesMonthly = table.Column<bool>(type: "boolean", nullable: false),
+                    CarryOverCap = table.Column<decimal>(type: "numeric(5,2)", precision: 5, scale: 2, nullable: false),
+                    BlockWhenExceeded = table.Column<bool>(type: "boolean", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLeavePolicies", x => x.Id);
+                });
+
+            migrationBuilder.InsertData(
+                table: "EMLeavePolicies",
+                columns: new[] { "Id", "AccruesMonthly", "BlockWhenExceeded", "CarryOverCap", "LeaveType", "UpdatedAt", "YearlyDays" },
+                values: new object[,]
+                {
+                    { 1, true, true, 5m, "Annual", new DateTime(2026, 10, 19, 0, 0, 0, 0, DateTimeKind.Utc), 15m },
+                    { 2, false, false, 0m, "Sick", new DateTime(2026, 10, 19, 0, 0, 0, 0, DateTimeKind.Utc), 10m },
+                    { 3, false, false, 0m, "Emergency", new DateTime(2026, 10, 19, 0, 0, 0, 0, DateTimeKind.Utc), 3m }
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLeaveBalanceAdjustments_EmployeeId_Year",
+                table: "EMLeaveBalanceAdjustments",
+                columns: new[] { "EmployeeId", "Year" });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLeavePolicies_LeaveType",
+                table: "EMLeavePolicies",
+                column: "LeaveType",
+                unique: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "EMLeaveBalanceAdjustments");
+
+            migrationBuilder.DropTable(
+                name: "EMLeavePolicies");
+        }
+    }
+}
@@ -0,0 +1,51 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddLeavePortions : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<TimeSpan>(
+                name: "EndTime",
+                table: "EMLeaveRequests",
+                type: "time",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Portion",
+                table: "EMLeaveRequests",
+                type: "character varying(10)",
+                maxLength: 10,
+                nullable: false,
+                defaultValue: "Full");
+
+            migrationBuilder.AddColumn<TimeSpan>(
+                name: "StartTime",
+                table: "EMLeaveRequests",
+                type: "time",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "EndTime",
+                table: "EMLeaveRequests");
+
+            migrationBuilder.DropColumn(
+                name: "Portion",
+                table: "EMLeaveRequests");
+
+            migrationBuilder.DropColumn(
+                name: "StartTime",
+                table: "EMLeaveRequests");
+        }
+    }
+}
@@ -0,0 +1,98 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddLeaveAttachments : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<decimal>(
+                name: "AttachmentOverDays",
+                table: "EMLeavePolicies",
+                type: "numeric(5,2)",
+                precision: 5,
+                scale: 2,
+                nullable: false,
+                defaultValue: 0m);
+
+            migrationBuilder.AddColumn<bool>(
+                name: "RequiresAttachment",
+                table: "EMLeavePolicies",
+                type: "boolean",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.CreateTable(
+                name: "EMLeaveAttachments",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    LeaveRequestId = table.Column<int>(type: "integer", nullable: true),
+                    FileName = table.Column<string>(type: "character varying(255)", maxLength: 255, nullable: false),
+                    ContentType = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: false),
+                    SizeBytes = table.Column<long>(type: "bigint", nullable: false),
+                    Content = table.Column<byte[]>(type: "bytea", nullable: false),
+                    UploadedByUserId = table.Column<int>(type: "integer", nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLeaveAttachments", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_EMLeaveAttachments_EMLeaveRequests_LeaveRequestId",
+                        column: x => x.LeaveRequestId,
+                        principalTable: "EMLeaveRequests",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.UpdateData(
+                table: "EMLeavePolicies",
+                keyColumn: "Id",
+                keyValue: 1,
+                columns: new[] { "AttachmentOverDays", "RequiresAttachment" },
+                values: new object[] { 0m, false });
+
+            migrationBuilder.UpdateData(
+                table: "EMLeavePolicies",
+                keyColumn: "Id",
+                keyValue: 2,
+                columns: new[] { "AttachmentOverDays", "RequiresAttachment" },
+                values: new object[] { 2m, true });
+
+            migrationBuilder.UpdateData(
+                table: "EMLeavePolicies",
+                keyColumn: "Id",
+                keyValue: 3,
+                columns: new[] { "AttachmentOverDays", "RequiresAttachment" },
+                values: new object[] { 0m, false });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLeaveAttachments_LeaveRequestId",
+                table: "EMLeaveAttachments",
+                column: "LeaveRequestId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "EMLeaveAttachments");
+
+            migrationBuilder.DropColumn(
+                name: "AttachmentOverDays",
+                table: "EMLeavePolicies");
+
+            migrationBuilder.DropColumn(
+                name: "RequiresAttachment",
+                table: "EMLeavePolicies");
+        }
+    }
+}
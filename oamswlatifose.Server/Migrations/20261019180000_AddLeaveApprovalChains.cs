@@ -0,0 +1,117 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+#pragma warning disable CA1814 // Prefer jagged arrays over multidimensional
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddLeaveApprovalChains : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "TeamLeadId",
+                table: "EMEmployees",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateTable(
+                name: "EMLeaveApprovalChains",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    Name = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: false),
+                    LeaveType = table.Column<string>(type: "character varying(50)", maxLength: 50, nullable: true),
+                    OverDays = table.Column<decimal>(type: "numeric(5,2)", precision: 5, scale: 2, nullable: false),
+                    Steps = table.Column<string>(type: "character varying(100)", maxLength: 100, nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLeaveApprovalChains", x => x.Id);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "EMLeaveApprovalSteps",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    LeaveRequestId = table.Column<int>(type: "integer", nullable: false),
+                    StepOrder = table.Column<int>(type: "integer", nullable: false),
+                    ApproverRole = table.Column<string>(type: "character varying(20)", maxLength: 20, nullable: false),
+                    Status = table.Column<string>(type: "character varying(20)", maxLength: 20, nullable: false),
+                    ActedByUserId = table.Column<int>(type: "integer", nullable: true),
+                    DelegatedFrom = table.Column<string>(type: "character varying(200)", maxLength: 200, nullable: true),
+                    Note = table.Column<string>(type: "character varying(500)", maxLength: 500, nullable: false),
+                    ActedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EMLeaveApprovalSteps", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_EMLeaveApprovalSteps_EMLeaveRequests_LeaveRequestId",
+                        column: x => x.LeaveRequestId,
+                        principalTable: "EMLeaveRequests",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.InsertData(
+                table: "EMLeaveApprovalChains",
+                columns: new[] { "Id", "LeaveType", "Name", "OverDays", "Steps", "UpdatedAt" },
+                values: new object[,]
+                {
+                    { 1, null, "Standard", 0m, "HR", new DateTime(2026, 10, 19, 0, 0, 0, 0, DateTimeKind.Utc) },
+                    { 2, null, "Long leave", 5m, "TeamLead,HR,Admin", new DateTime(2026, 10, 19, 0, 0, 0, 0, DateTimeKind.Utc) }
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMEmployees_TeamLeadId",
+                table: "EMEmployees",
+                column: "TeamLeadId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMLeaveApprovalSteps_LeaveRequestId_StepOrder",
+                table: "EMLeaveApprovalSteps",
+                columns: new[] { "LeaveRequestId", "StepOrder" },
+                unique: true);
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_EMEmployees_EMEmployees_TeamLeadId",
+                table: "EMEmployees",
+                column: "TeamLeadId",
+                principalTable: "EMEmployees",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_EMEmployees_EMEmployees_TeamLeadId",
+                table: "EMEmployees");
+
+            migrationBuilder.DropTable(
+                name: "EMLeaveApprovalChains");
+
+            migrationBuilder.DropTable(
+                name: "EMLeaveApprovalSteps");
+
+            migrationBuilder.DropIndex(
+                name: "IX_EMEmployees_TeamLeadId",
+                table: "EMEmployees");
+
+            migrationBuilder.DropColumn(
+                name: "TeamLeadId",
+                table: "EMEmployees");
+        }
+    }
+}
@@ -0,0 +1,49 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddWorkEventBranches : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "BranchId",
+                table: "EMWorkEvents",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EMWorkEvents_BranchId",
+                table: "EMWorkEvents",
+                column: "BranchId");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_EMWorkEvents_EMBranch_BranchId",
+                table: "EMWorkEvents",
+                column: "BranchId",
+                principalTable: "EMBranch",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.Cascade);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_EMWorkEvents_EMBranch_BranchId",
+                table: "EMWorkEvents");
+
+            migrationBuilder.DropIndex(
+                name: "IX_EMWorkEvents_BranchId",
+                table: "EMWorkEvents");
+
+            migrationBuilder.DropColumn(
+                name: "BranchId",
+                table: "EMWorkEvents");
+        }
+    }
+}
@@ -0,0 +1,50 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPasswordResetWindow : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "PasswordResetCodesIssued",
+                table: "EMAuthorizeruser",
+                type: "integer",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "PasswordResetLastIssuedAt",
+                table: "EMAuthorizeruser",
+                type: "timestamp with time zone",
+                nullable: true);
+
+            migrationBuilder.AddColumn<DateTime>(
+                name: "PasswordResetWindowStart",
+                table: "EMAuthorizeruser",
+                type: "timestamp with time zone",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "PasswordResetCodesIssued",
+                table: "EMAuthorizeruser");
+
+            migrationBuilder.DropColumn(
+                name: "PasswordResetLastIssuedAt",
+                table: "EMAuthorizeruser");
+
+            migrationBuilder.DropColumn(
+                name: "PasswordResetWindowStart",
+                table: "EMAuthorizeruser");
+        }
+    }
+}
@@ -0,0 +1,45 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace oamswlatifose.Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class HashCalendarFeedTokens : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.RenameColumn(
+                name: "Token",
+                table: "EMCalendarFeeds",
+                newName: "TokenHash");
+
+            migrationBuilder.RenameIndex(
+                name: "IX_EMCalendarFeeds_Token",
+                table: "EMCalendarFeeds",
+                newName: "IX_EMCalendarFeeds_TokenHash");
+
+            // Existing feed URLs keep working: their tokens are replaced by the hashes they'll be looked up by.
+            migrationBuilder.Sql(
+                "UPDATE \"EMCalendarFeeds\" SET \"TokenHash\" = encode(sha256(convert_to(\"TokenHash\", 'UTF8')), 'hex');");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            // Hashes can't be turned back into tokens, so the feeds go and have to be created again.
+            migrationBuilder.Sql("DELETE FROM \"EMCalendarFeeds\";");
+
+            migrationBuilder.RenameIndex(
+                name: "IX_EMCalendarFeeds_TokenHash",
+                table: "EMCalendarFeeds",
+                newName: "IX_EMCalendarFeeds_Token");
+
+            migrationBuilder.RenameColumn(
+                name: "TokenHash",
+                table: "EMCalendarFeeds",
+                newName: "Token");
+        }
+    }
+}
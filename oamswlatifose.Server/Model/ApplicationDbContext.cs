@@ -15,6 +15,7 @@ namespace oamswlatifose.Server.Model
         public DbSet<EMJWT> EMJWT { get; set; }
         public DbSet<EMRoleBasedAccessControl> EMRoleBasedAccessControls { get; set; }
         public DbSet<EMSession> EMSessions { get; set; }
+        public DbSet<EMLoginChallenge> EMLoginChallenges { get; set; }
 
         // User entities
         public DbSet<EMEmployees> EMEmployees { get; set; }
@@ -22,9 +23,18 @@ namespace oamswlatifose.Server.Model
         // Occurrence entities
         public DbSet<EMAttendance> EMAttendance { get; set; }
         public DbSet<EMWorkSchedule> EMWorkSchedules { get; set; }
+        public DbSet<EMShiftTemplate> EMShiftTemplates { get; set; }
         public DbSet<EMAttendanceOtp> EMAttendanceOtps { get; set; }
         public DbSet<EMLeaveRequest> EMLeaveRequests { get; set; }
+        public DbSet<EMLeavePolicy> EMLeavePolicies { get; set; }
+        public DbSet<EMLeaveBalanceAdjustment> EMLeaveBalanceAdjustments { get; set; }
+        public DbSet<EMLeaveAttachment> EMLeaveAttachments { get; set; }
+        public DbSet<EMLeaveApprovalChain> EMLeaveApprovalChains { get; set; }
+        public DbSet<EMLeaveApprovalStep> EMLeaveApprovalSteps { get; set; }
+        public DbSet<EMDepartmentCoverage> EMDepartmentCoverages { get; set; }
+        public DbSet<EMOvertimeRequest> EMOvertimeRequests { get; set; }
         public DbSet<EMWorkEvent> EMWorkEvents { get; set; }
+        public DbSet<EMCalendarFeed> EMCalendarFeeds { get; set; }
 
         // Branch geofences
         public DbSet<EMBranch> EMBranches { get; set; }
@@ -103,6 +113,20 @@ namespace oamswlatifose.Server.Model
                     .OnDelete(DeleteBehavior.Cascade);
             });
 
+            // EMLoginChallenge Configuration — pending two-factor sign-ins.
+            modelBuilder.Entity<EMLoginChallenge>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+
+                entity.HasIndex(e => e.ChallengeToken).IsUnique();
+                entity.HasIndex(e => new { e.UserId, e.IsUsed });
+
+                entity.HasOne(e => e.User)
+                    .WithMany()
+                    .HasForeignKey(e => e.UserId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
             // EMRoleBasedAccessControl Configuration
             modelBuilder.Entity<EMRoleBasedAccessControl>(entity =>
             {
@@ -166,6 +190,11 @@ namespace oamswlatifose.Server.Model
                     .WithMany(b => b.Employees)
                     .HasForeignKey(e => e.BranchId)
                     .OnDelete(DeleteBehavior.SetNull);
+
+                entity.HasOne(e => e.TeamLead)
+                    .WithMany()
+                    .HasForeignKey(e => e.TeamLeadId)
+                    .OnDelete(DeleteBehavior.SetNull);
             });
 
             // EMAttendance Configuration
@@ -191,19 +220,37 @@ namespace oamswlatifose.Server.Model
                     .HasPrecision(5, 2);
             });
 
-            // EMWorkSchedule Configuration — one active schedule per employee.
+            // EMWorkSchedule Configuration — one version per employee per effective date.
             modelBuilder.Entity<EMWorkSchedule>(entity =>
             {
                 entity.HasKey(e => e.Id);
 
-                entity.HasIndex(e => e.EmployeeId).IsUnique();
+                entity.HasIndex(e => new { e.EmployeeId, e.EffectiveFrom }).IsUnique();
 
                 entity.Property(e => e.WorkDays).HasMaxLength(50);
 
+                entity.Property(e => e.RotationWeeks).HasDefaultValue(1);
+
                 entity.HasOne(e => e.Employee)
                     .WithMany()
                     .HasForeignKey(e => e.EmployeeId)
                     .OnDelete(DeleteBehavior.Cascade);
+
+                entity.HasOne(e => e.Template)
+                    .WithMany()
+                    .HasForeignKey(e => e.TemplateId)
+                    .OnDelete(DeleteBehavior.SetNull);
+            });
+
+            // EMShiftTemplate Configuration — named schedules for bulk assignment.
+            modelBuilder.Entity<EMShiftTemplate>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Name).IsUnique();
+                entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.Description).HasMaxLength(250);
+                entity.Property(e => e.WorkDays).HasMaxLength(50);
+                entity.Property(e => e.RotationWeeks).HasDefaultValue(1);
             });
 
             // EMAttendanceOtp Configuration — short-lived clock-in/out verification codes.
@@ -227,6 +274,7 @@ namespace oamswlatifose.Server.Model
                 entity.HasIndex(e => e.EmployeeId);
                 entity.HasIndex(e => e.Status);
                 entity.Property(e => e.LeaveType).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.Portion).IsRequired().HasMaxLength(10).HasDefaultValue("Full");
                 entity.Property(e => e.Status).IsRequired().HasMaxLength(20);
                 entity.HasOne(e => e.Employee)
                     .WithMany()
@@ -234,7 +282,105 @@ namespace oamswlatifose.Server.Model
                     .OnDelete(DeleteBehavior.Cascade);
             });
 
-            // EMWorkEvent Configuration
+            // EMLeavePolicy Configuration — one row per tracked leave type.
+            modelBuilder.Entity<EMLeavePolicy>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.LeaveType).IsUnique();
+                entity.Property(e => e.LeaveType).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.YearlyDays).HasPrecision(5, 2);
+                entity.Property(e => e.CarryOverCap).HasPrecision(5, 2);
+                entity.Property(e => e.AttachmentOverDays).HasPrecision(5, 2);
+            });
+
+            // EMLeaveAttachment Configuration — files go with their request when it's cancelled.
+            modelBuilder.Entity<EMLeaveAttachment>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.LeaveRequestId);
+                entity.Property(e => e.FileName).IsRequired().HasMaxLength(255);
+                entity.Property(e => e.ContentType).IsRequired().HasMaxLength(100);
+                entity.HasOne(e => e.LeaveRequest)
+                    .WithMany(r => r.Attachments)
+                    .HasForeignKey(e => e.LeaveRequestId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // EMLeaveApprovalChain Configuration
+            modelBuilder.Entity<EMLeaveApprovalChain>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Name).IsRequired().HasMaxLength(100);
+                entity.Property(e => e.LeaveType).HasMaxLength(50);
+                entity.Property(e => e.OverDays).HasPrecision(5, 2);
+                entity.Property(e => e.Steps).IsRequired().HasMaxLength(100);
+            });
+
+            // EMLeaveApprovalStep Configuration — steps go with their request when it's cancelled.
+            modelBuilder.Entity<EMLeaveApprovalStep>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.LeaveRequestId, e.StepOrder }).IsUnique();
+                entity.Property(e => e.ApproverRole).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.Status).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.DelegatedFrom).HasMaxLength(200);
+                entity.Property(e => e.Note).HasMaxLength(500);
+                entity.HasOne(e => e.LeaveRequest)
+                    .WithMany(r => r.ApprovalSteps)
+                    .HasForeignKey(e => e.LeaveRequestId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // EMDepartmentCoverage Configuration — one row per department with a minimum headcount.
+            modelBuilder.Entity<EMDepartmentCoverage>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.Department).IsUnique();
+                entity.Property(e => e.Department).IsRequired().HasMaxLength(100);
+            });
+
+            // EMLeaveBalanceAdjustment Configuration
+            modelBuilder.Entity<EMLeaveBalanceAdjustment>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.EmployeeId, e.Year });
+                entity.Property(e => e.LeaveType).IsRequired().HasMaxLength(50);
+                entity.Property(e => e.Days).HasPrecision(5, 2);
+                entity.Property(e => e.Note).IsRequired().HasMaxLength(500);
+                entity.HasOne(e => e.Employee)
+                    .WithMany()
+                    .HasForeignKey(e => e.EmployeeId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // EMOvertimeRequest Configuration
+            modelBuilder.Entity<EMOvertimeRequest>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => new { e.EmployeeId, e.Date });
+                entity.HasIndex(e => e.Status);
+                entity.Property(e => e.PlannedHours).HasPrecision(4, 2);
+                entity.Property(e => e.Status).IsRequired().HasMaxLength(20);
+                entity.HasOne(e => e.Employee)
+                    .WithMany()
+                    .HasForeignKey(e => e.EmployeeId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // EMCalendarFeed Configuration — one feed per employee, looked up by its token's hash.
+            modelBuilder.Entity<EMCalendarFeed>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.HasIndex(e => e.EmployeeId).IsUnique();
+                entity.HasIndex(e => e.TokenHash).IsUnique();
+                entity.Property(e => e.TokenHash).IsRequired().HasMaxLength(64);
+                entity.HasOne(e => e.Employee)
+                    .WithMany()
+                    .HasForeignKey(e => e.EmployeeId)
+                    .OnDelete(DeleteBehavior.Cascade);
+            });
+
+            // EMWorkEvent Configuration — a branch's regional holidays go with the branch.
             modelBuilder.Entity<EMWorkEvent>(entity =>
             {
                 entity.HasKey(e => e.Id);
@@ -242,6 +388,10 @@ namespace oamswlatifose.Server.Model
                 entity.HasIndex(e => e.EventType);
                 entity.Property(e => e.EventType).IsRequired().HasMaxLength(30);
                 entity.Property(e => e.Name).IsRequired().HasMaxLength(200);
+                entity.HasOne(e => e.Branch)
+                    .WithMany()
+                    .HasForeignKey(e => e.BranchId)
+                    .OnDelete(DeleteBehavior.Cascade);
             });
 
             // EMBranch Configuration — office geofences.
@@ -284,6 +434,19 @@ namespace oamswlatifose.Server.Model
                 entity.HasIndex(e => e.OTPid);
             });
 
+            // Default leave policies (HR can change them from the Leave view)
+            modelBuilder.Entity<EMLeavePolicy>().HasData(
+                new EMLeavePolicy { Id = 1, LeaveType = "Annual", YearlyDays = 15, AccruesMonthly = true, CarryOverCap = 5, BlockWhenExceeded = true, UpdatedAt = new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc) },
+                new EMLeavePolicy { Id = 2, LeaveType = "Sick", YearlyDays = 10, AccruesMonthly = false, CarryOverCap = 0, BlockWhenExceeded = false, RequiresAttachment = true, AttachmentOverDays = 2, UpdatedAt = new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc) },
+                new EMLeavePolicy { Id = 3, LeaveType = "Emergency", YearlyDays = 3, AccruesMonthly = false, CarryOverCap = 0, BlockWhenExceeded = false, UpdatedAt = new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc) }
+            );
+
+            // Default approval chains (HR/Admin can change them from the Leave view)
+            modelBuilder.Entity<EMLeaveApprovalChain>().HasData(
+                new EMLeaveApprovalChain { Id = 1, Name = "Standard", LeaveType = null, OverDays = 0, Steps = "HR", UpdatedAt = new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc) },
+                new EMLeaveApprovalChain { Id = 2, Name = "Long leave", LeaveType = null, OverDays = 5, Steps = "TeamLead,HR,Admin", UpdatedAt = new DateTime(2026, 10, 19, 0, 0, 0, DateTimeKind.Utc) }
+            );
+
             // Seed initial data for roles
             modelBuilder.Entity<EMRoleBasedAccessControl>().HasData(
                 new EMRoleBasedAccessControl
@@ -0,0 +1,36 @@
+using oamswlatifose.Server.Model.user;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// An employee's subscribable iCalendar feed. Calendar apps can't send the Bearer header, so the
+    /// feed URL carries a secret token instead; only its hash is stored, so the URL is shown once when
+    /// the feed is created or reset. Resetting replaces the token and the old URL stops working. At
+    /// most one row per employee.
+    /// </summary>
+    [Table("EMCalendarFeeds")]
+    public class EMCalendarFeed
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        [ForeignKey("Employee")]
+        public int EmployeeId { get; set; }
+
+        /// <summary>SHA-256 (lowercase hex) of the random URL token identifying the feed.</summary>
+        [Required]
+        [MaxLength(64)]
+        public string TokenHash { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+        /// <summary>Last time a calendar app fetched the feed.</summary>
+        public DateTime? LastReadAt { get; set; }
+
+        public virtual EMEmployees Employee { get; set; }
+    }
+}
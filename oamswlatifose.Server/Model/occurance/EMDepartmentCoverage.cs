@@ -0,0 +1,27 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// Minimum number of a department's active employees who must be at work on any day. Reviewers
+    /// are warned when approving a leave request would take the department below it; departments
+    /// without a row have no minimum.
+    /// </summary>
+    [Table("EMDepartmentCoverages")]
+    public class EMDepartmentCoverage
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        /// <summary>Matches <c>EMEmployees.Department</c> (case-insensitive).</summary>
+        [Required]
+        [MaxLength(100)]
+        public string Department { get; set; }
+
+        public int MinHeadcount { get; set; }
+
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
@@ -0,0 +1,36 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// Who approves a leave request, in order. A request takes the chain for its type (or one with no
+    /// type, which covers every type) with the highest <see cref="OverDays"/> still below the
+    /// request's days — e.g. "HR" for everything and "TeamLead,HR,Admin" over 5 days.
+    /// </summary>
+    [Table("EMLeaveApprovalChains")]
+    public class EMLeaveApprovalChain
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(100)]
+        public string Name { get; set; }
+
+        /// <summary>Leave type the chain applies to; null for every type.</summary>
+        [MaxLength(50)]
+        public string? LeaveType { get; set; }
+
+        /// <summary>Applies to requests longer than this many days (0 = any length).</summary>
+        public decimal OverDays { get; set; }
+
+        /// <summary>Comma-separated approver roles in order: "TeamLead", "HR" or "Admin".</summary>
+        [Required]
+        [MaxLength(100)]
+        public string Steps { get; set; }
+
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
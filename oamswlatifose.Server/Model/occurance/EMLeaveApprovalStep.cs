@@ -0,0 +1,43 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// One step of a leave request's approval, copied from its chain when the request is filed so
+    /// later chain edits don't move requests already in flight. The request is approved once its
+    /// last step is; a rejection at any step rejects it.
+    /// </summary>
+    [Table("EMLeaveApprovalSteps")]
+    public class EMLeaveApprovalStep
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        public int LeaveRequestId { get; set; }
+        public virtual EMLeaveRequest LeaveRequest { get; set; }
+
+        public int StepOrder { get; set; }
+
+        [Required]
+        [MaxLength(20)]
+        public string ApproverRole { get; set; } // TeamLead, HR, Admin
+
+        [Required]
+        [MaxLength(20)]
+        public string Status { get; set; } = "Pending"; // Pending, Approved, Rejected, Skipped
+
+        public int? ActedByUserId { get; set; }
+
+        /// <summary>Name of the team lead the step was delegated from while they were on leave.</summary>
+        [MaxLength(200)]
+        public string? DelegatedFrom { get; set; }
+
+        [MaxLength(500)]
+        public string Note { get; set; } = "";
+
+        public DateTime? ActedAt { get; set; }
+    }
+}
@@ -0,0 +1,38 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// A file backing a leave request (e.g. a medical certificate), stored in the database. Uploaded
+    /// before the request is filed, so <see cref="LeaveRequestId"/> stays null until the submit that
+    /// references it links it.
+    /// </summary>
+    [Table("EMLeaveAttachments")]
+    public class EMLeaveAttachment
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        public int? LeaveRequestId { get; set; }
+        public virtual EMLeaveRequest LeaveRequest { get; set; }
+
+        [Required]
+        [MaxLength(255)]
+        public string FileName { get; set; }
+
+        [Required]
+        [MaxLength(100)]
+        public string ContentType { get; set; }
+
+        public long SizeBytes { get; set; }
+
+        [Required]
+        public byte[] Content { get; set; }
+
+        public int UploadedByUserId { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
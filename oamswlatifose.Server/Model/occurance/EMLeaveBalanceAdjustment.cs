@@ -0,0 +1,38 @@
+using oamswlatifose.Server.Model.user;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// A manual change to an employee's balance of one leave type for one year (positive adds days,
+    /// negative removes them). Rows are never edited, so together they are the audit trail.
+    /// </summary>
+    [Table("EMLeaveBalanceAdjustments")]
+    public class EMLeaveBalanceAdjustment
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        public int EmployeeId { get; set; }
+        public virtual EMEmployees Employee { get; set; }
+
+        [Required]
+        [MaxLength(50)]
+        public string LeaveType { get; set; }
+
+        public int Year { get; set; }
+
+        public decimal Days { get; set; }
+
+        [Required]
+        [MaxLength(500)]
+        public string Note { get; set; }
+
+        public int? AdjustedByUserId { get; set; }
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
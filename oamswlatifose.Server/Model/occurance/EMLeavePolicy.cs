@@ -0,0 +1,42 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// Yearly entitlement for one leave type. Types without a policy (e.g. "Other") are not
+    /// tracked against a balance. Unused days carry into the next year up to <see cref="CarryOverCap"/>.
+    /// </summary>
+    [Table("EMLeavePolicies")]
+    public class EMLeavePolicy
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(50)]
+        public string LeaveType { get; set; }
+
+        /// <summary>Days granted per calendar year (prorated from the hire month in the hire year).</summary>
+        public decimal YearlyDays { get; set; }
+
+        /// <summary>True: 1/12 of the year's days accrues at the start of each month. False: all granted on 1 January.</summary>
+        public bool AccruesMonthly { get; set; }
+
+        public decimal CarryOverCap { get; set; }
+
+        /// <summary>True: requests past the balance are refused. False: they're allowed with a warning.</summary>
+        public bool BlockWhenExceeded { get; set; }
+
+        /// <summary>
+        /// True: requests longer than <see cref="AttachmentOverDays"/> must come with a file (e.g. a
+        /// medical certificate). 0 means every request of the type.
+        /// </summary>
+        public bool RequiresAttachment { get; set; }
+
+        public decimal AttachmentOverDays { get; set; }
+
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
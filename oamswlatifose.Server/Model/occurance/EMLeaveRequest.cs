@@ -27,6 +27,20 @@ namespace oamswlatifose.Server.Model.occurance
         [MaxLength(50)]
         public string LeaveType { get; set; } // Annual, Sick, Emergency, Other
 
+        /// <summary>
+        /// How much of the day is off: "Full" (every day StartDate–EndDate), or for a single day "AM"
+        /// / "PM" (first / second half of that day's shifts) or "Hours" (StartTime–EndTime).
+        /// </summary>
+        [Required]
+        [MaxLength(10)]
+        public string Portion { get; set; } = "Full";
+
+        [Column(TypeName = "time")]
+        public TimeSpan? StartTime { get; set; }
+
+        [Column(TypeName = "time")]
+        public TimeSpan? EndTime { get; set; }
+
         [MaxLength(500)]
         public string Reason { get; set; } = "";
 
@@ -34,6 +48,7 @@ namespace oamswlatifose.Server.Model.occurance
         [MaxLength(20)]
         public string Status { get; set; } = "Pending"; // Pending, Approved, Rejected
 
+        /// <summary>Who made the final decision (the last step's approver, or whoever rejected).</summary>
         public int? ApprovedByUserId { get; set; }
 
         [MaxLength(500)]
@@ -41,5 +56,8 @@ namespace oamswlatifose.Server.Model.occurance
 
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
         public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+        public virtual ICollection<EMLeaveAttachment> Attachments { get; set; } = new List<EMLeaveAttachment>();
+        public virtual ICollection<EMLeaveApprovalStep> ApprovalSteps { get; set; } = new List<EMLeaveApprovalStep>();
     }
 }
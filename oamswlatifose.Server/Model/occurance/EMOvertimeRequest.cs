@@ -0,0 +1,43 @@
+using oamswlatifose.Server.Model.user;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// An employee's request to work past their shift on one day. Once approved, the planned hours
+    /// are the authorised overtime for that date (flagged on the attendance row and the timesheet).
+    /// </summary>
+    [Table("EMOvertimeRequests")]
+    public class EMOvertimeRequest
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        public int EmployeeId { get; set; }
+        public virtual EMEmployees Employee { get; set; }
+
+        [Required]
+        [Column(TypeName = "date")]
+        public DateTime Date { get; set; }
+
+        public decimal PlannedHours { get; set; }
+
+        [MaxLength(500)]
+        public string Reason { get; set; } = "";
+
+        [Required]
+        [MaxLength(20)]
+        public string Status { get; set; } = "Pending"; // Pending, Approved, Rejected
+
+        public int? ApprovedByUserId { get; set; }
+
+        [MaxLength(500)]
+        public string ApprovalNote { get; set; } = "";
+
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+        public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+    }
+}
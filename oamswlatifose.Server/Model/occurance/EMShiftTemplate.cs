@@ -0,0 +1,52 @@
+using System;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.occurance
+{
+    /// <summary>
+    /// A named, reusable schedule ("Morning 8–5 Mon–Fri", "Weekend Ops") that can be assigned to
+    /// many employees at once. Assigning copies the template's hours into each employee's
+    /// <see cref="EMWorkSchedule"/>, so editing a template later never changes schedules already
+    /// handed out (or the attendance graded against them).
+    /// </summary>
+    [Table("EMShiftTemplate")]
+    public class EMShiftTemplate
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        [MaxLength(100)]
+        public string Name { get; set; }
+
+        [MaxLength(250)]
+        public string Description { get; set; }
+
+        [Required]
+        [Column(TypeName = "time")]
+        public TimeSpan StartTime { get; set; }
+
+        [Required]
+        [Column(TypeName = "time")]
+        public TimeSpan EndTime { get; set; }
+
+        public int GraceMinutes { get; set; } = 5;
+
+        [MaxLength(50)]
+        public string WorkDays { get; set; } = "Mon,Tue,Wed,Thu,Fri";
+
+        /// <summary>Shift pattern, same JSON shape as <see cref="EMWorkSchedule.ShiftsJson"/>.</summary>
+        public string ShiftsJson { get; set; }
+
+        /// <summary>Weeks in the rotation cycle (1 = same every week, 2 = week A / week B, …).</summary>
+        public int RotationWeeks { get; set; } = 1;
+
+        public bool IsActive { get; set; } = true;
+
+        public DateTime CreatedAt { get; set; }
+
+        public DateTime? UpdatedAt { get; set; }
+    }
+}
@@ -1,8 +1,13 @@
+using oamswlatifose.Server.Model.branches;
 using System.ComponentModel.DataAnnotations;
 using System.ComponentModel.DataAnnotations.Schema;
 
 namespace oamswlatifose.Server.Model.occurance
 {
+    /// <summary>
+    /// A dated exception to the normal work calendar — the app's single source of holidays. Read by
+    /// the attendance calendar, the absence and lateness reports and clock-in (see WorkEventDays).
+    /// </summary>
     [Table("EMWorkEvents")]
     public class EMWorkEvent
     {
@@ -16,12 +21,16 @@ namespace oamswlatifose.Server.Model.occurance
 
         [Required]
         [MaxLength(30)]
-        public string EventType { get; set; } // Holiday, DayOff, Closed
+        public string EventType { get; set; } // Holiday, SpecialNonWorking, DayOff, Closed
 
         [Required]
         [MaxLength(200)]
         public string Name { get; set; }
 
+        /// <summary>Branch a regional holiday applies to; null for every branch.</summary>
+        public int? BranchId { get; set; }
+        public virtual EMBranch Branch { get; set; }
+
         public int CreatedByUserId { get; set; }
 
         public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
@@ -9,7 +9,12 @@ namespace oamswlatifose.Server.Model.occurance
     /// A per-employee work schedule. The scheduled <see cref="StartTime"/> (plus the
     /// <see cref="GraceMinutes"/> grace window) is what attendance is measured against:
     /// a clock-in at or before StartTime + grace is "Present", otherwise "Late".
-    /// One active row per employee (enforced by a unique index on EmployeeId).
+    /// Rotating staff can instead have a per-weekday shift pattern (<see cref="ShiftsJson"/>),
+    /// which takes precedence over the single StartTime/EndTime shift.
+    /// <para>Rows are versioned by <see cref="EffectiveFrom"/>: a change creates a new row from its
+    /// effective date and the earlier rows stay as history, so past days keep the hours they were
+    /// worked under. The schedule in force on a date is the active row with the latest
+    /// EffectiveFrom on or before it (a null EffectiveFrom predates versioning and covers all time).</para>
     /// </summary>
     [Table("EMWorkSchedule")]
     public class EMWorkSchedule
@@ -40,6 +45,37 @@ namespace oamswlatifose.Server.Model.occurance
 
         public string WorkDays { get; set; } = "Mon,Tue,Wed,Thu,Fri";
 
+        /// <summary>
+        /// Optional per-weekday shift pattern, stored as a JSON array of
+        /// <c>{"day":"Mon","start":"22:00","end":"06:00","grace":5}</c> objects. A day may list several
+        /// shifts (split shift); a shift whose end is at/before its start runs past midnight.
+        /// Null/empty ⇒ the single <see cref="StartTime"/>–<see cref="EndTime"/> shift on every <see cref="WorkDays"/> day.
+        /// </summary>
+        public string ShiftsJson { get; set; }
+
+        /// <summary>
+        /// Weeks in the rotation cycle. With more than one, each shift in <see cref="ShiftsJson"/>
+        /// carries a <c>"week"</c> index (0 = week A) and the weeks repeat from <see cref="EffectiveFrom"/>.
+        /// </summary>
+        public int RotationWeeks { get; set; } = 1;
+
+        /// <summary>The rotation week the cycle starts on at <see cref="EffectiveFrom"/> (staggers crews).</summary>
+        public int RotationStartWeek { get; set; }
+
+        /// <summary>First day this version applies to; null for rows created before versioning.</summary>
+        [Column(TypeName = "date")]
+        public DateTime? EffectiveFrom { get; set; }
+
+        /// <summary>
+        /// True for a version that ends the employee's schedule from <see cref="EffectiveFrom"/>: from
+        /// then on they have none of their own (the system default applies) while earlier versions
+        /// stay in force for the days they covered. Its hours are unused.
+        /// </summary>
+        public bool EndsSchedule { get; set; }
+
+        /// <summary>The template this version was assigned from, if any (for display only).</summary>
+        public int? TemplateId { get; set; }
+
         public bool IsActive { get; set; } = true;
 
         public DateTime CreatedAt { get; set; }
@@ -47,5 +83,7 @@ namespace oamswlatifose.Server.Model.occurance
         public DateTime? UpdatedAt { get; set; }
 
         public virtual EMEmployees Employee { get; set; }
+
+        public virtual EMShiftTemplate Template { get; set; }
     }
 }
@@ -59,6 +59,33 @@ namespace oamswlatifose.Server.Model.security
 
         public DateTime? PasswordResetTokenExpires { get; set; }
 
+        /// <summary>
+        /// Wrong reset codes entered since <see cref="PasswordResetWindowStart"/> — kept across new
+        /// codes, so requesting another doesn't buy more guesses; the code is void after five.
+        /// </summary>
+        public int PasswordResetAttempts { get; set; }
+
+        /// <summary>When the current 24-hour reset window began (the first code issued in it).</summary>
+        public DateTime? PasswordResetWindowStart { get; set; }
+
+        /// <summary>Reset codes issued since <see cref="PasswordResetWindowStart"/>.</summary>
+        public int PasswordResetCodesIssued { get; set; }
+
+        /// <summary>When the latest reset code was issued (per-account cooldown between codes).</summary>
+        public DateTime? PasswordResetLastIssuedAt { get; set; }
+
+        /// <summary>
+        /// Ask for an emailed code after the password at sign-in. Admin and HR always get the
+        /// second step; for everyone else it's this opt-in, which the user sets themselves.
+        /// </summary>
+        public bool RequireTwoFactor { get; set; }
+
+        /// <summary>
+        /// Set by Admin/HR on the account. While it's on the user can't turn the second step
+        /// off, whatever <see cref="RequireTwoFactor"/> says.
+        /// </summary>
+        public bool TwoFactorRequiredByAdmin { get; set; }
+
 
         // Foreign key realtion ship
         public virtual EMRoleBasedAccessControl Role { get; set; }
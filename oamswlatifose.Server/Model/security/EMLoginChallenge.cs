@@ -0,0 +1,49 @@
+﻿using System;
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace oamswlatifose.Server.Model.security
+{
+    /// <summary>
+    /// The second step of a two-factor sign-in. Issued once the password checks out for an account
+    /// that needs 2FA: the client gets the opaque <see cref="ChallengeToken"/> (never the code),
+    /// the code goes to the account's email, and tokens are only issued when the pair is verified.
+    /// </summary>
+    [Table("EMLoginChallenge")]
+    public class EMLoginChallenge
+    {
+        [Key]
+        [DatabaseGenerated(DatabaseGeneratedOption.Identity)]
+        public int Id { get; set; }
+
+        [Required]
+        [ForeignKey("User")]
+        public int UserId { get; set; }
+
+        [Required]
+        [MaxLength(100)]
+        public string ChallengeToken { get; set; }
+
+        [Required]
+        [MaxLength(10)]
+        public string Code { get; set; }
+
+        [MaxLength(45)]
+        public string? IPAddress { get; set; }
+
+        public DateTime ExpiresAt { get; set; }
+
+        public bool IsUsed { get; set; }
+
+        public int Attempts { get; set; }
+
+        /// <summary>Emails sent for this challenge, including the first. Caps resends.</summary>
+        public int SendCount { get; set; }
+
+        public DateTime LastSentAt { get; set; }
+
+        public DateTime CreatedAt { get; set; }
+
+        public virtual EMAuthorizeruser User { get; set; }
+    }
+}
@@ -53,6 +53,9 @@ namespace oamswlatifose.Server.Model.user
 
         public DateTime? HiredAt { get; set; }
 
+        /// <summary>Set when HR deactivates the record (left the company); null while active.</summary>
+        public DateTime? DeactivatedAt { get; set; }
+
         public DateTime CreatedAt { get; set; }
 
         public DateTime UpdatedAt { get; set; }
@@ -62,6 +65,10 @@ namespace oamswlatifose.Server.Model.user
         public int? BranchId { get; set; }
         public virtual EMBranch Branch { get; set; }
 
+        /// <summary>The employee's team lead — the first approver on leave chains that start with "TeamLead".</summary>
+        public int? TeamLeadId { get; set; }
+        public virtual EMEmployees TeamLead { get; set; }
+
         public virtual EMAuthorizeruser UserAccount { get; set; }
         public virtual ICollection<EMEmployees> Attendances { get; set; }
     }
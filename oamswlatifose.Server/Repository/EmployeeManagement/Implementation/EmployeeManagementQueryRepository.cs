@@ -49,6 +49,9 @@ namespace oamswlatifose.Server.Repository.EmployeeManagement.Implementation
         {
             _logger.LogDebug("Executing query to retrieve all employees");
             return await _context.EMEmployees
+                .Include(e => e.UserAccount)
+                .Include(e => e.Branch)
+                .Include(e => e.TeamLead)
                 .OrderBy(e => e.LastName)
                 .ThenBy(e => e.FirstName)
                 .ToListAsync();
@@ -88,6 +91,9 @@ namespace oamswlatifose.Server.Repository.EmployeeManagement.Implementation
         {
             _logger.LogDebug($"Retrieving employee with ID: {id}");
             return await _context.EMEmployees
+                .Include(e => e.UserAccount)
+                .Include(e => e.Branch)
+                .Include(e => e.TeamLead)
                 .FirstOrDefaultAsync(e => e.Id == id);
         }
 
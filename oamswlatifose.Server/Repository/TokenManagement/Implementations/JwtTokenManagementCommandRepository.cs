@@ -99,6 +99,7 @@ namespace oamswlatifose.Server.Repository.TokenManagement.Implementations
         /// <summary>
         /// Revokes all active tokens for a specific user, effectively terminating all their active sessions.
         /// Used during password changes, security incidents, or when user account is deactivated.
+        /// A session stays live while its refresh token does, so that expiry (not the access token's) decides.
         /// </summary>
         /// <param name="userId">The unique identifier of the user whose tokens should be revoked</param>
         /// <param name="revokedReason">The reason for bulk revocation</param>
@@ -106,7 +107,7 @@ namespace oamswlatifose.Server.Repository.TokenManagement.Implementations
         public async Task<int> RevokeAllUserTokensAsync(int userId, string revokedReason)
         {
             var tokens = await _context.EMJWT
-                .Where(t => t.UserId == userId && !t.IsRevoked && t.ExpiresAt > DateTime.UtcNow)
+                .Where(t => t.UserId == userId && !t.IsRevoked && t.RefreshTokenExpiresAt > DateTime.UtcNow)
                 .ToListAsync();
 
             var utcNow = DateTime.UtcNow;
@@ -25,6 +25,15 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
     /// </summary>
     public class UserAccountCommandRepository : IUserAccountCommandRepository
     {
+        // Password reset codes are emailed 6-digit numbers: short-lived and voided after a few misses.
+        // Misses and codes are counted per account over a 24-hour window, so looping "forgot password"
+        // neither buys more guesses nor floods the mailbox.
+        private const int ResetCodeExpiryMinutes = 15;
+        private const int MaxResetAttempts = 5;
+        private const int MaxResetCodesPerWindow = 5;
+        private const int ResetCodeCooldownMinutes = 2;
+        private static readonly TimeSpan ResetWindow = TimeSpan.FromHours(24);
+
         private readonly ApplicationDbContext _context;
         private readonly ILogger<UserAccountCommandRepository> _logger;
 
@@ -296,11 +305,28 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
             }
 
             // Validate reset token and expiration
-            if (user.PasswordResetToken != token ||
+            if (string.IsNullOrEmpty(user.PasswordResetToken) ||
                 !user.PasswordResetTokenExpires.HasValue ||
                 user.PasswordResetTokenExpires < DateTime.UtcNow)
             {
-                _logger.LogWarning($"Password reset failed: Invalid or expired token for {email}");
+                _logger.LogWarning($"Password reset failed: No valid token for {email}");
+                return false;
+            }
+
+            var expected = System.Text.Encoding.UTF8.GetBytes(user.PasswordResetToken);
+            var given = System.Text.Encoding.UTF8.GetBytes(token?.Trim() ?? "");
+            if (!System.Security.Cryptography.CryptographicOperations.FixedTimeEquals(expected, given))
+            {
+                // Count the miss; after MaxResetAttempts in the window the code is void and no new one is issued until it ends.
+                user.PasswordResetAttempts++;
+                if (user.PasswordResetAttempts >= MaxResetAttempts)
+                {
+                    user.PasswordResetToken = "";
+                    user.PasswordResetTokenExpires = null;
+                }
+                await _context.SaveChangesAsync();
+
+                _logger.LogWarning($"Password reset failed: Wrong code for {email} (attempt {user.PasswordResetAttempts})");
                 return false;
             }
 
@@ -312,9 +338,15 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
                     hmac.ComputeHash(System.Text.Encoding.UTF8.GetBytes(newPassword)));
             }
 
-            // Clear reset token
-            user.PasswordResetToken = null;
+            // Clear reset token (the column is NOT NULL) and lift any login lockout — proving
+            // ownership of the mailbox is what an admin unlock would have asked for anyway.
+            user.PasswordResetToken = "";
             user.PasswordResetTokenExpires = null;
+            user.PasswordResetAttempts = 0;
+            user.PasswordResetWindowStart = null;
+            user.PasswordResetCodesIssued = 0;
+            user.FailedLoginAttempts = 0;
+            user.LockoutEnd = null;
             user.UpdatedAt = DateTime.UtcNow;
 
             await _context.SaveChangesAsync();
@@ -324,8 +356,10 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
         }
 
         /// <summary>
-        /// Generates a secure password reset token for a user account.
-        /// Creates a cryptographically random token with configurable expiration period.
+        /// Generates a password reset code for a user account: a cryptographically random
+        /// 6-digit number, valid for 15 minutes, replacing any earlier code. Returns null (no email
+        /// goes out) inside the cooldown after the last code, once the window's codes are used up,
+        /// or after the window's wrong-code limit.
         /// </summary>
         /// <param name="email">The email address of the user requesting password reset</param>
         /// <returns>A task containing the generated reset token if user exists; otherwise, null</returns>
@@ -339,14 +373,35 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
                 return null;
             }
 
-            // Generate cryptographically secure random token
-            var token = Convert.ToBase64String(Guid.NewGuid().ToByteArray())
-                .Replace("/", "_")
-                .Replace("+", "-")
-                .Substring(0, 50);
+            // Inactive accounts can't sign in, so don't hand them a way to set a password either.
+            if (!user.IsActive)
+            {
+                _logger.LogWarning($"Token generation skipped: Account for {email} is inactive");
+                return null;
+            }
+
+            var now = DateTime.UtcNow;
+            if (user.PasswordResetWindowStart == null || now - user.PasswordResetWindowStart >= ResetWindow)
+            {
+                user.PasswordResetWindowStart = now;
+                user.PasswordResetCodesIssued = 0;
+                user.PasswordResetAttempts = 0;
+            }
+            else if (user.PasswordResetLastIssuedAt > now.AddMinutes(-ResetCodeCooldownMinutes)
+                     || user.PasswordResetCodesIssued >= MaxResetCodesPerWindow
+                     || user.PasswordResetAttempts >= MaxResetAttempts)
+            {
+                _logger.LogWarning($"Token generation skipped: Reset limit reached for {email} ({user.PasswordResetCodesIssued} codes, {user.PasswordResetAttempts} misses)");
+                return null;
+            }
+
+            // Short numeric code the user types from the email
+            var token = System.Security.Cryptography.RandomNumberGenerator.GetInt32(0, 1_000_000).ToString("D6");
 
             user.PasswordResetToken = token;
-            user.PasswordResetTokenExpires = DateTime.UtcNow.AddHours(24); // 24-hour expiration
+            user.PasswordResetTokenExpires = now.AddMinutes(ResetCodeExpiryMinutes);
+            user.PasswordResetCodesIssued++;
+            user.PasswordResetLastIssuedAt = now;
             await _context.SaveChangesAsync();
 
             _logger.LogInformation($"Password reset token generated for user {user.Username}");
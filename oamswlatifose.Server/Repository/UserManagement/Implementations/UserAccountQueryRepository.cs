@@ -167,6 +167,7 @@ namespace oamswlatifose.Server.Repository.UserManagement.Implementations
             return await _context.EMAuthorizerusers
                 .Include(u => u.Role)
                 .Include(u => u.Employee)
+                    .ThenInclude(e => e.Branch)
                 .Include(u => u.Sessions.Where(s => s.IsActive))
                 .Include(u => u.AuthLogs.OrderByDescending(l => l.Timestamp).Take(10))
                 .FirstOrDefaultAsync(u => u.Id == id);
@@ -76,8 +76,10 @@ namespace oamswlatifose.Server.Repository.UserManagement.Interfaces
         Task<bool> ResetPasswordAsync(string email, string token, string newPassword);
 
         /// <summary>
-        /// Generates a secure password reset token for a user account.
-        /// Creates a cryptographically random token with configurable expiration period.
+        /// Generates a password reset code for a user account (6 digits, 15-minute expiry).
+        /// Wrong codes are counted by <see cref="ResetPasswordAsync"/>; five misses void the code. Per
+        /// 24-hour window an account gets at most five codes, two minutes apart, and the misses carry
+        /// over from code to code; null when a limit stops it.
         /// </summary>
         /// <param name="email">The email address of the user requesting password reset</param>
         /// <returns>A task containing the generated reset token if user exists; otherwise, null</returns>
@@ -0,0 +1,327 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.attendances;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Model.user;
+using oamswlatifose.Server.Services.Attendance.Interfaces;
+using oamswlatifose.Server.Services.Leave;
+using oamswlatifose.Server.Services.Schedule.Interfaces;
+using oamswlatifose.Server.Services.WorkEvent;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
+
+namespace oamswlatifose.Server.Services.Attendance.Implementation
+{
+    /// <summary>
+    /// Loads the range in a handful of queries (employees, schedule versions, attendance, leave,
+    /// work events) and walks it day by day in memory.
+    /// </summary>
+    public class AttendanceReportService : IAttendanceReportService
+    {
+        private const int MaxRangeDays = 93;
+        private const int MaxTrendDays = 31;
+        private const string UnassignedDepartment = "Unassigned";
+
+        private readonly ApplicationDbContext _db;
+        private readonly IWorkScheduleService _scheduleService;
+        private readonly IWorkEventService _workEvents;
+        private readonly ILogger<AttendanceReportService> _logger;
+
+        public AttendanceReportService(
+            ApplicationDbContext db,
+            IWorkScheduleService scheduleService,
+            IWorkEventService workEvents,
+            ILogger<AttendanceReportService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _scheduleService = scheduleService ?? throw new ArgumentNullException(nameof(scheduleService));
+            _workEvents = workEvents ?? throw new ArgumentNullException(nameof(workEvents));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<List<AbsentEmployeeDTO>>> GetAbsencesAsync(
+            DateTime startDate, DateTime endDate, string? department = null, int? employeeId = null)
+        {
+            try
+            {
+                var error = CheckRange(startDate, endDate);
+                if (error != null)
+                    return ServiceResponse<List<AbsentEmployeeDTO>>.FailureResult(error);
+
+                var from = startDate.Date;
+                // Nothing can be missed in the future; today only counts once a shift has started.
+                var to = endDate.Date > DateTime.Today ? DateTime.Today : endDate.Date;
+                var result = new List<AbsentEmployeeDTO>();
+                if (to < from)
+                    return ServiceResponse<List<AbsentEmployeeDTO>>.SuccessResult(result, "No absences");
+
+                var range = await LoadRangeAsync(await EmployeesAsync(department, employeeId), from, to);
+
+                foreach (var employee in range.Employees)
+                {
+                    for (var day = from; day <= to; day = day.AddDays(1))
+                    {
+                        if (Classify(range, employee, day, out var start) != DayKind.Absent)
+                            continue;
+
+                        result.Add(new AbsentEmployeeDTO
+                        {
+                            EmployeeId = employee.Id,
+                            EmployeeName = $"{employee.FirstName} {employee.LastName}",
+                            Department = employee.Department,
+                            Position = employee.Position,
+                            Date = day,
+                            ExpectedTime = start,
+                            HasApprovedLeave = false,
+                            HasPendingLeave = range.LeaveOn(employee.Id, day).Any()
+                        });
+                    }
+                }
+
+                result = result.OrderByDescending(r => r.Date).ThenBy(r => r.EmployeeName).ToList();
+                return ServiceResponse<List<AbsentEmployeeDTO>>.SuccessResult(result, $"Found {result.Count} absences");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting absences for {Start:yyyy-MM-dd}..{End:yyyy-MM-dd}", startDate, endDate);
+                return ServiceResponse<List<AbsentEmployeeDTO>>.FromException(ex, "Failed to get absent employees");
+            }
+        }
+
+        public async Task<ServiceResponse<List<LateArrivalDTO>>> GetLateArrivalsAsync(
+            DateTime startDate, DateTime endDate, string? department = null)
+        {
+            try
+            {
+                var error = CheckRange(startDate, endDate);
+                if (error != null)
+                    return ServiceResponse<List<LateArrivalDTO>>.FailureResult(error);
+
+                var from = startDate.Date;
+                var to = endDate.Date;
+
+                var employees = await EmployeesAsync(department);
+                var byId = employees.ToDictionary(e => e.Id);
+                var ids = byId.Keys.ToList();
+                var versions = await _scheduleService.GetVersionsAsync(ids);
+
+                // Graded from TimeIn, not Status: clocking out overwrites "Late" with "Completed" and the like.
+                var clockedIn = await _db.EMAttendance
+                    .Where(a => ids.Contains(a.EmployeeId) && a.AttendanceDate >= from && a.AttendanceDate <= to
+                                && a.TimeIn != null)
+                    .ToListAsync();
+                // Half-day / hourly leave moves the expected start to when the leave ends.
+                var partialLeave = await _db.EMLeaveRequests
+                    .Where(l => ids.Contains(l.EmployeeId) && l.StartDate <= to && l.EndDate >= from
+                                && l.Status == "Approved" && l.Portion != "Full")
+                    .AsNoTracking()
+                    .ToListAsync();
+                // Arriving on a holiday isn't late, whatever the record says.
+                var events = await _workEvents.InRangeAsync(from, to);
+
+                var result = clockedIn
+                .Where(a => WorkEventDays.On(events, a.AttendanceDate, byId[a.EmployeeId].BranchId) == null)
+                .Select(a =>
+                {
+                    var employee = byId[a.EmployeeId];
+                    versions.TryGetValue(a.EmployeeId, out var employeeVersions);
+                    var schedule = _scheduleService.VersionOn(employeeVersions, a.AttendanceDate);
+                    var leave = partialLeave.FirstOrDefault(l => l.EmployeeId == a.EmployeeId && l.StartDate.Date == a.AttendanceDate.Date);
+                    if (_scheduleService.ComputeStatus(schedule, a.AttendanceDate, a.TimeIn.Value, leave) != "Late")
+                        return null;
+
+                    var expected = _scheduleService.ExpectedStart(schedule, a.AttendanceDate, a.TimeIn.Value, leave);
+                    return new LateArrivalDTO
+                    {
+                        EmployeeId = a.EmployeeId,
+                        EmployeeName = $"{employee.FirstName} {employee.LastName}",
+                        Department = employee.Department,
+                        Date = a.AttendanceDate.Date,
+                        TimeIn = a.TimeIn.Value,
+                        ExpectedTime = expected,
+                        MinutesLate = Math.Max(0, (int)(a.TimeIn.Value - expected).TotalMinutes)
+                    };
+                })
+                .Where(r => r != null)
+                .OrderByDescending(r => r.Date)
+                .ThenBy(r => r.EmployeeName)
+                .ToList();
+
+                return ServiceResponse<List<LateArrivalDTO>>.SuccessResult(result, $"Found {result.Count} late arrivals");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting late arrivals for {Start:yyyy-MM-dd}..{End:yyyy-MM-dd}", startDate, endDate);
+                return ServiceResponse<List<LateArrivalDTO>>.FromException(ex, "Failed to get late arrivals");
+            }
+        }
+
+        public async Task<ServiceResponse<List<DepartmentBreakdownDTO>>> GetDepartmentBreakdownAsync(
+            DateTime date, int trendDays = 7)
+        {
+            try
+            {
+                if (date == default)
+                    return ServiceResponse<List<DepartmentBreakdownDTO>>.FailureResult("Date is required");
+                if (trendDays < 1 || trendDays > MaxTrendDays)
+                    return ServiceResponse<List<DepartmentBreakdownDTO>>.FailureResult($"Pick a trend of 1 to {MaxTrendDays} days");
+
+                var to = date.Date;
+                var from = to.AddDays(1 - trendDays);
+                var range = await LoadRangeAsync(await EmployeesAsync(null), from, to);
+
+                var result = range.Employees
+                    .GroupBy(e => string.IsNullOrWhiteSpace(e.Department) ? UnassignedDepartment : e.Department.Trim())
+                    .Select(group =>
+                    {
+                        var row = new DepartmentBreakdownDTO { Department = group.Key, Employees = group.Count() };
+                        for (var day = from; day <= to; day = day.AddDays(1))
+                        {
+                            int present = 0, late = 0, absent = 0, timeOff = 0, onLeave = 0;
+                            foreach (var employee in group)
+                            {
+                                switch (Classify(range, employee, day, out _))
+                                {
+                                    case DayKind.Absent: absent++; break;
+                                    case DayKind.OnLeave: onLeave++; break;
+                                    case DayKind.Recorded:
+                                        var record = range.Records[(employee.Id, day)];
+                                        if (record.Status == "Time Off") timeOff++;
+                                        else if (record.Status == "Leave") onLeave++;
+                                        else if (IsLate(range, employee, day, record)) late++;
+                                        else present++;
+                                        break;
+                                }
+                            }
+
+                            var graded = present + late + absent;
+                            double? rate = graded > 0 ? Math.Round(present * 100.0 / graded, 1) : null;
+                            row.Trend.Add(new DepartmentTrendPointDTO { Date = day, OnTimeRate = rate });
+                            if (day == to)
+                            {
+                                row.Present = present;
+                                row.Late = late;
+                                row.Absent = absent;
+                                row.TimeOff = timeOff;
+                                row.OnLeave = onLeave;
+                                row.OnTimeRate = rate;
+                            }
+                        }
+                        return row;
+                    })
+                    .OrderBy(r => r.Department == UnassignedDepartment)
+                    .ThenBy(r => r.Department)
+                    .ToList();
+
+                return ServiceResponse<List<DepartmentBreakdownDTO>>.SuccessResult(result, $"{result.Count} departments");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting the department breakdown for {Date:yyyy-MM-dd}", date);
+                return ServiceResponse<List<DepartmentBreakdownDTO>>.FromException(ex, "Failed to get the department breakdown");
+            }
+        }
+
+        // Active employees with an active account (or none yet), optionally limited to one department.
+        private async Task<List<EMEmployees>> EmployeesAsync(string? department, int? employeeId = null)
+        {
+            var query = _db.EMEmployees.Where(e => e.DeactivatedAt == null && (e.UserAccount == null || e.UserAccount.IsActive));
+            if (employeeId.HasValue)
+                query = query.Where(e => e.Id == employeeId.Value);
+            if (!string.IsNullOrWhiteSpace(department))
+            {
+                var dept = department.Trim().ToLower();
+                query = query.Where(e => e.Department.ToLower() == dept);
+            }
+            return await query.AsNoTracking().ToListAsync();
+        }
+
+        private static string CheckRange(DateTime startDate, DateTime endDate)
+        {
+            if (startDate == default || endDate == default)
+                return "Start and end dates are required";
+            if (endDate.Date < startDate.Date)
+                return "End date must be after start date";
+            if ((endDate.Date - startDate.Date).TotalDays >= MaxRangeDays)
+                return $"Pick a range of at most {MaxRangeDays} days";
+            return null;
+        }
+
+        private enum DayKind { NotExpected, Recorded, OnLeave, Absent }
+
+        // What a day came to for one employee. A record (other than "Absent") wins; otherwise they
+        // were only expected on a scheduled, open day after their hire date, once the shift began.
+        private DayKind Classify(RangeData range, EMEmployees employee, DateTime day, out TimeSpan? start)
+        {
+            start = null;
+            if (range.Records.ContainsKey((employee.Id, day)))
+                return DayKind.Recorded;
+            if (day < (employee.HiredAt?.Date ?? DateTime.MinValue) || WorkEventDays.On(range.Events, day, employee.BranchId) != null || day > DateTime.Today)
+                return DayKind.NotExpected;
+
+            range.Versions.TryGetValue(employee.Id, out var employeeVersions);
+            start = _scheduleService.FirstShiftStart(_scheduleService.VersionOn(employeeVersions, day), day);
+            if (start == null || (day == DateTime.Today && DateTime.Now.TimeOfDay < start.Value))
+                return DayKind.NotExpected;
+
+            // Half-day and hourly leave still expect the employee in for the rest of the day.
+            return range.LeaveOn(employee.Id, day).Any(l => l.Status == "Approved" && l.Portion == "Full") ? DayKind.OnLeave : DayKind.Absent;
+        }
+
+        // Graded from TimeIn against the schedule in force that day — a clock-out replaces "Late"
+        // with "Completed" and the like. Records without a TimeIn keep their status.
+        private bool IsLate(RangeData range, EMEmployees employee, DateTime day, DayRecord record)
+        {
+            if (record.TimeIn == null)
+                return record.Status.StartsWith("Late", StringComparison.OrdinalIgnoreCase);
+            if (WorkEventDays.On(range.Events, day, employee.BranchId) != null)
+                return false;
+
+            range.Versions.TryGetValue(employee.Id, out var employeeVersions);
+            var partialLeave = range.LeaveOn(employee.Id, day).FirstOrDefault(l => l.Status == "Approved" && LeaveDays.IsPartial(l));
+            return _scheduleService.ComputeStatus(_scheduleService.VersionOn(employeeVersions, day), day, record.TimeIn.Value, partialLeave) == "Late";
+        }
+
+        private async Task<RangeData> LoadRangeAsync(List<EMEmployees> employees, DateTime from, DateTime to)
+        {
+            var ids = employees.Select(e => e.Id).ToList();
+
+            var records = new Dictionary<(int, DateTime), DayRecord>();
+            var attendance = await _db.EMAttendance
+                .Where(a => ids.Contains(a.EmployeeId) && a.AttendanceDate >= from && a.AttendanceDate <= to
+                            && a.Status != "Absent")
+                .Select(a => new { a.EmployeeId, a.AttendanceDate, a.Status, a.TimeIn })
+                .ToListAsync();
+            foreach (var a in attendance)
+                records.TryAdd((a.EmployeeId, a.AttendanceDate.Date), new DayRecord(a.Status ?? "Present", a.TimeIn));
+
+            return new RangeData
+            {
+                Employees = employees,
+                Versions = await _scheduleService.GetVersionsAsync(ids),
+                Records = records,
+                Leave = await _db.EMLeaveRequests
+                    .Where(l => ids.Contains(l.EmployeeId) && l.StartDate <= to && l.EndDate >= from
+                                && (l.Status == "Approved" || l.Status == "Pending"))
+                    .AsNoTracking()
+                    .ToListAsync(),
+                Events = await _workEvents.InRangeAsync(from, to)
+            };
+        }
+
+        private sealed record DayRecord(string Status, TimeSpan? TimeIn);
+
+        // Everything a day-by-day walk needs, loaded up front.
+        private sealed class RangeData
+        {
+            public List<EMEmployees> Employees { get; init; } = new();
+            public Dictionary<int, List<EMWorkSchedule>> Versions { get; init; } = new();
+            public Dictionary<(int EmployeeId, DateTime Date), DayRecord> Records { get; init; } = new();
+            public List<EMLeaveRequest> Leave { get; init; } = new();
+            public List<EMWorkEvent> Events { get; init; } = new();
+
+            // Approved or pending requests covering the day.
+            public IEnumerable<EMLeaveRequest> LeaveOn(int employeeId, DateTime day) =>
+                Leave.Where(l => l.EmployeeId == employeeId && l.StartDate.Date <= day && l.EndDate.Date >= day);
+        }
+    }
+}
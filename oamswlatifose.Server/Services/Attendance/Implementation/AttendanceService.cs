@@ -1142,21 +1142,35 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                     SuccessCount = 0,
                     FailCount = 0,
                     Errors = new List<string>(),
-                    CreatedIds = new List<int>()
+                    CreatedIds = new List<int>(),
+                    RowErrors = new List<BulkImportRowErrorDTO>()
                 };
 
+                void Reject(int index, CreateAttendanceDTO record, string message)
+                {
+                    result.FailCount++;
+                    result.Errors.Add(message);
+                    result.RowErrors.Add(new BulkImportRowErrorDTO
+                    {
+                        RowIndex = index,
+                        EmployeeId = record?.EmployeeId ?? 0,
+                        AttendanceDate = record?.AttendanceDate.ToString("yyyy-MM-dd"),
+                        Message = message
+                    });
+                }
+
                 var attendanceToCreate = new List<EMAttendance>();
 
-                foreach (var record in records)
+                for (var i = 0; i < records.Count; i++)
                 {
+                    var record = records[i];
                     try
                     {
                         // Validate
                         var validationResult = await _createValidator.ValidateAsync(record);
                         if (!validationResult.IsValid)
                         {
-                            result.FailCount++;
-                            result.Errors.Add($"Record for employee {record.EmployeeId} on {record.AttendanceDate:d}: {string.Join(", ", validationResult.Errors.Select(e => e.ErrorMessage))}");
+                            Reject(i, record, $"Record for employee {record.EmployeeId} on {record.AttendanceDate:d}: {string.Join(", ", validationResult.Errors.Select(e => e.ErrorMessage))}");
                             continue;
                         }
 
@@ -1164,8 +1178,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                         var existing = await _queryRepository.GetAttendanceByEmployeeIdAsync(record.EmployeeId);
                         if (existing.Any(a => a.AttendanceDate == record.AttendanceDate))
                         {
-                            result.FailCount++;
-                            result.Errors.Add($"Duplicate record for employee {record.EmployeeId} on {record.AttendanceDate:d}");
+                            Reject(i, record, $"Duplicate record for employee {record.EmployeeId} on {record.AttendanceDate:d}");
                             continue;
                         }
 
@@ -1184,8 +1197,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                     }
                     catch (Exception ex)
                     {
-                        result.FailCount++;
-                        result.Errors.Add($"Error processing record: {ex.Message}");
+                        Reject(i, record, $"Error processing record: {ex.Message}");
                     }
                 }
 
@@ -8,6 +8,7 @@ using oamswlatifose.Server.Services.Attendance.Interfaces;
 using oamswlatifose.Server.Services.Branch.Interfaces;
 using oamswlatifose.Server.Services.Email.Interfaces;
 using oamswlatifose.Server.Services.Schedule.Interfaces;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
 
 namespace oamswlatifose.Server.Services.Attendance.Implementation
 {
@@ -23,11 +24,16 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
         private const int OtpExpiryMinutes = 10;
         private const int MaxAttempts = 3;
 
+        // How far back a tap replayed from the offline queue may set its own Time In on the OTP
+        // path. Older taps only go through admin-verify, where HR/Admin confirms the time.
+        private const int QueuedOtpWindowMinutes = 15;
+
         private readonly ApplicationDbContext _db;
         private readonly IEmailService _emailService;
         private readonly IOTPGenerator _otpGenerator;
         private readonly IWorkScheduleService _scheduleService;
         private readonly IBranchService _branchService;
+        private readonly IWorkEventService _workEvents;
         private readonly IMapper _mapper;
         private readonly ILogger<AttendanceVerificationService> _logger;
 
@@ -37,6 +43,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
             IOTPGenerator otpGenerator,
             IWorkScheduleService scheduleService,
             IBranchService branchService,
+            IWorkEventService workEvents,
             IMapper mapper,
             ILogger<AttendanceVerificationService> logger)
         {
@@ -45,12 +52,14 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
             _otpGenerator = otpGenerator ?? throw new ArgumentNullException(nameof(otpGenerator));
             _scheduleService = scheduleService ?? throw new ArgumentNullException(nameof(scheduleService));
             _branchService = branchService ?? throw new ArgumentNullException(nameof(branchService));
+            _workEvents = workEvents ?? throw new ArgumentNullException(nameof(workEvents));
             _mapper = mapper ?? throw new ArgumentNullException(nameof(mapper));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
         public async Task<ServiceResponse<AttendanceOtpRequestResultDTO>> RequestClockInOtpAsync(
-            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null)
+            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null,
+            bool queuedOffline = false)
         {
             try
             {
@@ -67,10 +76,9 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                 if (todays != null && todays.TimeIn.HasValue)
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult("You have already clocked in today");
 
-                // Block clock-in when HR/Admin has marked today as Closed.
-                var closedEvent = await _db.EMWorkEvents
-                    .FirstOrDefaultAsync(e => e.Date == today && e.EventType == "Closed");
-                if (closedEvent != null)
+                // Block clock-in when HR/Admin has marked today as Closed (for everyone or this branch).
+                var closedEvent = await _workEvents.OnDayAsync(today, employee.BranchId);
+                if (closedEvent?.EventType == "Closed")
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult(
                         $"Attendance is closed for today ({closedEvent.Name}). Contact HR if this is an error.");
 
@@ -86,6 +94,10 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult(why);
                 }
 
+                if (queuedOffline && IsBeyondQueuedOtpWindow(clientTimestampMs))
+                    return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult(
+                        $"This Time In was queued more than {QueuedOtpWindowMinutes} minutes ago — send it to HR/Admin to verify instead.");
+
                 // Keep a single active code: retire any prior unused clock-in OTPs.
                 var stale = await _db.EMAttendanceOtps
                     .Where(o => o.EmployeeId == employeeId && o.Purpose == Purpose && !o.IsUsed)
@@ -93,7 +105,9 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                 foreach (var s in stale) s.IsUsed = true;
 
                 var (code, expiry) = _otpGenerator.GenerateOTPWithExpiry(OtpLength, OtpExpiryMinutes);
-                var requestedTime = ComputeRequestedTime(clientTimestampMs);
+                var requestedTime = queuedOffline
+                    ? ComputeQueuedTime(clientTimestampMs)
+                    : ComputeRequestedTime(clientTimestampMs);
 
                 _db.EMAttendanceOtps.Add(new EMAttendanceOtp
                 {
@@ -198,8 +212,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                     return ServiceResponse<AttendanceResponseDTO>.FailureResult("You have already clocked in today");
                 }
 
-                var schedule = await _scheduleService.GetEntityAsync(employeeId);
-                var status = _scheduleService.ComputeStatus(schedule, otp.RequestedTime);
+                var status = await GradeAsync(employeeId, today, otp.RequestedTime);
 
                 var locationNote = otp.WorkLocation == "Office" ? "Office" : otp.WorkLocation == "Outside" ? "Off-site" : "Unknown location";
 
@@ -264,7 +277,8 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
         }
 
         public async Task<ServiceResponse<AttendanceOtpRequestResultDTO>> RequestAdminVerifyAsync(
-            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null)
+            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null,
+            bool queuedOffline = false)
         {
             try
             {
@@ -278,9 +292,8 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                 if (existing != null && existing.TimeIn.HasValue)
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult("You have already clocked in today");
 
-                var closedEvent = await _db.EMWorkEvents
-                    .FirstOrDefaultAsync(e => e.Date == today && e.EventType == "Closed");
-                if (closedEvent != null)
+                var closedEvent = await _workEvents.OnDayAsync(today, employee.BranchId);
+                if (closedEvent?.EventType == "Closed")
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult(
                         $"Attendance is closed for today ({closedEvent.Name}). Contact HR if this is an error.");
 
@@ -300,7 +313,9 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                     .ToListAsync();
                 foreach (var s in stale) s.IsUsed = true;
 
-                var requestedTime = ComputeRequestedTime(clientTimestampMs);
+                var requestedTime = queuedOffline
+                    ? ComputeQueuedTime(clientTimestampMs)
+                    : ComputeRequestedTime(clientTimestampMs);
                 var expiry = DateTime.UtcNow.AddHours(1);
 
                 _db.EMAttendanceOtps.Add(new EMAttendanceOtp
@@ -373,6 +388,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                         WorkLocation = p.WorkLocation ?? "Unknown",
                         BranchName = p.BranchId.HasValue && branches.TryGetValue(p.BranchId.Value, out var bn) ? bn : null,
                         OnSite = p.WorkLocation == "Office",
+                        DeviceTime = p.CreatedAt.ToLocalTime().TimeOfDay - p.RequestedTime > TimeSpan.FromMinutes(QueuedOtpWindowMinutes),
                         RequestedAt = p.CreatedAt
                     };
                 }).ToList();
@@ -416,8 +432,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
 
                 request.IsUsed = true;
 
-                var schedule = await _scheduleService.GetEntityAsync(request.EmployeeId);
-                var status = _scheduleService.ComputeStatus(schedule, request.RequestedTime);
+                var status = await GradeAsync(request.EmployeeId, today, request.RequestedTime);
                 var locationNote = request.WorkLocation == "Office" ? "Office"
                     : request.WorkLocation == "Outside" ? "Off-site" : "Unknown location";
 
@@ -490,9 +505,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
                 if (string.IsNullOrWhiteSpace(employee.Email))
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult("Your employee record has no email to send the code to");
 
-                var today = DateTime.Today;
-                var todaysAttendance = await _db.EMAttendance
-                    .FirstOrDefaultAsync(a => a.EmployeeId == employeeId && a.AttendanceDate == today);
+                var todaysAttendance = await FindClockOutTargetAsync(employeeId);
 
                 if (todaysAttendance == null || !todaysAttendance.TimeIn.HasValue)
                     return ServiceResponse<AttendanceOtpRequestResultDTO>.FailureResult("No clock-in record found for today. Please clock in first.");
@@ -590,9 +603,7 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
 
                 otp.IsUsed = true;
 
-                var today = DateTime.Today;
-                var todaysAttendance = await _db.EMAttendance
-                    .FirstOrDefaultAsync(a => a.EmployeeId == employeeId && a.AttendanceDate == today);
+                var todaysAttendance = await FindClockOutTargetAsync(employeeId);
 
                 if (todaysAttendance == null || !todaysAttendance.TimeIn.HasValue)
                 {
@@ -608,8 +619,11 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
 
                 todaysAttendance.TimeOut = otp.RequestedTime;
 
-                // Compute hours worked (mirrors AttendanceService logic; standard day = 8 h)
-                var hoursRaw = (todaysAttendance.TimeOut.Value - todaysAttendance.TimeIn.Value).TotalHours;
+                // Compute hours worked (mirrors AttendanceService logic; standard day = 8 h).
+                // A clock-out earlier than the clock-in is an overnight shift ending the next day.
+                var worked = todaysAttendance.TimeOut.Value - todaysAttendance.TimeIn.Value;
+                if (worked < TimeSpan.Zero) worked += TimeSpan.FromDays(1);
+                var hoursRaw = worked.TotalHours;
                 todaysAttendance.HoursWorked = (decimal)Math.Max(0, hoursRaw);
                 todaysAttendance.OvertimeHours = todaysAttendance.HoursWorked > 8m
                     ? todaysAttendance.HoursWorked - 8m : 0m;
@@ -641,6 +655,40 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
             }
         }
 
+        public async Task<AttendanceResponseDTO> GetOvernightCarryOverAsync(int employeeId)
+        {
+            var open = await FindOvernightCarryOverAsync(employeeId);
+            if (open == null) return null;
+            open.Employee ??= await _db.EMEmployees.FirstOrDefaultAsync(e => e.Id == employeeId);
+            return _mapper.Map<AttendanceResponseDTO>(open);
+        }
+
+        /// <summary>
+        /// The record a clock-out applies to: today's, or — when there is none — yesterday's still-open
+        /// record from a shift that runs past midnight.
+        /// </summary>
+        private async Task<EMAttendance> FindClockOutTargetAsync(int employeeId)
+        {
+            var today = DateTime.Today;
+            var todays = await _db.EMAttendance
+                .FirstOrDefaultAsync(a => a.EmployeeId == employeeId && a.AttendanceDate == today);
+            return todays ?? await FindOvernightCarryOverAsync(employeeId);
+        }
+
+        // Yesterday's record that was clocked in, not yet clocked out, and belongs to an overnight shift.
+        // A day-shift record left open (forgot to clock out) is deliberately not carried over.
+        private async Task<EMAttendance> FindOvernightCarryOverAsync(int employeeId)
+        {
+            var yesterday = DateTime.Today.AddDays(-1);
+            var open = await _db.EMAttendance
+                .FirstOrDefaultAsync(a => a.EmployeeId == employeeId && a.AttendanceDate == yesterday
+                                          && a.TimeIn.HasValue && !a.TimeOut.HasValue);
+            if (open == null) return null;
+
+            var schedule = await _scheduleService.GetEntityAsync(employeeId, yesterday);
+            return _scheduleService.EndsNextDay(schedule, yesterday, open.TimeIn.Value) ? open : null;
+        }
+
         private static string BuildOtpEmail(string name, string code, int minutes)
         {
             return $@"
@@ -654,6 +702,24 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
 </div>";
         }
 
+        // Present or Late for a clock-in at `time`. Nobody is late on a holiday or other work event
+        // day that applies to them, so those are always Present.
+        private async Task<string> GradeAsync(int employeeId, DateTime date, TimeSpan time)
+        {
+            var branchId = await _db.EMEmployees.Where(e => e.Id == employeeId).Select(e => e.BranchId).FirstOrDefaultAsync();
+            if (await _workEvents.OnDayAsync(date, branchId) != null)
+                return "Present";
+
+            var schedule = await _scheduleService.GetEntityAsync(employeeId, date);
+            var partialLeave = await GetPartialLeaveAsync(employeeId, date);
+            return _scheduleService.ComputeStatus(schedule, date, time, partialLeave);
+        }
+
+        // Approved half-day or hourly leave on `date`; a clock-in is graded from when it ends.
+        private Task<EMLeaveRequest> GetPartialLeaveAsync(int employeeId, DateTime date) =>
+            _db.EMLeaveRequests.FirstOrDefaultAsync(r => r.EmployeeId == employeeId && r.Status == "Approved"
+                && r.Portion != "Full" && r.StartDate <= date && r.EndDate >= date);
+
         private static string DetermineShift(TimeSpan timeIn)
         {
             var h = timeIn.Hours;
@@ -692,6 +758,30 @@ namespace oamswlatifose.Server.Services.Attendance.Implementation
             return DateTime.Now.TimeOfDay;
         }
 
+        // A tap replayed from the client's offline queue may be hours old. Accept it when it falls
+        // earlier today (never in the future, never on a previous day); otherwise use server time.
+        // Only admin-verify takes one older than QueuedOtpWindowMinutes (see IsBeyondQueuedOtpWindow).
+        private static TimeSpan ComputeQueuedTime(long? clientTimestampMs)
+        {
+            if (clientTimestampMs.HasValue)
+            {
+                var clientLocal = DateTimeOffset.FromUnixTimeMilliseconds(clientTimestampMs.Value).LocalDateTime;
+                if (clientLocal.Date == DateTime.Today && clientLocal <= DateTime.Now.AddMinutes(5))
+                    return clientLocal.TimeOfDay;
+            }
+            return DateTime.Now.TimeOfDay;
+        }
+
+        // True when a queued tap's time is usable (earlier today) but too old to grade from the
+        // device clock alone — a late employee could otherwise replay a made-up 08:00 tap.
+        private static bool IsBeyondQueuedOtpWindow(long? clientTimestampMs)
+        {
+            if (!clientTimestampMs.HasValue) return false;
+            var clientLocal = DateTimeOffset.FromUnixTimeMilliseconds(clientTimestampMs.Value).LocalDateTime;
+            return clientLocal.Date == DateTime.Today
+                && DateTime.Now - clientLocal > TimeSpan.FromMinutes(QueuedOtpWindowMinutes);
+        }
+
         private static string MaskEmail(string email)
         {
             if (string.IsNullOrEmpty(email)) return "unknown";
@@ -0,0 +1,37 @@
+using oamswlatifose.Server.DTO.attendances;
+
+namespace oamswlatifose.Server.Services.Attendance.Interfaces
+{
+    /// <summary>
+    /// Range reports for the manager console, graded against each employee's work schedule
+    /// (the version in force on each day) rather than a fixed office start time.
+    /// </summary>
+    public interface IAttendanceReportService
+    {
+        /// <summary>
+        /// One row per employee per day they were scheduled to work but have no attendance record
+        /// (or only an "Absent" one) and no approved leave. Holidays, days off and closures from
+        /// work events are skipped, as are days before the hire date and shifts that haven't started yet.
+        /// With <paramref name="employeeId"/>, only that employee's absences.
+        /// </summary>
+        Task<ServiceResponse<List<AbsentEmployeeDTO>>> GetAbsencesAsync(
+            DateTime startDate, DateTime endDate, string? department = null, int? employeeId = null);
+
+        /// <summary>
+        /// Every clock-in in the range past its shift's start plus grace — graded from TimeIn against
+        /// the schedule in force that day, since clocking out replaces the "Late" status — with
+        /// minutes late measured from the start of the shift it belongs to.
+        /// </summary>
+        Task<ServiceResponse<List<LateArrivalDTO>>> GetLateArrivalsAsync(
+            DateTime startDate, DateTime endDate, string? department = null);
+
+        /// <summary>
+        /// Present / late / absent / time-off / on-leave counts per department for one day, with the
+        /// on-time rate for that day and the <paramref name="trendDays"/> - 1 days before it.
+        /// Absences follow the same rules as <see cref="GetAbsencesAsync"/>, and lateness the same as
+        /// <see cref="GetLateArrivalsAsync"/>.
+        /// </summary>
+        Task<ServiceResponse<List<DepartmentBreakdownDTO>>> GetDepartmentBreakdownAsync(
+            DateTime date, int trendDays = 7);
+    }
+}
@@ -15,9 +15,13 @@ namespace oamswlatifose.Server.Services.Attendance.Interfaces
         /// <para><paramref name="clientTimestampMs"/> is the Unix epoch ms captured on the client
         /// at tap time; if supplied and within ±5 minutes of server time, it is used as the
         /// recorded Time In so location-lookup delay doesn't skew the time.</para>
+        /// <para><paramref name="queuedOffline"/> marks a tap replayed from the device's offline queue:
+        /// its timestamp is accepted when at most 15 minutes old; older taps must go through
+        /// <see cref="RequestAdminVerifyAsync"/>, which takes any time earlier on the same day.</para>
         /// </summary>
         Task<ServiceResponse<AttendanceOtpRequestResultDTO>> RequestClockInOtpAsync(
-            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null);
+            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null,
+            bool queuedOffline = false);
 
         /// <summary>Step 2 — validate the OTP and write the schedule-graded attendance row.</summary>
         Task<ServiceResponse<AttendanceResponseDTO>> VerifyClockInAsync(
@@ -25,7 +29,8 @@ namespace oamswlatifose.Server.Services.Attendance.Interfaces
 
         /// <summary>Employee submits a clock-in request for HR/Admin to approve manually — no OTP email sent.</summary>
         Task<ServiceResponse<AttendanceOtpRequestResultDTO>> RequestAdminVerifyAsync(
-            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null);
+            int employeeId, double? latitude, double? longitude, string clientIp, long? clientTimestampMs = null,
+            bool queuedOffline = false);
 
         /// <summary>Returns all unexpired, unprocessed admin-verify requests (HR/Admin only).</summary>
         Task<ServiceResponse<List<PendingVerifyRequestDTO>>> GetPendingVerifyRequestsAsync();
@@ -44,5 +49,11 @@ namespace oamswlatifose.Server.Services.Attendance.Interfaces
         /// <summary>Clock-out Step 2 — validate the OTP and record the clock-out time + hours worked.</summary>
         Task<ServiceResponse<AttendanceResponseDTO>> VerifyClockOutAsync(
             int employeeId, string otpCode, string deviceInfo, string clientIp);
+
+        /// <summary>
+        /// Yesterday's open attendance row when it belongs to an overnight shift (clocked in before
+        /// midnight, clock-out still due) — or null. Lets "today" keep showing that shift after midnight.
+        /// </summary>
+        Task<AttendanceResponseDTO> GetOvernightCarryOverAsync(int employeeId);
     }
 }
@@ -10,6 +10,7 @@ using oamswlatifose.Server.Repository.SessionManagement.Interfaces;
 using oamswlatifose.Server.Repository.TokenManagement.Interfaces;
 using oamswlatifose.Server.Repository.UserManagement.Interfaces;
 using oamswlatifose.Server.Services.Authentication.Interfaces;
+using oamswlatifose.Server.Services.Email.Interfaces;
 using oamswlatifose.Server.Utilities.Security;
 
 namespace oamswlatifose.Server.Services.Authentication.Implementation
@@ -28,6 +29,8 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
         private readonly ISessionManagementQueryRepository _sessionQueryRepository;
         private readonly IAuthenticationAuditCommandRepository _auditCommandRepository;
         private readonly IRoleBasedAccessQueryRepository _roleQueryRepository;
+        private readonly IEmailService _emailService;
+        private readonly ITwoFactorService _twoFactorService;
         private readonly JwtTokenGenerator _tokenGenerator;
         private readonly IMapper _mapper;
         private readonly IValidator<LoginRequestDTO> _loginValidator;
@@ -45,6 +48,8 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
             ISessionManagementQueryRepository sessionQueryRepository,
             IAuthenticationAuditCommandRepository auditCommandRepository,
             IRoleBasedAccessQueryRepository roleQueryRepository,
+            IEmailService emailService,
+            ITwoFactorService twoFactorService,
             JwtTokenGenerator tokenGenerator,
             IMapper mapper,
             IValidator<LoginRequestDTO> loginValidator,
@@ -65,6 +70,8 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
             _sessionQueryRepository = sessionQueryRepository ?? throw new ArgumentNullException(nameof(sessionQueryRepository));
             _auditCommandRepository = auditCommandRepository ?? throw new ArgumentNullException(nameof(auditCommandRepository));
             _roleQueryRepository = roleQueryRepository ?? throw new ArgumentNullException(nameof(roleQueryRepository));
+            _emailService = emailService ?? throw new ArgumentNullException(nameof(emailService));
+            _twoFactorService = twoFactorService ?? throw new ArgumentNullException(nameof(twoFactorService));
             _tokenGenerator = tokenGenerator ?? throw new ArgumentNullException(nameof(tokenGenerator));
             _mapper = mapper ?? throw new ArgumentNullException(nameof(mapper));
             _loginValidator = loginValidator ?? throw new ArgumentNullException(nameof(loginValidator));
@@ -142,68 +149,23 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
                         return ServiceResponse<LoginResponseDTO>.FailureResult("Account configuration error");
                     }
 
-                    // Generate tokens
-                    var (accessToken, expiresAt) = _tokenGenerator.GenerateAccessToken(user, role);
-                    var (refreshToken, refreshExpiresAt) = _tokenGenerator.GenerateRefreshToken();
-
-                    // Create session
-                    var session = new EMSession
+                    // Admin/HR (and accounts that opted in) confirm an emailed code before any token is issued
+                    if (_twoFactorService.IsRequired(user, role))
                     {
-                        UserId = user.Id,
-                        SessionToken = PasswordHasher.GenerateSecureToken(32),
-                        IPAddress = ipAddress,
-                        UserAgent = userAgent,
-                        DeviceType = DetermineDeviceType(userAgent),
-                        LoginTime = DateTime.UtcNow,
-                        ExpiresAt = expiresAt,
-                        IsActive = true
-                    };
-
-                    await _sessionCommandRepository.CreateSessionAsync(session);
-
-                    // Store tokens
-                    var jwtToken = new EMJWT
-                    {
-                        UserId = user.Id,
-                        Token = accessToken,
-                        RefreshToken = refreshToken,
-                        CreatedAt = DateTime.UtcNow,
-                        ExpiresAt = expiresAt,
-                        RefreshTokenExpiresAt = refreshExpiresAt,
-                        IsRevoked = false,
-                        IPAddress = ipAddress,
-                        UserAgent = userAgent
-                    };
+                        var challenge = await _twoFactorService.StartAsync(user, ipAddress);
+                        if (!challenge.IsSuccess)
+                            return ServiceResponse<LoginResponseDTO>.FailureResult(challenge.Message);
 
-                    await _tokenCommandRepository.CreateTokenAsync(jwtToken);
+                        _logger.LogInformation("User {Username} passed the password step; awaiting two-factor code", user.Username);
 
-                    // Log successful authentication
-                    await _auditCommandRepository.LogSuccessfulAuthenticationAsync(
-                        user.Id,
-                        user.Username,
-                        "Login",
-                        ipAddress,
-                        userAgent,
-                        DetermineDeviceType(userAgent),
-                        null,
-                        $"Session ID: {session.Id}");
+                        return ServiceResponse<LoginResponseDTO>.SuccessResult(new LoginResponseDTO
+                        {
+                            RequiresTwoFactor = true,
+                            TwoFactor = challenge.Data
+                        }, challenge.Message);
+                    }
 
-                    // Prepare response
-                    var userDto = _mapper.Map<UserResponseDTO>(user);
-                    // ValidateUserCredentialsAsync doesn't eager-load user.Role, so RoleName would
-                    // map to null — set it explicitly from the role we already loaded above, otherwise
-                    // the client can't tell Admin/HR apart and never shows the management views.
-                    userDto.RoleId = role.Id;
-                    userDto.RoleName = role.RoleName;
-                    userDto.RolePermissions = _mapper.Map<Dictionary<string, bool>>(role);
-
-                    var response = new LoginResponseDTO
-                    {
-                        AccessToken = accessToken,
-                        RefreshToken = refreshToken,
-                        ExpiresAt = expiresAt,
-                        User = userDto
-                    };
+                    var response = await IssueTokensAsync(user, role, ipAddress, userAgent, "Login");
 
                     _logger.LogInformation("User {Username} logged in successfully from {IpAddress}",
                         user.Username, ipAddress);
@@ -226,6 +188,124 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
             }, "LoginAsync");
         }
 
+        public async Task<ServiceResponse<LoginResponseDTO>> VerifyTwoFactorAsync(
+            TwoFactorDTO twoFactorDto,
+            string ipAddress,
+            string userAgent)
+        {
+            return await ExecuteWithPerformanceTrackingAsync(async () =>
+            {
+                try
+                {
+                    var verified = await _twoFactorService.VerifyAsync(twoFactorDto?.ChallengeToken, twoFactorDto?.Code);
+                    if (!verified.IsSuccess)
+                    {
+                        await _auditCommandRepository.LogFailedAuthenticationAsync(
+                            "2FA",
+                            "TwoFactorLogin",
+                            verified.Message,
+                            ipAddress,
+                            userAgent);
+
+                        return ServiceResponse<LoginResponseDTO>.FailureResult(verified.Message);
+                    }
+
+                    // The account may have been deactivated while the code was in the mailbox
+                    var user = await _userQueryRepository.GetUserByIdAsync(verified.Data);
+                    var role = user != null ? await _roleQueryRepository.GetRoleByIdAsync(user.RoleId) : null;
+                    if (user == null || !user.IsActive || role == null || !role.IsActive)
+                        return ServiceResponse<LoginResponseDTO>.FailureResult("Your account has been deactivated");
+
+                    var response = await IssueTokensAsync(user, role, ipAddress, userAgent, "TwoFactorLogin");
+
+                    _logger.LogInformation("User {Username} completed two-factor sign-in from {IpAddress}",
+                        user.Username, ipAddress);
+
+                    return ServiceResponse<LoginResponseDTO>.SuccessResult(response, "Login successful");
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error completing two-factor sign-in");
+                    return ServiceResponse<LoginResponseDTO>.FromException(ex, "Login failed due to system error");
+                }
+            }, "VerifyTwoFactorAsync");
+        }
+
+        /// <summary>
+        /// Creates the session and token pair for a user who has passed every sign-in step.
+        /// </summary>
+        private async Task<LoginResponseDTO> IssueTokensAsync(
+            EMAuthorizeruser user,
+            EMRoleBasedAccessControl role,
+            string ipAddress,
+            string userAgent,
+            string action)
+        {
+            // Generate tokens
+            var (accessToken, expiresAt) = _tokenGenerator.GenerateAccessToken(user, role);
+            var (refreshToken, refreshExpiresAt) = _tokenGenerator.GenerateRefreshToken();
+
+            // Create session
+            var session = new EMSession
+            {
+                UserId = user.Id,
+                SessionToken = PasswordHasher.GenerateSecureToken(32),
+                IPAddress = ipAddress,
+                UserAgent = userAgent,
+                DeviceType = DetermineDeviceType(userAgent),
+                LoginTime = DateTime.UtcNow,
+                ExpiresAt = expiresAt,
+                IsActive = true
+            };
+
+            await _sessionCommandRepository.CreateSessionAsync(session);
+
+            // Store tokens
+            var jwtToken = new EMJWT
+            {
+                UserId = user.Id,
+                Token = accessToken,
+                RefreshToken = refreshToken,
+                CreatedAt = DateTime.UtcNow,
+                ExpiresAt = expiresAt,
+                RefreshTokenExpiresAt = refreshExpiresAt,
+                IsRevoked = false,
+                IPAddress = ipAddress,
+                UserAgent = userAgent
+            };
+
+            await _tokenCommandRepository.CreateTokenAsync(jwtToken);
+
+            // Log successful authentication
+            await _auditCommandRepository.LogSuccessfulAuthenticationAsync(
+                user.Id,
+                user.Username,
+                action,
+                ipAddress,
+                userAgent,
+                DetermineDeviceType(userAgent),
+                null,
+                $"Session ID: {session.Id}");
+
+            // Prepare response
+            var userDto = _mapper.Map<UserResponseDTO>(user);
+            // The user may come back without user.Role eager-loaded, so RoleName would map to
+            // null — set it explicitly from the role we already loaded, otherwise the client
+            // can't tell Admin/HR apart and never shows the management views.
+            userDto.RoleId = role.Id;
+            userDto.RoleName = role.RoleName;
+            userDto.RolePermissions = _mapper.Map<Dictionary<string, bool>>(role);
+            userDto.TwoFactorRequiredByRole = _twoFactorService.IsRequiredByRole(role.RoleName);
+
+            return new LoginResponseDTO
+            {
+                AccessToken = accessToken,
+                RefreshToken = refreshToken,
+                ExpiresAt = expiresAt,
+                User = userDto
+            };
+        }
+
         public async Task<ServiceResponse<UserResponseDTO>> RegisterAsync(
             RegisterRequestDTO registerRequest,
             string ipAddress,
@@ -386,17 +466,24 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
             }, "RefreshTokenAsync");
         }
 
-        public async Task<ServiceResponse<bool>> LogoutAsync(int userId, string accessToken)
+        public async Task<ServiceResponse<bool>> LogoutAsync(int userId, string accessToken, bool everywhere = false)
         {
             return await ExecuteWithPerformanceTrackingAsync(async () =>
             {
                 try
                 {
-                    // Revoke token
-                    var token = await _tokenQueryRepository.GetTokenByAccessTokenAsync(accessToken);
-                    if (token != null)
+                    // Revoke this token, or every token the user holds when signing out everywhere
+                    if (everywhere)
                     {
-                        await _tokenCommandRepository.RevokeTokenAsync(token.Id, "User logout");
+                        await _tokenCommandRepository.RevokeAllUserTokensAsync(userId, "User signed out everywhere");
+                    }
+                    else
+                    {
+                        var token = await _tokenQueryRepository.GetTokenByAccessTokenAsync(accessToken);
+                        if (token != null)
+                        {
+                            await _tokenCommandRepository.RevokeTokenAsync(token.Id, "User logout");
+                        }
                     }
 
                     // Terminate active sessions
@@ -404,9 +491,11 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
 
                     var user = await _userQueryRepository.GetUserByIdAsync(userId);
 
-                    _logger.LogInformation("User {Username} logged out successfully", user?.Username ?? userId.ToString());
+                    _logger.LogInformation("User {Username} logged out{Scope}", user?.Username ?? userId.ToString(),
+                        everywhere ? " on all devices" : string.Empty);
 
-                    return ServiceResponse<bool>.SuccessResult(true, "Logout successful");
+                    return ServiceResponse<bool>.SuccessResult(true,
+                        everywhere ? "Signed out on all devices" : "Logout successful");
                 }
                 catch (Exception ex)
                 {
@@ -498,19 +587,31 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
                             validationResult.Errors.Select(e => e.ErrorMessage));
                     }
 
-                    // Generate reset token
-                    var resetToken = await _userCommandRepository.GeneratePasswordResetTokenAsync(forgotPasswordDto.Email);
+                    // Generate reset code (null when no active account uses this email)
+                    var resetCode = await _userCommandRepository.GeneratePasswordResetTokenAsync(forgotPasswordDto.Email);
 
-                    if (resetToken != null)
+                    if (resetCode != null)
                     {
-                        // TODO: Send password reset email
-                        _logger.LogInformation("Password reset token generated for {Email}", forgotPasswordDto.Email);
+                        var user = await _userQueryRepository.GetUserByEmailAsync(forgotPasswordDto.Email);
+                        var name = user?.Employee != null
+                            ? $"{user.Employee.FirstName} {user.Employee.LastName}".Trim()
+                            : user?.Username;
+
+                        var emailResult = await _emailService.SendHtmlEmailAsync(
+                            forgotPasswordDto.Email, "Your password reset code",
+                            BuildResetCodeEmail(name, resetCode, ResetCodeExpiryMinutes));
+
+                        if (emailResult.IsSuccess)
+                            _logger.LogInformation("Password reset code emailed for user {UserId}", user?.Id);
+                        else
+                            _logger.LogWarning("Password reset email failed for user {UserId}: {Msg}", user?.Id, emailResult.Message);
                     }
 
-                    // Always return success to prevent email enumeration
+                    // Same answer whether or not the email is registered, to prevent email enumeration.
+                    // The code itself only ever travels by email.
                     return ServiceResponse<string>.SuccessResult(
-                        resetToken ?? "Token generated",
-                        "If your email is registered, you will receive password reset instructions");
+                        MaskEmail(forgotPasswordDto.Email),
+                        "If that email belongs to an account, a reset code is on its way");
                 }
                 catch (Exception ex)
                 {
@@ -545,7 +646,7 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
 
                     if (!result)
                     {
-                        return ServiceResponse<bool>.FailureResult("Invalid or expired reset token");
+                        return ServiceResponse<bool>.FailureResult("That code is wrong or has expired. Request a new one if needed.");
                     }
 
                     var user = await _userQueryRepository.GetUserByEmailAsync(resetPasswordDto.Email);
@@ -630,6 +731,7 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
                     {
                         userDto.RolePermissions = _mapper.Map<Dictionary<string, bool>>(user.Role);
                     }
+                    userDto.TwoFactorRequiredByRole = _twoFactorService.IsRequiredByRole(user.Role?.RoleName);
 
                     return ServiceResponse<UserResponseDTO>.SuccessResult(userDto, "User retrieved successfully");
                 }
@@ -660,5 +762,30 @@ namespace oamswlatifose.Server.Services.Authentication.Implementation
 
             return "Other";
         }
+
+        private const int ResetCodeExpiryMinutes = 15;
+
+        private static string BuildResetCodeEmail(string name, string code, int minutes)
+        {
+            return $@"
+<div style=""font-family:Roboto,Arial,sans-serif;max-width:480px;margin:0 auto;color:#202124"">
+  <h2 style=""font-weight:500"">Reset your password</h2>
+  <p>Hi {System.Net.WebUtility.HtmlEncode(name ?? "there")},</p>
+  <p>Enter this code on the sign-in page to choose a new password:</p>
+  <div style=""font-size:32px;font-weight:700;letter-spacing:8px;background:#f1f3f4;
+              padding:16px;text-align:center;border-radius:8px;margin:16px 0"">{code}</div>
+  <p style=""color:#5f6368"">This code expires in {minutes} minutes. If you didn't ask to reset your password, you can ignore this email — your password stays the same.</p>
+</div>";
+        }
+
+        private static string MaskEmail(string email)
+        {
+            if (string.IsNullOrEmpty(email)) return "unknown";
+            var parts = email.Split('@');
+            if (parts.Length != 2) return "invalid-email";
+            var name = parts[0];
+            if (name.Length <= 2) return $"{name}@{parts[1]}";
+            return $"{name[..2]}{new string('*', name.Length - 2)}@{parts[1]}";
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,254 @@
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Auth;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.security;
+using oamswlatifose.Server.Services.Authentication.Interfaces;
+using oamswlatifose.Server.Services.Email.Interfaces;
+using oamswlatifose.Server.Utilities.Security;
+
+namespace oamswlatifose.Server.Services.Authentication.Implementation
+{
+    /// <summary>
+    /// Stores sign-in challenges in EMLoginChallenge. The client only ever holds the opaque
+    /// challenge token; the 6-digit code goes to the account's email. Five wrong codes over the
+    /// challenge's life (resends don't reset the count), or expiry, void the challenge and the
+    /// user signs in with their password again.
+    /// </summary>
+    public class TwoFactorService : ITwoFactorService
+    {
+        private const int CodeExpiryMinutes = 5;
+        private const int MaxAttempts = 5;
+        private const int MaxSends = 5;
+        private static readonly TimeSpan ResendCooldown = TimeSpan.FromSeconds(30);
+        private static readonly string[] RolesAlwaysRequired = { "Admin", "HR" };
+
+        private readonly ApplicationDbContext _db;
+        private readonly IEmailService _emailService;
+        private readonly ILogger<TwoFactorService> _logger;
+
+        public TwoFactorService(ApplicationDbContext db, IEmailService emailService, ILogger<TwoFactorService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _emailService = emailService ?? throw new ArgumentNullException(nameof(emailService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public bool IsRequiredByRole(string roleName) =>
+            RolesAlwaysRequired.Any(r => string.Equals(r, roleName, StringComparison.OrdinalIgnoreCase));
+
+        public bool IsRequired(EMAuthorizeruser user, EMRoleBasedAccessControl role) =>
+            user.RequireTwoFactor || user.TwoFactorRequiredByAdmin || IsRequiredByRole(role?.RoleName);
+
+        public async Task<ServiceResponse<TwoFactorChallengeDTO>> StartAsync(EMAuthorizeruser user, string ipAddress)
+        {
+            try
+            {
+                // One pending sign-in per account: a new password login replaces the old challenge.
+                var pending = await _db.EMLoginChallenges
+                    .Where(c => c.UserId == user.Id && !c.IsUsed)
+                    .ToListAsync();
+                foreach (var old in pending)
+                    old.IsUsed = true;
+
+                var challenge = new EMLoginChallenge
+                {
+                    UserId = user.Id,
+                    ChallengeToken = PasswordHasher.GenerateSecureToken(32),
+                    Code = NewCode(),
+                    IPAddress = ipAddress,
+                    ExpiresAt = DateTime.UtcNow.AddMinutes(CodeExpiryMinutes),
+                    CreatedAt = DateTime.UtcNow
+                };
+                _db.EMLoginChallenges.Add(challenge);
+                await _db.SaveChangesAsync();
+
+                return ServiceResponse<TwoFactorChallengeDTO>.SuccessResult(
+                    await SendAsync(challenge, user), "Enter the code we emailed you to finish signing in");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error starting two-factor sign-in for user {UserId}", user?.Id);
+                return ServiceResponse<TwoFactorChallengeDTO>.FromException(ex, "Could not send your sign-in code");
+            }
+        }
+
+        public async Task<ServiceResponse<TwoFactorChallengeDTO>> ResendAsync(string challengeToken)
+        {
+            try
+            {
+                var challenge = await FindPendingAsync(challengeToken);
+                if (challenge == null)
+                    return ServiceResponse<TwoFactorChallengeDTO>.FailureResult("This sign-in has expired. Please sign in again.");
+
+                if (challenge.SendCount >= MaxSends)
+                    return ServiceResponse<TwoFactorChallengeDTO>.FailureResult("Too many codes sent. Please sign in again.");
+
+                var wait = challenge.LastSentAt + ResendCooldown - DateTime.UtcNow;
+                if (wait > TimeSpan.Zero)
+                    return ServiceResponse<TwoFactorChallengeDTO>.FailureResult(
+                        $"Please wait {Math.Ceiling(wait.TotalSeconds)} seconds before requesting another code.");
+
+                challenge.Code = NewCode();
+                challenge.ExpiresAt = DateTime.UtcNow.AddMinutes(CodeExpiryMinutes);
+                await _db.SaveChangesAsync();
+
+                return ServiceResponse<TwoFactorChallengeDTO>.SuccessResult(
+                    await SendAsync(challenge, challenge.User), "A new code is on its way");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error resending two-factor code");
+                return ServiceResponse<TwoFactorChallengeDTO>.FromException(ex, "Could not resend the code");
+            }
+        }
+
+        public async Task<ServiceResponse<int>> VerifyAsync(string challengeToken, string code)
+        {
+            try
+            {
+                var challenge = await FindPendingAsync(challengeToken);
+                if (challenge == null)
+                    return ServiceResponse<int>.FailureResult("This sign-in has expired. Please sign in again.");
+
+                if (challenge.ExpiresAt < DateTime.UtcNow)
+                    return ServiceResponse<int>.FailureResult("Your code has expired. Please request a new one.");
+
+                if (!CodeMatches(challenge.Code, code))
+                {
+                    challenge.Attempts++;
+                    if (challenge.Attempts >= MaxAttempts)
+                    {
+                        challenge.IsUsed = true;
+                        await _db.SaveChangesAsync();
+                        _logger.LogWarning("Two-factor challenge voided after {Max} wrong codes for user {UserId}",
+                            MaxAttempts, challenge.UserId);
+                        return ServiceResponse<int>.FailureResult("Too many incorrect codes. Please sign in again.");
+                    }
+                    await _db.SaveChangesAsync();
+                    var left = MaxAttempts - challenge.Attempts;
+                    return ServiceResponse<int>.FailureResult(
+                        $"Incorrect code. {left} attempt{(left == 1 ? "" : "s")} remaining.");
+                }
+
+                challenge.IsUsed = true;
+                await _db.SaveChangesAsync();
+                return ServiceResponse<int>.SuccessResult(challenge.UserId, "Code verified");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error verifying two-factor code");
+                return ServiceResponse<int>.FromException(ex, "Verification failed");
+            }
+        }
+
+        public async Task<ServiceResponse<bool>> SetRequiredAsync(int userId, bool required, string currentPassword)
+        {
+            try
+            {
+                var user = await _db.EMAuthorizerusers
+                    .Include(u => u.Role)
+                    .FirstOrDefaultAsync(u => u.Id == userId);
+                if (user == null)
+                    return ServiceResponse<bool>.FailureResult("User not found");
+
+                if (!required)
+                {
+                    if (IsRequiredByRole(user.Role?.RoleName))
+                        return ServiceResponse<bool>.FailureResult($"Two-step sign-in is always on for the {user.Role.RoleName} role");
+                    if (user.TwoFactorRequiredByAdmin)
+                        return ServiceResponse<bool>.FailureResult("An administrator requires two-step sign-in for your account");
+                    if (string.IsNullOrEmpty(currentPassword)
+                        || !PasswordHasher.VerifyPassword(currentPassword, user.PasswordHash, user.PasswordSalt))
+                        return ServiceResponse<bool>.FailureResult("Current password is incorrect");
+                }
+
+                user.RequireTwoFactor = required;
+                user.UpdatedAt = DateTime.UtcNow;
+                await _db.SaveChangesAsync();
+
+                _logger.LogInformation("Two-factor sign-in {State} for user {UserId}", required ? "enabled" : "disabled", userId);
+                return ServiceResponse<bool>.SuccessResult(required,
+                    required ? "Two-step sign-in turned on" : "Two-step sign-in turned off");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating two-factor setting for user {UserId}", userId);
+                return ServiceResponse<bool>.FromException(ex, "Could not update two-step sign-in");
+            }
+        }
+
+        private Task<EMLoginChallenge> FindPendingAsync(string challengeToken)
+        {
+            if (string.IsNullOrWhiteSpace(challengeToken))
+                return Task.FromResult<EMLoginChallenge>(null);
+
+            return _db.EMLoginChallenges
+                .Include(c => c.User)
+                    .ThenInclude(u => u.Employee)
+                .FirstOrDefaultAsync(c => c.ChallengeToken == challengeToken && !c.IsUsed);
+        }
+
+        private async Task<TwoFactorChallengeDTO> SendAsync(EMLoginChallenge challenge, EMAuthorizeruser user)
+        {
+            var name = user.Employee != null
+                ? $"{user.Employee.FirstName} {user.Employee.LastName}".Trim()
+                : user.Username;
+
+            var emailResult = await _emailService.SendHtmlEmailAsync(
+                user.Email, "Your sign-in code", BuildCodeEmail(name, challenge.Code, CodeExpiryMinutes));
+
+            challenge.SendCount++;
+            challenge.LastSentAt = DateTime.UtcNow;
+            await _db.SaveChangesAsync();
+
+            if (emailResult.IsSuccess)
+                _logger.LogInformation("Two-factor code emailed for user {UserId}", user.Id);
+            else
+                _logger.LogWarning("Two-factor email failed for user {UserId}: {Msg}", user.Id, emailResult.Message);
+
+            return new TwoFactorChallengeDTO
+            {
+                ChallengeToken = challenge.ChallengeToken,
+                EmailMasked = MaskEmail(user.Email),
+                ExpiresInMinutes = CodeExpiryMinutes,
+                Sent = emailResult.IsSuccess,
+                Message = emailResult.IsSuccess ? null : "We couldn't send the email. Try resending, or contact Admin."
+            };
+        }
+
+        // Constant-time, so response timing gives away nothing about how much of the code was right.
+        private static bool CodeMatches(string expected, string given)
+        {
+            var a = Encoding.UTF8.GetBytes(expected ?? "");
+            var b = Encoding.UTF8.GetBytes(given?.Trim() ?? "");
+            return a.Length == b.Length && CryptographicOperations.FixedTimeEquals(a, b);
+        }
+
+        private static string NewCode() => RandomNumberGenerator.GetInt32(0, 1_000_000).ToString("D6");
+
+        private static string BuildCodeEmail(string name, string code, int minutes)
+        {
+            return $@"
+<div style=""font-family:Roboto,Arial,sans-serif;max-width:480px;margin:0 auto;color:#202124"">
+  <h2 style=""font-weight:500"">Sign-in verification</h2>
+  <p>Hi {System.Net.WebUtility.HtmlEncode(name)},</p>
+  <p>Use this code to finish signing in:</p>
+  <div style=""font-size:32px;font-weight:700;letter-spacing:8px;background:#f1f3f4;
+              padding:16px;text-align:center;border-radius:8px;margin:16px 0"">{code}</div>
+  <p style=""color:#5f6368"">This code expires in {minutes} minutes. If you didn't just sign in, change your password — someone else knows it.</p>
+</div>";
+        }
+
+        private static string MaskEmail(string email)
+        {
+            if (string.IsNullOrEmpty(email)) return "unknown";
+            var parts = email.Split('@');
+            if (parts.Length != 2) return "invalid-email";
+            var name = parts[0];
+            if (name.Length <= 2) return $"{name}@{parts[1]}";
+            return $"{name[..2]}{new string('*', name.Length - 2)}@{parts[1]}";
+        }
+    }
+}
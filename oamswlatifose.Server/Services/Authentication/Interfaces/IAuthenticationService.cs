@@ -22,6 +22,11 @@ namespace oamswlatifose.Server.Services.Authentication.Interfaces
         /// </summary>
         Task<ServiceResponse<LoginResponseDTO>> LoginAsync(LoginRequestDTO loginRequest, string ipAddress, string userAgent);
 
+        /// <summary>
+        /// Completes a sign-in that <see cref="LoginAsync"/> left waiting on an emailed code.
+        /// </summary>
+        Task<ServiceResponse<LoginResponseDTO>> VerifyTwoFactorAsync(TwoFactorDTO twoFactorDto, string ipAddress, string userAgent);
+
         /// <summary>
         /// Registers a new user account.
         /// </summary>
@@ -34,8 +39,10 @@ namespace oamswlatifose.Server.Services.Authentication.Interfaces
 
         /// <summary>
         /// Logs out a user by revoking their tokens and terminating sessions.
+        /// With <paramref name="everywhere"/> every token the user holds is revoked, so other
+        /// devices can no longer refresh and drop out when their access token expires.
         /// </summary>
-        Task<ServiceResponse<bool>> LogoutAsync(int userId, string accessToken);
+        Task<ServiceResponse<bool>> LogoutAsync(int userId, string accessToken, bool everywhere = false);
 
         /// <summary>
         /// Changes a user's password.
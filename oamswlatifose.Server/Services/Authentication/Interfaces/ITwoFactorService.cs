@@ -0,0 +1,35 @@
+using oamswlatifose.Server.DTO.Auth;
+using oamswlatifose.Server.Model.security;
+
+namespace oamswlatifose.Server.Services.Authentication.Interfaces
+{
+    /// <summary>
+    /// Emailed-code second step for sign-in. Admin and HR always need it (they can change
+    /// everyone's schedules and geofences); other accounts opt in through
+    /// <see cref="EMAuthorizeruser.RequireTwoFactor"/> or have it required by Admin/HR through
+    /// <see cref="EMAuthorizeruser.TwoFactorRequiredByAdmin"/>.
+    /// </summary>
+    public interface ITwoFactorService
+    {
+        /// <summary>True when this account must pass the emailed code before tokens are issued.</summary>
+        bool IsRequired(EMAuthorizeruser user, EMRoleBasedAccessControl role);
+
+        /// <summary>True when the role alone forces 2FA, so the per-user setting can't turn it off.</summary>
+        bool IsRequiredByRole(string roleName);
+
+        /// <summary>Opens a challenge for a user whose password already checked out and emails the code.</summary>
+        Task<ServiceResponse<TwoFactorChallengeDTO>> StartAsync(EMAuthorizeruser user, string ipAddress);
+
+        /// <summary>Sends a fresh code for a pending challenge (rate limited).</summary>
+        Task<ServiceResponse<TwoFactorChallengeDTO>> ResendAsync(string challengeToken);
+
+        /// <summary>Checks the code; on success the challenge is spent and the user's id returned.</summary>
+        Task<ServiceResponse<int>> VerifyAsync(string challengeToken, string code);
+
+        /// <summary>
+        /// Turns the user's own opt-in on or off. Turning it off needs the current password and
+        /// is refused while the role or an administrator requires the second step.
+        /// </summary>
+        Task<ServiceResponse<bool>> SetRequiredAsync(int userId, bool required, string currentPassword);
+    }
+}
@@ -0,0 +1,289 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Calendar;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.Calendar.Interfaces;
+using oamswlatifose.Server.Services.Leave;
+using oamswlatifose.Server.Services.Schedule.Interfaces;
+using oamswlatifose.Server.Services.WorkEvent;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace oamswlatifose.Server.Services.Calendar.Implementation
+{
+    /// <summary>
+    /// Writes the calendar by hand (it's a few line types). Times are "floating" local times — the
+    /// clock times the shifts are scheduled at, shown unchanged in any time zone. Shifts are left
+    /// out on days the employee is on full-day leave or a work event applies. Leave entries carry the
+    /// type and portion only — never the reason, which anyone holding the feed URL could read.
+    /// </summary>
+    public class CalendarFeedService : ICalendarFeedService
+    {
+        private const int PastDays = 31;
+        private const int AheadDays = 183;
+        private const string UidDomain = "oams";
+
+        private static readonly Dictionary<string, string> EventLabels = new()
+        {
+            ["Holiday"] = "Holiday",
+            ["SpecialNonWorking"] = "Special non-working day",
+            ["DayOff"] = "Day off",
+            ["Closed"] = "Office closed",
+        };
+
+        private static readonly Dictionary<string, string> PortionLabels = new()
+        {
+            ["AM"] = "morning",
+            ["PM"] = "afternoon",
+            ["Hours"] = "hours",
+        };
+
+        private readonly ApplicationDbContext _db;
+        private readonly IWorkScheduleService _scheduleService;
+        private readonly IWorkEventService _workEvents;
+        private readonly ILogger<CalendarFeedService> _logger;
+
+        public CalendarFeedService(
+            ApplicationDbContext db,
+            IWorkScheduleService scheduleService,
+            IWorkEventService workEvents,
+            ILogger<CalendarFeedService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _scheduleService = scheduleService ?? throw new ArgumentNullException(nameof(scheduleService));
+            _workEvents = workEvents ?? throw new ArgumentNullException(nameof(workEvents));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<string>> BuildAsync(int employeeId)
+        {
+            try
+            {
+                var employee = await _db.EMEmployees
+                    .Include(e => e.Branch)
+                    .AsNoTracking()
+                    .FirstOrDefaultAsync(e => e.Id == employeeId);
+                if (employee == null)
+                    return ServiceResponse<string>.FailureResult("Employee not found");
+
+                var from = DateTime.Today.AddDays(-PastDays);
+                var to = DateTime.Today.AddDays(AheadDays);
+
+                (await _scheduleService.GetVersionsAsync([employeeId])).TryGetValue(employeeId, out var versions);
+                var leave = await _db.EMLeaveRequests
+                    .Where(l => l.EmployeeId == employeeId && l.Status == "Approved" && l.StartDate <= to && l.EndDate >= from)
+                    .AsNoTracking()
+                    .ToListAsync();
+                var events = (await _workEvents.InRangeAsync(from, to))
+                    .Where(e => WorkEventDays.AppliesTo(e, employee.BranchId))
+                    .ToList();
+
+                var ics = new IcsWriter();
+                ics.Line("BEGIN:VCALENDAR");
+                ics.Line("VERSION:2.0");
+                ics.Line("PRODID:-//OAMS//Attendance//EN");
+                ics.Line("CALSCALE:GREGORIAN");
+                ics.Line("METHOD:PUBLISH");
+                ics.Line("X-WR-CALNAME:" + Text($"Work — {employee.FirstName} {employee.LastName}"));
+                ics.Line("REFRESH-INTERVAL;VALUE=DURATION:PT6H");
+                ics.Line("X-PUBLISHED-TTL:PT6H");
+
+                for (var day = from; day <= to; day = day.AddDays(1))
+                {
+                    if (WorkEventDays.On(events, day, employee.BranchId) != null
+                        || leave.Any(l => !LeaveDays.IsPartial(l) && l.StartDate.Date <= day && l.EndDate.Date >= day))
+                        continue;
+
+                    var shifts = _scheduleService.ShiftTimesOn(_scheduleService.VersionOn(versions ?? [], day), day);
+                    for (var i = 0; i < shifts.Count; i++)
+                        ics.Event($"shift-{employeeId}-{day:yyyyMMdd}-{i}", "Work shift",
+                            day.Add(shifts[i].Start), day.Add(shifts[i].End), location: employee.Branch?.Name);
+                }
+
+                foreach (var l in leave)
+                {
+                    var summary = $"{l.LeaveType} leave";
+                    if (!LeaveDays.IsPartial(l))
+                    {
+                        ics.AllDay($"leave-{l.Id}", summary, l.StartDate.Date, l.EndDate.Date);
+                        continue;
+                    }
+
+                    summary += $" ({PortionLabels[l.Portion]})";
+                    var day = l.StartDate.Date;
+                    var window = _scheduleService.LeaveWindow(_scheduleService.VersionOn(versions ?? [], day), day, l);
+                    if (window is { } w)
+                        ics.Event($"leave-{l.Id}", summary, day.Add(w.From), day.Add(w.To));
+                    else
+                        ics.AllDay($"leave-{l.Id}", summary, day, day);
+                }
+
+                foreach (var e in events)
+                {
+                    var label = EventLabels.GetValueOrDefault(e.EventType, e.EventType);
+                    ics.AllDay($"event-{e.Id}", e.Name, e.Date.Date, e.Date.Date,
+                        e.EventType == "Closed" ? $"{label} — clock-ins are blocked." : $"{label} — no attendance required.");
+                }
+
+                ics.Line("END:VCALENDAR");
+                return ServiceResponse<string>.SuccessResult(ics.ToString());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error building the calendar for employee {EmployeeId}", employeeId);
+                return ServiceResponse<string>.FromException(ex, "Failed to build the calendar");
+            }
+        }
+
+        public async Task<ServiceResponse<CalendarFeedDTO>> GetFeedAsync(int employeeId)
+        {
+            try
+            {
+                var feed = await _db.EMCalendarFeeds.AsNoTracking().FirstOrDefaultAsync(f => f.EmployeeId == employeeId);
+                return ServiceResponse<CalendarFeedDTO>.SuccessResult(feed == null ? null : ToDto(feed, null));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading the calendar feed for employee {EmployeeId}", employeeId);
+                return ServiceResponse<CalendarFeedDTO>.FromException(ex, "Failed to load the calendar feed");
+            }
+        }
+
+        public async Task<ServiceResponse<CalendarFeedDTO>> ResetFeedAsync(int employeeId)
+        {
+            try
+            {
+                var feed = await _db.EMCalendarFeeds.FirstOrDefaultAsync(f => f.EmployeeId == employeeId);
+                if (feed == null)
+                {
+                    feed = new EMCalendarFeed { EmployeeId = employeeId };
+                    _db.EMCalendarFeeds.Add(feed);
+                }
+
+                var token = Convert.ToHexString(RandomNumberGenerator.GetBytes(24)).ToLowerInvariant();
+                feed.TokenHash = HashToken(token);
+                feed.CreatedAt = DateTime.UtcNow;
+                feed.LastReadAt = null;
+                await _db.SaveChangesAsync();
+
+                _logger.LogInformation("Calendar feed (re)created for employee {EmployeeId}", employeeId);
+                return ServiceResponse<CalendarFeedDTO>.SuccessResult(ToDto(feed, token), "Calendar feed ready");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error creating the calendar feed for employee {EmployeeId}", employeeId);
+                return ServiceResponse<CalendarFeedDTO>.FromException(ex, "Failed to create the calendar feed");
+            }
+        }
+
+        public async Task<ServiceResponse<bool>> RemoveFeedAsync(int employeeId)
+        {
+            try
+            {
+                var feed = await _db.EMCalendarFeeds.FirstOrDefaultAsync(f => f.EmployeeId == employeeId);
+                if (feed != null)
+                {
+                    _db.EMCalendarFeeds.Remove(feed);
+                    await _db.SaveChangesAsync();
+                }
+                return ServiceResponse<bool>.SuccessResult(true, "Calendar feed removed");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error removing the calendar feed for employee {EmployeeId}", employeeId);
+                return ServiceResponse<bool>.FromException(ex, "Failed to remove the calendar feed");
+            }
+        }
+
+        public async Task<int?> EmployeeForTokenAsync(string token)
+        {
+            if (string.IsNullOrWhiteSpace(token) || token.Length > 64) return null;
+
+            var hash = HashToken(token);
+            var feed = await _db.EMCalendarFeeds
+                .Include(f => f.Employee)
+                .FirstOrDefaultAsync(f => f.TokenHash == hash);
+            if (feed == null || feed.Employee.DeactivatedAt != null) return null;
+
+            feed.LastReadAt = DateTime.UtcNow;
+            await _db.SaveChangesAsync();
+            return feed.EmployeeId;
+        }
+
+        // The token is random and long, so a plain (unsalted) SHA-256 is enough and keeps it indexable.
+        private static string HashToken(string token) =>
+            Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token))).ToLowerInvariant();
+
+        // `token` is the raw token, known only right after a reset.
+        private static CalendarFeedDTO ToDto(EMCalendarFeed f, string? token) => new()
+        {
+            Token = token,
+            CreatedAt = f.CreatedAt,
+            LastReadAt = f.LastReadAt,
+        };
+
+        // RFC 5545 TEXT: backslash, comma, semicolon and newlines are escaped.
+        private static string Text(string? value) =>
+            (value ?? "").Replace("\\", "\\\\").Replace(";", "\\;").Replace(",", "\\,").Replace("\r\n", "\\n").Replace("\n", "\\n");
+
+        /// <summary>Accumulates CRLF-terminated lines, folding any over 75 octets.</summary>
+        private sealed class IcsWriter
+        {
+            private readonly StringBuilder _sb = new();
+            private readonly string _stamp = DateTime.UtcNow.ToString("yyyyMMdd'T'HHmmss'Z'", CultureInfo.InvariantCulture);
+
+            public void Line(string line)
+            {
+                var octets = 0;
+                foreach (var rune in line.EnumerateRunes())
+                {
+                    if (octets + rune.Utf8SequenceLength > 75)
+                    {
+                        _sb.Append("\r\n ");
+                        octets = 1;
+                    }
+                    _sb.Append(rune.ToString());
+                    octets += rune.Utf8SequenceLength;
+                }
+                _sb.Append("\r\n");
+            }
+
+            public void Event(string uid, string summary, DateTime start, DateTime end, string? description = null, string? location = null)
+            {
+                Begin(uid, summary);
+                Line("DTSTART:" + start.ToString("yyyyMMdd'T'HHmmss", CultureInfo.InvariantCulture));
+                Line("DTEND:" + end.ToString("yyyyMMdd'T'HHmmss", CultureInfo.InvariantCulture));
+                End(description, location);
+            }
+
+            // `last` is inclusive; DTEND of an all-day event is the day after.
+            public void AllDay(string uid, string summary, DateTime first, DateTime last, string? description = null)
+            {
+                Begin(uid, summary);
+                Line("DTSTART;VALUE=DATE:" + first.ToString("yyyyMMdd", CultureInfo.InvariantCulture));
+                Line("DTEND;VALUE=DATE:" + last.AddDays(1).ToString("yyyyMMdd", CultureInfo.InvariantCulture));
+                Line("TRANSP:TRANSPARENT");
+                End(description, null);
+            }
+
+            private void Begin(string uid, string summary)
+            {
+                Line("BEGIN:VEVENT");
+                Line($"UID:{uid}@{UidDomain}");
+                Line("DTSTAMP:" + _stamp);
+                Line("SUMMARY:" + Text(summary));
+            }
+
+            private void End(string? description, string? location)
+            {
+                if (!string.IsNullOrWhiteSpace(description)) Line("DESCRIPTION:" + Text(description));
+                if (!string.IsNullOrWhiteSpace(location)) Line("LOCATION:" + Text(location));
+                Line("END:VEVENT");
+            }
+
+            public override string ToString() => _sb.ToString();
+        }
+    }
+}
@@ -0,0 +1,37 @@
+using oamswlatifose.Server.DTO.Calendar;
+
+namespace oamswlatifose.Server.Services.Calendar.Interfaces
+{
+    /// <summary>
+    /// An employee's work calendar as iCalendar (RFC 5545): scheduled shifts, approved leave and the
+    /// work events that apply to them, from a month back to six months ahead. Every entry keeps the
+    /// same UID between builds, so a re-imported file or a refreshed subscription updates entries
+    /// instead of duplicating them. Also manages the token-addressed feed calendar apps subscribe to.
+    /// </summary>
+    public interface ICalendarFeedService
+    {
+        /// <summary>The employee's calendar as an .ics document.</summary>
+        Task<ServiceResponse<string>> BuildAsync(int employeeId);
+
+        /// <summary>
+        /// The employee's feed (without its token, which isn't stored), or a successful result with
+        /// null data when they have none.
+        /// </summary>
+        Task<ServiceResponse<CalendarFeedDTO>> GetFeedAsync(int employeeId);
+
+        /// <summary>
+        /// Creates the employee's feed, or replaces its token so the old URL stops working. The only
+        /// result that carries the token.
+        /// </summary>
+        Task<ServiceResponse<CalendarFeedDTO>> ResetFeedAsync(int employeeId);
+
+        /// <summary>Deletes the employee's feed.</summary>
+        Task<ServiceResponse<bool>> RemoveFeedAsync(int employeeId);
+
+        /// <summary>
+        /// The active employee a feed token belongs to (recording the read), or null for an unknown
+        /// token or a deactivated employee.
+        /// </summary>
+        Task<int?> EmployeeForTokenAsync(string token);
+    }
+}
@@ -199,6 +199,10 @@ namespace oamswlatifose.Server.Services.EmployeeManagement.Implementation
 
                     // Map updates to existing entity
                     _mapper.Map(updateDto, existingEmployee);
+                    // The mapping skips nulls, but branch and hire date are sent on every edit and
+                    // null clears them.
+                    existingEmployee.BranchId = updateDto.BranchId;
+                    existingEmployee.HiredAt = updateDto.HiredAt;
 
                     var updated = await _commandRepository.UpdateEmployeeAsync(existingEmployee);
                     var employeeDto = _mapper.Map<EmployeeResponseDTO>(updated);
@@ -218,6 +222,119 @@ namespace oamswlatifose.Server.Services.EmployeeManagement.Implementation
             }, "UpdateEmployeeAsync");
         }
 
+        public async Task<ServiceResponse<EmployeeResponseDTO>> SetEmployeeActiveAsync(int id, bool isActive)
+        {
+            return await ExecuteWithPerformanceTrackingAsync(async () =>
+            {
+                try
+                {
+                    var employee = await _queryRepository.GetEmployeeByIdAsync(id);
+                    if (employee == null)
+                        return ServiceResponse<EmployeeResponseDTO>.FailureResult($"Employee with ID {id} not found");
+
+                    if (isActive == (employee.DeactivatedAt == null))
+                    {
+                        return ServiceResponse<EmployeeResponseDTO>.SuccessResult(
+                            _mapper.Map<EmployeeResponseDTO>(employee),
+                            isActive ? "Employee is already active" : "Employee is already deactivated");
+                    }
+
+                    employee.DeactivatedAt = isActive ? null : DateTime.UtcNow;
+                    // The account is tracked with the employee, so the same save turns sign-in off/on.
+                    if (employee.UserAccount != null)
+                        employee.UserAccount.IsActive = isActive;
+
+                    var updated = await _commandRepository.UpdateEmployeeAsync(employee);
+
+                    _logger.LogInformation("Employee {Id} {Action}", id, isActive ? "reactivated" : "deactivated");
+
+                    return ServiceResponse<EmployeeResponseDTO>.SuccessResult(
+                        _mapper.Map<EmployeeResponseDTO>(updated),
+                        isActive ? "Employee reactivated" : "Employee deactivated");
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error changing active state of employee {EmployeeId}", id);
+                    return ServiceResponse<EmployeeResponseDTO>.FromException(
+                        ex, $"Failed to update employee with ID {id}");
+                }
+            }, "SetEmployeeActiveAsync");
+        }
+
+        public async Task<ServiceResponse<EmployeeResponseDTO>> SetTeamLeadAsync(int id, int? teamLeadId)
+        {
+            return await ExecuteWithPerformanceTrackingAsync(async () =>
+            {
+                try
+                {
+                    var employee = await _queryRepository.GetEmployeeByIdAsync(id);
+                    if (employee == null)
+                        return ServiceResponse<EmployeeResponseDTO>.FailureResult($"Employee with ID {id} not found");
+
+                    EMEmployees? lead = null;
+                    if (teamLeadId.HasValue)
+                    {
+                        if (teamLeadId == id)
+                            return ServiceResponse<EmployeeResponseDTO>.FailureResult("An employee can't be their own team lead");
+
+                        lead = await _queryRepository.GetEmployeeByIdAsync(teamLeadId.Value);
+                        if (lead == null)
+                            return ServiceResponse<EmployeeResponseDTO>.FailureResult($"Employee with ID {teamLeadId} not found");
+                        if (lead.DeactivatedAt != null)
+                            return ServiceResponse<EmployeeResponseDTO>.FailureResult("The team lead must be an active employee");
+
+                        // Walk up from the new lead; meeting this employee would make approvals go round in a loop.
+                        var seen = new HashSet<int> { lead.Id };
+                        for (var up = lead.TeamLeadId; up.HasValue && seen.Add(up.Value);)
+                        {
+                            if (up == id)
+                                return ServiceResponse<EmployeeResponseDTO>.FailureResult(
+                                    $"{lead.FirstName} {lead.LastName} already reports up to this employee");
+                            up = (await _queryRepository.GetEmployeeByIdAsync(up.Value))?.TeamLeadId;
+                        }
+                    }
+
+                    employee.TeamLead = lead;
+                    employee.TeamLeadId = lead?.Id;
+                    var updated = await _commandRepository.UpdateEmployeeAsync(employee);
+
+                    _logger.LogInformation("Employee {Id} team lead set to {TeamLeadId}", id, teamLeadId);
+
+                    return ServiceResponse<EmployeeResponseDTO>.SuccessResult(
+                        _mapper.Map<EmployeeResponseDTO>(updated),
+                        lead != null ? $"Team lead set to {lead.FirstName} {lead.LastName}" : "Team lead cleared");
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error setting team lead of employee {EmployeeId}", id);
+                    return ServiceResponse<EmployeeResponseDTO>.FromException(
+                        ex, $"Failed to update employee with ID {id}");
+                }
+            }, "SetTeamLeadAsync");
+        }
+
+        public async Task<ServiceResponse<IEnumerable<EmployeeResponseDTO>>> GetDirectoryAsync()
+        {
+            return await ExecuteWithPerformanceTrackingAsync(async () =>
+            {
+                try
+                {
+                    var employees = await _queryRepository.GetAllEmployeesAsync();
+                    var employeeDtos = _mapper.Map<IEnumerable<EmployeeResponseDTO>>(employees);
+
+                    return ServiceResponse<IEnumerable<EmployeeResponseDTO>>.SuccessResult(
+                        employeeDtos,
+                        $"Retrieved {employeeDtos.Count()} employees");
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error retrieving the employee directory");
+                    return ServiceResponse<IEnumerable<EmployeeResponseDTO>>.FromException(
+                        ex, "Failed to retrieve employees");
+                }
+            }, "GetDirectoryAsync");
+        }
+
         public async Task<ServiceResponse<bool>> DeleteEmployeeAsync(int id)
         {
             return await ExecuteWithPerformanceTrackingAsync(async () =>
@@ -322,7 +439,7 @@ namespace oamswlatifose.Server.Services.EmployeeManagement.Implementation
                 try
                 {
                     var allEmployees = await _queryRepository.GetAllEmployeesAsync();
-                    var employeesWithoutAccounts = allEmployees.Where(e => e.UserAccount == null);
+                    var employeesWithoutAccounts = allEmployees.Where(e => e.UserAccount == null && e.DeactivatedAt == null);
                     var employeeDtos = _mapper.Map<IEnumerable<EmployeeSummaryDTO>>(employeesWithoutAccounts);
 
                     return ServiceResponse<IEnumerable<EmployeeSummaryDTO>>.SuccessResult(
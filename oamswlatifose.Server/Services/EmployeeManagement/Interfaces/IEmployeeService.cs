@@ -42,6 +42,22 @@ namespace oamswlatifose.Server.Services.EmployeeManagement.Interfaces
         /// </summary>
         Task<ServiceResponse<EmployeeResponseDTO>> UpdateEmployeeAsync(int id, UpdateEmployeeDTO updateDto);
 
+        /// <summary>
+        /// Deactivates (left the company) or reactivates an employee; a linked login account follows.
+        /// </summary>
+        Task<ServiceResponse<EmployeeResponseDTO>> SetEmployeeActiveAsync(int id, bool isActive);
+
+        /// <summary>
+        /// Sets an employee's team lead (null clears it). The lead must be another active employee
+        /// who doesn't report up to this one.
+        /// </summary>
+        Task<ServiceResponse<EmployeeResponseDTO>> SetTeamLeadAsync(int id, int? teamLeadId);
+
+        /// <summary>
+        /// Every employee with account, branch and active state, for the HR directory.
+        /// </summary>
+        Task<ServiceResponse<IEnumerable<EmployeeResponseDTO>>> GetDirectoryAsync();
+
         /// <summary>
         /// Deletes an employee record.
         /// </summary>
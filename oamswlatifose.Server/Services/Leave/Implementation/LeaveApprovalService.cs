@@ -0,0 +1,313 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+using oamswlatifose.Server.Services.Schedule.Interfaces;
+
+namespace oamswlatifose.Server.Services.Leave.Implementation
+{
+    /// <summary>
+    /// EF-backed approval chains. Who can decide a step:
+    /// <list type="bullet">
+    /// <item>TeamLead — the employee's team lead. While the lead is on full-day leave today (or
+    /// deactivated) the lead's own lead stands in, and so on up the line; HR/Admin when nobody is
+    /// left.</item>
+    /// <item>HR — any HR or Admin user.</item>
+    /// <item>Admin — any Admin user.</item>
+    /// </list>
+    /// Admin can decide any step. Nobody decides a step of their own request, or two steps of the same
+    /// one — unless nobody else could take the later step, when the same approver may decide it and
+    /// the step's note says so rather than leaving the request stuck.
+    /// </summary>
+    public class LeaveApprovalService : ILeaveApprovalService
+    {
+        public static readonly string[] Roles = ["TeamLead", "HR", "Admin"];
+
+        // Used when no chain matches a request (e.g. every chain was given a leave type).
+        private const string DefaultSteps = "HR";
+
+        private readonly ApplicationDbContext _db;
+        private readonly IWorkScheduleService _scheduleService;
+        private readonly ILogger<LeaveApprovalService> _logger;
+
+        public LeaveApprovalService(ApplicationDbContext db, IWorkScheduleService scheduleService, ILogger<LeaveApprovalService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _scheduleService = scheduleService ?? throw new ArgumentNullException(nameof(scheduleService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<List<LeaveApprovalChainDTO>>> GetChainsAsync()
+        {
+            var chains = await _db.EMLeaveApprovalChains
+                .OrderBy(c => c.LeaveType != null).ThenBy(c => c.LeaveType).ThenBy(c => c.OverDays)
+                .ToListAsync();
+            return ServiceResponse<List<LeaveApprovalChainDTO>>.SuccessResult(chains.Select(ToChainDto).ToList());
+        }
+
+        public async Task<ServiceResponse<List<LeaveApprovalChainDTO>>> SaveChainsAsync(List<SaveLeaveApprovalChainDTO> chains)
+        {
+            try
+            {
+                chains ??= [];
+                foreach (var c in chains)
+                {
+                    if (string.IsNullOrWhiteSpace(c.Name))
+                        return ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult("Every chain needs a name");
+                    if (c.Steps == null || c.Steps.Count == 0)
+                        return ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult($"{c.Name.Trim()}: add at least one approver");
+                    if (c.Steps.Any(s => !Roles.Contains(s)))
+                        return ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult($"{c.Name.Trim()}: approvers must be TeamLead, HR or Admin");
+                    if (c.Steps.Distinct().Count() != c.Steps.Count)
+                        return ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult($"{c.Name.Trim()}: each approver can appear once");
+                }
+
+                var clash = chains
+                    .GroupBy(c => (Type: string.IsNullOrWhiteSpace(c.LeaveType) ? null : c.LeaveType.Trim(), Days: Math.Round(c.OverDays, 2)))
+                    .FirstOrDefault(g => g.Count() > 1);
+                if (clash != null)
+                    return ServiceResponse<List<LeaveApprovalChainDTO>>.FailureResult(
+                        $"Two chains cover {clash.Key.Type ?? "every"} leave over {clash.Key.Days:0.##} days — keep one");
+
+                _db.EMLeaveApprovalChains.RemoveRange(await _db.EMLeaveApprovalChains.ToListAsync());
+                _db.EMLeaveApprovalChains.AddRange(chains.Select(c => new EMLeaveApprovalChain
+                {
+                    Name = c.Name.Trim(),
+                    LeaveType = string.IsNullOrWhiteSpace(c.LeaveType) ? null : c.LeaveType.Trim(),
+                    OverDays = Math.Round(c.OverDays, 2),
+                    Steps = string.Join(",", c.Steps),
+                    UpdatedAt = DateTime.UtcNow,
+                }));
+                await _db.SaveChangesAsync();
+
+                var result = await GetChainsAsync();
+                result.Message = "Approval chains saved";
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving leave approval chains");
+                return ServiceResponse<List<LeaveApprovalChainDTO>>.FromException(ex, "Failed to save the approval chains");
+            }
+        }
+
+        public async Task StartAsync(EMLeaveRequest request)
+        {
+            // The longest threshold the request is over wins; at equal thresholds a chain for its
+            // type beats one for every type. Days are counted as the balance charges them.
+            var workDays = await _scheduleService.WorkDaysAsync([request.EmployeeId], request.StartDate, request.EndDate);
+            var days = LeaveDays.Of(request, day => workDays(request.EmployeeId, day));
+            var chain = (await _db.EMLeaveApprovalChains
+                    .Where(c => c.LeaveType == null || c.LeaveType == request.LeaveType)
+                    .ToListAsync())
+                .Where(c => days > c.OverDays)
+                .OrderByDescending(c => c.OverDays).ThenByDescending(c => c.LeaveType != null)
+                .FirstOrDefault();
+
+            var hasLead = await _db.EMEmployees.AnyAsync(e => e.Id == request.EmployeeId && e.TeamLeadId != null);
+            var roles = (chain?.Steps ?? DefaultSteps).Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+            if (!hasLead && roles.All(r => r == "TeamLead")) roles.Add("HR");
+
+            for (var i = 0; i < roles.Count; i++)
+            {
+                var skipped = roles[i] == "TeamLead" && !hasLead;
+                request.ApprovalSteps.Add(new EMLeaveApprovalStep
+                {
+                    StepOrder = i + 1,
+                    ApproverRole = roles[i],
+                    Status = skipped ? "Skipped" : "Pending",
+                    Note = skipped ? "No team lead set" : "",
+                });
+            }
+        }
+
+        public async Task<LeaveApprovalCheck> CheckAsync(EMLeaveRequest request, int userId, int employeeId, string roleName)
+        {
+            var steps = request.ApprovalSteps.OrderBy(s => s.StepOrder).ToList();
+            if (steps.Count == 0)
+            {
+                var manager = IsManager(roleName);
+                return new LeaveApprovalCheck { CanAct = manager, IsFinal = true, Message = manager ? "" : "Only HR or Admin can decide this request" };
+            }
+
+            var current = steps.FirstOrDefault(s => s.Status == "Pending");
+            if (current == null)
+                return new LeaveApprovalCheck { Message = "This request has no approval step left" };
+
+            var approvers = await LoadApproversAsync();
+            var actedEarlier = ActedEarlier(steps, current, userId);
+            var barred = actedEarlier && OthersCanDecide(steps, current, request.EmployeeId, approvers);
+            var decision = Decide(current, request.EmployeeId, approvers, employeeId, roleName, barred);
+            return new LeaveApprovalCheck
+            {
+                CanAct = decision.CanAct,
+                Message = decision.CanAct ? "" : employeeId == request.EmployeeId
+                    ? "You can't decide your own leave request"
+                    : barred
+                        ? "You already decided an earlier step of this request — another approver has to take this one"
+                        : $"Step {current.StepOrder} of {steps.Count} is waiting on {decision.Approver}",
+                Step = current,
+                IsFinal = !steps.Any(s => s.StepOrder > current.StepOrder && s.Status == "Pending"),
+                StepCount = steps.Count,
+                DelegatedFrom = decision.DelegatedFrom,
+                SameApprover = actedEarlier && !barred,
+            };
+        }
+
+        public void Apply(EMLeaveRequest request, LeaveApprovalCheck check, bool isApproved, int userId, string note)
+        {
+            if (check.Step != null)
+            {
+                check.Step.Status = isApproved ? "Approved" : "Rejected";
+                check.Step.ActedByUserId = userId;
+                check.Step.DelegatedFrom = check.DelegatedFrom;
+                check.Step.Note = check.SameApprover
+                    ? string.IsNullOrWhiteSpace(note) ? SameApproverNote : $"{note} ({SameApproverNote})"
+                    : note;
+                check.Step.ActedAt = DateTime.UtcNow;
+
+                // Later steps never get a say once a request is turned down.
+                if (!isApproved)
+                    foreach (var s in request.ApprovalSteps.Where(s => s.Status == "Pending"))
+                        s.Status = "Skipped";
+            }
+
+            if (!isApproved || check.IsFinal)
+            {
+                request.Status = isApproved ? "Approved" : "Rejected";
+                request.ApprovedByUserId = userId;
+                request.ApprovalNote = note;
+            }
+            request.UpdatedAt = DateTime.UtcNow;
+        }
+
+        public async Task FillApprovalsAsync(List<LeaveResponseDTO> rows, int userId, int employeeId, string roleName)
+        {
+            var ids = rows.Select(r => r.Id).ToList();
+            var steps = (await _db.EMLeaveApprovalSteps.Where(s => ids.Contains(s.LeaveRequestId)).ToListAsync())
+                .ToLookup(s => s.LeaveRequestId);
+
+            var userIds = steps.SelectMany(g => g).Where(s => s.ActedByUserId.HasValue).Select(s => s.ActedByUserId.Value).Distinct().ToList();
+            var names = await _db.EMAuthorizerusers
+                .Where(u => userIds.Contains(u.Id))
+                .ToDictionaryAsync(u => u.Id, u => u.Username);
+
+            var approvers = rows.Any(r => r.Status == "Pending") ? await LoadApproversAsync() : null;
+
+            foreach (var row in rows)
+            {
+                var list = steps[row.Id].OrderBy(s => s.StepOrder).ToList();
+                var current = row.Status == "Pending" ? list.FirstOrDefault(s => s.Status == "Pending") : null;
+                var decision = current != null
+                    ? Decide(current, row.EmployeeId, approvers!, employeeId, roleName,
+                        ActedEarlier(list, current, userId) && OthersCanDecide(list, current, row.EmployeeId, approvers!))
+                    : null;
+
+                row.CanReview = row.Status == "Pending" && (list.Count == 0 ? IsManager(roleName) : decision?.CanAct == true);
+                row.Approvals = list.Select(s => new LeaveApprovalStepDTO
+                {
+                    Order = s.StepOrder,
+                    ApproverRole = s.ApproverRole,
+                    Status = s.Status,
+                    IsCurrent = s == current,
+                    Approver = s == current ? decision!.Approver
+                        : s.ActedByUserId.HasValue && names.TryGetValue(s.ActedByUserId.Value, out var name) ? name : null,
+                    DelegatedFrom = s == current ? decision!.DelegatedFrom : s.DelegatedFrom,
+                    Note = s.Note,
+                    ActedAt = s.ActedAt?.ToString("yyyy-MM-dd HH:mm"),
+                }).ToList();
+            }
+        }
+
+        private const string SameApproverNote = "no other approver was available, so the approver of an earlier step decided this one";
+
+        private static bool IsManager(string roleName) => roleName == "Admin" || roleName == "HR";
+
+        // Whether `userId` decided a step of the request before `current` — each step needs a different approver.
+        private static bool ActedEarlier(IEnumerable<EMLeaveApprovalStep> steps, EMLeaveApprovalStep current, int userId) =>
+            steps.Any(s => s.StepOrder < current.StepOrder && s.ActedByUserId == userId);
+
+        // Whether an active user other than the requester and the approvers of earlier steps could
+        // decide `current`. When nobody could, whoever decided an earlier step may take it too.
+        private static bool OthersCanDecide(IEnumerable<EMLeaveApprovalStep> steps, EMLeaveApprovalStep current, int requesterId, Approvers approvers)
+        {
+            var earlier = steps.Where(s => s.StepOrder < current.StepOrder && s.ActedByUserId.HasValue)
+                .Select(s => s.ActedByUserId!.Value)
+                .ToHashSet();
+            return approvers.Users.Any(u => !earlier.Contains(u.UserId)
+                && Decide(current, requesterId, approvers, u.EmployeeId ?? 0, u.RoleName, false).CanAct);
+        }
+
+        // Who can decide `step` of a request filed by `requesterId`, and whether the caller is one of
+        // them (never on their own request, nor after deciding an earlier step while someone else could
+        // take this one — `actedEarlier`).
+        private static Decision Decide(EMLeaveApprovalStep step, int requesterId, Approvers approvers, int employeeId, string roleName, bool actedEarlier)
+        {
+            var barred = employeeId == requesterId || actedEarlier;
+            switch (step.ApproverRole)
+            {
+                case "TeamLead":
+                    var (leadId, delegatedFrom) = ResolveLead(approvers, requesterId);
+                    if (leadId.HasValue)
+                        return new Decision(!barred && (employeeId == leadId || roleName == "Admin"), approvers.Employees[leadId.Value].Name, delegatedFrom);
+                    return new Decision(!barred && IsManager(roleName), "HR", delegatedFrom);
+                case "HR":
+                    return new Decision(!barred && IsManager(roleName), "HR", null);
+                default:
+                    return new Decision(!barred && roleName == "Admin", "Admin", null);
+            }
+        }
+
+        // The requester's team lead, or while that lead is away the first available lead above
+        // them. Null when nobody up the line is available; DelegatedFrom names the lead passed over.
+        private static (int? LeadId, string? DelegatedFrom) ResolveLead(Approvers approvers, int requesterId)
+        {
+            string? delegatedFrom = null;
+            var seen = new HashSet<int> { requesterId };
+            var leadId = approvers.Employees.TryGetValue(requesterId, out var requester) ? requester.LeadId : null;
+
+            while (leadId.HasValue && seen.Add(leadId.Value) && approvers.Employees.TryGetValue(leadId.Value, out var lead))
+            {
+                if (lead.Active && !approvers.OnLeaveToday.Contains(leadId.Value)) return (leadId, delegatedFrom);
+                delegatedFrom ??= lead.Name;
+                leadId = lead.LeadId;
+            }
+            return (null, delegatedFrom);
+        }
+
+        private async Task<Approvers> LoadApproversAsync()
+        {
+            var today = DateTime.Today;
+            var employees = await _db.EMEmployees
+                .Select(e => new { e.Id, e.TeamLeadId, e.FirstName, e.LastName, e.DeactivatedAt })
+                .ToDictionaryAsync(e => e.Id, e => new Approver(e.TeamLeadId, $"{e.FirstName} {e.LastName}", e.DeactivatedAt == null));
+            var onLeave = await _db.EMLeaveRequests
+                .Where(r => r.Status == "Approved" && r.Portion == "Full" && r.StartDate <= today && r.EndDate >= today)
+                .Select(r => r.EmployeeId)
+                .ToListAsync();
+            var users = await _db.EMAuthorizerusers
+                .Where(u => u.IsActive)
+                .Select(u => new ApproverUser(u.Id, u.EmployeeId, u.Role.RoleName))
+                .ToListAsync();
+            return new Approvers(employees, onLeave.ToHashSet(), users);
+        }
+
+        private static LeaveApprovalChainDTO ToChainDto(EMLeaveApprovalChain c) => new()
+        {
+            Id = c.Id,
+            Name = c.Name,
+            LeaveType = c.LeaveType,
+            OverDays = c.OverDays,
+            Steps = c.Steps.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList(),
+        };
+
+        private sealed record Approver(int? LeadId, string Name, bool Active);
+
+        private sealed record ApproverUser(int UserId, int? EmployeeId, string RoleName);
+
+        private sealed record Approvers(Dictionary<int, Approver> Employees, HashSet<int> OnLeaveToday, List<ApproverUser> Users);
+
+        private sealed record Decision(bool CanAct, string Approver, string? DelegatedFrom);
+    }
+}
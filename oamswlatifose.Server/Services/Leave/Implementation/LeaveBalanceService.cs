@@ -0,0 +1,337 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+using oamswlatifose.Server.Services.Schedule.Interfaces;
+
+namespace oamswlatifose.Server.Services.Leave.Implementation
+{
+    /// <summary>
+    /// EF-backed leave balances. For each tracked type and year:
+    /// <list type="bullet">
+    /// <item>Accrued — the policy's yearly days, either 1/12 at the start of each month up to the
+    /// as-of date or all on 1 January; prorated from the hire month in the hire year.</item>
+    /// <item>Carried over — last year's closing balance, capped at CarryOverCap; walked forward
+    /// from the first year the employee has history. An overdrawn (negative) balance carries over
+    /// in full, so the next year's accrual pays it back instead of it being forgiven.</item>
+    /// <item>Used / Pending — days of approved / pending requests falling in the year, as counted
+    /// by <see cref="LeaveDays"/> over the days the employee was due at work (the same count the
+    /// request form shows).</item>
+    /// </list>
+    /// </summary>
+    public class LeaveBalanceService : ILeaveBalanceService
+    {
+        private const int MaxHistoryYears = 10;
+
+        private readonly ApplicationDbContext _db;
+        private readonly IWorkScheduleService _scheduleService;
+        private readonly ILogger<LeaveBalanceService> _logger;
+
+        public LeaveBalanceService(ApplicationDbContext db, IWorkScheduleService scheduleService, ILogger<LeaveBalanceService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _scheduleService = scheduleService ?? throw new ArgumentNullException(nameof(scheduleService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<List<LeavePolicyDTO>>> GetPoliciesAsync()
+        {
+            var policies = await _db.EMLeavePolicies.OrderBy(p => p.Id).ToListAsync();
+            return ServiceResponse<List<LeavePolicyDTO>>.SuccessResult(policies.Select(ToPolicyDto).ToList());
+        }
+
+        public async Task<ServiceResponse<LeavePolicyDTO>> UpdatePolicyAsync(string leaveType, UpdateLeavePolicyDTO dto)
+        {
+            try
+            {
+                var policy = await _db.EMLeavePolicies.FirstOrDefaultAsync(p => p.LeaveType == leaveType);
+                if (policy == null)
+                    return ServiceResponse<LeavePolicyDTO>.FailureResult("Leave policy not found");
+
+                policy.YearlyDays = Math.Round(dto.YearlyDays, 2);
+                policy.AccruesMonthly = dto.AccruesMonthly;
+                policy.CarryOverCap = Math.Round(dto.CarryOverCap, 2);
+                policy.BlockWhenExceeded = dto.BlockWhenExceeded;
+                policy.RequiresAttachment = dto.RequiresAttachment;
+                policy.AttachmentOverDays = Math.Round(dto.AttachmentOverDays, 2);
+                policy.UpdatedAt = DateTime.UtcNow;
+                await _db.SaveChangesAsync();
+
+                return ServiceResponse<LeavePolicyDTO>.SuccessResult(ToPolicyDto(policy), $"{policy.LeaveType} leave policy saved");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error updating leave policy {LeaveType}", leaveType);
+                return ServiceResponse<LeavePolicyDTO>.FromException(ex, "Failed to save the leave policy");
+            }
+        }
+
+        public async Task<ServiceResponse<List<LeaveBalanceDTO>>> GetBalancesAsync(int employeeId, DateTime asOf)
+        {
+            try
+            {
+                var employee = await _db.EMEmployees.FindAsync(employeeId);
+                if (employee == null)
+                    return ServiceResponse<List<LeaveBalanceDTO>>.FailureResult("Employee not found");
+
+                var policies = await _db.EMLeavePolicies.OrderBy(p => p.Id).ToListAsync();
+                var requests = await _db.EMLeaveRequests.Where(r => r.EmployeeId == employeeId && r.Status != "Rejected").ToListAsync();
+                var adjustments = await _db.EMLeaveBalanceAdjustments.Where(a => a.EmployeeId == employeeId).ToListAsync();
+                var workDays = await WorkDaysAsync([employeeId], requests);
+
+                var balances = policies
+                    .Select(p => Compute(p, employee.HiredAt, requests, adjustments, asOf.Year, asOf.Date, day => workDays(employeeId, day)))
+                    .ToList();
+                return ServiceResponse<List<LeaveBalanceDTO>>.SuccessResult(balances);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error computing leave balances for employee {EmployeeId}", employeeId);
+                return ServiceResponse<List<LeaveBalanceDTO>>.FromException(ex, "Failed to load leave balances");
+            }
+        }
+
+        public async Task<ServiceResponse<List<EmployeeLeaveBalanceDTO>>> GetAllBalancesAsync(int year)
+        {
+            try
+            {
+                var employees = await _db.EMEmployees
+                    .Where(e => e.DeactivatedAt == null)
+                    .OrderBy(e => e.FirstName).ThenBy(e => e.LastName)
+                    .ToListAsync();
+                var policies = await _db.EMLeavePolicies.OrderBy(p => p.Id).ToListAsync();
+                var allRequests = await _db.EMLeaveRequests.Where(r => r.Status != "Rejected").ToListAsync();
+                var requests = allRequests.ToLookup(r => r.EmployeeId);
+                var adjustments = (await _db.EMLeaveBalanceAdjustments.ToListAsync())
+                    .ToLookup(a => a.EmployeeId);
+                var workDays = await WorkDaysAsync(employees.Select(e => e.Id), allRequests);
+
+                var today = DateTime.UtcNow.Date;
+                var rows = employees.Select(e => new EmployeeLeaveBalanceDTO
+                {
+                    EmployeeId = e.Id,
+                    EmployeeNo = e.EmployeeID,
+                    EmployeeName = $"{e.FirstName} {e.LastName}",
+                    Department = e.Department,
+                    Balances = policies
+                        .Select(p => Compute(p, e.HiredAt, requests[e.Id].ToList(), adjustments[e.Id].ToList(), year, today,
+                            day => workDays(e.Id, day)))
+                        .ToList(),
+                }).ToList();
+
+                return ServiceResponse<List<EmployeeLeaveBalanceDTO>>.SuccessResult(rows);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error computing leave balances for {Year}", year);
+                return ServiceResponse<List<EmployeeLeaveBalanceDTO>>.FromException(ex, "Failed to load leave balances");
+            }
+        }
+
+        public async Task<ServiceResponse<List<LeaveBalanceAdjustmentDTO>>> GetAdjustmentsAsync(int employeeId, int year)
+        {
+            var rows = await _db.EMLeaveBalanceAdjustments
+                .Where(a => a.EmployeeId == employeeId && a.Year == year)
+                .OrderByDescending(a => a.CreatedAt)
+                .ToListAsync();
+
+            var userIds = rows.Where(a => a.AdjustedByUserId.HasValue).Select(a => a.AdjustedByUserId.Value).Distinct().ToList();
+            var names = await _db.EMAuthorizerusers
+                .Where(u => userIds.Contains(u.Id))
+                .ToDictionaryAsync(u => u.Id, u => u.Username);
+
+            var list = rows.Select(a => new LeaveBalanceAdjustmentDTO
+            {
+                Id = a.Id,
+                LeaveType = a.LeaveType,
+                Year = a.Year,
+                Days = a.Days,
+                Note = a.Note,
+                AdjustedBy = a.AdjustedByUserId.HasValue && names.TryGetValue(a.AdjustedByUserId.Value, out var name) ? name : null,
+                CreatedAt = a.CreatedAt.ToString("yyyy-MM-dd HH:mm"),
+            }).ToList();
+            return ServiceResponse<List<LeaveBalanceAdjustmentDTO>>.SuccessResult(list);
+        }
+
+        public async Task<ServiceResponse<LeaveBalanceDTO>> AdjustAsync(AdjustLeaveBalanceDTO dto, int adjustedByUserId)
+        {
+            try
+            {
+                if (dto.Days == 0)
+                    return ServiceResponse<LeaveBalanceDTO>.FailureResult("Enter the number of days to add or remove");
+                if (string.IsNullOrWhiteSpace(dto.Note))
+                    return ServiceResponse<LeaveBalanceDTO>.FailureResult("A note explaining the adjustment is required");
+
+                var policy = await _db.EMLeavePolicies.FirstOrDefaultAsync(p => p.LeaveType == dto.LeaveType);
+                if (policy == null)
+                    return ServiceResponse<LeaveBalanceDTO>.FailureResult($"{dto.LeaveType} leave has no balance to adjust");
+
+                var employee = await _db.EMEmployees.FindAsync(dto.EmployeeId);
+                if (employee == null)
+                    return ServiceResponse<LeaveBalanceDTO>.FailureResult("Employee not found");
+
+                _db.EMLeaveBalanceAdjustments.Add(new EMLeaveBalanceAdjustment
+                {
+                    EmployeeId = employee.Id,
+                    LeaveType = policy.LeaveType,
+                    Year = dto.Year,
+                    Days = Math.Round(dto.Days, 2),
+                    Note = dto.Note.Trim(),
+                    AdjustedByUserId = adjustedByUserId == 0 ? null : adjustedByUserId,
+                    CreatedAt = DateTime.UtcNow,
+                });
+                await _db.SaveChangesAsync();
+
+                _logger.LogInformation("Leave balance {LeaveType} {Year} of employee {EmployeeId} adjusted by {Days} by user {UserId}",
+                    policy.LeaveType, dto.Year, employee.Id, dto.Days, adjustedByUserId);
+
+                var requests = await _db.EMLeaveRequests.Where(r => r.EmployeeId == employee.Id && r.Status != "Rejected").ToListAsync();
+                var adjustments = await _db.EMLeaveBalanceAdjustments.Where(a => a.EmployeeId == employee.Id).ToListAsync();
+                var workDays = await WorkDaysAsync([employee.Id], requests);
+                var balance = Compute(policy, employee.HiredAt, requests, adjustments, dto.Year, DateTime.UtcNow.Date,
+                    day => workDays(employee.Id, day));
+                return ServiceResponse<LeaveBalanceDTO>.SuccessResult(balance, "Balance adjusted");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error adjusting leave balance for employee {EmployeeId}", dto.EmployeeId);
+                return ServiceResponse<LeaveBalanceDTO>.FromException(ex, "Failed to adjust the balance");
+            }
+        }
+
+        public async Task<LeaveBalanceCheck> CheckRequestAsync(EMLeaveRequest request, int? ignoreRequestId = null)
+        {
+            var policy = await _db.EMLeavePolicies.FirstOrDefaultAsync(p => p.LeaveType == request.LeaveType);
+            var employee = await _db.EMEmployees.FindAsync(request.EmployeeId);
+            if (policy == null || employee == null) return new LeaveBalanceCheck { Tracked = false };
+
+            var requests = await _db.EMLeaveRequests
+                .Where(r => r.EmployeeId == request.EmployeeId && r.Status != "Rejected" && r.Id != (ignoreRequestId ?? 0))
+                .ToListAsync();
+            var adjustments = await _db.EMLeaveBalanceAdjustments.Where(a => a.EmployeeId == request.EmployeeId).ToListAsync();
+            var workDays = await WorkDaysAsync([request.EmployeeId], requests.Append(request).ToList());
+            bool isWorkDay(DateTime day) => workDays(request.EmployeeId, day);
+            var startDate = request.StartDate.Date;
+            var endDate = request.EndDate.Date;
+
+            // A request spanning New Year draws on both years' balances; report the first year it
+            // doesn't fit. Accrual counts up to the day the leave starts in that year, so leave
+            // booked ahead can use days that will have accrued by then.
+            var today = DateTime.UtcNow.Date;
+            LeaveBalanceCheck result = null;
+            for (var year = startDate.Year; year <= endDate.Year; year++)
+            {
+                var startsOn = year == startDate.Year ? startDate : new DateTime(year, 1, 1);
+                var balance = Compute(policy, employee.HiredAt, requests, adjustments, year, startsOn > today ? startsOn : today, isWorkDay);
+                var requested = LeaveDays.InYear(request, year, isWorkDay);
+                var check = new LeaveBalanceCheck { Tracked = true, Requested = requested, Remaining = balance.Remaining };
+                result ??= check;
+                if (check.Exceeded) { result = check; break; }
+            }
+
+            result.Blocked = result.Exceeded && policy.BlockWhenExceeded;
+            if (result.Exceeded)
+                result.Message = $"Not enough {policy.LeaveType} leave: {Math.Max(0, result.Remaining):0.##} day(s) left, {result.Requested:0.##} requested";
+
+            result.AttachmentRequired = policy.RequiresAttachment && LeaveDays.Of(request, isWorkDay) > policy.AttachmentOverDays;
+            if (result.AttachmentRequired)
+                result.AttachmentMessage = policy.AttachmentOverDays > 0
+                    ? $"{policy.LeaveType} leave over {policy.AttachmentOverDays:0.##} day(s) needs an attachment, such as a medical certificate"
+                    : $"{policy.LeaveType} leave needs an attachment, such as a medical certificate";
+            return result;
+        }
+
+        private static LeaveBalanceDTO Compute(EMLeavePolicy policy, DateTime? hiredAt, List<EMLeaveRequest> requests,
+            List<EMLeaveBalanceAdjustment> adjustments, int year, DateTime asOf, Func<DateTime, bool> isWorkDay)
+        {
+            var ofType = requests.Where(r => r.LeaveType == policy.LeaveType).ToList();
+            var adjustedOfType = adjustments.Where(a => a.LeaveType == policy.LeaveType).ToList();
+
+            var firstYear = ofType.Select(r => r.StartDate.Year)
+                .Concat(adjustedOfType.Select(a => a.Year))
+                .Append(hiredAt?.Year ?? year)
+                .Append(year)
+                .Min();
+            firstYear = Math.Max(firstYear, year - MaxHistoryYears);
+
+            decimal carried = 0;
+            for (var y = firstYear; y < year; y++)
+            {
+                var closing = carried
+                    + Accrued(policy, hiredAt, y, new DateTime(y, 12, 31))
+                    + adjustedOfType.Where(a => a.Year == y).Sum(a => a.Days)
+                    - DaysIn(ofType, "Approved", y, isWorkDay);
+                // Unused days above the cap lapse; days overdrawn stay owed.
+                carried = Math.Min(closing, policy.CarryOverCap);
+            }
+
+            var accrued = Accrued(policy, hiredAt, year, asOf);
+            var adjusted = adjustedOfType.Where(a => a.Year == year).Sum(a => a.Days);
+            var used = DaysIn(ofType, "Approved", year, isWorkDay);
+            var pending = DaysIn(ofType, "Pending", year, isWorkDay);
+            var available = carried + accrued + adjusted - used;
+
+            return new LeaveBalanceDTO
+            {
+                LeaveType = policy.LeaveType,
+                Year = year,
+                AsOf = asOf.ToString("yyyy-MM-dd"),
+                Entitlement = policy.YearlyDays,
+                CarriedOver = carried,
+                Accrued = accrued,
+                Adjusted = adjusted,
+                Used = used,
+                Pending = pending,
+                Available = available,
+                Remaining = available - pending,
+                AccruesMonthly = policy.AccruesMonthly,
+                CarryOverCap = policy.CarryOverCap,
+                BlockWhenExceeded = policy.BlockWhenExceeded,
+                RequiresAttachment = policy.RequiresAttachment,
+                AttachmentOverDays = policy.AttachmentOverDays,
+            };
+        }
+
+        // Days of the year's entitlement granted by `asOf` (nothing before the year or the hire month).
+        private static decimal Accrued(EMLeavePolicy policy, DateTime? hiredAt, int year, DateTime asOf)
+        {
+            if (asOf.Year < year) return 0;
+            var firstMonth = 1;
+            if (hiredAt.HasValue)
+            {
+                if (hiredAt.Value.Year > year) return 0;
+                if (hiredAt.Value.Year == year) firstMonth = hiredAt.Value.Month;
+            }
+
+            var lastMonth = asOf.Year > year ? 12 : asOf.Month;
+            if (lastMonth < firstMonth) return 0;
+
+            var months = policy.AccruesMonthly ? lastMonth - firstMonth + 1 : 13 - firstMonth;
+            return Math.Round(policy.YearlyDays * months / 12, 2);
+        }
+
+        private static decimal DaysIn(IEnumerable<EMLeaveRequest> requests, string status, int year, Func<DateTime, bool> isWorkDay) =>
+            requests.Where(r => r.Status == status).Sum(r => LeaveDays.InYear(r, year, isWorkDay));
+
+        // Which days the employees were due at work over the span of `requests` — full-day leave is
+        // charged only for those.
+        private async Task<Func<int, DateTime, bool>> WorkDaysAsync(IEnumerable<int> employeeIds, List<EMLeaveRequest> requests)
+        {
+            if (requests.Count == 0)
+                return (_, _) => true;
+            return await _scheduleService.WorkDaysAsync(employeeIds, requests.Min(r => r.StartDate), requests.Max(r => r.EndDate));
+        }
+
+        private static LeavePolicyDTO ToPolicyDto(EMLeavePolicy p) => new()
+        {
+            LeaveType = p.LeaveType,
+            YearlyDays = p.YearlyDays,
+            AccruesMonthly = p.AccruesMonthly,
+            CarryOverCap = p.CarryOverCap,
+            BlockWhenExceeded = p.BlockWhenExceeded,
+            RequiresAttachment = p.RequiresAttachment,
+            AttachmentOverDays = p.AttachmentOverDays,
+        };
+    }
+}
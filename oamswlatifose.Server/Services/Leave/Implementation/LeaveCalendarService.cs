@@ -0,0 +1,222 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.Leave.Interfaces;
+
+namespace oamswlatifose.Server.Services.Leave.Implementation
+{
+    /// <summary>
+    /// EF-backed team leave calendar. Departments are matched case-insensitively on
+    /// <c>EMEmployees.Department</c>; employees without one are left out of coverage. Coverage is
+    /// counted on every calendar day — weekly offs and holidays are not taken out.
+    /// </summary>
+    public class LeaveCalendarService : ILeaveCalendarService
+    {
+        private readonly ApplicationDbContext _db;
+        private readonly ILogger<LeaveCalendarService> _logger;
+
+        public LeaveCalendarService(ApplicationDbContext db, ILogger<LeaveCalendarService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<LeaveCalendarDTO>> GetCalendarAsync(int year, int month, string? department, int? branchId)
+        {
+            try
+            {
+                if (month < 1 || month > 12 || year < 2000 || year > 2100)
+                    return ServiceResponse<LeaveCalendarDTO>.FailureResult("Invalid month");
+
+                var from = new DateTime(year, month, 1);
+                var to = from.AddMonths(1).AddDays(-1);
+                department = string.IsNullOrWhiteSpace(department) ? null : department.Trim();
+
+                var query = _db.EMLeaveRequests
+                    .Include(r => r.Employee).ThenInclude(e => e.Branch)
+                    .Where(r => (r.Status == "Approved" || r.Status == "Pending") && r.StartDate <= to && r.EndDate >= from);
+                if (department != null)
+                    query = query.Where(r => r.Employee.Department.ToLower() == department.ToLower());
+                if (branchId.HasValue)
+                    query = query.Where(r => r.Employee.BranchId == branchId);
+
+                var rows = await query.OrderBy(r => r.StartDate).ThenBy(r => r.Employee.LastName).ToListAsync();
+
+                var departments = (await LoadDepartmentsAsync())
+                    .Where(d => department == null || Same(d.Department, department))
+                    .ToList();
+
+                return ServiceResponse<LeaveCalendarDTO>.SuccessResult(new LeaveCalendarDTO
+                {
+                    Year = year,
+                    Month = month,
+                    Entries = rows.Select(r => new LeaveCalendarEntryDTO
+                    {
+                        RequestId = r.Id,
+                        EmployeeId = r.EmployeeId,
+                        EmployeeName = $"{r.Employee.FirstName} {r.Employee.LastName}",
+                        Department = r.Employee.Department,
+                        BranchName = r.Employee.Branch?.Name,
+                        LeaveType = r.LeaveType,
+                        Portion = r.Portion,
+                        StartTime = r.StartTime?.ToString(@"hh\:mm"),
+                        EndTime = r.EndTime?.ToString(@"hh\:mm"),
+                        StartDate = r.StartDate.ToString("yyyy-MM-dd"),
+                        EndDate = r.EndDate.ToString("yyyy-MM-dd"),
+                        Status = r.Status,
+                    }).ToList(),
+                    Departments = departments,
+                    ShortDays = await ShortfallsAsync(from, to, departments, null),
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading the leave calendar for {Year}-{Month}", year, month);
+                return ServiceResponse<LeaveCalendarDTO>.FromException(ex, "Failed to load the leave calendar");
+            }
+        }
+
+        public async Task<ServiceResponse<LeaveCoverageDTO>> GetCoverageAsync(EMLeaveRequest request)
+        {
+            try
+            {
+                var name = request.Employee?.Department?.Trim();
+                var dept = string.IsNullOrEmpty(name) ? null : (await LoadDepartmentsAsync()).FirstOrDefault(d => Same(d.Department, name));
+                var result = new LeaveCoverageDTO
+                {
+                    Department = dept?.Department ?? name,
+                    Headcount = dept?.Headcount ?? 0,
+                    MinHeadcount = dept?.MinHeadcount ?? 0,
+                };
+
+                if (dept != null && dept.MinHeadcount > 0 && !LeaveDays.IsPartial(request))
+                    result.ShortDays = await ShortfallsAsync(request.StartDate.Date, request.EndDate.Date, [dept], request);
+
+                return ServiceResponse<LeaveCoverageDTO>.SuccessResult(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error checking coverage for leave request {RequestId}", request.Id);
+                return ServiceResponse<LeaveCoverageDTO>.FromException(ex, "Failed to check department coverage");
+            }
+        }
+
+        public async Task<ServiceResponse<List<DepartmentCoverageDTO>>> GetRulesAsync()
+        {
+            try
+            {
+                return ServiceResponse<List<DepartmentCoverageDTO>>.SuccessResult(await LoadDepartmentsAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error loading department coverage rules");
+                return ServiceResponse<List<DepartmentCoverageDTO>>.FromException(ex, "Failed to load the minimum headcounts");
+            }
+        }
+
+        public async Task<ServiceResponse<List<DepartmentCoverageDTO>>> SaveRulesAsync(List<SaveDepartmentCoverageDTO> rules)
+        {
+            try
+            {
+                rules = (rules ?? []).Where(r => r.MinHeadcount > 0).ToList();
+                if (rules.Any(r => string.IsNullOrWhiteSpace(r.Department)))
+                    return ServiceResponse<List<DepartmentCoverageDTO>>.FailureResult("Every minimum needs a department");
+
+                var clash = rules.GroupBy(r => r.Department.Trim().ToLowerInvariant()).FirstOrDefault(g => g.Count() > 1);
+                if (clash != null)
+                    return ServiceResponse<List<DepartmentCoverageDTO>>.FailureResult($"{clash.First().Department.Trim()} has two minimums — keep one");
+
+                _db.EMDepartmentCoverages.RemoveRange(await _db.EMDepartmentCoverages.ToListAsync());
+                _db.EMDepartmentCoverages.AddRange(rules.Select(r => new EMDepartmentCoverage
+                {
+                    Department = r.Department.Trim(),
+                    MinHeadcount = r.MinHeadcount,
+                    UpdatedAt = DateTime.UtcNow,
+                }));
+                await _db.SaveChangesAsync();
+
+                var result = await GetRulesAsync();
+                result.Message = "Minimum headcounts saved";
+                return result;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving department coverage rules");
+                return ServiceResponse<List<DepartmentCoverageDTO>>.FromException(ex, "Failed to save the minimum headcounts");
+            }
+        }
+
+        private static bool Same(string a, string b) => string.Equals(a.Trim(), b.Trim(), StringComparison.OrdinalIgnoreCase);
+
+        // Departments of active employees plus any with a rule, named as the rule (or first employee) spells them.
+        private async Task<List<DepartmentCoverageDTO>> LoadDepartmentsAsync()
+        {
+            var names = await _db.EMEmployees
+                .Where(e => e.DeactivatedAt == null && e.Department != null && e.Department != "")
+                .Select(e => e.Department)
+                .ToListAsync();
+            var rules = await _db.EMDepartmentCoverages.ToListAsync();
+
+            var headcounts = names.GroupBy(n => n.Trim(), StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.Count(), StringComparer.OrdinalIgnoreCase);
+            var result = rules.Select(r => new DepartmentCoverageDTO
+            {
+                Department = r.Department,
+                Headcount = headcounts.GetValueOrDefault(r.Department),
+                MinHeadcount = r.MinHeadcount,
+            }).ToList();
+            result.AddRange(headcounts
+                .Where(h => !rules.Any(r => Same(r.Department, h.Key)))
+                .Select(h => new DepartmentCoverageDTO { Department = h.Key, Headcount = h.Value }));
+
+            return result.OrderBy(d => d.Department, StringComparer.OrdinalIgnoreCase).ToList();
+        }
+
+        // Days in [from, to] on which a department with a minimum has fewer employees available than
+        // it. With `adding`, the days of that request are checked as if it were approved too.
+        private async Task<List<CoverageShortfallDTO>> ShortfallsAsync(DateTime from, DateTime to, List<DepartmentCoverageDTO> departments, EMLeaveRequest? adding)
+        {
+            var ruled = departments.Where(d => d.MinHeadcount > 0).ToList();
+            if (ruled.Count == 0) return [];
+
+            var employees = await _db.EMEmployees
+                .Where(e => e.DeactivatedAt == null && e.Department != null)
+                .Select(e => new { e.Id, e.Department })
+                .ToDictionaryAsync(e => e.Id, e => e.Department.Trim());
+
+            var approved = await _db.EMLeaveRequests
+                .Where(r => r.Status == "Approved" && r.Portion == "Full" && r.StartDate <= to && r.EndDate >= from)
+                .Select(r => new { r.Id, r.EmployeeId, r.StartDate, r.EndDate })
+                .ToListAsync();
+            var away = approved
+                .Where(r => adding == null || r.Id != adding.Id)
+                .Select(r => (r.EmployeeId, Start: r.StartDate.Date, End: r.EndDate.Date))
+                .ToList();
+            if (adding != null) away.Add((adding.EmployeeId, adding.StartDate.Date, adding.EndDate.Date));
+
+            var result = new List<CoverageShortfallDTO>();
+            for (var day = from; day <= to; day = day.AddDays(1))
+            {
+                foreach (var dept in ruled)
+                {
+                    var off = away
+                        .Where(a => a.Start <= day && a.End >= day && employees.TryGetValue(a.EmployeeId, out var d) && Same(d, dept.Department))
+                        .Select(a => a.EmployeeId)
+                        .Distinct()
+                        .Count();
+                    var available = dept.Headcount - off;
+                    if (available < dept.MinHeadcount)
+                        result.Add(new CoverageShortfallDTO
+                        {
+                            Date = day.ToString("yyyy-MM-dd"),
+                            Department = dept.Department,
+                            Available = available,
+                            MinHeadcount = dept.MinHeadcount,
+                        });
+                }
+            }
+            return result;
+        }
+    }
+}
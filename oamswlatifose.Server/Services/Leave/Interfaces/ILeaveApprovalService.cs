@@ -0,0 +1,41 @@
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.Leave.Interfaces
+{
+    /// <summary>
+    /// Multi-step leave approval. Each request gets the steps of its matching chain
+    /// (EMLeaveApprovalChain) when filed; the steps are decided in order and the request is only
+    /// approved after the last one. A team lead on leave is stood in for by their own lead, or by HR
+    /// when there's nobody up the line.
+    /// </summary>
+    public interface ILeaveApprovalService
+    {
+        Task<ServiceResponse<List<LeaveApprovalChainDTO>>> GetChainsAsync();
+
+        /// <summary>Replaces every chain with <paramref name="chains"/> (requests already filed keep their steps).</summary>
+        Task<ServiceResponse<List<LeaveApprovalChainDTO>>> SaveChainsAsync(List<SaveLeaveApprovalChainDTO> chains);
+
+        /// <summary>
+        /// Adds the steps of the chain matching <paramref name="request"/> to its ApprovalSteps (saved
+        /// with the request). A TeamLead step is skipped when the employee has no team lead.
+        /// </summary>
+        Task StartAsync(EMLeaveRequest request);
+
+        /// <summary>
+        /// Whether the user <paramref name="userId"/> (employee <paramref name="employeeId"/>, role
+        /// <paramref name="roleName"/>) can decide the step <paramref name="request"/> is waiting on —
+        /// never on their own request, nor after deciding an earlier step of it. ApprovalSteps must be loaded.
+        /// </summary>
+        Task<LeaveApprovalCheck> CheckAsync(EMLeaveRequest request, int userId, int employeeId, string roleName);
+
+        /// <summary>
+        /// Records the decision on the checked step and moves the request on: Approved after the last
+        /// step, Rejected at any step, otherwise still Pending on the next one. Not saved.
+        /// </summary>
+        void Apply(EMLeaveRequest request, LeaveApprovalCheck check, bool isApproved, int userId, string note);
+
+        /// <summary>Fills in each row's approval timeline and whether the caller can review it.</summary>
+        Task FillApprovalsAsync(List<LeaveResponseDTO> rows, int userId, int employeeId, string roleName);
+    }
+}
@@ -0,0 +1,30 @@
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.Leave.Interfaces
+{
+    /// <summary>
+    /// Leave entitlements per type (EMLeavePolicy), each employee's balance for a year and the
+    /// manual adjustments HR makes to it. Balances are computed from approved/pending requests on
+    /// every call; nothing is stored except the policies and the adjustments.
+    /// </summary>
+    public interface ILeaveBalanceService
+    {
+        Task<ServiceResponse<List<LeavePolicyDTO>>> GetPoliciesAsync();
+        Task<ServiceResponse<LeavePolicyDTO>> UpdatePolicyAsync(string leaveType, UpdateLeavePolicyDTO dto);
+
+        /// <summary>Balances of every tracked type for <paramref name="asOf"/>'s year, accrued up to that day.</summary>
+        Task<ServiceResponse<List<LeaveBalanceDTO>>> GetBalancesAsync(int employeeId, DateTime asOf);
+        Task<ServiceResponse<List<EmployeeLeaveBalanceDTO>>> GetAllBalancesAsync(int year);
+
+        Task<ServiceResponse<List<LeaveBalanceAdjustmentDTO>>> GetAdjustmentsAsync(int employeeId, int year);
+        Task<ServiceResponse<LeaveBalanceDTO>> AdjustAsync(AdjustLeaveBalanceDTO dto, int adjustedByUserId);
+
+        /// <summary>
+        /// Whether <paramref name="request"/> fits the employee's remaining balance. Used on submit and
+        /// again on approval (<paramref name="ignoreRequestId"/> leaves the request being approved out
+        /// of the pending total). Also reports whether the type's policy wants an attachment for it.
+        /// </summary>
+        Task<LeaveBalanceCheck> CheckRequestAsync(EMLeaveRequest request, int? ignoreRequestId = null);
+    }
+}
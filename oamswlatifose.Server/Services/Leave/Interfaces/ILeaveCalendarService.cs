@@ -0,0 +1,32 @@
+using oamswlatifose.Server.DTO.Leave;
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.Leave.Interfaces
+{
+    /// <summary>
+    /// The team leave calendar and department coverage. A department's coverage on a day is its
+    /// active employees minus those on approved full-day leave; HR sets a minimum per department
+    /// (EMDepartmentCoverage) and reviewers are warned before approving leave that goes below it.
+    /// Half-day and hourly leave don't count against coverage.
+    /// </summary>
+    public interface ILeaveCalendarService
+    {
+        /// <summary>
+        /// Approved and pending leave overlapping the month, optionally for one department and/or
+        /// branch, with the days approved leave already leaves a department short.
+        /// </summary>
+        Task<ServiceResponse<LeaveCalendarDTO>> GetCalendarAsync(int year, int month, string? department, int? branchId);
+
+        /// <summary>
+        /// The days approving <paramref name="request"/> (Employee loaded) would leave its employee's
+        /// department below its minimum headcount.
+        /// </summary>
+        Task<ServiceResponse<LeaveCoverageDTO>> GetCoverageAsync(EMLeaveRequest request);
+
+        /// <summary>Every department with active employees or a minimum, with its headcount and minimum.</summary>
+        Task<ServiceResponse<List<DepartmentCoverageDTO>>> GetRulesAsync();
+
+        /// <summary>Replaces the minimums with <paramref name="rules"/>; a minimum of 0 removes a department's rule.</summary>
+        Task<ServiceResponse<List<DepartmentCoverageDTO>>> SaveRulesAsync(List<SaveDepartmentCoverageDTO> rules);
+    }
+}
@@ -0,0 +1,53 @@
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.Leave
+{
+    /// <summary>
+    /// How many days a leave request counts for — what it is charged against a balance. Full-day
+    /// leave counts the days from start to end (inclusive) the employee was due at work — pass
+    /// <c>isWorkDay</c> from <see cref="Schedule.Interfaces.IWorkScheduleService.WorkDaysAsync"/>, or every
+    /// calendar day counts. AM/PM count half a day, and an hour range its hours over a standard
+    /// 8-hour day.
+    /// </summary>
+    public static class LeaveDays
+    {
+        public const decimal HoursPerDay = 8;
+
+        public static bool IsPartial(EMLeaveRequest r) => r.Portion is "AM" or "PM" or "Hours";
+
+        public static decimal Of(EMLeaveRequest r, Func<DateTime, bool> isWorkDay = null) => InYear(r, null, isWorkDay);
+
+        /// <summary>The part of <paramref name="r"/> falling in <paramref name="year"/> (all of it when null).</summary>
+        public static decimal InYear(EMLeaveRequest r, int? year, Func<DateTime, bool> isWorkDay = null)
+        {
+            if (!IsPartial(r))
+                return Days(r.StartDate, r.EndDate, year, isWorkDay);
+
+            if (year.HasValue && r.StartDate.Year != year.Value) return 0;
+            if (r.Portion != "Hours") return 0.5m;
+            if (!r.StartTime.HasValue || !r.EndTime.HasValue) return 0;
+            return Math.Round((decimal)(r.EndTime.Value - r.StartTime.Value).TotalHours / HoursPerDay, 2);
+        }
+
+        /// <summary>Days from <paramref name="start"/> to <paramref name="end"/> (inclusive) that <paramref name="isWorkDay"/> accepts.</summary>
+        public static decimal Between(DateTime start, DateTime end, Func<DateTime, bool> isWorkDay) =>
+            Days(start, end, null, isWorkDay);
+
+        // Work days of [start, end] (inside `year` when given).
+        private static decimal Days(DateTime start, DateTime end, int? year, Func<DateTime, bool> isWorkDay)
+        {
+            var from = start.Date;
+            var to = end.Date;
+            if (year.HasValue)
+            {
+                if (from < new DateTime(year.Value, 1, 1)) from = new DateTime(year.Value, 1, 1);
+                if (to > new DateTime(year.Value, 12, 31)) to = new DateTime(year.Value, 12, 31);
+            }
+
+            var days = 0;
+            for (var day = from; day <= to; day = day.AddDays(1))
+                if (isWorkDay?.Invoke(day) ?? true) days++;
+            return days;
+        }
+    }
+}
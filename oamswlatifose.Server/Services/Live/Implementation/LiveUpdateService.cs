@@ -0,0 +1,58 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using oamswlatifose.Server.DTO.Live;
+using oamswlatifose.Server.Services.Live.Interfaces;
+
+namespace oamswlatifose.Server.Services.Live.Implementation
+{
+    /// <summary>
+    /// One bounded channel per open connection. Events only live in memory, so with several API
+    /// instances each dashboard sees the changes made through its own instance — the client's
+    /// periodic resync covers the rest.
+    /// </summary>
+    public class LiveUpdateService : ILiveUpdateService
+    {
+        private const int BufferPerListener = 100;
+
+        private readonly ConcurrentDictionary<Guid, Channel<LiveEventDTO>> _listeners = new();
+        private readonly ILogger<LiveUpdateService> _logger;
+
+        public LiveUpdateService(ILogger<LiveUpdateService> logger)
+        {
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public int SubscriberCount => _listeners.Count;
+
+        public ChannelReader<LiveEventDTO> Subscribe(out Guid subscriptionId)
+        {
+            var channel = Channel.CreateBounded<LiveEventDTO>(new BoundedChannelOptions(BufferPerListener)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true,
+                SingleWriter = false
+            });
+            subscriptionId = Guid.NewGuid();
+            _listeners[subscriptionId] = channel;
+            return channel.Reader;
+        }
+
+        public void Unsubscribe(Guid subscriptionId)
+        {
+            if (_listeners.TryRemove(subscriptionId, out var channel))
+                channel.Writer.TryComplete();
+        }
+
+        public void Publish(LiveEventDTO liveEvent)
+        {
+            if (liveEvent == null) return;
+            if (liveEvent.OccurredAt == default) liveEvent.OccurredAt = DateTime.UtcNow;
+
+            foreach (var channel in _listeners.Values)
+                channel.Writer.TryWrite(liveEvent);
+
+            _logger.LogDebug("Live {Type}/{Action} sent to {Count} listener(s)",
+                liveEvent.Type, liveEvent.Action, _listeners.Count);
+        }
+    }
+}
@@ -0,0 +1,23 @@
+using System.Threading.Channels;
+using oamswlatifose.Server.DTO.Live;
+
+namespace oamswlatifose.Server.Services.Live.Interfaces
+{
+    /// <summary>
+    /// In-process fan-out of dashboard changes (clock-ins, verify requests, leave) to every open
+    /// live connection. Registered as a singleton; publishing never blocks — a listener that falls
+    /// behind loses its oldest events and catches up on its next reload.
+    /// </summary>
+    public interface ILiveUpdateService
+    {
+        /// <summary>Opens a listener. Call <see cref="Unsubscribe"/> with the id when the connection ends.</summary>
+        ChannelReader<LiveEventDTO> Subscribe(out Guid subscriptionId);
+
+        void Unsubscribe(Guid subscriptionId);
+
+        /// <summary>Sends an event to every listener. Safe to call from any request.</summary>
+        void Publish(LiveEventDTO liveEvent);
+
+        int SubscriberCount { get; }
+    }
+}
@@ -2,20 +2,55 @@ using Microsoft.EntityFrameworkCore;
 using oamswlatifose.Server.DTO.Schedule;
 using oamswlatifose.Server.Model;
 using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.Leave;
 using oamswlatifose.Server.Services.Schedule.Interfaces;
+using oamswlatifose.Server.Services.WorkEvent;
 using System.Globalization;
+using System.Text.Json;
 
 namespace oamswlatifose.Server.Services.Schedule.Implementation
 {
     /// <summary>
     /// EF-backed work-schedule store. Kept deliberately simple (talks to the DbContext
-    /// directly) — it is a single small table with one active row per employee.
+    /// directly) — two small tables: per-employee schedule versions and the shift templates
+    /// they can be assigned from.
+    /// <para>Shift patterns (per-weekday, overnight, split, rotating) live in <see cref="EMWorkSchedule.ShiftsJson"/>;
+    /// internally every schedule is expanded to a list of <see cref="Shift"/>s whose End is past 24h
+    /// when the shift runs over midnight.</para>
+    /// <para>Saving never rewrites the past: a change is stored as a new version from its effective
+    /// date (today at the earliest), so earlier days keep the hours they were worked under. Deleting
+    /// works the same way (see <see cref="DeleteAsync"/>).</para>
     /// </summary>
     public class WorkScheduleService : IWorkScheduleService
     {
         // System fallback when an employee has no schedule of their own.
         private static readonly TimeSpan DefaultStart = new(9, 0, 0);
+        private static readonly TimeSpan DefaultEnd = new(17, 0, 0);
         private const int DefaultGrace = 5;
+        private const int MaxRotationWeeks = 4;
+
+        private static readonly string[] DayNames = { "Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun" };
+        private static readonly TimeSpan OneDay = TimeSpan.FromDays(1);
+        private static readonly JsonSerializerOptions ShiftJsonOptions = new(JsonSerializerDefaults.Web);
+
+        /// <summary>
+        /// A shift on weekday <paramref name="Day"/> (0 = Mon) of rotation week <paramref name="Week"/>
+        /// (0 = week A). End &gt; Start; End ≥ 24h ⇒ overnight.
+        /// </summary>
+        private sealed record Shift(int Week, int Day, TimeSpan Start, TimeSpan End, int Grace);
+
+        /// <summary>Persisted form of a shift in <see cref="EMWorkSchedule.ShiftsJson"/>.</summary>
+        private sealed class StoredShift
+        {
+            public int Week { get; set; }
+            public string Day { get; set; }
+            public string Start { get; set; }
+            public string End { get; set; }
+            public int Grace { get; set; }
+        }
+
+        /// <summary>Validated hours shared by schedules and templates (pattern is null for a plain shift).</summary>
+        private sealed record Hours(TimeSpan Start, TimeSpan End, int Grace, string WorkDays, List<Shift> Pattern, int RotationWeeks);
 
         private readonly ApplicationDbContext _db;
         private readonly ILogger<WorkScheduleService> _logger;
@@ -30,14 +65,17 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
         {
             try
             {
-                var schedule = await _db.EMWorkSchedules
+                var versions = await _db.EMWorkSchedules
                     .Include(s => s.Employee)
-                    .FirstOrDefaultAsync(s => s.EmployeeId == employeeId && s.IsActive);
+                    .Include(s => s.Template)
+                    .Where(s => s.EmployeeId == employeeId && s.IsActive)
+                    .ToListAsync();
 
+                var schedule = InForce(versions, DateTime.Today);
                 if (schedule == null)
                     return ServiceResponse<WorkScheduleDTO>.FailureResult("No schedule set for this employee");
 
-                return ServiceResponse<WorkScheduleDTO>.SuccessResult(ToDto(schedule));
+                return ServiceResponse<WorkScheduleDTO>.SuccessResult(ToDto(schedule, versions));
             }
             catch (Exception ex)
             {
@@ -46,17 +84,75 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
             }
         }
 
-        public async Task<ServiceResponse<List<WorkScheduleDTO>>> GetAllAsync()
+        public async Task<ServiceResponse<List<WorkScheduleDTO>>> GetHistoryAsync(int employeeId)
+        {
+            try
+            {
+                var versions = await _db.EMWorkSchedules
+                    .Include(s => s.Employee)
+                    .Include(s => s.Template)
+                    .Where(s => s.EmployeeId == employeeId && s.IsActive)
+                    .ToListAsync();
+
+                var ordered = versions
+                    .OrderBy(s => s.EffectiveFrom ?? DateTime.MinValue)
+                    .Select(s => ToDto(s, versions))
+                    .ToList();
+                return ServiceResponse<List<WorkScheduleDTO>>.SuccessResult(ordered);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting schedule history for employee {EmployeeId}", employeeId);
+                return ServiceResponse<List<WorkScheduleDTO>>.FromException(ex, "Failed to get schedule history");
+            }
+        }
+
+        public async Task<ServiceResponse<List<WorkScheduleDTO>>> GetAllHistoryAsync()
         {
             try
             {
-                var schedules = await _db.EMWorkSchedules
+                var versions = await _db.EMWorkSchedules
                     .Include(s => s.Employee)
+                    .Include(s => s.Template)
                     .Where(s => s.IsActive)
+                    .ToListAsync();
+
+                var byEmployee = versions.ToLookup(s => s.EmployeeId);
+                var ordered = versions
                     .OrderBy(s => s.EmployeeId)
+                    .ThenBy(s => s.EffectiveFrom ?? DateTime.MinValue)
+                    .Select(s => ToDto(s, byEmployee[s.EmployeeId]))
+                    .ToList();
+                return ServiceResponse<List<WorkScheduleDTO>>.SuccessResult(ordered);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error getting every schedule history");
+                return ServiceResponse<List<WorkScheduleDTO>>.FromException(ex, "Failed to get schedule history");
+            }
+        }
+
+        public async Task<ServiceResponse<List<WorkScheduleDTO>>> GetAllAsync()
+        {
+            try
+            {
+                var versions = await _db.EMWorkSchedules
+                    .Include(s => s.Employee)
+                    .Include(s => s.Template)
+                    .Where(s => s.IsActive)
                     .ToListAsync();
 
-                return ServiceResponse<List<WorkScheduleDTO>>.SuccessResult(schedules.Select(ToDto).ToList());
+                // One row per employee: the version in force today, or the first upcoming one.
+                var today = DateTime.Today;
+                var schedules = versions
+                    .GroupBy(s => s.EmployeeId)
+                    .Select(g => InForce(g, today) ?? g.Where(s => s.EffectiveFrom > today && !s.EndsSchedule).MinBy(s => s.EffectiveFrom))
+                    .Where(s => s != null)
+                    .OrderBy(s => s.EmployeeId)
+                    .Select(s => ToDto(s, versions))
+                    .ToList();
+
+                return ServiceResponse<List<WorkScheduleDTO>>.SuccessResult(schedules);
             }
             catch (Exception ex)
             {
@@ -76,40 +172,27 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
                 if (employee == null)
                     return ServiceResponse<WorkScheduleDTO>.FailureResult($"Employee {dto.EmployeeId} not found");
 
-                if (!TryParseTime(dto.StartTime, out var start) || !TryParseTime(dto.EndTime, out var end))
-                    return ServiceResponse<WorkScheduleDTO>.FailureResult("Start/End time must be HH:mm (24h)");
-
-                if (end <= start)
-                    return ServiceResponse<WorkScheduleDTO>.FailureResult("End time must be after start time");
+                var error = TryBuildHours(dto.StartTime, dto.EndTime, dto.GraceMinutes, dto.WorkDays, dto.Shifts, dto.RotationWeeks, out var hours);
+                if (error != null)
+                    return ServiceResponse<WorkScheduleDTO>.FailureResult(error);
 
-                var schedule = await _db.EMWorkSchedules
-                    .FirstOrDefaultAsync(s => s.EmployeeId == dto.EmployeeId);
+                error = TryParseEffective(dto.EffectiveFrom, out var effective);
+                if (error != null)
+                    return ServiceResponse<WorkScheduleDTO>.FailureResult(error);
 
-                if (schedule == null)
-                {
-                    schedule = new EMWorkSchedule
-                    {
-                        EmployeeId = dto.EmployeeId.Value,
-                        CreatedAt = DateTime.UtcNow
-                    };
-                    _db.EMWorkSchedules.Add(schedule);
-                }
-                else
-                {
-                    schedule.UpdatedAt = DateTime.UtcNow;
-                }
+                if (dto.RotationStartWeek >= hours.RotationWeeks)
+                    return ServiceResponse<WorkScheduleDTO>.FailureResult("Rotation start week is outside the rotation");
 
-                schedule.StartTime = start;
-                schedule.EndTime = end;
-                schedule.GraceMinutes = dto.GraceMinutes;
-                schedule.WorkDays = string.IsNullOrWhiteSpace(dto.WorkDays) ? "Mon,Tue,Wed,Thu,Fri" : dto.WorkDays.Trim();
-                schedule.IsActive = true;
+                var schedule = await UpsertVersionAsync(dto.EmployeeId.Value, effective);
+                ApplyHours(schedule, hours);
+                schedule.RotationStartWeek = dto.RotationStartWeek;
+                schedule.TemplateId = null;
 
                 await _db.SaveChangesAsync();
 
                 schedule.Employee = employee;
-                _logger.LogInformation("Schedule set for employee {EmployeeId}: {Start}-{End} (+{Grace}m)",
-                    schedule.EmployeeId, dto.StartTime, dto.EndTime, dto.GraceMinutes);
+                _logger.LogInformation("Schedule set for employee {EmployeeId} from {Effective}: {Start}-{End} (+{Grace}m)",
+                    schedule.EmployeeId, effective, dto.StartTime, dto.EndTime, dto.GraceMinutes);
 
                 return ServiceResponse<WorkScheduleDTO>.SuccessResult(ToDto(schedule), "Schedule saved");
             }
@@ -124,16 +207,40 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
         {
             try
             {
-                var schedule = await _db.EMWorkSchedules
-                    .FirstOrDefaultAsync(s => s.EmployeeId == employeeId && s.IsActive);
-                if (schedule == null)
+                var today = DateTime.Today;
+                var versions = await _db.EMWorkSchedules
+                    .Where(s => s.EmployeeId == employeeId && s.IsActive)
+                    .ToListAsync();
+
+                var current = InForce(versions, today);
+                var upcoming = versions.Where(s => s.EffectiveFrom > today).ToList();
+                if (current == null && !upcoming.Any(s => !s.EndsSchedule))
                     return ServiceResponse<bool>.FailureResult("No active schedule found for this employee");
 
-                schedule.IsActive = false;
-                schedule.UpdatedAt = DateTime.UtcNow;
+                // Versions that haven't started yet go; the one in force is ended from today by a
+                // no-schedule version, so past days keep the hours they were graded against.
+                foreach (var schedule in upcoming)
+                {
+                    schedule.IsActive = false;
+                    schedule.UpdatedAt = DateTime.UtcNow;
+                }
+                if (current != null)
+                {
+                    var end = await UpsertVersionAsync(employeeId, today);
+                    end.EndsSchedule = true;
+                    end.StartTime = TimeSpan.Zero;
+                    end.EndTime = TimeSpan.Zero;
+                    end.WorkDays = "";
+                    end.ShiftsJson = null;
+                    end.RotationWeeks = 1;
+                    end.RotationStartWeek = 0;
+                    end.TemplateId = null;
+                    end.IsActive = true;
+                }
+
                 await _db.SaveChangesAsync();
-                _logger.LogInformation("Schedule deactivated for employee {EmployeeId}", employeeId);
-                return ServiceResponse<bool>.SuccessResult(true, "Schedule deleted");
+                _logger.LogInformation("Schedule ended from {Today:yyyy-MM-dd} for employee {EmployeeId}", today, employeeId);
+                return ServiceResponse<bool>.SuccessResult(true, "Schedule deleted — earlier days keep their hours");
             }
             catch (Exception ex)
             {
@@ -142,23 +249,564 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
             }
         }
 
-        public async Task<EMWorkSchedule> GetEntityAsync(int employeeId)
+        public async Task<EMWorkSchedule> GetEntityAsync(int employeeId, DateTime? date = null)
+        {
+            var on = (date ?? DateTime.Today).Date;
+            var schedule = await _db.EMWorkSchedules
+                .Where(s => s.EmployeeId == employeeId && s.IsActive && (s.EffectiveFrom == null || s.EffectiveFrom <= on))
+                .OrderByDescending(s => s.EffectiveFrom.HasValue)
+                .ThenByDescending(s => s.EffectiveFrom)
+                .FirstOrDefaultAsync();
+            return schedule is { EndsSchedule: true } ? null : schedule;
+        }
+
+        public async Task<Dictionary<int, List<EMWorkSchedule>>> GetVersionsAsync(IEnumerable<int> employeeIds)
+        {
+            var ids = employeeIds.Distinct().ToList();
+            var versions = await _db.EMWorkSchedules
+                .Where(s => ids.Contains(s.EmployeeId) && s.IsActive)
+                .ToListAsync();
+            return versions.GroupBy(s => s.EmployeeId).ToDictionary(g => g.Key, g => g.ToList());
+        }
+
+        public EMWorkSchedule VersionOn(IEnumerable<EMWorkSchedule> versions, DateTime date) =>
+            versions == null ? null : InForce(versions, date.Date);
+
+        public async Task<Func<int, DateTime, bool>> WorkDaysAsync(IEnumerable<int> employeeIds, DateTime from, DateTime to)
+        {
+            var ids = employeeIds.Distinct().ToList();
+            var versions = await GetVersionsAsync(ids);
+            var branches = await _db.EMEmployees
+                .Where(e => ids.Contains(e.Id))
+                .ToDictionaryAsync(e => e.Id, e => e.BranchId);
+            var events = await _db.EMWorkEvents
+                .Where(e => e.Date >= from.Date && e.Date <= to.Date)
+                .AsNoTracking()
+                .ToListAsync();
+
+            return (employeeId, day) =>
+            {
+                branches.TryGetValue(employeeId, out var branchId);
+                if (WorkEventDays.On(events, day, branchId) != null)
+                    return false;
+                versions.TryGetValue(employeeId, out var employeeVersions);
+                return ShiftTimesOn(VersionOn(employeeVersions, day), day).Count > 0;
+            };
+        }
+
+        #region Templates
+
+        public async Task<ServiceResponse<List<ShiftTemplateDTO>>> GetTemplatesAsync()
+        {
+            try
+            {
+                var templates = await _db.EMShiftTemplates
+                    .Where(t => t.IsActive)
+                    .OrderBy(t => t.Name)
+                    .ToListAsync();
+
+                // "Assigned" counts employees whose schedule in force today came from the template.
+                var today = DateTime.Today;
+                var current = (await _db.EMWorkSchedules.Where(s => s.IsActive).ToListAsync())
+                    .GroupBy(s => s.EmployeeId)
+                    .Select(g => InForce(g, today))
+                    .Where(s => s?.TemplateId != null)
+                    .GroupBy(s => s.TemplateId.Value)
+                    .ToDictionary(g => g.Key, g => g.Count());
+
+                return ServiceResponse<List<ShiftTemplateDTO>>.SuccessResult(
+                    templates.Select(t => ToDto(t, current.GetValueOrDefault(t.Id))).ToList());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error listing shift templates");
+                return ServiceResponse<List<ShiftTemplateDTO>>.FromException(ex, "Failed to list shift templates");
+            }
+        }
+
+        public async Task<ServiceResponse<ShiftTemplateDTO>> SaveTemplateAsync(SaveShiftTemplateDTO dto)
+        {
+            try
+            {
+                var name = dto.Name?.Trim();
+                if (string.IsNullOrEmpty(name))
+                    return ServiceResponse<ShiftTemplateDTO>.FailureResult("Template name is required");
+
+                var error = TryBuildHours(dto.StartTime, dto.EndTime, dto.GraceMinutes, dto.WorkDays, dto.Shifts, dto.RotationWeeks, out var hours);
+                if (error != null)
+                    return ServiceResponse<ShiftTemplateDTO>.FailureResult(error);
+
+                if (await _db.EMShiftTemplates.AnyAsync(t => t.Name.ToLower() == name.ToLower() && t.Id != (dto.Id ?? 0)))
+                    return ServiceResponse<ShiftTemplateDTO>.FailureResult($"A template named '{name}' already exists");
+
+                EMShiftTemplate template;
+                if (dto.Id is > 0)
+                {
+                    template = await _db.EMShiftTemplates.FirstOrDefaultAsync(t => t.Id == dto.Id && t.IsActive);
+                    if (template == null)
+                        return ServiceResponse<ShiftTemplateDTO>.FailureResult($"Template {dto.Id} not found");
+                    template.UpdatedAt = DateTime.UtcNow;
+                }
+                else
+                {
+                    template = new EMShiftTemplate { CreatedAt = DateTime.UtcNow };
+                    _db.EMShiftTemplates.Add(template);
+                }
+
+                template.Name = name;
+                template.Description = dto.Description?.Trim();
+                template.StartTime = hours.Start;
+                template.EndTime = hours.End;
+                template.GraceMinutes = hours.Grace;
+                template.WorkDays = hours.WorkDays;
+                template.ShiftsJson = hours.Pattern == null ? null : SerializeShifts(hours.Pattern);
+                template.RotationWeeks = hours.RotationWeeks;
+                template.IsActive = true;
+
+                await _db.SaveChangesAsync();
+                _logger.LogInformation("Shift template {TemplateId} '{Name}' saved", template.Id, template.Name);
+
+                return ServiceResponse<ShiftTemplateDTO>.SuccessResult(ToDto(template, 0), "Template saved");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error saving shift template {Name}", dto?.Name);
+                return ServiceResponse<ShiftTemplateDTO>.FromException(ex, "Failed to save shift template");
+            }
+        }
+
+        public async Task<ServiceResponse<bool>> DeleteTemplateAsync(int templateId)
+        {
+            try
+            {
+                var template = await _db.EMShiftTemplates.FirstOrDefaultAsync(t => t.Id == templateId && t.IsActive);
+                if (template == null)
+                    return ServiceResponse<bool>.FailureResult("Template not found");
+
+                // Schedules already assigned keep their own copy of the hours.
+                template.IsActive = false;
+                template.UpdatedAt = DateTime.UtcNow;
+                await _db.SaveChangesAsync();
+                _logger.LogInformation("Shift template {TemplateId} deactivated", templateId);
+                return ServiceResponse<bool>.SuccessResult(true, "Template deleted");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error deleting shift template {TemplateId}", templateId);
+                return ServiceResponse<bool>.FromException(ex, "Failed to delete shift template");
+            }
+        }
+
+        public async Task<ServiceResponse<AssignShiftTemplateResultDTO>> AssignTemplateAsync(AssignShiftTemplateDTO dto)
+        {
+            try
+            {
+                var template = await _db.EMShiftTemplates.FirstOrDefaultAsync(t => t.Id == dto.TemplateId && t.IsActive);
+                if (template == null)
+                    return ServiceResponse<AssignShiftTemplateResultDTO>.FailureResult("Template not found");
+
+                var error = TryParseEffective(dto.EffectiveFrom, out var effective);
+                if (error != null)
+                    return ServiceResponse<AssignShiftTemplateResultDTO>.FailureResult(error);
+                if (dto.RotationStartWeek >= Math.Max(1, template.RotationWeeks))
+                    return ServiceResponse<AssignShiftTemplateResultDTO>.FailureResult("Rotation start week is outside the template's rotation");
+
+                var ids = (dto.EmployeeIds ?? new()).Where(id => id > 0).Distinct().ToList();
+                var department = dto.Department?.Trim();
+                var employees = await _db.EMEmployees
+                    .Where(e => ids.Contains(e.Id)
+                                || (!string.IsNullOrEmpty(department) && e.Department != null && e.Department.ToLower() == department.ToLower()))
+                    .Select(e => e.Id)
+                    .ToListAsync();
+
+                if (employees.Count == 0)
+                    return ServiceResponse<AssignShiftTemplateResultDTO>.FailureResult("No employees matched the selection");
+
+                var missing = ids.Except(employees).ToList();
+                if (missing.Count > 0)
+                    return ServiceResponse<AssignShiftTemplateResultDTO>.FailureResult(
+                        $"Employee(s) not found: {string.Join(", ", missing)}");
+
+                var hours = new Hours(template.StartTime, template.EndTime, template.GraceMinutes, template.WorkDays,
+                    DeserializeShifts(template.ShiftsJson) is { Count: > 0 } p ? p : null, Math.Max(1, template.RotationWeeks));
+
+                var existing = await _db.EMWorkSchedules
+                    .Where(s => employees.Contains(s.EmployeeId) && s.EffectiveFrom == effective)
+                    .ToDictionaryAsync(s => s.EmployeeId);
+
+                foreach (var employeeId in employees)
+                {
+                    if (!existing.TryGetValue(employeeId, out var schedule))
+                    {
+                        schedule = new EMWorkSchedule { EmployeeId = employeeId, EffectiveFrom = effective, CreatedAt = DateTime.UtcNow };
+                        _db.EMWorkSchedules.Add(schedule);
+                    }
+                    else
+                    {
+                        schedule.UpdatedAt = DateTime.UtcNow;
+                    }
+                    ApplyHours(schedule, hours);
+                    schedule.RotationStartWeek = dto.RotationStartWeek;
+                    schedule.TemplateId = template.Id;
+                }
+
+                await _db.SaveChangesAsync();
+                _logger.LogInformation("Shift template {TemplateId} assigned to {Count} employee(s) from {Effective}",
+                    template.Id, employees.Count, effective);
+
+                return ServiceResponse<AssignShiftTemplateResultDTO>.SuccessResult(new AssignShiftTemplateResultDTO
+                {
+                    TotalEmployees = employees.Count,
+                    AssignedCount = employees.Count,
+                    EffectiveFrom = effective.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture),
+                    AssignedEmployeeIds = employees
+                }, $"'{template.Name}' assigned to {employees.Count} employee(s)");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error assigning shift template {TemplateId}", dto?.TemplateId);
+                return ServiceResponse<AssignShiftTemplateResultDTO>.FromException(ex, "Failed to assign shift template");
+            }
+        }
+
+        #endregion
+
+        public string ComputeStatus(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn, EMLeaveRequest partialLeave = null)
+        {
+            var shift = schedule == null ? null : ResolveShift(schedule, date, timeIn);
+            // No schedule, or nothing scheduled that day: grade against the plain start time.
+            var grace = shift?.Grace ?? schedule?.GraceMinutes ?? DefaultGrace;
+            var start = AfterLeave(shift?.Start ?? schedule?.StartTime ?? DefaultStart, grace,
+                LeaveWindow(schedule, date, partialLeave));
+            return timeIn <= start.Add(TimeSpan.FromMinutes(grace)) ? "Present" : "Late";
+        }
+
+        public TimeSpan? FirstShiftStart(EMWorkSchedule schedule, DateTime date)
+        {
+            if (schedule == null)
+                return DayIndex(date) < 5 ? DefaultStart : null;
+
+            var first = ShiftsOn(schedule, ExpandShifts(schedule), date).OrderBy(s => s.Start).FirstOrDefault();
+            return first?.Start;
+        }
+
+        public List<(TimeSpan Start, TimeSpan End)> ShiftTimesOn(EMWorkSchedule schedule, DateTime date)
+        {
+            if (schedule == null)
+                return DayIndex(date) < 5 ? [(DefaultStart, DefaultEnd)] : [];
+
+            return ShiftsOn(schedule, ExpandShifts(schedule), date).OrderBy(s => s.Start).Select(s => (s.Start, s.End)).ToList();
+        }
+
+        public TimeSpan ExpectedStart(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn, EMLeaveRequest partialLeave = null)
+        {
+            var shift = schedule == null ? null : ResolveShift(schedule, date, timeIn);
+            var grace = shift?.Grace ?? schedule?.GraceMinutes ?? DefaultGrace;
+            return AfterLeave(shift?.Start ?? schedule?.StartTime ?? DefaultStart, grace,
+                LeaveWindow(schedule, date, partialLeave));
+        }
+
+        public (TimeSpan From, TimeSpan To)? LeaveWindow(EMWorkSchedule schedule, DateTime date, EMLeaveRequest leave)
+        {
+            if (leave == null || !LeaveDays.IsPartial(leave)) return null;
+            if (leave.Portion == "Hours")
+                return leave.StartTime.HasValue && leave.EndTime.HasValue ? (leave.StartTime.Value, leave.EndTime.Value) : null;
+
+            var shifts = ShiftTimesOn(schedule, date);
+            if (shifts.Count == 0) return null;
+
+            // Split the working day at its midpoint; a midpoint in a split-shift break splits at the break.
+            var dayStart = shifts[0].Start;
+            var dayEnd = shifts.Max(s => s.End);
+            var middle = dayStart.Add(TimeSpan.FromMinutes(Math.Round((dayEnd - dayStart).TotalMinutes / 2, MidpointRounding.AwayFromZero)));
+            var (amEnd, pmStart) = (middle, middle);
+            for (var i = 1; i < shifts.Count; i++)
+            {
+                var breakStart = shifts.Take(i).Max(s => s.End);
+                if (breakStart <= middle && middle < shifts[i].Start)
+                {
+                    (amEnd, pmStart) = (breakStart, shifts[i].Start);
+                    break;
+                }
+            }
+            return leave.Portion == "AM" ? (dayStart, amEnd) : (pmStart, dayEnd);
+        }
+
+        // Leave that covers the start of the shift (within its grace) moves the start to when the leave ends.
+        private static TimeSpan AfterLeave(TimeSpan start, int grace, (TimeSpan From, TimeSpan To)? window) =>
+            window is { } w && w.From <= start.Add(TimeSpan.FromMinutes(grace)) && w.To > start ? w.To : start;
+
+        public bool EndsNextDay(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn)
+        {
+            var shift = schedule == null ? null : ResolveShift(schedule, date, timeIn);
+            return shift != null && shift.End > OneDay;
+        }
+
+        /// <summary>
+        /// The shift a clock-in at <paramref name="timeIn"/> on <paramref name="date"/> belongs to, with
+        /// Start/End relative to that date's midnight (last night's overnight shift has a negative Start).
+        /// Picks the current or next shift; after the day's last shift has ended, that last shift.
+        /// </summary>
+        private static Shift ResolveShift(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn)
+        {
+            var shifts = ExpandShifts(schedule);
+            var previous = date.AddDays(-1);
+
+            var candidates = ShiftsOn(schedule, shifts, previous)
+                .Where(s => s.End > OneDay)
+                .Select(s => s with { Start = s.Start - OneDay, End = s.End - OneDay })
+                .Concat(ShiftsOn(schedule, shifts, date))
+                .OrderBy(s => s.Start)
+                .ToList();
+
+            if (candidates.Count == 0) return null;
+            return candidates.FirstOrDefault(s => s.End > timeIn) ?? candidates[^1];
+        }
+
+        // Shifts starting on `date`: its weekday, in the rotation week that date falls in.
+        private static IEnumerable<Shift> ShiftsOn(EMWorkSchedule schedule, List<Shift> shifts, DateTime date)
+        {
+            var week = RotationWeek(schedule, date);
+            var day = DayIndex(date);
+            return shifts.Where(s => s.Day == day && s.Week == week);
+        }
+
+        private static int RotationWeek(EMWorkSchedule s, DateTime date)
+        {
+            var cycle = Math.Max(1, s.RotationWeeks);
+            if (cycle == 1) return 0;
+            var weeks = (int)Math.Floor((MondayOf(date) - RotationAnchor(s)).TotalDays / 7);
+            return ((weeks + s.RotationStartWeek) % cycle + cycle) % cycle;
+        }
+
+        private static DateTime RotationAnchor(EMWorkSchedule s) => MondayOf(s.EffectiveFrom ?? s.CreatedAt.Date);
+
+        private static DateTime MondayOf(DateTime date) => date.Date.AddDays(-DayIndex(date));
+
+        /// <summary>Every shift in the cycle: the stored pattern, or the plain shift on each work day.</summary>
+        private static List<Shift> ExpandShifts(EMWorkSchedule s) =>
+            ExpandShifts(s.ShiftsJson, s.WorkDays, s.StartTime, s.EndTime, s.GraceMinutes);
+
+        private static List<Shift> ExpandShifts(string shiftsJson, string workDays, TimeSpan start, TimeSpan end, int grace)
+        {
+            var pattern = DeserializeShifts(shiftsJson);
+            if (pattern.Count > 0) return pattern;
+
+            return (workDays ?? "")
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(d => Array.IndexOf(DayNames, d))
+                .Where(i => i >= 0)
+                .Distinct()
+                .OrderBy(i => i)
+                .Select(i => MakeShift(0, i, start, end, grace))
+                .ToList();
+        }
+
+        private static Shift MakeShift(int week, int day, TimeSpan start, TimeSpan end, int grace) =>
+            new(week, day, start, end <= start ? end + OneDay : end, grace);
+
+        // The active version for `date` among an employee's versions (null EffectiveFrom = since always);
+        // null when there's none or the latest one ends the schedule.
+        private static EMWorkSchedule InForce(IEnumerable<EMWorkSchedule> versions, DateTime date)
+        {
+            var schedule = versions
+                .Where(s => s.IsActive && (s.EffectiveFrom == null || s.EffectiveFrom <= date))
+                .OrderByDescending(s => s.EffectiveFrom ?? DateTime.MinValue)
+                .FirstOrDefault();
+            return schedule is { EndsSchedule: true } ? null : schedule;
+        }
+
+        /// <summary>
+        /// The employee's version starting on <paramref name="effective"/> — reused (and reactivated)
+        /// when one exists, otherwise a new row.
+        /// </summary>
+        private async Task<EMWorkSchedule> UpsertVersionAsync(int employeeId, DateTime effective)
+        {
+            var schedule = await _db.EMWorkSchedules
+                .FirstOrDefaultAsync(s => s.EmployeeId == employeeId && s.EffectiveFrom == effective);
+
+            if (schedule == null)
+            {
+                schedule = new EMWorkSchedule
+                {
+                    EmployeeId = employeeId,
+                    EffectiveFrom = effective,
+                    CreatedAt = DateTime.UtcNow
+                };
+                _db.EMWorkSchedules.Add(schedule);
+            }
+            else
+            {
+                schedule.UpdatedAt = DateTime.UtcNow;
+            }
+            return schedule;
+        }
+
+        private static void ApplyHours(EMWorkSchedule schedule, Hours hours)
+        {
+            schedule.StartTime = hours.Start;
+            schedule.EndTime = hours.End;
+            schedule.GraceMinutes = hours.Grace;
+            schedule.WorkDays = hours.WorkDays;
+            schedule.ShiftsJson = hours.Pattern == null ? null : SerializeShifts(hours.Pattern);
+            schedule.RotationWeeks = hours.RotationWeeks;
+            schedule.EndsSchedule = false;
+            schedule.IsActive = true;
+        }
+
+        /// <summary>
+        /// Validates submitted hours (plain start/end, or a shift pattern) into <see cref="Hours"/>;
+        /// returns an error message or null.
+        /// </summary>
+        private static string TryBuildHours(string startTime, string endTime, int grace, string workDays,
+            List<WorkShiftDTO> shifts, int rotationWeeks, out Hours hours)
+        {
+            hours = null;
+            if (!TryParseTime(startTime, out var start) || !TryParseTime(endTime, out var end))
+                return "Start/End time must be HH:mm (24h)";
+
+            // End before start is an overnight shift (e.g. 22:00–06:00); only equal times are invalid.
+            if (end == start)
+                return "End time must differ from start time";
+
+            if (rotationWeeks is < 1 or > MaxRotationWeeks)
+                return $"Rotation must be between 1 and {MaxRotationWeeks} weeks";
+
+            if (shifts is not { Count: > 0 })
+            {
+                if (rotationWeeks > 1)
+                    return "A rotating schedule needs its shifts listed per week";
+                var days = string.IsNullOrWhiteSpace(workDays) ? "Mon,Tue,Wed,Thu,Fri" : workDays.Trim();
+                hours = new Hours(start, end, grace, days, null, 1);
+                return null;
+            }
+
+            var patternError = TryBuildPattern(shifts, rotationWeeks, out var pattern);
+            if (patternError != null)
+                return patternError;
+
+            // Keep the plain columns in step with the pattern (first shift, days worked)
+            // for anything that still reads them directly.
+            var first = pattern[0];
+            hours = new Hours(first.Start, TimeOfDay(first.End), first.Grace,
+                string.Join(",", pattern.Select(p => p.Day).Distinct().OrderBy(d => d).Select(d => DayNames[d])),
+                pattern, rotationWeeks);
+            return null;
+        }
+
+        /// <summary>Validates a submitted pattern; returns an error message or null.</summary>
+        private static string TryBuildPattern(List<WorkShiftDTO> input, int rotationWeeks, out List<Shift> pattern)
         {
-            return await _db.EMWorkSchedules
-                .FirstOrDefaultAsync(s => s.EmployeeId == employeeId && s.IsActive);
+            pattern = new List<Shift>();
+            foreach (var dto in input)
+            {
+                var day = Array.IndexOf(DayNames, dto?.Day?.Trim());
+                if (day < 0)
+                    return $"Unknown shift day '{dto?.Day}' (use Mon–Sun)";
+                var label = rotationWeeks > 1 ? $"Week {WeekLetter(dto.Week)} {DayNames[day]}" : DayNames[day];
+                if (dto.Week < 0 || dto.Week >= rotationWeeks)
+                    return $"{DayNames[day]}: shift week is outside the {rotationWeeks}-week rotation";
+                if (!TryParseTime(dto.StartTime, out var start) || !TryParseTime(dto.EndTime, out var end))
+                    return $"{label}: shift times must be HH:mm (24h)";
+                if (start == end)
+                    return $"{label}: shift end must differ from its start";
+                if (dto.GraceMinutes is < 0 or > 120)
+                    return $"{label}: grace minutes must be between 0 and 120";
+                pattern.Add(MakeShift(dto.Week, day, start, end, dto.GraceMinutes));
+            }
+
+            pattern = pattern.OrderBy(p => p.Week).ThenBy(p => p.Day).ThenBy(p => p.Start).ToList();
+
+            // Overlap check on a Mon 00:00-based timeline over the whole cycle, including the last
+            // Sunday night running into the first Monday.
+            var cycle = TimeSpan.FromDays(7 * rotationWeeks);
+            var timeline = pattern
+                .Select(p => (Shift: p, From: p.Start + TimeSpan.FromDays(p.Week * 7 + p.Day), To: p.End + TimeSpan.FromDays(p.Week * 7 + p.Day)))
+                .ToList();
+            for (var i = 0; i < timeline.Count && timeline.Count > 1; i++)
+            {
+                var next = i + 1 < timeline.Count ? timeline[i + 1] : timeline[0];
+                var nextFrom = i + 1 < timeline.Count ? next.From : next.From + cycle;
+                if (timeline[i].To > nextFrom)
+                    return $"{ShiftName(timeline[i].Shift, rotationWeeks)} shift overlaps the {ShiftName(next.Shift, rotationWeeks)} shift";
+            }
+            return null;
         }
 
-        public string ComputeStatus(EMWorkSchedule schedule, TimeSpan timeIn)
+        private static string WeekLetter(int week) => ((char)('A' + week)).ToString();
+
+        private static string ShiftName(Shift s, int rotationWeeks) =>
+            $"{(rotationWeeks > 1 ? $"week {WeekLetter(s.Week)} " : "")}{DayNames[s.Day]} {Fmt(s.Start)}";
+
+        private static string TryParseEffective(string value, out DateTime effective)
+        {
+            effective = DateTime.Today;
+            if (string.IsNullOrWhiteSpace(value)) return null;
+            if (!DateTime.TryParseExact(value.Trim(), "yyyy-MM-dd", CultureInfo.InvariantCulture, DateTimeStyles.None, out effective))
+                return "Effective date must be yyyy-MM-dd";
+            // Past days were graded against the schedule in force then — changes only apply going forward.
+            if (effective < DateTime.Today)
+                return "Effective date cannot be in the past";
+            return null;
+        }
+
+        private static string SerializeShifts(List<Shift> pattern) =>
+            JsonSerializer.Serialize(pattern.Select(p => new StoredShift
+            {
+                Week = p.Week,
+                Day = DayNames[p.Day],
+                Start = Fmt(p.Start),
+                End = Fmt(p.End),
+                Grace = p.Grace
+            }), ShiftJsonOptions);
+
+        private static List<Shift> DeserializeShifts(string json)
         {
-            var start = schedule?.StartTime ?? DefaultStart;
-            var grace = schedule?.GraceMinutes ?? DefaultGrace;
-            var lateAfter = start.Add(TimeSpan.FromMinutes(grace));
-            return timeIn <= lateAfter ? "Present" : "Late";
+            if (string.IsNullOrWhiteSpace(json)) return new();
+            try
+            {
+                var raw = JsonSerializer.Deserialize<List<StoredShift>>(json, ShiftJsonOptions) ?? new();
+                var shifts = new List<Shift>();
+                foreach (var r in raw)
+                {
+                    var day = Array.IndexOf(DayNames, r.Day);
+                    if (day >= 0 && TryParseTime(r.Start, out var start) && TryParseTime(r.End, out var end) && start != end)
+                        shifts.Add(MakeShift(Math.Max(0, r.Week), day, start, end, r.Grace));
+                }
+                return shifts.OrderBy(p => p.Week).ThenBy(p => p.Day).ThenBy(p => p.Start).ToList();
+            }
+            catch (JsonException)
+            {
+                return new();
+            }
         }
 
-        private static WorkScheduleDTO ToDto(EMWorkSchedule s)
+        // Monday-first weekday index, matching DayNames.
+        private static int DayIndex(DateTime date) => ((int)date.DayOfWeek + 6) % 7;
+
+        private static TimeSpan TimeOfDay(TimeSpan t) => TimeSpan.FromTicks(t.Ticks % OneDay.Ticks);
+
+        private static string FmtDate(DateTime? d) => d?.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture);
+
+        private static List<WorkShiftDTO> ToShiftDtos(List<Shift> shifts) =>
+            shifts.Select(p => new WorkShiftDTO
+            {
+                Week = p.Week,
+                Day = DayNames[p.Day],
+                StartTime = Fmt(p.Start),
+                EndTime = Fmt(p.End),
+                GraceMinutes = p.Grace,
+                Overnight = p.End > OneDay,
+                LateAfter = Fmt(p.Start.Add(TimeSpan.FromMinutes(p.Grace)))
+            }).ToList();
+
+        /// <param name="versions">The employee's other versions, used to report the next scheduled change.</param>
+        private static WorkScheduleDTO ToDto(EMWorkSchedule s, IEnumerable<EMWorkSchedule> versions = null)
         {
             var lateAfter = s.StartTime.Add(TimeSpan.FromMinutes(s.GraceMinutes));
+            var next = versions?
+                .Where(v => v.EmployeeId == s.EmployeeId && v.IsActive && v.EffectiveFrom > (s.EffectiveFrom ?? DateTime.MinValue))
+                .Min(v => v.EffectiveFrom);
             return new WorkScheduleDTO
             {
                 Id = s.Id,
@@ -169,10 +817,36 @@ namespace oamswlatifose.Server.Services.Schedule.Implementation
                 GraceMinutes = s.GraceMinutes,
                 WorkDays = s.WorkDays,
                 IsActive = s.IsActive,
-                LateAfter = Fmt(lateAfter)
+                LateAfter = Fmt(lateAfter),
+                UsesShiftPattern = DeserializeShifts(s.ShiftsJson).Count > 0,
+                Shifts = ToShiftDtos(ExpandShifts(s)),
+                EffectiveFrom = FmtDate(s.EffectiveFrom),
+                NextEffectiveFrom = FmtDate(next),
+                RotationWeeks = Math.Max(1, s.RotationWeeks),
+                RotationAnchor = FmtDate(RotationAnchor(s)),
+                RotationStartWeek = s.RotationStartWeek,
+                TemplateId = s.TemplateId,
+                TemplateName = s.Template?.Name,
+                EndsSchedule = s.EndsSchedule
             };
         }
 
+        private static ShiftTemplateDTO ToDto(EMShiftTemplate t, int assignedCount) => new()
+        {
+            Id = t.Id,
+            Name = t.Name,
+            Description = t.Description,
+            StartTime = Fmt(t.StartTime),
+            EndTime = Fmt(t.EndTime),
+            GraceMinutes = t.GraceMinutes,
+            WorkDays = t.WorkDays,
+            RotationWeeks = Math.Max(1, t.RotationWeeks),
+            UsesShiftPattern = DeserializeShifts(t.ShiftsJson).Count > 0,
+            Shifts = ToShiftDtos(ExpandShifts(t.ShiftsJson, t.WorkDays, t.StartTime, t.EndTime, t.GraceMinutes)),
+            AssignedCount = assignedCount
+        };
+
+        // "HH:mm" of the time of day (a shift end past midnight prints as the next day's clock time).
         private static string Fmt(TimeSpan t) => t.ToString(@"hh\:mm", CultureInfo.InvariantCulture);
 
         private static bool TryParseTime(string value, out TimeSpan time)
@@ -4,30 +4,116 @@ using oamswlatifose.Server.Model.occurance;
 namespace oamswlatifose.Server.Services.Schedule.Interfaces
 {
     /// <summary>
-    /// Manages per-employee work schedules. The schedule's start time + grace window is the
-    /// reference attendance is graded against (see <see cref="ComputeStatus"/>).
+    /// Manages per-employee work schedules and the shift templates they can be assigned from.
+    /// The schedule's start time + grace window is the reference attendance is graded against
+    /// (see <see cref="ComputeStatus"/>). Schedules are versioned by effective date.
     /// </summary>
     public interface IWorkScheduleService
     {
-        /// <summary>Gets the active schedule for an employee, or a failure result if none is set.</summary>
+        /// <summary>Gets the schedule in force today for an employee, or a failure result if none is set.</summary>
         Task<ServiceResponse<WorkScheduleDTO>> GetByEmployeeAsync(int employeeId);
 
-        /// <summary>Lists every employee's active schedule (admin view).</summary>
+        /// <summary>Every active version of an employee's schedule, oldest first (past, current and upcoming).</summary>
+        Task<ServiceResponse<List<WorkScheduleDTO>>> GetHistoryAsync(int employeeId);
+
+        /// <summary>Every active version of every employee's schedule, by employee and oldest first.</summary>
+        Task<ServiceResponse<List<WorkScheduleDTO>>> GetAllHistoryAsync();
+
+        /// <summary>Lists every employee's current schedule (admin view); upcoming-only employees show their first version.</summary>
         Task<ServiceResponse<List<WorkScheduleDTO>>> GetAllAsync();
 
-        /// <summary>Creates or updates (upserts) the schedule for an employee.</summary>
+        /// <summary>
+        /// Saves the schedule for an employee as the version starting on the DTO's effective date
+        /// (today by default), updating that version if it already exists.
+        /// </summary>
         Task<ServiceResponse<WorkScheduleDTO>> SetAsync(SetWorkScheduleDTO dto);
 
-        /// <summary>Soft-deletes (deactivates) a schedule for an employee.</summary>
+        /// <summary>
+        /// Removes an employee's schedule from today on: versions not yet in force are deactivated and
+        /// the current one is ended by a version with <see cref="EMWorkSchedule.EndsSchedule"/> set, so
+        /// past days are never re-graded.
+        /// </summary>
         Task<ServiceResponse<bool>> DeleteAsync(int employeeId);
 
-        /// <summary>The raw active schedule entity (or null) — used by the clock-in verifier.</summary>
-        Task<EMWorkSchedule> GetEntityAsync(int employeeId);
+        /// <summary>
+        /// The raw schedule entity in force on <paramref name="date"/> (today when omitted), or null —
+        /// used by the clock-in verifier.
+        /// </summary>
+        Task<EMWorkSchedule> GetEntityAsync(int employeeId, DateTime? date = null);
+
+        /// <summary>
+        /// Every active version of the given employees' schedules, keyed by employee — pair with
+        /// <see cref="VersionOn"/> to walk a date range without a query per day.
+        /// </summary>
+        Task<Dictionary<int, List<EMWorkSchedule>>> GetVersionsAsync(IEnumerable<int> employeeIds);
+
+        /// <summary>The version in force on <paramref name="date"/> among <paramref name="versions"/>, or null.</summary>
+        EMWorkSchedule VersionOn(IEnumerable<EMWorkSchedule> versions, DateTime date);
+
+        /// <summary>
+        /// (employeeId, day) → whether that employee was due at work that day, for days from
+        /// <paramref name="from"/> to <paramref name="to"/>: a shift starts then under the version in
+        /// force, and no work event covers it (see WorkEventDays). What full-day leave is charged for.
+        /// </summary>
+        Task<Func<int, DateTime, bool>> WorkDaysAsync(IEnumerable<int> employeeIds, DateTime from, DateTime to);
+
+        /// <summary>Lists the active shift templates with how many employees currently use each.</summary>
+        Task<ServiceResponse<List<ShiftTemplateDTO>>> GetTemplatesAsync();
+
+        /// <summary>Creates (no Id) or updates a shift template. Already-assigned schedules are not touched.</summary>
+        Task<ServiceResponse<ShiftTemplateDTO>> SaveTemplateAsync(SaveShiftTemplateDTO dto);
+
+        /// <summary>Soft-deletes a shift template; schedules assigned from it keep their hours.</summary>
+        Task<ServiceResponse<bool>> DeleteTemplateAsync(int templateId);
+
+        /// <summary>
+        /// Copies a template into the schedules of the selected employees and/or a whole department,
+        /// as a new version from the effective date.
+        /// </summary>
+        Task<ServiceResponse<AssignShiftTemplateResultDTO>> AssignTemplateAsync(AssignShiftTemplateDTO dto);
+
+        /// <summary>
+        /// Grades a clock-in on <paramref name="date"/> against the shift it belongs to: "Present" if
+        /// at/before that shift's start + grace, else "Late". The shift is the current or next one that
+        /// day (including last night's overnight shift while it is still running). When
+        /// <paramref name="schedule"/> is null, falls back to the system default (09:00 + 5m).
+        /// When <paramref name="partialLeave"/> (an approved half-day or hourly leave that day) covers
+        /// the shift's start, lateness counts from when the leave ends instead.
+        /// </summary>
+        string ComputeStatus(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn, EMLeaveRequest partialLeave = null);
+
+        /// <summary>
+        /// Start of the first shift beginning on <paramref name="date"/>, or null when the employee isn't
+        /// scheduled that day. With no schedule the system default applies (Mon–Fri from 09:00).
+        /// </summary>
+        TimeSpan? FirstShiftStart(EMWorkSchedule schedule, DateTime date);
+
+        /// <summary>
+        /// Every shift starting on <paramref name="date"/>, earliest first, as times from that date's
+        /// midnight (an overnight shift's End is past 24h). With no schedule the system default
+        /// applies (Mon–Fri 09:00–17:00).
+        /// </summary>
+        List<(TimeSpan Start, TimeSpan End)> ShiftTimesOn(EMWorkSchedule schedule, DateTime date);
+
+        /// <summary>
+        /// Start of the shift a clock-in belongs to, as picked by <see cref="ComputeStatus"/> — what
+        /// minutes late are measured from (the leave's end when <paramref name="partialLeave"/> covers
+        /// the start). Negative for last night's overnight shift.
+        /// </summary>
+        TimeSpan ExpectedStart(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn, EMLeaveRequest partialLeave = null);
+
+        /// <summary>
+        /// The hours <paramref name="leave"/> takes off <paramref name="date"/>, or null for full-day
+        /// leave. AM/PM split the working day — first shift's start to last shift's end (Mon–Fri
+        /// 09:00–17:00 with no schedule) — at its midpoint, or at the split-shift break the midpoint
+        /// falls in; hourly leave uses its own range.
+        /// </summary>
+        (TimeSpan From, TimeSpan To)? LeaveWindow(EMWorkSchedule schedule, DateTime date, EMLeaveRequest leave);
 
         /// <summary>
-        /// Grades a clock-in against a schedule: "Present" if at/before start + grace, else "Late".
-        /// When <paramref name="schedule"/> is null, falls back to the system default (09:00 + 5m).
+        /// True when a clock-in on <paramref name="date"/> at <paramref name="timeIn"/> falls in a shift
+        /// that runs past midnight — its clock-out then lands on the following calendar day.
         /// </summary>
-        string ComputeStatus(EMWorkSchedule schedule, TimeSpan timeIn);
+        bool EndsNextDay(EMWorkSchedule schedule, DateTime date, TimeSpan timeIn);
     }
 }
@@ -3,6 +3,7 @@ using oamswlatifose.Server.DTO.User;
 using oamswlatifose.Server.Model;
 using oamswlatifose.Server.Model.security;
 using oamswlatifose.Server.Model.user;
+using oamswlatifose.Server.Services.Authentication.Interfaces;
 using oamswlatifose.Server.Services.UserProvisioning.Interfaces;
 using oamswlatifose.Server.Utilities.Security;
 
@@ -12,11 +13,13 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
     public class UserProvisioningService : IUserProvisioningService
     {
         private readonly ApplicationDbContext _db;
+        private readonly ITwoFactorService _twoFactorService;
         private readonly ILogger<UserProvisioningService> _logger;
 
-        public UserProvisioningService(ApplicationDbContext db, ILogger<UserProvisioningService> logger)
+        public UserProvisioningService(ApplicationDbContext db, ITwoFactorService twoFactorService, ILogger<UserProvisioningService> logger)
         {
             _db = db ?? throw new ArgumentNullException(nameof(db));
+            _twoFactorService = twoFactorService ?? throw new ArgumentNullException(nameof(twoFactorService));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
@@ -41,6 +44,9 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
                     EmployeeName = u.Employee != null ? $"{u.Employee.FirstName} {u.Employee.LastName}" : null,
                     Department = u.Employee?.Department,
                     IsActive = u.IsActive,
+                    RequireTwoFactor = u.RequireTwoFactor,
+                    TwoFactorRequiredByAdmin = u.TwoFactorRequiredByAdmin,
+                    TwoFactorRequiredByRole = _twoFactorService.IsRequiredByRole(u.Role?.RoleName),
                     CreatedAtFormatted = u.CreatedAt.ToString("yyyy-MM-dd HH:mm"),
                     HiredAtFormatted = u.Employee?.HiredAt?.ToString("yyyy-MM-dd") ?? u.Employee?.CreatedAt.ToString("yyyy-MM-dd"),
                 }).ToList();
@@ -74,26 +80,42 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
                 if (role == null)
                     return ServiceResponse<UserAccountSummaryDTO>.FailureResult("Selected role does not exist");
 
-                // Next employee badge number (EmployeeID is required + unique).
-                var maxBadge = await _db.EMEmployees.AnyAsync()
-                    ? await _db.EMEmployees.MaxAsync(e => e.EmployeeID)
-                    : 1000;
-
-                var employee = new EMEmployees
+                EMEmployees employee;
+                if (dto.EmployeeId.HasValue)
                 {
-                    EmployeeID = maxBadge + 1,
-                    FirstName = dto.FirstName.Trim(),
-                    LastName = dto.LastName.Trim(),
-                    Email = email,
-                    Phone = dto.Phone?.Trim() ?? "",
-                    Position = dto.Position?.Trim() ?? "",
-                    Department = dto.Department?.Trim() ?? "",
-                    City = "",
-                    CreatedAt = DateTime.UtcNow,
-                    UpdatedAt = DateTime.UtcNow,
-                };
-                _db.EMEmployees.Add(employee);
-                await _db.SaveChangesAsync();
+                    employee = await _db.EMEmployees
+                        .Include(e => e.UserAccount)
+                        .FirstOrDefaultAsync(e => e.Id == dto.EmployeeId.Value);
+                    if (employee == null)
+                        return ServiceResponse<UserAccountSummaryDTO>.FailureResult("Employee not found");
+                    if (employee.UserAccount != null)
+                        return ServiceResponse<UserAccountSummaryDTO>.FailureResult("That employee already has an account");
+                    if (employee.DeactivatedAt != null)
+                        return ServiceResponse<UserAccountSummaryDTO>.FailureResult("That employee is deactivated — reactivate them first");
+                }
+                else
+                {
+                    // Next employee badge number (EmployeeID is required + unique).
+                    var maxBadge = await _db.EMEmployees.AnyAsync()
+                        ? await _db.EMEmployees.MaxAsync(e => e.EmployeeID)
+                        : 1000;
+
+                    employee = new EMEmployees
+                    {
+                        EmployeeID = maxBadge + 1,
+                        FirstName = dto.FirstName.Trim(),
+                        LastName = dto.LastName.Trim(),
+                        Email = email,
+                        Phone = dto.Phone?.Trim() ?? "",
+                        Position = dto.Position?.Trim() ?? "",
+                        Department = dto.Department?.Trim() ?? "",
+                        City = "",
+                        CreatedAt = DateTime.UtcNow,
+                        UpdatedAt = DateTime.UtcNow,
+                    };
+                    _db.EMEmployees.Add(employee);
+                    await _db.SaveChangesAsync();
+                }
 
                 var (hash, salt) = PasswordHasher.HashPassword(dto.Password);
                 var account = new EMAuthorizeruser
@@ -127,6 +149,7 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
                     EmployeeName = $"{employee.FirstName} {employee.LastName}",
                     Department = employee.Department,
                     IsActive = true,
+                    TwoFactorRequiredByRole = _twoFactorService.IsRequiredByRole(role.RoleName),
                     CreatedAtFormatted = account.CreatedAt.ToString("yyyy-MM-dd HH:mm"),
                 }, $"User '{username}' created");
             }
@@ -169,6 +192,7 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
                 account.Email = dto.Email?.Trim() ?? account.Email;
                 account.RoleId = role.Id;
                 account.IsActive = dto.IsActive;
+                account.TwoFactorRequiredByAdmin = dto.TwoFactorRequiredByAdmin;
 
                 if (!string.IsNullOrWhiteSpace(dto.NewPassword))
                 {
@@ -192,6 +216,9 @@ namespace oamswlatifose.Server.Services.UserProvisioning.Implementation
                     EmployeeName = account.Employee != null ? $"{account.Employee.FirstName} {account.Employee.LastName}" : null,
                     Department = account.Employee?.Department,
                     IsActive = account.IsActive,
+                    RequireTwoFactor = account.RequireTwoFactor,
+                    TwoFactorRequiredByAdmin = account.TwoFactorRequiredByAdmin,
+                    TwoFactorRequiredByRole = _twoFactorService.IsRequiredByRole(role.RoleName),
                     CreatedAtFormatted = account.CreatedAt.ToString("yyyy-MM-dd HH:mm"),
                 }, "User updated");
             }
@@ -0,0 +1,136 @@
+using Microsoft.EntityFrameworkCore;
+using oamswlatifose.Server.DTO.WorkEvent;
+using oamswlatifose.Server.Model;
+using oamswlatifose.Server.Model.occurance;
+using oamswlatifose.Server.Services.WorkEvent.Interfaces;
+
+namespace oamswlatifose.Server.Services.WorkEvent.Implementation
+{
+    /// <summary>EF-backed work events.</summary>
+    public class WorkEventService : IWorkEventService
+    {
+        // Refused above this many rows per import (a country's holidays for a few years fit easily).
+        public const int MaxImportRows = 500;
+
+        private readonly ApplicationDbContext _db;
+        private readonly ILogger<WorkEventService> _logger;
+
+        public WorkEventService(ApplicationDbContext db, ILogger<WorkEventService> logger)
+        {
+            _db = db ?? throw new ArgumentNullException(nameof(db));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        public async Task<ServiceResponse<List<WorkEventResponseDTO>>> GetMonthAsync(int year, int month, bool allBranches, int? branchId)
+        {
+            if (year < 2000 || year > 2100 || month < 1 || month > 12)
+                return ServiceResponse<List<WorkEventResponseDTO>>.FailureResult("Invalid year or month");
+
+            var start = new DateTime(year, month, 1);
+            var end = start.AddMonths(1).AddDays(-1);
+
+            var query = _db.EMWorkEvents
+                .Include(e => e.Branch)
+                .Where(e => e.Date >= start && e.Date <= end);
+            if (!allBranches)
+                query = query.Where(e => e.BranchId == null || e.BranchId == branchId);
+
+            var events = (await query.ToListAsync())
+                .OrderBy(e => e.Date).ThenBy(e => Array.IndexOf(WorkEventDays.Types, e.EventType)).ThenBy(e => e.BranchId.HasValue)
+                .ToList();
+            return ServiceResponse<List<WorkEventResponseDTO>>.SuccessResult(events.Select(ToDto).ToList());
+        }
+
+        public Task<List<EMWorkEvent>> InRangeAsync(DateTime from, DateTime to) =>
+            _db.EMWorkEvents
+                .Where(e => e.Date >= from.Date && e.Date <= to.Date)
+                .AsNoTracking()
+                .ToListAsync();
+
+        public async Task<EMWorkEvent?> OnDayAsync(DateTime day, int? branchId) =>
+            WorkEventDays.On(await InRangeAsync(day, day), day, branchId);
+
+        public async Task<ServiceResponse<WorkEventImportResultDTO>> ImportAsync(List<CreateWorkEventDTO> events, int userId)
+        {
+            try
+            {
+                events ??= [];
+                if (events.Count == 0)
+                    return ServiceResponse<WorkEventImportResultDTO>.FailureResult("The file has no events to import");
+                if (events.Count > MaxImportRows)
+                    return ServiceResponse<WorkEventImportResultDTO>.FailureResult($"Import at most {MaxImportRows} events at a time");
+
+                var branchIds = (await _db.EMBranches.Select(b => b.Id).ToListAsync()).ToHashSet();
+                var dates = events.Select(e => e.Date.Date).ToList();
+                var (first, last) = (dates.Min(), dates.Max());
+                var existing = (await _db.EMWorkEvents
+                        .Where(e => e.Date >= first && e.Date <= last)
+                        .Select(e => new { e.Date, e.BranchId, e.Name })
+                        .ToListAsync())
+                    .Select(e => Key(e.Date, e.BranchId, e.Name))
+                    .ToHashSet();
+
+                var result = new WorkEventImportResultDTO { TotalRecords = events.Count };
+                for (var i = 0; i < events.Count; i++)
+                {
+                    var e = events[i];
+                    var name = e.Name?.Trim() ?? "";
+                    var error = name.Length == 0 ? "name is required"
+                        : name.Length > 200 ? "name is longer than 200 characters"
+                        : !WorkEventDays.Types.Contains(e.EventType) ? $"unknown type \"{e.EventType}\""
+                        : e.Date.Year < 2000 || e.Date.Year > 2100 ? "date is out of range"
+                        : e.BranchId.HasValue && !branchIds.Contains(e.BranchId.Value) ? "branch not found"
+                        : null;
+                    if (error != null)
+                    {
+                        result.Errors.Add($"Row {i + 1}: {error}");
+                        continue;
+                    }
+
+                    // Skips what's already stored as well as repeats within the file.
+                    if (!existing.Add(Key(e.Date, e.BranchId, name)))
+                    {
+                        result.Skipped++;
+                        continue;
+                    }
+
+                    _db.EMWorkEvents.Add(new EMWorkEvent
+                    {
+                        Date = e.Date.Date,
+                        EventType = e.EventType,
+                        Name = name,
+                        BranchId = e.BranchId,
+                        CreatedByUserId = userId,
+                        CreatedAt = DateTime.UtcNow,
+                    });
+                    result.Imported++;
+                }
+                await _db.SaveChangesAsync();
+
+                _logger.LogInformation("User {UserId} imported {Imported} work events ({Skipped} skipped, {Failed} failed)",
+                    userId, result.Imported, result.Skipped, result.Errors.Count);
+                return ServiceResponse<WorkEventImportResultDTO>.SuccessResult(result,
+                    $"Imported {result.Imported} of {result.TotalRecords} events" + (result.Skipped > 0 ? $" ({result.Skipped} already on the calendar)" : ""));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error importing work events");
+                return ServiceResponse<WorkEventImportResultDTO>.FromException(ex, "Failed to import the events");
+            }
+        }
+
+        private static string Key(DateTime date, int? branchId, string name) =>
+            $"{date:yyyy-MM-dd}|{branchId}|{name.Trim().ToLowerInvariant()}";
+
+        public static WorkEventResponseDTO ToDto(EMWorkEvent e) => new()
+        {
+            Id = e.Id,
+            Date = e.Date.ToString("yyyy-MM-dd"),
+            EventType = e.EventType,
+            Name = e.Name,
+            BranchId = e.BranchId,
+            BranchName = e.Branch?.Name,
+            CreatedByUserId = e.CreatedByUserId,
+        };
+    }
+}
@@ -0,0 +1,32 @@
+using oamswlatifose.Server.DTO.WorkEvent;
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.WorkEvent.Interfaces
+{
+    /// <summary>
+    /// Work events — holidays, special non-working days, days off and closures — as the single
+    /// source every holiday-aware feature reads: the calendars, the absence and late-arrival reports
+    /// and clock-in grading. Events are company-wide or for one branch (regional holidays); see
+    /// <see cref="WorkEventDays"/> for how they apply to a day.
+    /// </summary>
+    public interface IWorkEventService
+    {
+        /// <summary>
+        /// Events in the month. With <paramref name="allBranches"/> every event; otherwise only those
+        /// applying to an employee of <paramref name="branchId"/> (company-wide ones plus that branch's).
+        /// </summary>
+        Task<ServiceResponse<List<WorkEventResponseDTO>>> GetMonthAsync(int year, int month, bool allBranches, int? branchId);
+
+        /// <summary>Every event (all branches) between <paramref name="from"/> and <paramref name="to"/>, inclusive.</summary>
+        Task<List<EMWorkEvent>> InRangeAsync(DateTime from, DateTime to);
+
+        /// <summary>The event governing <paramref name="day"/> for an employee of <paramref name="branchId"/>, or null.</summary>
+        Task<EMWorkEvent?> OnDayAsync(DateTime day, int? branchId);
+
+        /// <summary>
+        /// Adds the events of an imported holiday file (iCalendar or CSV, parsed by the client).
+        /// Invalid rows are reported; rows already on the calendar are skipped.
+        /// </summary>
+        Task<ServiceResponse<WorkEventImportResultDTO>> ImportAsync(List<CreateWorkEventDTO> events, int userId);
+    }
+}
@@ -0,0 +1,24 @@
+using oamswlatifose.Server.Model.occurance;
+
+namespace oamswlatifose.Server.Services.WorkEvent
+{
+    /// <summary>
+    /// How work events (EMWorkEvent) apply to a day. Every type means nobody is expected at work —
+    /// absences aren't counted and a clock-in isn't graded late — and Closed also blocks clock-ins.
+    /// An event with a branch applies only to that branch's employees.
+    /// </summary>
+    public static class WorkEventDays
+    {
+        /// <summary>Event types, strongest first: when several apply to a day the first one wins.</summary>
+        public static readonly string[] Types = ["Closed", "Holiday", "SpecialNonWorking", "DayOff"];
+
+        public static bool AppliesTo(EMWorkEvent e, int? branchId) => e.BranchId == null || e.BranchId == branchId;
+
+        /// <summary>The event governing <paramref name="day"/> for an employee of <paramref name="branchId"/>, or null.</summary>
+        public static EMWorkEvent? On(IEnumerable<EMWorkEvent> events, DateTime day, int? branchId) =>
+            events
+                .Where(e => e.Date.Date == day.Date && AppliesTo(e, branchId))
+                .OrderBy(e => Array.IndexOf(Types, e.EventType))
+                .FirstOrDefault();
+    }
+}
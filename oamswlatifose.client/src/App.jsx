@@ -1,5 +1,5 @@
 import { useEffect, useState } from 'react'
-import { auth, licenseApi } from './lib/api'
+import { auth, authApi, licenseApi } from './lib/api'
 import LoginPage from './features/auth/LoginPage'
 import AttendanceConsole from './features/attendance/AttendanceConsole'
 import LicenseBanner from './features/license/LicenseBanner'
@@ -8,6 +8,7 @@ import LicenseGate from './features/license/LicenseGate'
 export default function App() {
   const [user, setUser] = useState(() => (auth.token ? auth.user : null))
   const [licenseStatus, setLicenseStatus] = useState(null)
+  const [signedOutNotice, setSignedOutNotice] = useState('')
 
   useEffect(() => {
     const handle = () => setUser(null)
@@ -28,13 +29,20 @@ export default function App() {
       <div style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
         {licenseStatus && <LicenseBanner licenseStatus={licenseStatus} onActivated={setLicenseStatus} />}
         <div style={{ flex: 1 }}>
-          <LoginPage onLoggedIn={setUser} />
+          <LoginPage onLoggedIn={setUser} notice={signedOutNotice} />
         </div>
       </div>
     )
   }
 
-  const signOut = () => {
+  // `message` comes from flows that already ended the session server-side (password change,
+  // sign out everywhere); a plain sign-out revokes this device's token on the way out.
+  const signOut = (message) => {
+    if (typeof message === 'string') setSignedOutNotice(message)
+    else {
+      setSignedOutNotice('')
+      authApi.logout()
+    }
     auth.clear()
     setUser(null)
   }
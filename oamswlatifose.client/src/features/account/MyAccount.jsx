@@ -0,0 +1,267 @@
+import { useEffect, useState } from 'react'
+import { authApi, scheduleApi } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+import { checkPassword, isStrongPassword } from '../../lib/password'
+import ScheduleRows from '../attendance/ScheduleRows'
+
+const EMPTY_PW = { currentPassword: '', newPassword: '', confirmPassword: '' }
+
+const fmtDate = (iso) => (iso ? new Date(iso).toLocaleDateString('en-PH', { year: 'numeric', month: 'short', day: 'numeric' }) : '—')
+
+function Row({ label, value }) {
+  return (
+    <div className="kv">
+      <span className="kv__k">{label}</span>
+      <span className="kv__v">{value || '—'}</span>
+    </div>
+  )
+}
+
+// "My account": profile from /auth/me, assigned branch and schedule, change password, the
+// two-step sign-in opt-in and sign out on every device. Both of the latter end this session too, so they hand a message
+// to `onSignOut` for the login page.
+export default function MyAccount({ onSignOut }) {
+  const [me, setMe] = useState(null)
+  const [schedule, setSchedule] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const [pw, setPw] = useState(EMPTY_PW)
+  const [showPw, setShowPw] = useState(false)
+  const [pwErrors, setPwErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const [savingTwoFactor, setSavingTwoFactor] = useState(false)
+  // Turning the second step off asks for the password first; null while not asking.
+  const [twoFactorPw, setTwoFactorPw] = useState(null)
+
+  const [confirmAll, setConfirmAll] = useState(false)
+  const [signingOut, setSigningOut] = useState(false)
+
+  useEffect(() => {
+    let alive = true
+    Promise.all([authApi.me(), scheduleApi.mine()]).then(([m, s]) => {
+      if (!alive) return
+      if (m.isSuccess) setMe(m.data)
+      else setError(m.message || 'Could not load your account.')
+      setSchedule(s.isSuccess ? s.data : null)
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [])
+
+  const set = (k, v) => setPw((p) => ({ ...p, [k]: v }))
+  const rules = checkPassword(pw.newPassword)
+  const sameAsCurrent = pw.newPassword.length > 0 && pw.newPassword === pw.currentPassword
+  const mismatch = pw.confirmPassword.length > 0 && pw.confirmPassword !== pw.newPassword
+  const canSave = pw.currentPassword && isStrongPassword(pw.newPassword) && !sameAsCurrent && pw.confirmPassword === pw.newPassword
+
+  const changePassword = async (e) => {
+    e.preventDefault()
+    setPwErrors([])
+    setSaving(true)
+    const res = await authApi.changePassword(pw)
+    setSaving(false)
+    if (!res.isSuccess) {
+      setPwErrors(res.errors?.length ? res.errors : [res.message || 'Could not change your password.'])
+      return
+    }
+    onSignOut('Password changed — sign in with your new password.')
+  }
+
+  const toggleTwoFactor = async (enabled, currentPassword) => {
+    setError('')
+    setSavingTwoFactor(true)
+    const res = await authApi.setTwoFactor(enabled, currentPassword)
+    setSavingTwoFactor(false)
+    if (!res.isSuccess) {
+      setError(res.message || 'Could not update two-step sign-in.')
+      return
+    }
+    setTwoFactorPw(null)
+    setMe((m) => ({ ...m, requireTwoFactor: enabled }))
+  }
+
+  const signOutEverywhere = async () => {
+    setSigningOut(true)
+    const res = await authApi.logout(true)
+    setSigningOut(false)
+    if (!res.isSuccess && !res.offline) {
+      setError(res.message || 'Could not sign out your other devices.')
+      setConfirmAll(false)
+      return
+    }
+    onSignOut(res.offline
+      ? 'Signed out here. Other devices could not be reached — try again once you are back online.'
+      : 'Signed out on all devices.')
+  }
+
+  if (loading) {
+    return <div className="panel"><span className="spinner spinner--blue" /></div>
+  }
+
+  return (
+    <>
+      {error && <p className="alert alert--error">{error}</p>}
+
+      <div className="split">
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+          <div className="panel">
+            <h3 className="panel__title">Profile</h3>
+            {me && (
+              <>
+                <Row label="Name" value={me.employeeName} />
+                <Row label="Username" value={me.username} />
+                <Row label="Email" value={me.email} />
+                <Row label="Role" value={me.roleName} />
+                {me.employeeId && (
+                  <>
+                    <Row label="Employee no." value={me.employeeNumber} />
+                    <Row label="Position" value={me.position} />
+                    <Row label="Department" value={me.department} />
+                    <Row label="Phone" value={me.phone} />
+                    <Row label="City" value={me.city} />
+                    <Row label="Hired" value={me.hiredAt && fmtDate(me.hiredAt)} />
+                  </>
+                )}
+                <Row label="Account" value={me.accountStatus} />
+                <Row label="Last sign-in" value={me.lastLoginFormatted} />
+              </>
+            )}
+            {me && !me.employeeId && (
+              <p className="alert alert--info" style={{ marginTop: 12 }}>This account isn't linked to an employee record, so it has no branch or schedule.</p>
+            )}
+          </div>
+
+          {me?.employeeId && (
+            <div className="panel">
+              <h3 className="panel__title">Branch</h3>
+              {me.branchName ? (
+                <>
+                  <Row label="Assigned branch" value={me.branchName} />
+                  {me.branchAddress && <Row label="Address" value={me.branchAddress} />}
+                </>
+              ) : (
+                <p className="alert alert--info">No branch assigned — clock-ins are checked against every active branch.</p>
+              )}
+            </div>
+          )}
+
+          {me?.employeeId && (
+            <div className="panel">
+              <h3 className="panel__title">My schedule</h3>
+              {schedule ? (
+                <ScheduleRows schedule={schedule} />
+              ) : (
+                <p className="alert alert--info">No schedule set yet. Ask Admin/HR to set your schedule.</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+          <form className="panel" onSubmit={changePassword}>
+            <h3 className="panel__title">Change password</h3>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+              <div className="field">
+                <label htmlFor="acc-current">Current password</label>
+                <div className="pwWrap">
+                  <input id="acc-current" className="input" type={showPw ? 'text' : 'password'} autoComplete="current-password"
+                    value={pw.currentPassword} onChange={(e) => set('currentPassword', e.target.value)} required />
+                  <button type="button" className="pwToggle" onClick={() => setShowPw((v) => !v)} tabIndex={-1}
+                    aria-label={showPw ? 'Hide passwords' : 'Show passwords'}>
+                    {showPw ? Icons.eyeOff : Icons.eye}
+                  </button>
+                </div>
+              </div>
+              <div className="field">
+                <label htmlFor="acc-new">New password</label>
+                <input id="acc-new" className="input" type={showPw ? 'text' : 'password'} autoComplete="new-password"
+                  value={pw.newPassword} onChange={(e) => set('newPassword', e.target.value)} required />
+                <ul className="pwRules">
+                  {rules.map((r) => (
+                    <li key={r.id} className={r.ok ? 'pwRules__ok' : ''}>
+                      {r.ok ? Icons.check : <span className="pwRules__dot" />}
+                      {r.label}
+                    </li>
+                  ))}
+                </ul>
+                {sameAsCurrent && <span className="fieldError">Must be different from your current password.</span>}
+              </div>
+              <div className="field">
+                <label htmlFor="acc-confirm">Confirm new password</label>
+                <input id="acc-confirm" className={`input${mismatch ? ' input--error' : ''}`} type={showPw ? 'text' : 'password'}
+                  autoComplete="new-password" value={pw.confirmPassword} onChange={(e) => set('confirmPassword', e.target.value)} required />
+                {mismatch && <span className="fieldError">Passwords don't match.</span>}
+              </div>
+
+              {pwErrors.length > 0 && (
+                <div className="alert alert--error">{pwErrors.map((msg) => <div key={msg}>{msg}</div>)}</div>
+              )}
+
+              <p className="pageSub" style={{ margin: 0 }}>You'll be signed out everywhere and asked to sign in again.</p>
+              <div>
+                <button className="btnPrimary" type="submit" disabled={saving || !canSave}>
+                  {saving ? <span className="spinner" /> : Icons.check}
+                  {saving ? 'Saving…' : 'Change password'}
+                </button>
+              </div>
+            </div>
+          </form>
+
+          <div className="panel">
+            <h3 className="panel__title">Two-step sign-in</h3>
+            <p className="pageSub" style={{ marginTop: 0 }}>
+              After your password, we email a 6-digit code to {me?.email || 'your address'} that you enter to finish signing in.
+            </p>
+            {me?.twoFactorRequiredByRole ? (
+              <p className="alert alert--info">Always on for the {me.roleName} role.</p>
+            ) : me?.twoFactorRequiredByAdmin ? (
+              <p className="alert alert--info">Required for your account by an administrator.</p>
+            ) : twoFactorPw != null ? (
+              <form className="fieldRow" onSubmit={(e) => { e.preventDefault(); toggleTwoFactor(false, twoFactorPw) }}>
+                <div className="field">
+                  <label>Current password</label>
+                  <input className="input" type="password" autoComplete="current-password" autoFocus
+                    value={twoFactorPw} onChange={(e) => setTwoFactorPw(e.target.value)} />
+                </div>
+                <div className="fieldRow">
+                  <button type="button" className="btnGhost" onClick={() => setTwoFactorPw(null)} disabled={savingTwoFactor}>Cancel</button>
+                  <button type="submit" className="btnGhost btnGhost--danger" disabled={savingTwoFactor || !twoFactorPw}>
+                    {savingTwoFactor && <span className="spinner spinner--blue" />}
+                    Turn off
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <label className="toggleLabel">
+                <input type="checkbox" checked={me?.requireTwoFactor === true} disabled={!me || savingTwoFactor}
+                  onChange={(e) => (e.target.checked ? toggleTwoFactor(true) : setTwoFactorPw(''))} />
+                {me?.requireTwoFactor ? ' On' : ' Off'}
+                {savingTwoFactor && <span className="spinner spinner--blue" style={{ marginLeft: 8 }} />}
+              </label>
+            )}
+          </div>
+
+          <div className="panel">
+            <h3 className="panel__title">Sessions</h3>
+            <p className="pageSub" style={{ marginTop: 0 }}>
+              Lost a phone or signed in on a shared computer? Sign out on every device, including this one.
+            </p>
+            {confirmAll ? (
+              <div className="fieldRow">
+                <button className="btnGhost" onClick={() => setConfirmAll(false)} disabled={signingOut}>Cancel</button>
+                <button className="btnGhost btnGhost--danger" onClick={signOutEverywhere} disabled={signingOut}>
+                  {signingOut ? <span className="spinner spinner--blue" /> : Icons.logout}
+                  {signingOut ? 'Signing out…' : 'Yes, sign out everywhere'}
+                </button>
+              </div>
+            ) : (
+              <button className="btnGhost" onClick={() => setConfirmAll(true)}>{Icons.logout} Sign out everywhere</button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
@@ -1,43 +1,19 @@
 import { useCallback, useEffect, useRef, useState } from 'react'
-import { attendanceApi, workEventApi, leaveApi } from '../../lib/api'
+import { attendanceApi, scheduleApi, workEventApi, leaveApi, calendarApi } from '../../lib/api'
+import { downloadBlob } from '../../lib/export'
 import { Icons } from '../../lib/ui'
-
-// Module-level cache: year → Map<"YYYY-MM-DD", name>
-// Avoids re-fetching when the user navigates back to the same year.
-const holidayCache = {}
-
-async function fetchHolidays(year) {
-  if (holidayCache[year]) return holidayCache[year]
-  try {
-    const res = await fetch(
-      `https://date.nager.at/api/v3/PublicHolidays/${year}/PH`,
-      { signal: AbortSignal.timeout(6000) },
-    )
-    if (!res.ok) throw new Error(`HTTP ${res.status}`)
-    const data = await res.json()
-    const map = {}
-    if (Array.isArray(data)) {
-      data.forEach((h) => {
-        if (h.date) map[h.date] = h.localName || h.name
-      })
-    }
-    holidayCache[year] = map
-    return map
-  } catch {
-    // Network failure or timeout — return empty so the calendar still works
-    holidayCache[year] = {}
-    return {}
-  }
-}
-
-// workDays string: "Mon,Tue,Wed,Thu,Fri"
-const WORK_DAY_MAP = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
-
-function parseWorkDays(workDays) {
-  if (!workDays) return new Set([1, 2, 3, 4, 5])
-  return new Set(
-    workDays.split(',').map((d) => WORK_DAY_MAP[d.trim()]).filter((n) => n !== undefined),
-  )
+import { eventMeta, strongestByDate } from '../../lib/holidays'
+import { isPartial } from '../../lib/leave'
+import { scheduleOn, shiftsOn } from '../../lib/schedule'
+import CalendarFeedModal from './CalendarFeedModal'
+
+// A day is off when the schedule in force on it (from the employee's schedule history, so past
+// months keep the hours they were graded against) has no shift starting that day — rotation weeks
+// included. Without any schedule the server's default Mon–Fri applies.
+function isOffDay(versions, schedule, date) {
+  const s = versions.length ? scheduleOn(versions, date) : schedule
+  if (!s) return date.getDay() === 0 || date.getDay() === 6
+  return shiftsOn(s, date).length === 0
 }
 
 const pad = (n) => String(n).padStart(2, '0')
@@ -61,12 +37,6 @@ function statusStyle(status) {
   return { label: status || '—', color: 'var(--text-muted)', bg: 'transparent' }
 }
 
-const WE_STYLE = {
-  Holiday: { color: '#9334e6', bg: 'rgba(147,52,230,.12)' },
-  DayOff:  { color: 'var(--text-muted)', bg: 'rgba(120,120,120,.10)' },
-  Closed:  { color: 'var(--gcp-red)', bg: 'rgba(234,67,53,.10)' },
-}
-
 function DayDetail({ day, record, holiday, workEvent, isOff, onLeave, onClose }) {
   const ss = record ? statusStyle(record.status) : null
   const label = new Date(`${day}T12:00:00`).toLocaleDateString('en-PH', {
@@ -80,7 +50,7 @@ function DayDetail({ day, record, holiday, workEvent, isOff, onLeave, onClose })
           <div>
             <div style={{ fontWeight: 600, fontSize: 15 }}>{label}</div>
             {holiday && <div style={{ fontSize: 12, color: '#9334e6', marginTop: 2 }}>{holiday}</div>}
-            {workEvent && <div style={{ fontSize: 12, color: WE_STYLE[workEvent.type]?.color || 'var(--text-muted)', marginTop: 2 }}>{workEvent.name} ({workEvent.type})</div>}
+            {workEvent && <div style={{ fontSize: 12, color: eventMeta(workEvent.type).color, marginTop: 2 }}>{workEvent.name} ({eventMeta(workEvent.type).label})</div>}
           </div>
           <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
         </div>
@@ -99,13 +69,13 @@ function DayDetail({ day, record, holiday, workEvent, isOff, onLeave, onClose })
 
         {holiday && !record && (
           <div style={{ padding: '10px 14px', borderRadius: 8, background: 'rgba(147,52,230,.10)', color: '#9334e6', fontSize: 13 }}>
-            Public holiday — {holiday}. No attendance required.
+            Holiday — {holiday}. No attendance required.
           </div>
         )}
 
         {workEvent && !record && !holiday && workEvent.type !== 'Closed' && (
-          <div style={{ padding: '10px 14px', borderRadius: 8, background: WE_STYLE[workEvent.type]?.bg, color: WE_STYLE[workEvent.type]?.color, fontSize: 13 }}>
-            {workEvent.type === 'Holiday' ? 'Holiday' : 'Day off'} — {workEvent.name}. No attendance required.
+          <div style={{ padding: '10px 14px', borderRadius: 8, background: eventMeta(workEvent.type).bg, color: eventMeta(workEvent.type).color, fontSize: 13 }}>
+            {eventMeta(workEvent.type).label} — {workEvent.name}. No attendance required.
           </div>
         )}
 
@@ -144,13 +114,16 @@ export default function AttendanceCalendar({ schedule }) {
   const [month, setMonth]     = useState(now.getMonth() + 1) // 1-based
   const [records, setRecords]     = useState([])
   const [loadingAtt, setLoadingAtt] = useState(true)
-  const [holidays, setHolidays]     = useState({}) // "YYYY-MM-DD" → name
-  const [workEvents, setWorkEvents] = useState({}) // "YYYY-MM-DD" → { type, name }
+  const [holidays, setHolidays]     = useState({}) // "YYYY-MM-DD" → name (Holiday work events)
+  const [workEvents, setWorkEvents] = useState({}) // "YYYY-MM-DD" → { type, name } (every other type)
   const [approvedLeaves, setApprovedLeaves] = useState(new Set()) // Set of "YYYY-MM-DD" dates covered by approved leave
   const [detail, setDetail]         = useState(null)
   const today = todayStr()
 
-  const workDays = parseWorkDays(schedule?.workDays)
+  const [versions, setVersions]     = useState([]) // schedule history, oldest first
+  const [feedOpen, setFeedOpen]     = useState(false)
+  const [downloading, setDownloading] = useState(false)
+  const [icsError, setIcsError]     = useState(null)
 
   // Fetch attendance records for the visible month
   const loadAtt = useCallback(async (y, m) => {
@@ -164,29 +137,30 @@ export default function AttendanceCalendar({ schedule }) {
     setLoadingAtt(false)
   }, [])
 
-  // Fetch holidays from Nager.Date API for the visible year
-  const loadHolidays = useCallback(async (y) => {
-    const map = await fetchHolidays(y)
-    setHolidays(map)
-  }, [])
-
-  // Fetch custom work events (HR-created holidays/off days/closed days) for the visible month
+  // Fetch the month's work events — HR's holiday calendar, company-wide and for the employee's
+  // branch. A date with several shows the strongest (see strongestByDate).
   const loadWorkEvents = useCallback(async (y, m) => {
     const res = await workEventApi.byMonth(y, m)
+    const hol = {}
     const map = {}
     if (res.isSuccess && Array.isArray(res.data)) {
-      res.data.forEach((e) => { if (e.date) map[e.date] = { type: e.eventType, name: e.name } })
+      Object.values(strongestByDate(res.data)).forEach((e) => {
+        if (e.eventType === 'Holiday') hol[e.date] = e.name
+        else map[e.date] = { type: e.eventType, name: e.name }
+      })
     }
+    setHolidays(hol)
     setWorkEvents(map)
   }, [])
 
   // Load approved leave requests so those days show as "Leave" not "Absent"
+  // (half-day and hourly leave still expect a clock-in for the rest of the day)
   const loadLeaves = useCallback(async () => {
     const res = await leaveApi.mine()
     if (!res.isSuccess) return
     const approved = new Set()
     const list = Array.isArray(res.data) ? res.data : []
-    list.filter(l => l.status === 'Approved').forEach(l => {
+    list.filter(l => l.status === 'Approved' && !isPartial(l)).forEach(l => {
       const start = new Date(l.startDate)
       const end   = new Date(l.endDate)
       for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
@@ -197,9 +171,15 @@ export default function AttendanceCalendar({ schedule }) {
   }, [])
 
   useEffect(() => { loadAtt(year, month) }, [loadAtt, year, month])
-  useEffect(() => { loadHolidays(year) }, [loadHolidays, year])
   useEffect(() => { loadWorkEvents(year, month) }, [loadWorkEvents, year, month])
   useEffect(() => { loadLeaves() }, [loadLeaves])
+  useEffect(() => {
+    let alive = true
+    scheduleApi.myHistory().then((res) => {
+      if (alive && res.isSuccess && Array.isArray(res.data)) setVersions(res.data)
+    })
+    return () => { alive = false }
+  }, [schedule])
 
   const prevMonth = () => {
     if (month === 1) { setYear((y) => y - 1); setMonth(12) }
@@ -211,6 +191,16 @@ export default function AttendanceCalendar({ schedule }) {
   }
   const goToday = () => { setYear(now.getFullYear()); setMonth(now.getMonth() + 1) }
 
+  // One-off .ics of shifts, approved leave and work events (the subscribable feed stays current instead).
+  const downloadIcs = async () => {
+    setDownloading(true)
+    setIcsError(null)
+    const res = await calendarApi.download()
+    setDownloading(false)
+    if (res.isSuccess) downloadBlob(res.data, 'work-calendar.ics')
+    else setIcsError(res.message || 'Could not download your calendar.')
+  }
+
   // Build date → record map
   const recordMap = {}
   records.forEach((r) => {
@@ -232,14 +222,13 @@ export default function AttendanceCalendar({ schedule }) {
 
   const openDay = (d) => {
     const ds  = isoDate(year, month, d)
-    const dow = new Date(year, month - 1, d).getDay()
     const we  = workEvents[ds] || null
     setDetail({
       day:          ds,
       record:       recordMap[ds] || null,
       holiday:      holidays[ds] || null,
       workEvent:    we,
-      isOff:        !workDays.has(dow),
+      isOff:        isOffDay(versions, schedule, new Date(year, month - 1, d)),
       onLeave:      approvedLeaves.has(ds),
     })
   }
@@ -248,6 +237,16 @@ export default function AttendanceCalendar({ schedule }) {
 
   return (
     <div className="calendarWrap">
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginBottom: 10 }}>
+        <button className="btnGhost" onClick={downloadIcs} disabled={downloading} title="Shifts, approved leave and holidays as an .ics file">
+          {Icons.calendar} {downloading ? 'Preparing…' : 'Download .ics'}
+        </button>
+        <button className="btnGhost" onClick={() => setFeedOpen(true)} title="Keep your calendar app up to date with a feed link">
+          Subscribe…
+        </button>
+      </div>
+      {icsError && <p className="alert alert--error" style={{ marginBottom: 10 }}>{icsError}</p>}
+
       {/* Navigation */}
       <div className="calendarNav">
         <button className="iconBtn" onClick={prevMonth} title="Previous month">{Icons.chevLeft}</button>
@@ -277,15 +276,14 @@ export default function AttendanceCalendar({ schedule }) {
 
               const ds        = isoDate(year, month, d)
               const record    = recordMap[ds]
-              const dow       = new Date(year, month - 1, d).getDay()
-              const isOff     = !workDays.has(dow)
+              const isOff     = isOffDay(versions, schedule, new Date(year, month - 1, d))
               const holiday   = holidays[ds] || null
               const workEvent = workEvents[ds] || null
               const onLeave   = approvedLeaves.has(ds)
               const isToday   = ds === today
               const isFuture  = ds > today
               const ss        = record ? statusStyle(record.status) : null
-              const weStyle   = workEvent ? WE_STYLE[workEvent.type] : null
+              const weStyle   = workEvent ? eventMeta(workEvent.type) : null
 
               return (
                 <div
@@ -314,14 +312,14 @@ export default function AttendanceCalendar({ schedule }) {
                     </span>
                   )}
 
-                  {/* Holiday from Nager API */}
+                  {/* Holiday */}
                   {holiday && !record && !onLeave && (
                     <span className="calendarChip" style={{ background: 'rgba(147,52,230,.15)', color: '#9334e6' }}>
                       {holiday}
                     </span>
                   )}
 
-                  {/* Custom work event (Holiday/DayOff/Closed) */}
+                  {/* Other work event (special non-working day, day off, closed) */}
                   {workEvent && !record && !holiday && !onLeave && (
                     <span className="calendarChip" style={{ background: weStyle?.bg, color: weStyle?.color }}>
                       {workEvent.name}
@@ -373,6 +371,8 @@ export default function AttendanceCalendar({ schedule }) {
           onClose={() => setDetail(null)}
         />
       )}
+
+      {feedOpen && <CalendarFeedModal onClose={() => setFeedOpen(false)} />}
     </div>
   )
 }
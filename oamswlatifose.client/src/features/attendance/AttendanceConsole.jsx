@@ -1,17 +1,36 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
-import { attendanceApi, scheduleApi, auth, workEventApi, leaveApi } from '../../lib/api'
-import { parseCsvImport, downloadImportTemplate } from '../../lib/export'
+import { attendanceApi, scheduleApi, auth, workEventApi, leaveApi, overtimeApi, branchApi, employeesApi } from '../../lib/api'
+import { readCsv, downloadImportTemplate, summarizeAttendance } from '../../lib/export'
+import { classifier } from '../../lib/attendance'
 import { getCurrentLocation } from '../../lib/geo'
+import { activeShift, describeSchedule, fmtMinutes, shiftLabel, shiftsOn } from '../../lib/schedule'
+import { isPartial, leaveWindow, portionLabel } from '../../lib/leave'
+import { DEFAULT_SCHEDULE } from '../../lib/timesheet'
+import { clockQueue } from '../../lib/offlineQueue'
+import { subscribeLive } from '../../lib/live'
+import { approvedOvertime, approvedOvertimeByDate, fmtOtHours, otKey } from '../../lib/overtime'
+import { EVENT_TYPES, EVENT_META, eventMeta, parseHolidayFile } from '../../lib/holidays'
 import { Icons, Sparkline, statusColor, statusBadge, locationBadge } from '../../lib/ui'
 import MonitoringTable from './MonitoringTable'
+import DepartmentBreakdown from './DepartmentBreakdown'
+import ImportPreviewModal from './ImportPreviewModal'
+import HolidayImportModal from './HolidayImportModal'
 import AttendanceMap from './AttendanceMap'
 import ScheduleEditor from './ScheduleEditor'
+import ScheduleRows from './ScheduleRows'
+import ShiftTemplates from './ShiftTemplates'
 import BranchEditor from './BranchEditor'
 import UserManager from './UserManager'
 import OtpModal from './OtpModal'
 import ConfirmDeleteModal from './ConfirmDeleteModal'
 import AttendanceCalendar from './AttendanceCalendar'
 import LeaveRequestView from './LeaveRequestView'
+import TeamLeaveCalendar from './TeamLeaveCalendar'
+import OvertimeRequestView from './OvertimeRequestView'
+import MyAccount from '../account/MyAccount'
+import Reports from '../reports/Reports'
+import Timesheet from '../reports/Timesheet'
+import Employees from '../employees/Employees'
 
 const RANGES = [
   { key: 'today', label: 'Today', days: 1 },
@@ -29,10 +48,17 @@ const rangeStart = (days) => {
   d.setDate(d.getDate() - (days - 1))
   return localDateStr(d)
 }
-const isPresent = (s) => /present|on time/i.test(s || '')
-const isLate = (s) => /late/i.test(s || '')
-const isAbsent = (s) => /absent/i.test(s || '')
 const isTimeOffStatus = (s) => /time.?off/i.test(s || '')
+const otBadge = (hours) => (
+  <span className="badge" style={{ background: 'rgba(138,180,248,.16)', color: 'var(--gcp-blue)' }} title="Approved overtime">
+    OT {fmtOtHours(hours)}
+  </span>
+)
+// Same grouping as the server's department breakdown.
+const deptName = (d) => d?.trim() || 'Unassigned'
+// Queued taps older than this go to admin-verify (AttendanceVerificationService.QueuedOtpWindowMinutes).
+const QUEUED_OTP_WINDOW_MS = 15 * 60 * 1000
+const fmtTap = (ms) => new Date(ms).toLocaleTimeString('en-PH', { hour: '2-digit', minute: '2-digit' })
 
 export default function AttendanceConsole({ user, onSignOut }) {
   const isManager = auth.isManager
@@ -43,14 +69,15 @@ export default function AttendanceConsole({ user, onSignOut }) {
   // Employee-only data
   const [today, setToday] = useState(null)
   const [schedule, setSchedule] = useState(null)
+  const [myGrading, setMyGrading] = useState({ versions: [], leaves: [] }) // for lib/attendance's classifier
   const [history, setHistory] = useState([])
   const [loading, setLoading] = useState(true)
   const [rangeKey, setRangeKey] = useState('30d')
   const [notice, setNotice] = useState(null)
   const [acting, setActing] = useState(false)
   const [locating, setLocating] = useState(false)
-  const [isOnLeave, setIsOnLeave] = useState(false)
-  const [todayLeave, setTodayLeave] = useState(null) // the active EMLeaveRequest covering today
+  const [todayLeave, setTodayLeave] = useState(null) // the approved leave covering today (full-day preferred)
+  const [myOvertime, setMyOvertime] = useState(() => new Map()) // date → approved overtime hours
 
   // OTP modal — Time In
   const [otpInfo, setOtpInfo] = useState(null)
@@ -60,6 +87,12 @@ export default function AttendanceConsole({ user, onSignOut }) {
   // OTP modal — Time Out
   const [clockOutOtpInfo, setClockOutOtpInfo] = useState(null)
 
+  // Offline queue — Time In taps saved on the device while the API was unreachable
+  const queueOwner = user?.username || ''
+  const [queuedTaps, setQueuedTaps] = useState([])
+  const [replayEntryId, setReplayEntryId] = useState(null) // queue entry whose OTP modal is open
+  const replaying = useRef(false)
+
   // Admin-verify flow
   const [verifyPending, setVerifyPending] = useState(false) // employee waiting for admin
   const [pendingRequests, setPendingRequests] = useState([])
@@ -70,27 +103,41 @@ export default function AttendanceConsole({ user, onSignOut }) {
   const [teamDate, setTeamDate] = useState(localDateStr())
   const [teamRows, setTeamRows] = useState([])
   const [teamLoading, setTeamLoading] = useState(false)
+  const [teamDept, setTeamDept] = useState('') // department picked in the breakdown panel
+  const [accountFor, setAccountFor] = useState(null) // employee handed from Employees to the Users form
+  const [deptTick, setDeptTick] = useState(0)
   const [schedulesByEmp, setSchedulesByEmp] = useState({})
+  const [teamGrading, setTeamGrading] = useState({ versions: [], leaves: [] }) // every schedule version + approved leave
   const [editSchedEmpId, setEditSchedEmpId] = useState(null)
   const [showSchedModal, setShowSchedModal] = useState(false)
   const [viewSched, setViewSched] = useState(null)
   const [deleteSchedTarget, setDeleteSchedTarget] = useState(null)
 
+  // Live dashboard feed (see lib/live.js) — changes pushed since the manager last looked
+  const [liveMode, setLiveMode] = useState('connecting')
+  const [liveNew, setLiveNew] = useState({ count: 0, last: '' })
+  const [leaveTick, setLeaveTick] = useState(0)
+  const [overtimeTick, setOvertimeTick] = useState(0)
+  const liveHandler = useRef(null)
+  const liveQueue = useRef({}) // panels waiting for the coalesced reload + its timer
+
   // Admin attendance (all employees range view)
   const [adminAttRows, setAdminAttRows] = useState([])
+  const [adminOvertime, setAdminOvertime] = useState(() => new Map()) // employeeId|date → approved hours
   const [adminAttLoading, setAdminAttLoading] = useState(false)
   const [adminRangeKey, setAdminRangeKey] = useState('7d')
 
   // Import state (Admin only)
   const [importLoading, setImportLoading] = useState(false)
   const [importNotice, setImportNotice] = useState(null)
+  const [importPreview, setImportPreview] = useState(null) // { fileName, source, employees }
 
   // Work event banner — shows upcoming events for next 14 days
   const [bannerEvents, setBannerEvents] = useState([])
   const [bannerOpen, setBannerOpen] = useState(false)
 
   // Dashboard trend (7-day history grouped by date)
-  const [dashTrend, setDashTrend] = useState([])
+  const [dashTrendRows, setDashTrendRows] = useState([])
   const [dashTrendLoading, setDashTrendLoading] = useState(false)
 
   const range = RANGES.find((r) => r.key === rangeKey) || RANGES[2]
@@ -98,11 +145,13 @@ export default function AttendanceConsole({ user, onSignOut }) {
 
   const loadMine = useCallback(async () => {
     setLoading(true)
-    const [t, h, s, lv] = await Promise.all([
+    const [t, h, s, lv, ot, sv] = await Promise.all([
       attendanceApi.today(),
       attendanceApi.history(1, 100),
       scheduleApi.mine(),
       leaveApi.mine(),
+      overtimeApi.mine(),
+      scheduleApi.myHistory(),
     ])
     const todayData = t.isSuccess ? t.data : null
     setToday(todayData)
@@ -110,25 +159,29 @@ export default function AttendanceConsole({ user, onSignOut }) {
     if (todayData?.timeOut || todayData?.timeOutFormatted) setClockOutOtpInfo(null)
     setHistory(h.isSuccess ? (h.data?.items ?? []) : [])
     setSchedule(s.isSuccess ? s.data : null)
+    setMyGrading({
+      versions: sv.isSuccess && Array.isArray(sv.data) ? sv.data : [],
+      leaves: lv.isSuccess && Array.isArray(lv.data) ? lv.data : [],
+    })
+    setMyOvertime(approvedOvertimeByDate(ot.isSuccess ? ot.data : []))
 
     // Check if today falls within any approved leave date range
     const todayISO = localDateStr()
     if (lv.isSuccess && Array.isArray(lv.data)) {
-      const active = lv.data.find(
+      const covering = lv.data.filter(
         (l) => l.status === 'Approved' && todayISO >= l.startDate && todayISO <= l.endDate,
       )
-      setIsOnLeave(!!active)
-      setTodayLeave(active || null)
+      setTodayLeave(covering.find((l) => !isPartial(l)) || covering[0] || null)
     } else {
-      setIsOnLeave(false)
       setTodayLeave(null)
     }
 
     setLoading(false)
   }, [])
 
-  const loadTeam = useCallback(async (date) => {
-    setTeamLoading(true)
+  // `quiet` reloads (live updates) keep the current rows on screen instead of a loading state.
+  const loadTeam = useCallback(async (date, quiet = false) => {
+    if (!quiet) setTeamLoading(true)
     const [byDate, all] = await Promise.all([attendanceApi.byDate(date), scheduleApi.all()])
     setTeamRows(byDate.isSuccess ? (Array.isArray(byDate.data) ? byDate.data : []) : [])
     const map = {}
@@ -141,34 +194,28 @@ export default function AttendanceConsole({ user, onSignOut }) {
     setAdminAttLoading(true)
     const start = rangeStart(days)
     const end = localDateStr()
-    const res = await attendanceApi.adminAll(start, end)
-    setAdminAttRows(res.isSuccess ? (res.data?.items ?? res.data ?? []) : [])
+    const [res, ot] = await Promise.all([
+      attendanceApi.adminRange(start, end),
+      overtimeApi.all('Approved', start, end),
+    ])
+    setAdminAttRows(res.isSuccess ? res.data : [])
+    setAdminOvertime(approvedOvertime(ot.isSuccess ? ot.data : []))
     setAdminAttLoading(false)
   }, [])
 
-  const loadPending = useCallback(async () => {
+  const loadPending = useCallback(async (quiet = false) => {
     if (!isManager) return
-    setPendingLoading(true)
+    if (!quiet) setPendingLoading(true)
     const res = await attendanceApi.pendingRequests()
     setPendingRequests(res.isSuccess ? (res.data ?? []) : [])
     setPendingLoading(false)
   }, [isManager])
 
-  const loadDashTrend = useCallback(async () => {
+  const loadDashTrend = useCallback(async (quiet = false) => {
     if (!isManager) return
-    setDashTrendLoading(true)
-    const res = await attendanceApi.adminAll(rangeStart(7), localDateStr())
-    const rows = res.isSuccess ? (res.data?.items ?? res.data ?? []) : []
-    const byDate = {}
-    rows.forEach((r) => {
-      const d = r.date || r.attendanceDate
-      if (!d) return
-      if (!byDate[d]) byDate[d] = { date: d, present: 0, late: 0, timeOff: 0 }
-      if (isPresent(r.status)) byDate[d].present++
-      else if (isLate(r.status)) byDate[d].late++
-      else if (isTimeOffStatus(r.status)) byDate[d].timeOff++
-    })
-    setDashTrend(Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)))
+    if (!quiet) setDashTrendLoading(true)
+    const res = await attendanceApi.adminRange(rangeStart(7), localDateStr())
+    setDashTrendRows(res.isSuccess ? res.data : [])
     setDashTrendLoading(false)
   }, [isManager])
 
@@ -204,32 +251,116 @@ export default function AttendanceConsole({ user, onSignOut }) {
     load()
   }, [])
 
+  // Reads the CSV and opens the mapping/preview modal; nothing is sent until the admin confirms there.
   const handleImport = useCallback(async (file) => {
     if (!file) return
     setImportLoading(true)
     setImportNotice(null)
-    const text = await file.text()
-    const records = parseCsvImport(text)
-    if (!records.length) {
-      setImportNotice({ type: 'error', text: 'No valid records found. Check EmployeeId and Date columns match the template.' })
+    const source = readCsv(await file.text())
+    if (!source) {
+      setImportNotice({ type: 'error', text: 'No data rows found. The file needs a header row followed by at least one record.' })
       setImportLoading(false)
       return
     }
-    const res = await attendanceApi.bulkImport(records)
+    // Every employee, not a page of them — an ID past the first page isn't unknown.
+    const res = await employeesApi.directory()
+    const list = res.isSuccess ? res.data : []
     setImportLoading(false)
-    if (res.isSuccess) {
-      const d = res.data
-      const msg = `Imported ${d?.successCount ?? records.length} of ${d?.totalRecords ?? records.length} records${d?.failCount ? ` (${d.failCount} failed)` : ''}.`
-      setImportNotice({ type: 'ok', text: msg })
-      loadAdminAtt(adminRange.days)
-    } else {
-      setImportNotice({ type: 'error', text: res.message || 'Import failed.' })
-    }
+    setImportPreview({ fileName: file.name, source, employees: Array.isArray(list) ? list : [] })
+  }, [])
+
+  const handleImported = useCallback((d) => {
+    const msg = `Imported ${d?.successCount ?? 0} of ${d?.totalRecords ?? 0} records${d?.failCount ? ` (${d.failCount} failed)` : ''}.`
+    setImportNotice({ type: d?.successCount ? 'ok' : 'error', text: msg })
+    if (d?.successCount) loadAdminAtt(adminRange.days)
   }, [loadAdminAtt, adminRange.days])
 
+  const loadQueue = useCallback(async () => {
+    setQueuedTaps(await clockQueue.list(queueOwner))
+  }, [queueOwner])
+
+  // Replays queued taps through the normal OTP flow once the server answers again. Only one
+  // Time In per day can stick, so a day the server already has a record for is flagged as a
+  // conflict instead of being re-sent. Stops at the first tap that gets a code (one modal at a time).
+  const replayQueue = useCallback(async () => {
+    if (replaying.current) return
+    replaying.current = true
+    try {
+      const pending = (await clockQueue.list(queueOwner)).filter((e) => e.status === 'queued')
+      for (const entry of pending) {
+        if (entry.date !== localDateStr()) {
+          await clockQueue.update({ ...entry, status: 'failed', message: `Queued on ${entry.date} — ask HR/Admin to record it manually.` })
+          continue
+        }
+        const t = await attendanceApi.today()
+        if (t.offline) break
+        if (t.isSuccess && (t.data?.timeIn || t.data?.timeInFormatted)) {
+          await clockQueue.update({ ...entry, status: 'conflict', message: `The server already has a Time In at ${t.data.timeInFormatted || t.data.timeIn} for this day.` })
+          continue
+        }
+        const body = { ...(entry.coords || {}), clientTimestampMs: entry.clientTimestampMs, queuedOffline: true }
+        // The server won't grade a tap this old from the device clock alone — HR/Admin confirms it.
+        if (Date.now() - entry.clientTimestampMs > QUEUED_OTP_WINDOW_MS) {
+          const res = await attendanceApi.requestVerify(body)
+          if (res.offline) break
+          if (res.isSuccess) {
+            await clockQueue.remove(entry.id)
+            setVerifyPending(true)
+            setNotice({ type: 'ok', text: `Your offline Time In at ${res.data?.requestedTimeFormatted || fmtTap(entry.clientTimestampMs)} was sent to HR/Admin to verify.` })
+            break
+          }
+          const conflict = /already clocked in/i.test(res.message || '')
+          await clockQueue.update({ ...entry, status: conflict ? 'conflict' : 'failed', message: res.message })
+          continue
+        }
+        const res = await attendanceApi.requestOtp(body)
+        if (res.offline) break
+        if (res.isSuccess) {
+          await clockQueue.update({ ...entry, status: 'sent', message: null })
+          lastCoords.current = entry.coords
+          lastTappedAt.current = entry.clientTimestampMs
+          setReplayEntryId(entry.id)
+          setOtpInfo(res.data)
+          break
+        }
+        const conflict = /already clocked in/i.test(res.message || '')
+        await clockQueue.update({ ...entry, status: conflict ? 'conflict' : 'failed', message: res.message })
+      }
+    } finally {
+      replaying.current = false
+      await loadQueue()
+    }
+  }, [queueOwner, loadQueue])
+
+  const hasQueuedTaps = queuedTaps.some((e) => e.status === 'queued')
+
+  useEffect(() => { clockQueue.list(queueOwner).then(setQueuedTaps) }, [queueOwner])
+  useEffect(() => {
+    if (!hasQueuedTaps) return
+    // `online` fires when the OS regains a network, which isn't proof the API is reachable —
+    // the interval covers captive portals and a server that comes back on its own.
+    const kick = () => { replayQueue() }
+    kick()
+    window.addEventListener('online', kick)
+    const id = setInterval(kick, 30000)
+    return () => { window.removeEventListener('online', kick); clearInterval(id) }
+  }, [hasQueuedTaps, replayQueue])
+
   useEffect(() => { loadMine() }, [loadMine])
   useEffect(() => { if (isManager) loadTeam(teamDate) }, [isManager, teamDate, loadTeam])
   useEffect(() => { if (isManager) loadPending() }, [isManager, loadPending])
+  useEffect(() => {
+    if (!isManager) return
+    let alive = true
+    Promise.all([scheduleApi.allHistory(), leaveApi.all('Approved')]).then(([sv, lv]) => {
+      if (!alive) return
+      setTeamGrading({
+        versions: sv.isSuccess && Array.isArray(sv.data) ? sv.data : [],
+        leaves: lv.isSuccess && Array.isArray(lv.data) ? lv.data : [],
+      })
+    })
+    return () => { alive = false }
+  }, [isManager, leaveTick])
   useEffect(() => {
     if (isManager && view === 'attendance') loadAdminAtt(adminRange.days)
   }, [isManager, view, adminRangeKey, loadAdminAtt, adminRange.days])
@@ -237,6 +368,40 @@ export default function AttendanceConsole({ user, onSignOut }) {
     if (isManager && view === 'monitoring') loadDashTrend()
   }, [isManager, view, loadDashTrend])
 
+  // Live feed → reload only what changed. Bursts (a queue of clock-ins at 8:00) are coalesced
+  // into one quiet reload per panel; the handler is swapped each render so it sees the current
+  // teamDate/view without reopening the stream.
+  useEffect(() => {
+    liveHandler.current = (e) => {
+      const all = e.type === 'resync'
+      const q = liveQueue.current
+      if (all || ((e.type === 'attendance' || e.type === 'verify-request') && (!e.date || e.date === teamDate))) q.team = true
+      if (all || e.type === 'verify-request') q.pending = true
+      if (all || e.type === 'leave') q.leave = true
+      if (all || e.type === 'overtime') q.overtime = true
+      if (e.action === 'submitted' || e.action === 'clock-in') {
+        setLiveNew((n) => ({ count: n.count + 1, last: e.message || n.last }))
+      }
+      clearTimeout(q.timer)
+      q.timer = setTimeout(() => {
+        if (q.team) {
+          loadTeam(teamDate, true)
+          if (view === 'monitoring') { loadDashTrend(true); setDeptTick((t) => t + 1) }
+        }
+        if (q.pending) loadPending(true)
+        if (q.leave) setLeaveTick((t) => t + 1)
+        if (q.overtime) setOvertimeTick((t) => t + 1)
+        q.team = q.pending = q.leave = q.overtime = false
+      }, 800)
+    }
+  })
+  useEffect(() => {
+    if (!isManager) return
+    const queue = liveQueue.current
+    const stop = subscribeLive({ onEvent: (e) => liveHandler.current?.(e), onMode: setLiveMode })
+    return () => { stop(); clearTimeout(queue.timer) }
+  }, [isManager])
+
   // Tick every minute so time-based button states stay current
   const [nowMin, setNowMin] = useState(() => {
     const n = new Date(); return n.getHours() * 60 + n.getMinutes()
@@ -252,50 +417,119 @@ export default function AttendanceConsole({ user, onSignOut }) {
   const hasTimeIn = !!(today && (today.timeInFormatted || today.timeIn))
   const hasTimeOut = !!(today && (today.timeOutFormatted || today.timeOut))
   const isTimeOff = !!(today && isTimeOffStatus(today.status))
+  const queuedToday = queuedTaps.find((e) => e.date === localDateStr() && (e.status === 'queued' || e.status === 'sent'))
+
+  // Time Off is only enabled once the shift the day's attendance belongs to has ended (split
+  // shifts: the last part). An overnight shift belongs to the day it starts: it keeps Time Off
+  // locked for the rest of that day and gates the next morning until it ends, whatever that day
+  // holds. If no schedule is assigned, or nothing is scheduled, allow it freely.
+  const timeOffGate = useMemo(() => {
+    const now = new Date()
+    const prev = new Date(now)
+    prev.setDate(prev.getDate() - 1)
+    const latest = (shifts) => shifts.reduce((a, b) => (b.end > a.end ? b : a))
+
+    const carried = shiftsOn(schedule, prev).filter((s) => s.overnight)
+    if (carried.length) {
+      const last = latest(carried)
+      const end = last.end - 24 * 60
+      if (nowMin < end) return { open: false, after: last.endTime }
+      const later = shiftsOn(schedule, now).filter((s) => !s.overnight)
+      if (!later.length) return { open: true, after: null }
+      const lastToday = latest(later)
+      return { open: nowMin >= lastToday.end, after: lastToday.endTime }
+    }
 
-  // Time Off is only enabled once the shift end time has been reached.
-  // If no schedule is assigned, allow it freely.
-  const canTimeOff = useMemo(() => {
-    if (!schedule?.endTime) return true
-    const parts = schedule.endTime.split(':').map(Number)
-    const endMin = parts[0] * 60 + (parts[1] || 0)
-    return nowMin >= endMin
+    const shifts = shiftsOn(schedule, now)
+    if (!shifts.length) return { open: true, after: null }
+    const last = latest(shifts)
+    if (last.overnight) return { open: false, after: `${last.endTime} tomorrow` }
+    return { open: nowMin >= last.end, after: last.endTime }
   }, [schedule, nowMin])
+  const canTimeOff = timeOffGate.open
+
+  // The shift a clock-in right now would be graded against — shown as "Scheduled … late after …".
+  const currentShift = useMemo(() => activeShift(schedule, new Date(), nowMin), [schedule, nowMin])
+
+  // Full-day leave blocks Time In all day. Half-day and hourly leave only while it runs (an
+  // afternoon leave from its start on); outside it the employee clocks in as usual, and when the
+  // leave covers the shift start, lateness counts from when it ends (as the server grades it).
+  const leaveWin = useMemo(
+    () => (todayLeave ? leaveWindow(todayLeave, schedule || DEFAULT_SCHEDULE, new Date()) : null),
+    [todayLeave, schedule],
+  )
+  const isOnLeave = !!todayLeave && (!isPartial(todayLeave)
+    || (!!leaveWin && nowMin >= leaveWin.start && (todayLeave.portion === 'PM' || nowMin < leaveWin.end)))
+  const leaveText = !todayLeave ? ''
+    : !isPartial(todayLeave) ? `${todayLeave.leaveType} leave · ${todayLeave.startDate} – ${todayLeave.endDate}`
+    : `${todayLeave.leaveType} leave · ${portionLabel(todayLeave)}${leaveWin && todayLeave.portion !== 'Hours' ? ` (${fmtMinutes(leaveWin.start)}–${fmtMinutes(leaveWin.end)})` : ''}`
+  const partialNote = useMemo(() => {
+    if (!todayLeave || !isPartial(todayLeave) || !leaveWin) return null
+    const shift = currentShift
+    if (shift && leaveWin.start <= shift.start + shift.graceMinutes && leaveWin.end > shift.start) {
+      return `${leaveText} — clock in when it ends, late after ${fmtMinutes(leaveWin.end + shift.graceMinutes)}`
+    }
+    return leaveText
+  }, [todayLeave, leaveWin, currentShift, leaveText])
 
   // ── Derived: employee range-filtered history + metrics ─────────────
   const filtered = useMemo(() => {
     const cutoff = new Date()
     cutoff.setHours(0, 0, 0, 0)
     cutoff.setDate(cutoff.getDate() - (range.days - 1))
-    return history.filter((r) => {
-      const d = new Date(`${r.date}T00:00:00`)
-      return !Number.isNaN(d.getTime()) && d >= cutoff
-    })
-  }, [history, range])
+    return history
+      .filter((r) => {
+        const d = new Date(`${r.date}T00:00:00`)
+        return !Number.isNaN(d.getTime()) && d >= cutoff
+      })
+      .map((r) => ({ ...r, approvedOt: myOvertime.get(r.date) || 0 }))
+  }, [history, range, myOvertime])
+
+  // Approved overtime flagged on the all-attendance rows (see lib/overtime).
+  const adminRows = useMemo(() => (Array.isArray(adminAttRows) ? adminAttRows : [])
+    .map((r) => ({ ...r, approvedOt: adminOvertime.get(otKey(r.employeeId, r.attendanceDate)) || 0 })), [adminAttRows, adminOvertime])
+  const todayOvertime = myOvertime.get(localDateStr()) || 0
+
+  // Present / late graded from TimeIn against the day's schedule version — clock-out overwrites
+  // the status (lib/attendance).
+  const classifyMine = useMemo(() => classifier(myGrading.versions, myGrading.leaves, { own: true }), [myGrading])
+  const classifyTeam = useMemo(() => classifier(teamGrading.versions, teamGrading.leaves), [teamGrading])
 
   const metrics = useMemo(() => {
-    const present = filtered.filter((r) => isPresent(r.status)).length
-    const late = filtered.filter((r) => isLate(r.status)).length
-    const absent = filtered.filter((r) => isAbsent(r.status)).length
+    const classes = filtered.map(classifyMine)
+    const count = (c) => classes.filter((x) => x === c).length
+    const present = count('present'), late = count('late'), absent = count('absent')
     const graded = present + late + absent
     const rate = graded ? Math.round((present / graded) * 100) : 0
-    const chrono = [...filtered].reverse()
+    const chrono = [...classes].reverse()
     return {
       present, late, absent, rate,
-      presentSeries: chrono.map((r) => (isPresent(r.status) ? 1 : 0)),
-      lateSeries: chrono.map((r) => (isLate(r.status) ? 1 : 0)),
-      absentSeries: chrono.map((r) => (isAbsent(r.status) ? 1 : 0)),
-      hoursSeries: chrono.map((r) => parseFloat(r.hoursWorked) || 0),
+      presentSeries: chrono.map((c) => (c === 'present' ? 1 : 0)),
+      lateSeries: chrono.map((c) => (c === 'late' ? 1 : 0)),
+      absentSeries: chrono.map((c) => (c === 'absent' ? 1 : 0)),
+      hoursSeries: [...filtered].reverse().map((r) => parseFloat(r.hoursWorked) || 0),
     }
-  }, [filtered])
+  }, [filtered, classifyMine])
 
   // ── Derived: dashboard stats from today's team rows ────────────────
-  const dashStats = useMemo(() => ({
-    present: teamRows.filter((r) => isPresent(r.status)).length,
-    late: teamRows.filter((r) => isLate(r.status)).length,
-    timeOff: teamRows.filter((r) => isTimeOffStatus(r.status)).length,
-    total: teamRows.length,
-  }), [teamRows])
+  const dashStats = useMemo(() => {
+    const classes = teamRows.map(classifyTeam)
+    const count = (c) => classes.filter((x) => x === c).length
+    return { present: count('present'), late: count('late'), timeOff: count('timeOff'), total: teamRows.length }
+  }, [teamRows, classifyTeam])
+
+  // 7-day trend for the dashboard, one bar per date.
+  const dashTrend = useMemo(() => {
+    const byDate = {}
+    dashTrendRows.forEach((r) => {
+      const d = String(r.date || r.attendanceDate || '').slice(0, 10)
+      if (!d) return
+      if (!byDate[d]) byDate[d] = { date: d, present: 0, late: 0, timeOff: 0 }
+      const c = classifyTeam(r)
+      if (c in byDate[d]) byDate[d][c]++
+    })
+    return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date))
+  }, [dashTrendRows, classifyTeam])
 
   // ── Actions ───────────────────────────────────────────────────────
   const requestOtp = useCallback(async (extra = {}) => {
@@ -305,6 +539,23 @@ export default function AttendanceConsole({ user, onSignOut }) {
     return res
   }, [])
 
+  // No connection at Time In: keep the tap (time + GPS) on the device for replayQueue.
+  const queueTap = async () => {
+    const tappedAt = lastTappedAt.current
+    const date = localDateStr(new Date(tappedAt))
+    if (queuedTaps.some((e) => e.date === date && (e.status === 'queued' || e.status === 'sent'))) {
+      setNotice({ type: 'info', text: 'Still offline — your earlier Time In for today is already queued on this device.' })
+      return
+    }
+    try {
+      await clockQueue.add({ username: queueOwner, kind: 'timeIn', date, clientTimestampMs: tappedAt, coords: lastCoords.current })
+      setNotice({ type: 'info', text: `No connection — your Time In at ${fmtTap(tappedAt)} was saved on this device and will be sent for verification once you're back online.` })
+    } catch {
+      setNotice({ type: 'error', text: 'Cannot reach the server, and this browser cannot store the tap offline. Try again when you have signal.' })
+    }
+    await loadQueue()
+  }
+
   const startTimeIn = async () => {
     setNotice(null)
     lastTappedAt.current = Date.now() // Capture exact tap time BEFORE any async delay
@@ -314,7 +565,18 @@ export default function AttendanceConsole({ user, onSignOut }) {
     setActing(true)
     const res = await requestOtp({ clientTimestampMs: lastTappedAt.current })
     setActing(false)
-    if (!res.isSuccess) setNotice({ type: 'error', text: res.message })
+    if (res.offline) await queueTap()
+    else if (!res.isSuccess) setNotice({ type: 'error', text: res.message })
+  }
+
+  const resumeTap = async (entry) => {
+    await clockQueue.update({ ...entry, status: 'queued', message: null })
+    await replayQueue()
+  }
+
+  const dismissTap = async (entry) => {
+    await clockQueue.remove(entry.id)
+    await loadQueue()
   }
 
   const verify = async (code) => {
@@ -322,6 +584,11 @@ export default function AttendanceConsole({ user, onSignOut }) {
     if (res.isSuccess) {
       setOtpInfo(null)
       setVerifyPending(false)
+      if (replayEntryId) {
+        await clockQueue.remove(replayEntryId)
+        setReplayEntryId(null)
+        loadQueue()
+      }
       setNotice({ type: 'ok', text: res.message || 'Clocked in.' })
       await loadMine()
       if (isManager) loadTeam(teamDate)
@@ -331,15 +598,24 @@ export default function AttendanceConsole({ user, onSignOut }) {
 
   const requestVerifyFromModal = useCallback(async () => {
     setOtpInfo(null)
-    const body = { ...(lastCoords.current || {}), ...(lastTappedAt.current ? { clientTimestampMs: lastTappedAt.current } : {}) }
+    const body = {
+      ...(lastCoords.current || {}),
+      ...(lastTappedAt.current ? { clientTimestampMs: lastTappedAt.current } : {}),
+      ...(replayEntryId ? { queuedOffline: true } : {}),
+    }
     const res = await attendanceApi.requestVerify(body)
     if (res.isSuccess) {
+      if (replayEntryId) {
+        await clockQueue.remove(replayEntryId)
+        setReplayEntryId(null)
+        loadQueue()
+      }
       setVerifyPending(true)
       setNotice({ type: 'ok', text: `Verification request submitted at ${res.data?.requestedTimeFormatted || 'now'} — waiting for HR/Admin approval.` })
     } else {
       setNotice({ type: 'error', text: res.message })
     }
-  }, [])
+  }, [replayEntryId, loadQueue])
 
   const approveRequest = async (requestId) => {
     setApprovingId(requestId)
@@ -391,11 +667,12 @@ export default function AttendanceConsole({ user, onSignOut }) {
   }
 
   const refresh = () => {
+    setLiveNew({ count: 0, last: '' })
     loadMine()
     if (isManager) {
       loadTeam(teamDate)
       loadPending()
-      if (view === 'monitoring') loadDashTrend()
+      if (view === 'monitoring') { loadDashTrend(); setDeptTick((t) => t + 1) }
       if (view === 'attendance') loadAdminAtt(adminRange.days)
     }
   }
@@ -423,9 +700,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
     }
     // On approved leave and not yet clocked in → block Time In and Time Off
     if (isOnLeave && !hasTimeIn) {
-      const tip = todayLeave
-        ? `${todayLeave.leaveType} leave · ${todayLeave.startDate} – ${todayLeave.endDate}`
-        : undefined
+      const tip = leaveText || undefined
       return (
         <button className="btnGhost" disabled title={tip}>
           {Icons.leave} On Approved Leave
@@ -434,7 +709,21 @@ export default function AttendanceConsole({ user, onSignOut }) {
     }
     if (!hasTimeIn) {
       const busy = acting || locating
-      const endLabel = schedule?.endTime ? schedule.endTime.slice(0, 5) : null
+      const endLabel = timeOffGate.after
+      if (queuedToday?.status === 'queued') {
+        return (
+          <button className="btnGhost" disabled title={`Tapped at ${fmtTap(queuedToday.clientTimestampMs)}`}>
+            <span className="spinner spinner--blue" /> Queued · waiting for connection
+          </button>
+        )
+      }
+      if (queuedToday?.status === 'sent') {
+        return (
+          <button className="btnPrimary" onClick={() => resumeTap(queuedToday)}>
+            {Icons.mail} Resend queued Time In code
+          </button>
+        )
+      }
       if (verifyPending) {
         return (
           <button className="btnGhost" disabled>
@@ -475,16 +764,13 @@ export default function AttendanceConsole({ user, onSignOut }) {
     <div className="panel">
       <h3 className="panel__title">My schedule</h3>
       {schedule ? (
-        <>
-          <div className="kv"><span className="kv__k">Start time</span><span className="kv__v">{schedule.startTime}</span></div>
-          <div className="kv"><span className="kv__k">End time</span><span className="kv__v">{schedule.endTime}</span></div>
-          <div className="kv"><span className="kv__k">Late after</span><span className="kv__v">{schedule.lateAfter}</span></div>
-          <div className="kv"><span className="kv__k">Grace</span><span className="kv__v">{schedule.graceMinutes} min</span></div>
-          <div className="kv"><span className="kv__k">Work days</span><span className="kv__v">{schedule.workDays}</span></div>
-        </>
+        <ScheduleRows schedule={schedule} />
       ) : (
         <p className="alert alert--info">No schedule set yet. Ask Admin/HR to set your schedule — clock-ins default to a 09:00 start until then.</p>
       )}
+      {todayOvertime > 0 && (
+        <p className="alert alert--ok" style={{ marginTop: 12 }}>Approved overtime today: {fmtOtHours(todayOvertime)} past your shift end.</p>
+      )}
     </div>
   )
 
@@ -492,10 +778,16 @@ export default function AttendanceConsole({ user, onSignOut }) {
     monitoring: { title: isManager ? 'Dashboard' : 'Attendance monitoring', sub: isManager ? "Today's attendance overview." : 'Clock in against your schedule — verified by an emailed one-time code.' },
     attendance: { title: isManager ? 'All attendance' : 'My attendance', sub: isManager ? "Every employee's attendance records." : 'Your attendance history, location and on-time rate.' },
     calendar: { title: 'My calendar', sub: 'Monthly view of your attendance — present, absent, leave, weekly off and holidays.' },
+    overtime: { title: 'Overtime', sub: isManager ? 'Review and approve overtime requests.' : 'Request overtime before working past your shift.' },
     leave: { title: 'Leave requests', sub: isManager ? 'Review and approve employee leave requests.' : 'Request leave and view your leave history.' },
+    teamCalendar: { title: 'Team calendar', sub: 'Approved and pending leave for everyone, with days a department is below its minimum headcount.' },
+    reports: { title: 'Reports', sub: 'Absences and late arrivals over a date range, graded against each schedule.' },
+    timesheet: { title: 'Timesheets', sub: 'Payroll-ready hours per employee for a pay period, with overtime and night differential.' },
     events: { title: 'Work events', sub: 'Manage custom holidays, days off, and attendance open/close by date.' },
     schedule: { title: 'Schedule', sub: isManager ? 'Set work schedules per employee.' : 'Your assigned work schedule.' },
+    employees: { title: 'Employees', sub: 'Employee records, profiles and who still needs a login.' },
     users: { title: 'Users', sub: 'Create employee accounts and assign their role.' },
+    account: { title: 'My account', sub: 'Your profile, branch and schedule, password and sessions.' },
   }
 
   const navItem = (key, icon, label) => (
@@ -522,9 +814,15 @@ export default function AttendanceConsole({ user, onSignOut }) {
         {navItem('attendance', Icons.clock, isManager ? 'All attendance' : 'My attendance')}
         {!isManager && navItem('calendar', Icons.calendar, 'My calendar')}
         {navItem('leave', Icons.leave, 'Leave')}
+        {isManager && navItem('teamCalendar', Icons.calendar, 'Team calendar')}
+        {navItem('overtime', Icons.overtime, 'Overtime')}
+        {isManager && navItem('reports', Icons.report, 'Reports')}
+        {isManager && navItem('timesheet', Icons.payroll, 'Timesheets')}
         {isManager && navItem('events', Icons.events, 'Work events')}
         {navItem('schedule', Icons.calendar, 'Schedule')}
+        {isManager && navItem('employees', Icons.idCard, 'Employees')}
         {isManager && navItem('users', Icons.users, 'Users')}
+        {navItem('account', Icons.user, 'My account')}
       </aside>
 
       <div className="main">
@@ -536,7 +834,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
           <div className="topbar__spacer" />
           <div className="topbar__user">
             <span className="topbar__userName">{user?.employeeName || user?.username}{user?.roleName ? ` · ${user.roleName}` : ''}</span>
-            <span className="avatar">{initials}</span>
+            <button className="avatar" title="My account" onClick={() => setView('account')}>{initials}</button>
             <button className="iconBtn" title="Sign out" onClick={onSignOut}>{Icons.logout}</button>
           </div>
         </header>
@@ -548,6 +846,17 @@ export default function AttendanceConsole({ user, onSignOut }) {
               <p className="pageSub">{VIEWS[view].sub}</p>
             </div>
             <div className="headerActions">
+              {isManager && (
+                <span className={`liveDot liveDot--${liveMode}`}
+                      title={liveMode === 'live' ? 'Live — updates appear as they happen' : liveMode === 'polling' ? 'Live updates unavailable — refreshing every 30 s' : 'Connecting to live updates…'}>
+                  {liveMode === 'live' ? 'Live' : liveMode === 'polling' ? 'Auto' : '…'}
+                </span>
+              )}
+              {isManager && liveNew.count > 0 && (
+                <button className="liveNew" onClick={() => setLiveNew({ count: 0, last: '' })} title={liveNew.last || 'New activity'}>
+                  {liveNew.count} new
+                </button>
+              )}
               <button className="iconBtn" onClick={refresh} title="Refresh">{Icons.refresh}</button>
               <ActionButton inHeader />
             </div>
@@ -597,16 +906,24 @@ export default function AttendanceConsole({ user, onSignOut }) {
                     </div>
                   </div>
 
+                  <DepartmentBreakdown date={teamDate} refreshKey={deptTick} selected={teamDept} onSelect={setTeamDept} />
+
+                  {teamDept && (
+                    <div className="rangeRow" style={{ marginBottom: 8 }}>
+                      <button className="chip chip--active" onClick={() => setTeamDept('')} title="Show every department">
+                        Department: {teamDept} ✕
+                      </button>
+                    </div>
+                  )}
                   <MonitoringTable
                     loading={teamLoading}
-                    emptyText="No attendance recorded for this date."
+                    emptyText={teamDept ? `No attendance recorded in ${teamDept} for this date.` : 'No attendance recorded for this date.'}
                     filterKeys={['employeeName', 'department', 'status']}
-                    exportOptions={{ filename: `team_attendance_${teamDate}`, title: `Team Attendance · ${teamDate}` }}
-                    rows={teamRows.map((r) => ({
+                    facets={['status', 'workLocation']}
+                    exportOptions={{ filename: `team_attendance_${teamDate}`, title: `Team Attendance · ${teamDate}`, summary: (rows) => summarizeAttendance(rows, classifyTeam), classify: classifyTeam }}
+                    rows={teamRows.filter((r) => !teamDept || deptName(r.department) === teamDept).map((r) => ({
                       ...r,
-                      scheduled: schedulesByEmp[r.employeeId]
-                        ? `${schedulesByEmp[r.employeeId].startTime}–${schedulesByEmp[r.employeeId].endTime}`
-                        : '—',
+                      scheduled: schedulesByEmp[r.employeeId] ? describeSchedule(schedulesByEmp[r.employeeId]) : '—',
                     }))}
                     columns={[
                       { key: 'employeeName', label: 'Employee', render: (r) => (
@@ -639,7 +956,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                         </h3>
                         <p className="pageSub" style={{ marginTop: 2 }}>Employees waiting for clock-in approval.</p>
                       </div>
-                      <button className="iconBtn" onClick={loadPending} title="Refresh">{Icons.refresh}</button>
+                      <button className="iconBtn" onClick={() => loadPending()} title="Refresh">{Icons.refresh}</button>
                     </div>
                     {pendingLoading ? (
                       <p className="muted" style={{ fontSize: 13 }}>Loading…</p>
@@ -659,6 +976,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                               <div style={{ fontSize: 12, color: 'var(--text-secondary)', marginTop: 2 }}>
                                 {req.department && <span style={{ marginRight: 8 }}>{req.department}</span>}
                                 Requested at <strong>{req.requestedTimeFormatted}</strong>
+                                {req.deviceTime && <span style={{ marginLeft: 8, color: 'var(--gcp-yellow)' }} title="Tapped while offline — confirm the time before approving">· device time</span>}
                                 {req.workLocation && <span style={{ marginLeft: 8 }}>{req.onSite ? `· ${req.branchName || 'Office'}` : `· ${req.workLocation}`}</span>}
                               </div>
                             </div>
@@ -687,6 +1005,8 @@ export default function AttendanceConsole({ user, onSignOut }) {
                           <div style={{ fontSize: 13, color: 'var(--text-secondary)', marginTop: 4 }}>
                             {isTimeOff ? 'Time Off'
                               : isOnLeave && !hasTimeIn ? `On Approved Leave${todayLeave ? ` · ${todayLeave.leaveType}` : ''}`
+                              : !hasTimeIn && queuedToday ? `Queued (offline) · tapped at ${fmtTap(queuedToday.clientTimestampMs)}`
+                              : !hasTimeIn && partialNote ? `Not clocked in · ${partialNote}`
                               : !hasTimeIn ? 'Not clocked in'
                               : hasTimeOut ? `Done · In ${today?.timeInFormatted} · Out ${today?.timeOutFormatted}`
                               : `Clocked in at ${today?.timeInFormatted}`}
@@ -694,6 +1014,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                         </div>
                         <div className="actions"><ActionButton /></div>
                       </div>
+                      <QueuedTaps taps={queuedTaps} onResume={resumeTap} onDismiss={dismissTap} />
                     </div>
                   )}
                 </>
@@ -709,20 +1030,26 @@ export default function AttendanceConsole({ user, onSignOut }) {
                           <div className="statusBig__label">
                             {isTimeOff ? 'Time Off'
                               : isOnLeave && !hasTimeIn ? 'On Approved Leave'
+                              : !hasTimeIn && queuedToday ? 'Queued (offline)'
                               : !hasTimeIn ? 'Not clocked in'
                               : hasTimeOut ? 'Completed'
                               : (today?.status || 'Clocked in')}
                           </div>
                           <div className="statusBig__sub">
                             {isOnLeave && !hasTimeIn && todayLeave
-                              ? `${todayLeave.leaveType} leave · ${todayLeave.startDate} – ${todayLeave.endDate}${todayLeave.reason ? ` · ${todayLeave.reason}` : ''}`
+                              ? `${leaveText}${todayLeave.reason ? ` · ${todayLeave.reason}` : ''}`
+                              : !hasTimeIn && queuedToday
+                              ? `Tapped at ${fmtTap(queuedToday.clientTimestampMs)} · ${queuedToday.status === 'sent' ? 'code emailed — enter it to finish' : "will be sent once you're back online"}`
+                              : !hasTimeIn && partialNote ? partialNote
                               : hasTimeIn
                               ? `In at ${today?.timeInFormatted || '—'}${hasTimeOut ? ` · Out at ${today?.timeOutFormatted}` : ''}${today?.workLocation ? ` · ${today.workLocation}` : ''}`
-                              : schedule ? `Scheduled ${schedule.startTime} — late after ${schedule.lateAfter}` : 'No schedule set'}
+                              : currentShift ? `Scheduled ${shiftLabel(currentShift)} — late after ${currentShift.lateAfter}`
+                              : schedule ? 'No shift scheduled today' : 'No schedule set'}
                           </div>
                         </div>
                       </div>
                       <div className="actions"><ActionButton /></div>
+                      <QueuedTaps taps={queuedTaps} onResume={resumeTap} onDismiss={dismissTap} />
                     </div>
                     {mySchedulePanel}
                   </div>
@@ -746,7 +1073,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                     <div style={{ flex: 1 }} />
                     <label className="chip" style={{ cursor: 'pointer' }} title="Import attendance from CSV file">
                       {importLoading ? 'Importing…' : '↑ Import CSV'}
-                      <input type="file" accept=".csv,.CSV" hidden disabled={importLoading}
+                      <input type="file" accept=".csv,.CSV,.txt,.tsv" hidden disabled={importLoading}
                         onChange={(e) => { handleImport(e.target.files[0]); e.target.value = '' }} />
                     </label>
                     <button className="chip" onClick={downloadImportTemplate} title="Download CSV import template">Template</button>
@@ -756,12 +1083,20 @@ export default function AttendanceConsole({ user, onSignOut }) {
                       {importNotice.text}
                     </p>
                   )}
+                  {importPreview && (
+                    <ImportPreviewModal
+                      {...importPreview}
+                      onImported={handleImported}
+                      onClose={() => setImportPreview(null)}
+                    />
+                  )}
                   <MonitoringTable
                     loading={adminAttLoading}
                     emptyText="No attendance records in this range."
                     filterKeys={['employeeName', 'department', 'status', 'date']}
-                    exportOptions={{ filename: `attendance_${adminRange.label.replace(' ', '_')}`, title: `All Attendance · ${adminRange.label}` }}
-                    rows={Array.isArray(adminAttRows) ? adminAttRows : []}
+                    facets={['status', 'workLocation']}
+                    exportOptions={{ filename: `attendance_${adminRange.label.replace(' ', '_')}`, title: `All Attendance · ${adminRange.label}`, summary: (rows) => summarizeAttendance(rows, classifyTeam), classify: classifyTeam }}
+                    rows={adminRows}
                     columns={[
                       { key: 'employeeName', label: 'Employee' },
                       { key: 'department', label: 'Dept', hideSm: true },
@@ -771,6 +1106,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                       { key: 'status', label: 'Status', render: (r) => statusBadge(r.status) },
                       { key: 'workLocation', label: 'Location', hideSm: true, render: (r) => locationBadge(r.workLocation) },
                       { key: 'hoursWorked', label: 'Hrs', num: true, render: (r) => r.hoursWorkedFormatted || r.hoursWorked || <span className="muted">—</span> },
+                      { key: 'approvedOt', label: 'OT', num: true, hideSm: true, render: (r) => (r.approvedOt ? otBadge(r.approvedOt) : <span className="muted">—</span>) },
                     ]}
                   />
                 </>
@@ -794,7 +1130,8 @@ export default function AttendanceConsole({ user, onSignOut }) {
                     loading={loading}
                     emptyText="No attendance records in this range yet."
                     filterKeys={['date', 'status']}
-                    exportOptions={{ filename: `my_attendance_${range.label.replace(' ', '_')}`, title: `My Attendance · ${range.label}` }}
+                    facets={['status', 'workLocation']}
+                    exportOptions={{ filename: `my_attendance_${range.label.replace(' ', '_')}`, title: `My Attendance · ${range.label}`, summary: (rows) => summarizeAttendance(rows, classifyMine), classify: classifyMine }}
                     rows={filtered}
                     columns={[
                       { key: 'date', label: 'Date' },
@@ -803,6 +1140,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
                       { key: 'status', label: 'Status', render: (r) => statusBadge(r.status) },
                       { key: 'workLocation', label: 'Location', hideSm: true, render: (r) => locationBadge(r.workLocation) },
                       { key: 'hoursWorked', label: 'Hrs', num: true },
+                      { key: 'approvedOt', label: 'OT', num: true, hideSm: true, render: (r) => (r.approvedOt ? otBadge(r.approvedOt) : <span className="muted">—</span>) },
                     ]}
                   />
                 </>
@@ -816,7 +1154,13 @@ export default function AttendanceConsole({ user, onSignOut }) {
           )}
 
           {/* ===================== LEAVE ===================== */}
-          {view === 'leave' && <LeaveRequestView />}
+          {view === 'leave' && <LeaveRequestView refreshKey={leaveTick} />}
+          {view === 'teamCalendar' && isManager && <TeamLeaveCalendar refreshKey={leaveTick} />}
+          {view === 'overtime' && <OvertimeRequestView schedule={schedule} refreshKey={overtimeTick} />}
+
+          {/* ===================== REPORTS ===================== */}
+          {view === 'reports' && isManager && <Reports />}
+          {view === 'timesheet' && isManager && <Timesheet />}
 
           {/* ===================== WORK EVENTS ===================== */}
           {view === 'events' && isManager && <WorkEventPanel />}
@@ -829,10 +1173,11 @@ export default function AttendanceConsole({ user, onSignOut }) {
 
               {isManager ? (
                 <>
+                  <ShiftTemplates onChanged={() => loadTeam(teamDate)} />
                   <div className="topRow" style={{ marginTop: 8 }}>
                     <div>
                       <h1 className="pageTitle" style={{ fontSize: 18 }}>All schedules</h1>
-                      <p className="pageSub">Every employee's active work schedule.</p>
+                      <p className="pageSub">Every employee's current work schedule, or the next one when it starts later.</p>
                     </div>
                     <button className="btnPrimary" onClick={() => { setEditSchedEmpId(null); setShowSchedModal(true) }}>
                       + Set schedule
@@ -842,14 +1187,19 @@ export default function AttendanceConsole({ user, onSignOut }) {
                     loading={teamLoading}
                     emptyText="No schedules set yet."
                     filterKeys={['employeeName']}
-                    rows={Object.values(schedulesByEmp)}
+                    rows={Object.values(schedulesByEmp).map((s) => ({ ...s, shiftSummary: describeSchedule(s) }))}
                     columns={[
                       { key: 'employeeName', label: 'Employee' },
-                      { key: 'startTime', label: 'Start' },
-                      { key: 'endTime', label: 'End' },
-                      { key: 'lateAfter', label: 'Late after', hideSm: true },
+                      { key: 'shiftSummary', label: 'Shifts' },
+                      { key: 'lateAfter', label: 'Late after', hideSm: true, render: (r) => (r.usesShiftPattern ? <span className="muted">per shift</span> : r.lateAfter) },
                       { key: 'graceMinutes', label: 'Grace (min)', num: true, hideSm: true },
-                      { key: 'workDays', label: 'Work days', hideSm: true },
+                      { key: 'templateName', label: 'Template', hideSm: true, render: (r) => r.templateName || <span className="muted">custom</span> },
+                      { key: 'effectiveFrom', label: 'Effective', hideSm: true, render: (r) => (
+                        <>
+                          {r.effectiveFrom || '—'}
+                          {r.nextEffectiveFrom && <div className="muted" style={{ fontSize: 11 }}>changes {r.nextEffectiveFrom}</div>}
+                        </>
+                      ) },
                       { key: '_actions', label: '', render: (r) => (
                         <div className="actionBtns">
                           <button className="btnSm" onClick={() => setViewSched(r)}>View</button>
@@ -867,13 +1217,22 @@ export default function AttendanceConsole({ user, onSignOut }) {
           )}
 
           {/* ===================== USERS ===================== */}
-          {view === 'users' && isManager && <UserManager />}
+          {view === 'employees' && isManager && <Employees onCreateAccount={(e) => { setAccountFor(e); setView('users') }} />}
+          {view === 'users' && isManager && <UserManager prefill={accountFor} onPrefillUsed={() => setAccountFor(null)} />}
+
+          {view === 'account' && <MyAccount onSignOut={onSignOut} />}
         </div>
       </div>
 
       {/* Time In OTP modal */}
       {otpInfo && (
-        <OtpModal info={otpInfo} onVerify={verify} onResend={requestOtp} onClose={() => setOtpInfo(null)} onRequestVerify={requestVerifyFromModal} />
+        <OtpModal
+          info={otpInfo}
+          onVerify={verify}
+          onResend={() => requestOtp(replayEntryId ? { clientTimestampMs: lastTappedAt.current, queuedOffline: true } : {})}
+          onClose={() => { setOtpInfo(null); setReplayEntryId(null) }}
+          onRequestVerify={requestVerifyFromModal}
+        />
       )}
 
       {/* Time Out OTP modal */}
@@ -891,7 +1250,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
       {deleteSchedTarget && (
         <ConfirmDeleteModal
           title="Delete schedule"
-          description={`This will permanently remove the work schedule for ${deleteSchedTarget.employeeName}. They will default to a 09:00 start until a new schedule is set.`}
+          description={`This will remove the work schedule for ${deleteSchedTarget.employeeName} from today, including any upcoming changes. Earlier days keep the hours they were graded against; from today they default to a 09:00 start until a new schedule is set.`}
           confirmText={deleteSchedTarget.employeeName}
           onConfirm={confirmDeleteSchedule}
           onClose={() => setDeleteSchedTarget(null)}
@@ -922,11 +1281,7 @@ export default function AttendanceConsole({ user, onSignOut }) {
           <div className="modal" onClick={(e) => e.stopPropagation()}>
             <h3 className="modal__title">{viewSched.employeeName}</h3>
             <p className="modal__sub">Work schedule details</p>
-            <div className="kv"><span className="kv__k">Start time</span><span className="kv__v">{viewSched.startTime}</span></div>
-            <div className="kv"><span className="kv__k">End time</span><span className="kv__v">{viewSched.endTime}</span></div>
-            <div className="kv"><span className="kv__k">Late after</span><span className="kv__v">{viewSched.lateAfter}</span></div>
-            <div className="kv"><span className="kv__k">Grace period</span><span className="kv__v">{viewSched.graceMinutes} min</span></div>
-            <div className="kv"><span className="kv__k">Work days</span><span className="kv__v">{viewSched.workDays}</span></div>
+            <ScheduleRows schedule={viewSched} graceLabel="Grace period" />
             <div className="modal__actions">
               <button className="btnGhost" onClick={() => setViewSched(null)}>Close</button>
               <button className="btnPrimary" onClick={() => { handleEditSchedule(viewSched); setViewSched(null) }}>Edit</button>
@@ -938,6 +1293,37 @@ export default function AttendanceConsole({ user, onSignOut }) {
   )
 }
 
+const TAP_STATE = {
+  queued:   { label: 'Waiting for connection', color: 'var(--gcp-blue)' },
+  sent:     { label: 'Code emailed',           color: 'var(--gcp-green)' },
+  conflict: { label: 'Already recorded',       color: 'var(--gcp-yellow)' },
+  failed:   { label: 'Not recorded',           color: 'var(--gcp-red)' },
+}
+
+// Time In taps held in the offline queue (lib/offlineQueue.js). Conflicts and refusals stay
+// listed until dismissed so the employee knows the tap did not count.
+function QueuedTaps({ taps, onResume, onDismiss }) {
+  if (!taps.length) return null
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 14 }}>
+      {taps.map((t) => {
+        const st = TAP_STATE[t.status] || TAP_STATE.queued
+        return (
+          <div key={t.id} style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap', fontSize: 12, padding: '8px 12px', border: '1px solid var(--border-color)', borderRadius: 8 }}>
+            <span style={{ color: 'var(--text-muted)' }}>{t.date} · {fmtTap(t.clientTimestampMs)}</span>
+            <span style={{ color: st.color, fontWeight: 600 }}>{st.label}</span>
+            {t.message && <span style={{ color: 'var(--text-secondary)', flex: 1, minWidth: 160 }}>{t.message}</span>}
+            <div style={{ marginLeft: 'auto', display: 'flex', gap: 6 }}>
+              {t.status === 'sent' && <button className="btnSm" onClick={() => onResume(t)}>New code</button>}
+              {t.status !== 'queued' && <button className="btnSm" onClick={() => onDismiss(t)}>Dismiss</button>}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
 function MetricCard({ title, value, color, series }) {
   const hasData = series && series.some((v) => v > 0)
   return (
@@ -1062,12 +1448,6 @@ function TrendBar({ data, loading }) {
   )
 }
 
-const WE_CHIP = {
-  Holiday: { color: '#9334e6', bg: 'rgba(147,52,230,.12)' },
-  DayOff:  { color: 'var(--text-muted)', bg: 'rgba(120,120,120,.10)' },
-  Closed:  { color: 'var(--gcp-red)', bg: 'rgba(234,67,53,.12)' },
-}
-
 function WorkEventBanner({ events, onDismiss }) {
   const today = localDateStr()
   const tomorrow = (() => { const d = new Date(); d.setDate(d.getDate() + 1); return localDateStr(d) })()
@@ -1098,16 +1478,17 @@ function WorkEventBanner({ events, onDismiss }) {
       </div>
       <div style={{ display: 'flex', flexDirection: 'column', gap: 7 }}>
         {events.map((e) => {
-          const s = WE_CHIP[e.eventType] || WE_CHIP.DayOff
+          const s = eventMeta(e.eventType)
           return (
             <div key={e.id} style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 8, fontSize: 13 }}>
               <span style={{ minWidth: 80, color: 'var(--text-muted)', fontSize: 12, flexShrink: 0 }}>
                 {dayLabel(e.date)}
               </span>
               <span style={{ padding: '2px 9px', borderRadius: 12, background: s.bg, color: s.color, fontSize: 11, fontWeight: 600, flexShrink: 0 }}>
-                {e.eventType}
+                {s.label}
               </span>
               <span style={{ fontWeight: 500 }}>{e.name}</span>
+              {e.branchName && <span className="muted" style={{ fontSize: 12 }}>· {e.branchName}</span>}
               {e.eventType === 'Closed' && (
                 <span style={{ fontSize: 11, color: 'var(--gcp-red)', opacity: 0.8 }}>— clock-ins blocked</span>
               )}
@@ -1119,14 +1500,11 @@ function WorkEventBanner({ events, onDismiss }) {
   )
 }
 
-const EVENT_TYPES = ['Holiday', 'DayOff', 'Closed']
-const EVENT_META = {
-  Holiday: { color: '#9334e6', bg: 'rgba(147,52,230,.12)', label: 'Holiday',  desc: 'Company / public holiday — no attendance required.' },
-  DayOff:  { color: 'var(--text-muted)', bg: 'rgba(120,120,120,.10)', label: 'Day Off', desc: 'No attendance expected for this day.' },
-  Closed:  { color: 'var(--gcp-red)',  bg: 'rgba(234,67,53,.12)',  label: 'Closed',  desc: 'Clock-ins are blocked — employees cannot Time In.' },
-}
+const EMPTY_FORM = (now) => ({ date: now.toISOString().slice(0, 10), eventType: 'Holiday', name: '', branchId: '' })
 
-const EMPTY_FORM = (now) => ({ date: now.toISOString().slice(0, 10), eventType: 'Holiday', name: '' })
+const EVENT_PLACEHOLDER = {
+  Holiday: 'e.g. Rizal Day', SpecialNonWorking: 'e.g. Ninoy Aquino Day', DayOff: 'e.g. Team Building', Closed: 'e.g. Office Maintenance',
+}
 
 function WorkEventPanel() {
   const now = new Date()
@@ -1146,16 +1524,27 @@ function WorkEventPanel() {
   const [viewEvent, setViewEvent] = useState(null)
   const [deleting, setDeleting] = useState(false)
 
+  // Branches for regional holidays, and the .ics/.csv import preview
+  const [branches, setBranches] = useState([])
+  const [holidayImport, setHolidayImport] = useState(null) // { fileName, rows }
+
   const MONTHS = ['January','February','March','April','May','June','July','August','September','October','November','December']
 
   const load = useCallback(async () => {
     setLoading(true)
-    const res = await workEventApi.byMonth(year, month)
+    const res = await workEventApi.allBranches(year, month)
     setEvents(res.isSuccess ? (res.data ?? []) : [])
     setLoading(false)
   }, [year, month])
 
   useEffect(() => { load() }, [load])
+  useEffect(() => {
+    let alive = true
+    branchApi.list().then((res) => {
+      if (alive && res.isSuccess && Array.isArray(res.data)) setBranches(res.data)
+    })
+    return () => { alive = false }
+  }, [])
 
   const openAdd = () => { setForm(EMPTY_FORM(new Date())); setFormErr(null); setShowAdd(true) }
   const closeAdd = () => { setShowAdd(false); setFormErr(null) }
@@ -1163,7 +1552,9 @@ function WorkEventPanel() {
   const addEvent = async () => {
     if (!form.name.trim()) { setFormErr('Name / description is required.'); return }
     setSaving(true)
-    const res = await workEventApi.create({ date: form.date, eventType: form.eventType, name: form.name.trim() })
+    const res = await workEventApi.create({
+      date: form.date, eventType: form.eventType, name: form.name.trim(), branchId: form.branchId ? Number(form.branchId) : null,
+    })
     setSaving(false)
     if (res.isSuccess) {
       closeAdd()
@@ -1182,6 +1573,13 @@ function WorkEventPanel() {
     else setNotice({ type: 'error', text: res.message || 'Delete failed.' })
   }
 
+  const pickHolidayFile = async (file) => {
+    if (!file) return
+    const rows = parseHolidayFile(file.name, await file.text())
+    if (rows) setHolidayImport({ fileName: file.name, rows })
+    else setNotice({ type: 'error', text: 'Choose an iCalendar (.ics) file or a CSV with Date and Name columns.' })
+  }
+
   const prevMonth = () => { if (month === 1) { setYear(y => y - 1); setMonth(12) } else setMonth(m => m - 1) }
   const nextMonth = () => { if (month === 12) { setYear(y => y + 1); setMonth(1) } else setMonth(m => m + 1) }
 
@@ -1197,9 +1595,19 @@ function WorkEventPanel() {
         <div className="topRow" style={{ marginBottom: 14 }}>
           <div>
             <h3 className="panel__title" style={{ margin: 0 }}>Work events</h3>
-            <p className="pageSub" style={{ marginTop: 2 }}>Holidays, days off, and attendance closures by date.</p>
+            <p className="pageSub" style={{ marginTop: 2 }}>
+              Holidays, special non-working days, days off, and attendance closures — for every branch or one. The calendar,
+              absence reports and lateness all follow these.
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <label className="btnGhost" style={{ cursor: 'pointer' }} title="Import holidays from an iCalendar (.ics) or CSV file">
+              ↑ Import
+              <input type="file" accept=".ics,.csv" hidden
+                onChange={(e) => { pickHolidayFile(e.target.files[0]); e.target.value = '' }} />
+            </label>
+            <button className="btnPrimary" onClick={openAdd}>{Icons.plus} Add event</button>
           </div>
-          <button className="btnPrimary" onClick={openAdd}>{Icons.plus} Add event</button>
         </div>
 
         {/* Month navigator */}
@@ -1215,7 +1623,7 @@ function WorkEventPanel() {
           <p className="muted" style={{ fontSize: 13, padding: '12px 0' }}>No work events this month. Click <strong>Add event</strong> to create one.</p>
         ) : (
           events.map(ev => {
-            const meta = EVENT_META[ev.eventType] || EVENT_META.DayOff
+            const meta = eventMeta(ev.eventType)
             return (
               <button
                 key={ev.id}
@@ -1232,6 +1640,7 @@ function WorkEventPanel() {
                   {meta.label}
                 </span>
                 <span style={{ fontSize: 14, fontWeight: 500, flex: 1, color: 'var(--text-primary)' }}>{ev.name}</span>
+                {ev.branchName && <span className="muted" style={{ fontSize: 12 }}>{ev.branchName}</span>}
                 <span style={{ color: 'var(--text-muted)', fontSize: 12 }}>{Icons.chevRight}</span>
               </button>
             )
@@ -1260,7 +1669,15 @@ function WorkEventPanel() {
                   <label>Type *</label>
                   <select className="select" value={form.eventType}
                     onChange={e => setForm(f => ({ ...f, eventType: e.target.value }))}>
-                    {EVENT_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    {EVENT_TYPES.map(t => <option key={t} value={t}>{EVENT_META[t].label}</option>)}
+                  </select>
+                </div>
+                <div className="field">
+                  <label>Applies to</label>
+                  <select className="select" value={form.branchId}
+                    onChange={e => setForm(f => ({ ...f, branchId: e.target.value }))}>
+                    <option value="">All branches</option>
+                    {branches.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
                   </select>
                 </div>
               </div>
@@ -1278,7 +1695,7 @@ function WorkEventPanel() {
                   className="input"
                   value={form.name}
                   onChange={e => { setForm(f => ({ ...f, name: e.target.value })); setFormErr(null) }}
-                  placeholder={form.eventType === 'Holiday' ? 'e.g. Rizal Day' : form.eventType === 'DayOff' ? 'e.g. Team Building' : 'e.g. Office Maintenance'}
+                  placeholder={EVENT_PLACEHOLDER[form.eventType]}
                   onKeyDown={e => e.key === 'Enter' && addEvent()}
                   autoFocus
                 />
@@ -1305,7 +1722,7 @@ function WorkEventPanel() {
             </div>
             <div style={{ padding: '0 24px 24px' }}>
               {(() => {
-                const meta = EVENT_META[viewEvent.eventType] || EVENT_META.DayOff
+                const meta = eventMeta(viewEvent.eventType)
                 return (
                   <>
                     <div style={{ padding: '14px 0', borderBottom: '1px solid var(--border-color)', marginBottom: 14 }}>
@@ -1317,6 +1734,7 @@ function WorkEventPanel() {
                       <span className="kv__v">{new Date(viewEvent.date + 'T12:00:00').toLocaleDateString('en-PH', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
                     </div>
                     <div className="kv"><span className="kv__k">Name</span><span className="kv__v">{viewEvent.name}</span></div>
+                    <div className="kv"><span className="kv__k">Applies to</span><span className="kv__v">{viewEvent.branchName || 'All branches'}</span></div>
                     <p className="muted" style={{ fontSize: 12, marginTop: 10 }}>{meta.desc}</p>
                   </>
                 )
@@ -1324,13 +1742,22 @@ function WorkEventPanel() {
               <div className="modal__actions">
                 <button className="btnGhost" onClick={() => setViewEvent(null)}>Close</button>
                 <button className="btnSm btnSm--danger" onClick={() => removeEvent(viewEvent.id)} disabled={deleting}>
-                  {deleting ? 'Deleting…' : `${Icons.trash} Delete`}
+                  {deleting ? 'Deleting…' : <>{Icons.trash} Delete</>}
                 </button>
               </div>
             </div>
           </div>
         </div>
       )}
+
+      {holidayImport && (
+        <HolidayImportModal
+          {...holidayImport}
+          branches={branches}
+          onImported={(r) => { if (r?.imported) load() }}
+          onClose={() => setHolidayImport(null)}
+        />
+      )}
     </div>
   )
 }
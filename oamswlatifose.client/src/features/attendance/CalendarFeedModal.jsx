@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react'
+import { calendarApi } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+
+// Absolute feed URL for a token — through the same origin as the app (Vite proxies /api in dev).
+const feedUrl = (token) => `${window.location.origin}/api/calendar/feed/${token}.ics`
+
+const fmtWhen = (iso) => (iso ? new Date(iso).toLocaleString('en-PH', { dateStyle: 'medium', timeStyle: 'short' }) : 'never')
+
+// Sets up the caller's subscribable calendar feed (shifts, approved leave and work events). The
+// URL is the only credential a calendar app has, so it can be replaced if it leaks. The server
+// keeps only a hash of its token: the URL is shown right after the link is made, never again.
+export default function CalendarFeedModal({ onClose }) {
+  const [feed, setFeed] = useState(undefined) // undefined while loading, null when not set up
+  const [busy, setBusy] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    let alive = true
+    calendarApi.feed().then((res) => {
+      if (!alive) return
+      if (res.isSuccess) setFeed(res.data ?? null)
+      else { setFeed(null); setError(res.message || 'Could not load your calendar feed.') }
+    })
+    return () => { alive = false }
+  }, [])
+
+  const run = async (call, fallback) => {
+    setBusy(true)
+    setError(null)
+    setCopied(false)
+    const res = await call()
+    setBusy(false)
+    if (!res.isSuccess) { setError(res.message || fallback); return null }
+    return res
+  }
+
+  const reset = async () => {
+    const res = await run(calendarApi.resetFeed, 'Could not create the feed.')
+    if (res) setFeed(res.data)
+  }
+
+  const remove = async () => {
+    const res = await run(calendarApi.removeFeed, 'Could not turn the feed off.')
+    if (res) setFeed(null)
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl(feed.token))
+      setCopied(true)
+    } catch {
+      // No clipboard access (plain http): leave the URL selected for a manual copy.
+      inputRef.current?.select()
+    }
+  }
+
+  return (
+    <div className="modalOverlay" onClick={busy ? undefined : onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Subscribe in your calendar app</h3>
+          <button className="iconBtn" onClick={onClose} disabled={busy}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+          <p className="muted" style={{ fontSize: 12, margin: '12px 0' }}>
+            Your shifts, approved leave and company holidays from a month back to six months ahead. Calendar apps
+            refresh it on their own (usually every few hours), so changes show up without re-importing. Anyone with
+            the link can see your calendar — make a new link if it's shared by mistake.
+          </p>
+
+          {feed === undefined ? (
+            <p className="muted">Loading…</p>
+          ) : !feed ? (
+            <div className="modal__actions">
+              <button className="btnGhost" onClick={onClose}>Cancel</button>
+              <button className="btnPrimary" onClick={reset} disabled={busy}>{busy ? 'Creating…' : 'Create feed link'}</button>
+            </div>
+          ) : (
+            <>
+              {feed.token ? (
+                <>
+                  <div className="field">
+                    <label>Feed URL</label>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <input ref={inputRef} className="input" style={{ flex: 1 }} readOnly value={feedUrl(feed.token)}
+                        onFocus={(e) => e.target.select()} />
+                      <button className="btnGhost" onClick={copy}>{copied ? 'Copied' : 'Copy'}</button>
+                    </div>
+                  </div>
+                  <p className="muted" style={{ fontSize: 12, margin: '8px 0 0' }}>
+                    Copy it now — it won't be shown again. Google Calendar: Other calendars → From URL. Outlook: Add
+                    calendar → Subscribe from web. Apple Calendar:{' '}
+                    <a href={feedUrl(feed.token).replace(/^https?:/, 'webcal:')}>open the link</a>.
+                  </p>
+                </>
+              ) : (
+                <p className="muted" style={{ fontSize: 12, margin: '8px 0 0' }}>
+                  Your feed is on. The link is only shown when it's made — use New link to get one to copy (the old
+                  one stops working).
+                </p>
+              )}
+              <div className="kv" style={{ marginTop: 12 }}><span className="kv__k">Last fetched</span><span className="kv__v">{fmtWhen(feed.lastReadAt)}</span></div>
+              <div className="modal__actions">
+                <button className="btnSm btnSm--danger" onClick={remove} disabled={busy}>Turn off</button>
+                <button className="btnGhost" onClick={reset} disabled={busy}>New link</button>
+                <button className="btnPrimary" onClick={onClose} disabled={busy}>Done</button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react'
+import { attendanceApi } from '../../lib/api'
+import { Sparkline } from '../../lib/ui'
+
+const TREND_DAYS = 7
+
+const COUNTS = [
+  { key: 'present', label: 'Present', color: 'var(--gcp-green)' },
+  { key: 'late', label: 'Late', color: 'var(--gcp-yellow)' },
+  { key: 'absent', label: 'Absent', color: 'var(--gcp-red)' },
+  { key: 'timeOff', label: 'Time off', color: 'var(--gcp-blue)' },
+]
+
+const rateColor = (rate) => (rate == null ? 'var(--text-muted)'
+  : rate >= 90 ? 'var(--gcp-green)' : rate >= 75 ? 'var(--gcp-yellow)' : 'var(--gcp-red)')
+
+// Per-department counts for the dashboard date (absences graded server-side against each
+// schedule) with a 7-day on-time sparkline. Clicking a department hands its name to `onSelect`
+// so the console can filter the team table; clicking it again clears the filter. `refreshKey`
+// reloads are quiet, like LeaveRequestView's.
+export default function DepartmentBreakdown({ date, refreshKey = 0, selected = '', onSelect }) {
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [loadedDate, setLoadedDate] = useState(date)
+
+  // A new date shows the loading state; live refreshes keep the old rows up meanwhile.
+  if (loadedDate !== date) {
+    setLoadedDate(date)
+    setLoading(true)
+  }
+
+  useEffect(() => {
+    let alive = true
+    attendanceApi.departmentBreakdown(date, TREND_DAYS).then((res) => {
+      if (!alive) return
+      setError(res.isSuccess ? '' : res.message || 'Could not load departments.')
+      setRows(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [date, refreshKey])
+
+  return (
+    <div className="panel" style={{ marginBottom: 16 }}>
+      <div className="topRow" style={{ marginBottom: 10 }}>
+        <div>
+          <h3 className="panel__title" style={{ margin: 0 }}>By department</h3>
+          <p className="pageSub" style={{ marginTop: 2 }}>On-time rate is present ÷ (present + late + absent). Click a department to filter the table.</p>
+        </div>
+        {loading && <span className="spinner spinner--blue" />}
+      </div>
+
+      {error && <p className="alert alert--error">{error}</p>}
+      {!loading && !error && rows.length === 0 && <p className="muted" style={{ fontSize: 13 }}>No employees yet.</p>}
+
+      <div className="deptGrid">
+        {rows.map((d) => {
+          const active = selected === d.department
+          const trend = (d.trend || []).map((p) => p.onTimeRate).filter((v) => v != null)
+          return (
+            <button key={d.department} type="button" className={`deptCard${active ? ' deptCard--active' : ''}`}
+              onClick={() => onSelect?.(active ? '' : d.department)} aria-pressed={active}>
+              <div className="deptCard__head">
+                <span className="deptCard__name">{d.department}</span>
+                <span className="muted">{d.employees} staff</span>
+              </div>
+              <div className="deptCard__counts">
+                {COUNTS.map((c) => (
+                  <span key={c.key} title={c.label}>
+                    <span className="statusDot" style={{ background: c.color }} />{d[c.key] ?? 0} {c.label.toLowerCase()}
+                  </span>
+                ))}
+                {d.onLeave > 0 && <span className="muted">{d.onLeave} on leave</span>}
+              </div>
+              <div className="deptCard__trend">
+                <span className="deptCard__rate" style={{ color: rateColor(d.onTimeRate) }}>
+                  {d.onTimeRate == null ? '—' : `${Math.round(d.onTimeRate)}%`}
+                </span>
+                <div style={{ flex: 1 }}>
+                  {trend.length > 1 && <Sparkline data={trend} color={rateColor(d.onTimeRate)} height={28} />}
+                </div>
+              </div>
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,155 @@
+import { useState } from 'react'
+import { workEventApi } from '../../lib/api'
+import { EVENT_TYPES, eventMeta, holidayRowError } from '../../lib/holidays'
+import { Icons } from '../../lib/ui'
+
+// The server refuses bigger batches (WorkEventService.MaxImportRows).
+const MAX_BATCH = 500
+
+/**
+ * Preview and import of a holiday file (see parseHolidayFile). Rows without a type in the file
+ * get the chosen default type; every row goes to the chosen branch, or to all branches. Rows
+ * that can't be imported are shown unticked with the reason; events already on the calendar are
+ * skipped by the server.
+ *
+ * Props:
+ *   fileName   – shown in the header
+ *   rows       – [{ date, name, type }] parsed from the file
+ *   branches   – branch list (from branchApi.list) for the branch picker
+ *   onImported – fn(result) called after a successful request (WorkEventImportResultDTO)
+ *   onClose    – fn called when the modal is dismissed
+ */
+export default function HolidayImportModal({ fileName, rows: parsed, branches, onImported, onClose }) {
+  const [rows, setRows] = useState(() => parsed.map((r, i) => {
+    const error = holidayRowError(r)
+    return { ...r, key: i, error, include: !error }
+  }))
+  const [defaultType, setDefaultType] = useState('Holiday')
+  const [branchId, setBranchId] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null) // { message, data }
+
+  const included = rows.filter((r) => r.include)
+  const toggle = (key) => setRows((rs) => rs.map((r) => (r.key === key && !r.error ? { ...r, include: !r.include } : r)))
+
+  const submit = async () => {
+    if (busy || !included.length) return
+    setBusy(true)
+    setError('')
+    const res = await workEventApi.import(included.map((r) => ({
+      date: r.date, name: r.name, eventType: r.type || defaultType, branchId: branchId ? Number(branchId) : null,
+    })))
+    setBusy(false)
+    if (!res.isSuccess) {
+      setError(res.message || 'Import failed.')
+      return
+    }
+    setResult({ message: res.message, data: res.data || {} })
+    onImported?.(res.data)
+  }
+
+  return (
+    <div className="modalOverlay" onClick={busy ? undefined : onClose}>
+      <div className="modal modal--wide" style={{ maxWidth: 760 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <div>
+            <h3 className="modal__title" style={{ margin: 0 }}>{result ? 'Import result' : 'Import holidays'}</h3>
+            <p className="pageSub" style={{ marginTop: 2 }}>{fileName}</p>
+          </div>
+          <button className="iconBtn" onClick={onClose} disabled={busy}>{Icons.close}</button>
+        </div>
+
+        <div style={{ padding: '14px 24px 24px' }}>
+          {result ? (
+            <>
+              <p className={`alert ${result.data.errors?.length ? 'alert--warn' : 'alert--ok'}`}>{result.message}.</p>
+              {result.data.errors?.length > 0 && (
+                <ul style={{ margin: '12px 0 0', paddingLeft: 18, fontSize: 13, color: 'var(--gcp-red)' }}>
+                  {result.data.errors.map((e) => <li key={e}>{e}</li>)}
+                </ul>
+              )}
+              <div className="modal__actions">
+                <button className="btnPrimary" onClick={onClose}>Done</button>
+              </div>
+            </>
+          ) : rows.length === 0 ? (
+            <>
+              <p className="alert alert--error">No holidays found in this file.</p>
+              <div className="modal__actions">
+                <button className="btnGhost" onClick={onClose}>Close</button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="fieldRow" style={{ flexWrap: 'wrap' }}>
+                <div className="field">
+                  <label>Type for rows without one</label>
+                  <select className="select" value={defaultType} onChange={(e) => setDefaultType(e.target.value)}>
+                    {EVENT_TYPES.map((t) => <option key={t} value={t}>{eventMeta(t).label}</option>)}
+                  </select>
+                </div>
+                <div className="field">
+                  <label>Applies to</label>
+                  <select className="select" value={branchId} onChange={(e) => setBranchId(e.target.value)}>
+                    <option value="">All branches</option>
+                    {branches.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                  </select>
+                </div>
+              </div>
+              {error && <p className="alert alert--error" style={{ marginTop: 12 }}>{error}</p>}
+              {included.length > MAX_BATCH && (
+                <p className="alert alert--error" style={{ marginTop: 12 }}>
+                  At most {MAX_BATCH} holidays can be imported at once — split the file or untick rows.
+                </p>
+              )}
+
+              <div className="importGrid" style={{ marginTop: 12 }}>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th className="th" />
+                      <th className="th">Date</th>
+                      <th className="th">Name</th>
+                      <th className="th">Type</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((r) => {
+                      const meta = eventMeta(r.type || defaultType)
+                      return (
+                        <tr key={r.key} className="row" style={r.include ? undefined : { opacity: 0.45 }}>
+                          <td className="td">
+                            <input type="checkbox" checked={r.include} disabled={!!r.error} onChange={() => toggle(r.key)}
+                              aria-label={`Include ${r.name || r.date}`} />
+                          </td>
+                          <td className="td">{r.date || <span className="muted">—</span>}</td>
+                          <td className="td" style={{ whiteSpace: 'normal' }}>
+                            {r.name || <span className="muted">—</span>}
+                            {r.error && <div style={{ color: 'var(--gcp-red)', fontSize: 12 }}>{r.error}</div>}
+                          </td>
+                          <td className="td">
+                            <span style={{ padding: '2px 9px', borderRadius: 12, background: meta.bg, color: meta.color, fontSize: 11, fontWeight: 600 }}>
+                              {meta.label}
+                            </span>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="modal__actions">
+                <button className="btnGhost" onClick={onClose} disabled={busy}>Cancel</button>
+                <button className="btnPrimary" onClick={submit} disabled={busy || !included.length || included.length > MAX_BATCH}>
+                  {busy ? <><span className="spinner" /> Importing…</> : `Import ${included.length} holiday${included.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
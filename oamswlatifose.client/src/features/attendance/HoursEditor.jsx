@@ -0,0 +1,129 @@
+import { useState } from 'react'
+import { DAYS, weekLetter, weekPattern } from '../../lib/schedule'
+
+const ROTATIONS = [
+  { weeks: 1, label: 'No rotation' },
+  { weeks: 2, label: '2 weeks (A/B)' },
+  { weeks: 3, label: '3 weeks' },
+  { weeks: 4, label: '4 weeks' },
+]
+
+// The "hours" half of the schedule and template editors (controlled).
+// value: { start, end, grace, days, perDay, weeks } — see hoursFromSchedule in lib/schedule.
+// "Same hours every day" edits one start/end + work days; "Shifts per day" edits a per-weekday
+// pattern (split shifts, shifts ending after midnight) with optional week A/B/… rotation.
+export default function HoursEditor({ value, onChange }) {
+  const [tab, setTab] = useState(0)
+  const { start, end, grace, days, perDay, weeks } = value
+  const week = Math.min(tab, weeks.length - 1)
+  const pattern = weeks[week]
+
+  const set = (patch) => onChange({ ...value, ...patch })
+  const setPattern = (next) => set({ weeks: weeks.map((p, i) => (i === week ? next : p)) })
+
+  const toggleDay = (d) => set({ days: days.includes(d) ? days.filter((x) => x !== d) : [...days, d] })
+
+  // Switching to per-day starts from the current plain hours, so nothing has to be retyped.
+  const switchMode = (next) => {
+    if (next && !perDay) set({ perDay: true, weeks: [weekPattern(days, start, end)] })
+    else set({ perDay: next })
+  }
+  // New rotation weeks start as a copy of week A, the common case being "same days, other hours".
+  const setRotation = (n) => {
+    set({ weeks: Array.from({ length: n }, (_, i) => weeks[i] ?? structuredClone(weeks[0])) })
+    setTab(0)
+  }
+  const addShift = (d) => {
+    const last = pattern[d][pattern[d].length - 1]
+    setPattern({ ...pattern, [d]: [...pattern[d], last ? { start: last.end, end: last.end } : { start, end }] })
+  }
+  const removeShift = (d, i) => setPattern({ ...pattern, [d]: pattern[d].filter((_, j) => j !== i) })
+  const updateShift = (d, i, field, v) =>
+    setPattern({ ...pattern, [d]: pattern[d].map((x, j) => (j === i ? { ...x, [field]: v } : x)) })
+
+  return (
+    <>
+      <div className="fieldRow" style={{ marginTop: 14 }}>
+        {!perDay && (
+          <>
+            <div className="field">
+              <label htmlFor="st">Start time</label>
+              <input id="st" type="time" className="input" value={start} onChange={(e) => set({ start: e.target.value })} />
+            </div>
+            <div className="field">
+              <label htmlFor="en">End time</label>
+              <input id="en" type="time" className="input" value={end} onChange={(e) => set({ end: e.target.value })} />
+            </div>
+          </>
+        )}
+        <div className="field">
+          <label htmlFor="gr">Grace (min)</label>
+          <input id="gr" type="number" min="0" max="120" className="input" style={{ minWidth: 90 }}
+                 value={grace} onChange={(e) => set({ grace: e.target.value })} />
+        </div>
+        {perDay && (
+          <div className="field">
+            <label htmlFor="rot">Rotation</label>
+            <select id="rot" className="select" value={weeks.length} onChange={(e) => setRotation(Number(e.target.value))}>
+              {ROTATIONS.map((r) => <option key={r.weeks} value={r.weeks}>{r.label}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="field" style={{ marginTop: 14 }}>
+        <label>Hours</label>
+        <div className="rangeRow">
+          <button type="button" className={`chip ${!perDay ? 'chip--active' : ''}`} onClick={() => switchMode(false)}>Same hours every day</button>
+          <button type="button" className={`chip ${perDay ? 'chip--active' : ''}`} onClick={() => switchMode(true)}>Shifts per day</button>
+        </div>
+      </div>
+
+      {!perDay ? (
+        <div className="field" style={{ marginTop: 14 }}>
+          <label>Work days</label>
+          <div className="rangeRow">
+            {DAYS.map((d) => (
+              <button key={d} type="button" className={`chip ${days.includes(d) ? 'chip--active' : ''}`} onClick={() => toggleDay(d)}>
+                {d}
+              </button>
+            ))}
+          </div>
+          {end && start && end < start && <span className="muted" style={{ fontSize: 12 }}>Ends the next day (overnight shift).</span>}
+        </div>
+      ) : (
+        <div style={{ marginTop: 8 }}>
+          {weeks.length > 1 && (
+            <div className="rangeRow" style={{ marginBottom: 4 }}>
+              {weeks.map((_, i) => (
+                <button key={i} type="button" className={`chip ${i === week ? 'chip--active' : ''}`} onClick={() => setTab(i)}>
+                  Week {weekLetter(i)}
+                </button>
+              ))}
+            </div>
+          )}
+          {DAYS.map((d) => (
+            <div key={d} className="shiftDay">
+              <span className="shiftDay__name">{d}</span>
+              <div className="shiftDay__list">
+                {pattern[d].length === 0 && <span className="muted" style={{ paddingTop: 5, fontSize: 12 }}>Day off</span>}
+                {pattern[d].map((x, i) => (
+                  <div key={i} className="shiftDay__row">
+                    <input type="time" className="cellInput" style={{ width: 100 }} aria-label={`${d} shift ${i + 1} start`}
+                           value={x.start} onChange={(e) => updateShift(d, i, 'start', e.target.value)} />
+                    <span>–</span>
+                    <input type="time" className="cellInput" style={{ width: 100 }} aria-label={`${d} shift ${i + 1} end`}
+                           value={x.end} onChange={(e) => updateShift(d, i, 'end', e.target.value)} />
+                    {x.start && x.end && x.end < x.start && <span className="muted">ends next day</span>}
+                    <button type="button" className="btnSm" onClick={() => removeShift(d, i)} aria-label={`Remove ${d} shift ${i + 1}`}>✕</button>
+                  </div>
+                ))}
+              </div>
+              <button type="button" className="btnSm" onClick={() => addShift(d)}>+ Shift</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,274 @@
+import { useMemo, useState } from 'react'
+import { attendanceApi } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+import {
+  IMPORT_FIELDS, IMPORT_STATUSES, IMPORT_SHIFTS, REQUIRED_IMPORT_FIELDS,
+  suggestImportMapping, rememberImportMapping, applyImportMapping,
+  validateImportRow, importRowToDTO, downloadImportErrors,
+} from '../../lib/export'
+
+// The server refuses bigger batches (AttendanceController.BulkImportAttendance).
+const MAX_BATCH = 1000
+
+const FIELD_LABELS = {
+  employeeId: 'Employee ID', date: 'Date', timeIn: 'In', timeOut: 'Out',
+  status: 'Status', shift: 'Shift', remarks: 'Remarks',
+}
+
+function empName(e) {
+  return e.fullName || `${e.firstName || ''} ${e.lastName || ''}`.trim() || `Employee #${e.id}`
+}
+
+/**
+ * Two-step import of an attendance CSV. First the admin maps the file's columns onto the
+ * CreateAttendanceDTO fields (pre-filled from the mapping remembered for the same headers, or
+ * guessed from common header names). Then every row is previewed and editable; invalid cells (bad date/time, unknown employee ID, values the server
+ * validator rejects, in-file duplicates) are highlighted, and rows can be excluded. After the
+ * import, the server's per-row failures are listed with a downloadable error CSV.
+ *
+ * Props:
+ *   fileName   – shown in the header
+ *   source     – the file from readCsv ({ headers, records })
+ *   employees  – every employee (from employeesApi.directory) used to check IDs
+ *   onImported – fn(result) called after a successful request (BulkImportResultDTO)
+ *   onClose    – fn called when the modal is dismissed
+ */
+export default function ImportPreviewModal({ fileName, source, employees, onImported, onClose }) {
+  const [mapping, setMapping] = useState(() => suggestImportMapping(source.headers))
+  const [rows, setRows] = useState(null) // null while on the mapping step
+  const [onlyProblems, setOnlyProblems] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null) // { data, failures: [{ ...row, error }] }
+
+  const employeesById = useMemo(() => new Map(employees.map((e) => [Number(e.id), e])), [employees])
+
+  // Validate in file order so "duplicate of an earlier row" points at the later copy.
+  const checked = useMemo(() => {
+    const ids = new Set(employeesById.keys())
+    const seen = new Set()
+    return (rows || []).map((r) => ({ row: r, errors: r.include ? validateImportRow(r, ids, seen) : {} }))
+  }, [rows, employeesById])
+
+  const included = checked.filter((c) => c.row.include)
+  const invalid = included.filter((c) => Object.keys(c.errors).length)
+  const shown = onlyProblems ? checked.filter((c) => Object.keys(c.errors).length) : checked
+
+  const missing = REQUIRED_IMPORT_FIELDS.filter((f) => !mapping[f])
+  const sample = (header) => {
+    const i = source.headers.indexOf(header)
+    return i < 0 ? '' : source.records.slice(0, 3).map((r) => r.cells[i]).filter(Boolean).join(', ')
+  }
+  const applyMapping = () => {
+    if (missing.length) return
+    rememberImportMapping(source.headers, mapping)
+    setRows(applyImportMapping(source, mapping).map((r) => ({ ...r, include: true })))
+  }
+
+  const edit = (line, field, value) =>
+    setRows((rs) => rs.map((r) => (r.line === line ? { ...r, [field]: value } : r)))
+  const toggle = (line) =>
+    setRows((rs) => rs.map((r) => (r.line === line ? { ...r, include: !r.include } : r)))
+  const excludeInvalid = () => {
+    const bad = new Set(invalid.map((c) => c.row.line))
+    setRows((rs) => rs.map((r) => (bad.has(r.line) ? { ...r, include: false } : r)))
+  }
+
+  const submit = async () => {
+    if (busy || invalid.length || !included.length) return
+    setBusy(true)
+    setError('')
+    const batch = included.map((c) => c.row)
+    const res = await attendanceApi.bulkImport(batch.map(importRowToDTO))
+    setBusy(false)
+    if (!res.isSuccess) {
+      setError(res.message || 'Import failed.')
+      return
+    }
+    const d = res.data || {}
+    // RowErrors index into the submitted batch; older servers only send free-text Errors.
+    const failures = d.rowErrors?.length
+      ? d.rowErrors.map((e) => ({ ...batch[e.rowIndex], error: e.message }))
+      : (d.errors || []).map((msg) => ({ error: msg }))
+    setResult({ data: d, failures })
+    onImported?.(d)
+  }
+
+  return (
+    <div className="modalOverlay" onClick={busy ? undefined : onClose}>
+      <div className="modal modal--wide" style={{ maxWidth: 1040 }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <div>
+            <h3 className="modal__title" style={{ margin: 0 }}>{result ? 'Import result' : rows ? 'Import preview' : 'Map columns'}</h3>
+            <p className="pageSub" style={{ marginTop: 2 }}>{fileName}</p>
+          </div>
+          <button className="iconBtn" onClick={onClose} disabled={busy}>{Icons.close}</button>
+        </div>
+
+        <div style={{ padding: '14px 24px 24px' }}>
+          {result ? (
+            <>
+              <p className={`alert ${result.failures.length ? 'alert--info' : 'alert--ok'}`}>
+                Imported {result.data.successCount ?? 0} of {result.data.totalRecords ?? included.length} records
+                {result.data.failCount ? ` · ${result.data.failCount} failed` : ''}.
+              </p>
+              {result.failures.length > 0 && (
+                <div className="importGrid" style={{ marginTop: 12 }}>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th className="th">Line</th>
+                        <th className="th">Employee</th>
+                        <th className="th">Date</th>
+                        <th className="th">Error</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.failures.map((f, i) => (
+                        <tr key={i} className="row">
+                          <td className="td">{f.line ?? <span className="muted">—</span>}</td>
+                          <td className="td">{f.employeeId ?? <span className="muted">—</span>}</td>
+                          <td className="td">{f.date ?? <span className="muted">—</span>}</td>
+                          <td className="td" style={{ color: 'var(--gcp-red)', whiteSpace: 'normal' }}>{f.error}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <div className="modal__actions">
+                {result.failures.length > 0 ? (
+                  <button className="btnGhost" onClick={() => downloadImportErrors(result.failures)}>Download error report</button>
+                ) : <span />}
+                <button className="btnPrimary" onClick={onClose}>Done</button>
+              </div>
+            </>
+          ) : !rows ? (
+            <>
+              <p className="pageSub" style={{ margin: '0 0 12px' }}>
+                Match each attendance field to a column in the file ({source.headers.length} columns, {source.records.length} rows).
+                The mapping is remembered for files with the same columns.
+              </p>
+              <div className="importGrid">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th className="th">Field</th>
+                      <th className="th">Column in file</th>
+                      <th className="th">Sample values</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {IMPORT_FIELDS.map((f) => (
+                      <tr key={f} className="row">
+                        <td className="td">{FIELD_LABELS[f]}{REQUIRED_IMPORT_FIELDS.includes(f) && ' *'}</td>
+                        <td className="td">
+                          <select
+                            className="select"
+                            value={mapping[f]}
+                            onChange={(e) => setMapping((m) => ({ ...m, [f]: e.target.value }))}
+                          >
+                            <option value="">— not in file —</option>
+                            {source.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                          </select>
+                        </td>
+                        <td className="td muted" style={{ whiteSpace: 'normal', fontSize: 12 }}>{mapping[f] ? sample(mapping[f]) : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="pageSub" style={{ margin: '10px 0 0' }}>
+                Dates may be YYYY-MM-DD or MM/DD/YYYY; times may be 24-hour (17:30) or 12-hour (5:30 PM).
+              </p>
+              <div className="modal__actions">
+                <button className="btnGhost" onClick={onClose}>Cancel</button>
+                <button className="btnPrimary" onClick={applyMapping} disabled={missing.length > 0}>
+                  {missing.length ? `Map ${missing.map((f) => FIELD_LABELS[f]).join(' and ')}` : 'Continue'}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', fontSize: 13, color: 'var(--text-secondary)' }}>
+                <span>{rows.length} rows</span>
+                <span style={{ color: 'var(--gcp-green)' }}>{included.length - invalid.length} ready</span>
+                {invalid.length > 0 && <span style={{ color: 'var(--gcp-red)' }}>{invalid.length} need fixing</span>}
+                {rows.length - included.length > 0 && <span>{rows.length - included.length} excluded</span>}
+                <div style={{ flex: 1 }} />
+                <button className={`chip ${onlyProblems ? 'chip--active' : ''}`} onClick={() => setOnlyProblems((v) => !v)}>
+                  {onlyProblems && '✓ '}Only rows with problems
+                </button>
+                {invalid.length > 0 && <button className="chip" onClick={excludeInvalid}>Exclude invalid rows</button>}
+              </div>
+              {error && <p className="alert alert--error" style={{ marginTop: 12 }}>{error}</p>}
+              {included.length > MAX_BATCH && (
+                <p className="alert alert--error" style={{ marginTop: 12 }}>
+                  At most {MAX_BATCH} rows can be imported at once — split the file or exclude rows.
+                </p>
+              )}
+
+              <div className="importGrid" style={{ marginTop: 12 }}>
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th className="th" />
+                      <th className="th">Line</th>
+                      {IMPORT_FIELDS.map((f) => <th key={f} className="th">{FIELD_LABELS[f]}</th>)}
+                      <th className="th">Issues</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.length === 0 ? (
+                      <tr><td className="stateCell" colSpan={IMPORT_FIELDS.length + 3}>No rows with problems.</td></tr>
+                    ) : shown.map(({ row, errors }) => {
+                      const emp = employeesById.get(Number(row.employeeId))
+                      return (
+                        <tr key={row.line} className="row" style={row.include ? undefined : { opacity: 0.45 }}>
+                          <td className="td">
+                            <input type="checkbox" checked={row.include} onChange={() => toggle(row.line)} aria-label={`Include line ${row.line}`} />
+                          </td>
+                          <td className="td muted">{row.line}</td>
+                          {IMPORT_FIELDS.map((f) => (
+                            <td key={f} className="td" title={errors[f] || (f === 'employeeId' && emp ? empName(emp) : undefined)}>
+                              <input
+                                className={`cellInput${errors[f] ? ' cellInput--error' : ''}`}
+                                value={row[f] ?? ''}
+                                list={f === 'status' ? 'importStatuses' : f === 'shift' ? 'importShifts' : undefined}
+                                onChange={(e) => edit(row.line, f, e.target.value)}
+                                disabled={!row.include}
+                                style={f === 'remarks' ? { width: 160 } : f === 'date' ? { width: 96 } : undefined}
+                              />
+                            </td>
+                          ))}
+                          <td className="td" style={{ whiteSpace: 'normal', minWidth: 180, fontSize: 12 }}>
+                            {Object.keys(errors).length
+                              ? <span style={{ color: 'var(--gcp-red)' }}>{Object.entries(errors).map(([f, m]) => `${FIELD_LABELS[f]}: ${m}`).join(' · ')}</span>
+                              : row.include && emp ? <span className="muted">{empName(emp)}</span> : null}
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+                <datalist id="importStatuses">{IMPORT_STATUSES.map((s) => <option key={s} value={s} />)}</datalist>
+                <datalist id="importShifts">{IMPORT_SHIFTS.map((s) => <option key={s} value={s} />)}</datalist>
+              </div>
+
+              <div className="modal__actions">
+                <button className="btnGhost" onClick={() => setRows(null)} disabled={busy}>← Column mapping</button>
+                <button
+                  className="btnPrimary"
+                  onClick={submit}
+                  disabled={busy || invalid.length > 0 || !included.length || included.length > MAX_BATCH}
+                >
+                  {busy ? <><span className="spinner" /> Importing…</> : `Import ${included.length} row${included.length === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react'
+import { leaveApi } from '../../lib/api'
+import { APPROVER_ROLES, LEAVE_TYPES, approverLabel } from '../../lib/leave'
+import { Icons } from '../../lib/ui'
+
+const STEP_MARK = { Approved: '✓', Rejected: '✕', Skipped: '–', Pending: '' }
+
+function stepText(s) {
+  if (s.status === 'Approved' || s.status === 'Rejected') return `${s.status} by ${s.approver || 'unknown'} · ${s.actedAt}`
+  if (s.status === 'Skipped') return 'Skipped'
+  return s.isCurrent ? `Waiting on ${s.approver}` : 'Not reached yet'
+}
+
+// A request's approval steps (LeaveResponseDTO.approvals) in order: who decided each, when and
+// with what note, and who the current one is waiting on.
+export function ApprovalTimeline({ steps }) {
+  if (!steps?.length) return null
+  return (
+    <ol className="approvalSteps">
+      {steps.map((s) => (
+        <li key={s.order} className={`approvalStep approvalStep--${s.status.toLowerCase()}${s.isCurrent ? ' approvalStep--current' : ''}`}>
+          <span className="approvalStep__dot">{s.isCurrent ? '…' : STEP_MARK[s.status]}</span>
+          <div>
+            <div><strong>{approverLabel(s.approverRole)}</strong> · {stepText(s)}</div>
+            {s.delegatedFrom && <div className="muted">Standing in for {s.delegatedFrom}</div>}
+            {s.note && <div className="approvalStep__note">"{s.note}"</div>}
+          </div>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+const EMPTY_CHAIN = { name: '', leaveType: '', overDays: 0, steps: ['HR'] }
+
+// HR/Admin editor for the approval chains. Saving replaces them all; requests already filed keep
+// the steps they were given.
+export function ApprovalChainModal({ onClose, onSaved }) {
+  const [rows, setRows] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    leaveApi.approvalChains().then((res) => {
+      if (alive) setRows(res.isSuccess && Array.isArray(res.data) ? res.data.map((c) => ({ ...c, leaveType: c.leaveType || '' })) : [])
+    })
+    return () => { alive = false }
+  }, [])
+
+  const set = (i, k, v) => setRows((list) => list.map((r, j) => (j === i ? { ...r, [k]: v } : r)))
+  // Steps always run team lead → HR → Admin; the checkboxes only pick which of them apply.
+  const toggleStep = (i, role, on) => {
+    const steps = new Set(rows[i].steps)
+    if (on) steps.add(role)
+    else steps.delete(role)
+    set(i, 'steps', APPROVER_ROLES.map((r) => r.value).filter((v) => steps.has(v)))
+  }
+
+  const save = async () => {
+    setError(null)
+    if (rows.some((r) => !r.name.trim())) { setError('Give every chain a name.'); return }
+    if (rows.some((r) => !r.steps.length)) { setError('Every chain needs at least one approver.'); return }
+    setSaving(true)
+    const res = await leaveApi.saveApprovalChains(rows.map((r) => ({
+      name: r.name.trim(), leaveType: r.leaveType || null, overDays: Number(r.overDays) || 0, steps: r.steps,
+    })))
+    setSaving(false)
+    if (res.isSuccess) { onSaved(); onClose() }
+    else setError(res.message || 'Could not save the approval chains.')
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Approval chains</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+          <p className="muted" style={{ fontSize: 12, margin: '12px 0' }}>
+            A request goes through the chain with the highest "over days" it passes, for its type or for any type.
+            A team lead step is skipped for employees without one; while the lead is on leave their own lead, or HR,
+            decides instead. Requests matching no chain go to HR.
+          </p>
+          {!rows ? <p className="muted">Loading…</p> : rows.map((r, i) => (
+            <div key={i} className="fieldRow" style={{ padding: '10px 0', borderBottom: '1px solid var(--border-color)', alignItems: 'flex-end' }}>
+              <div className="field">
+                <label>Name</label>
+                <input className="input" style={{ width: 140 }} value={r.name} maxLength={100} onChange={(e) => set(i, 'name', e.target.value)} />
+              </div>
+              <div className="field">
+                <label>Type</label>
+                <select className="select" value={r.leaveType} onChange={(e) => set(i, 'leaveType', e.target.value)}>
+                  <option value="">Any</option>
+                  {LEAVE_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+                </select>
+              </div>
+              <div className="field">
+                <label>Over days</label>
+                <input type="number" min="0" step="0.5" className="input" style={{ width: 80 }} value={r.overDays}
+                  onChange={(e) => set(i, 'overDays', e.target.value)} />
+              </div>
+              <div className="field">
+                <label>Approvers</label>
+                <div style={{ display: 'flex', gap: 12 }}>
+                  {APPROVER_ROLES.map((role) => (
+                    <label key={role.value} className="toggleLabel">
+                      <input type="checkbox" checked={r.steps.includes(role.value)} onChange={(e) => toggleStep(i, role.value, e.target.checked)} />
+                      {' '}{role.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <button className="iconBtn" title="Remove chain" onClick={() => setRows((list) => list.filter((_, j) => j !== i))}>{Icons.close}</button>
+            </div>
+          ))}
+          {rows && (
+            <button className="btnGhost" style={{ marginTop: 12 }} onClick={() => setRows((list) => [...list, { ...EMPTY_CHAIN }])}>
+              {Icons.plus} Add chain
+            </button>
+          )}
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={save} disabled={saving || !rows}>{saving ? 'Saving…' : 'Save chains'}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react'
+import { leaveApi } from '../../lib/api'
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENTS, attachmentError, fmtSize } from '../../lib/leave'
+import { Icons } from '../../lib/ui'
+
+let nextKey = 0
+
+// File picker for the request modal. Files upload as soon as they're picked (with progress) and
+// the parent submits the ids of the finished ones. `files` is [{ key, name, size, progress, id, error }]
+// owned by the parent; `setFiles` is its state setter, so concurrent uploads update in place.
+export function AttachmentPicker({ files, setFiles, required }) {
+  const inputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const update = (key, patch) => setFiles((list) => list.map((f) => (f.key === key ? { ...f, ...patch } : f)))
+
+  const pick = (e) => {
+    const picked = [...e.target.files]
+    e.target.value = ''
+    setError(null)
+    if (files.length + picked.length > MAX_ATTACHMENTS) { setError(`Attach at most ${MAX_ATTACHMENTS} files.`); return }
+    const invalid = picked.map(attachmentError).find(Boolean)
+    if (invalid) { setError(invalid); return }
+
+    for (const file of picked) {
+      const key = ++nextKey
+      setFiles((list) => [...list, { key, name: file.name, size: file.size, progress: 0, id: null, error: null }])
+      leaveApi.uploadAttachment(file, (progress) => update(key, { progress })).then((res) => {
+        update(key, res.isSuccess ? { id: res.data?.id, progress: 100 } : { error: res.message || 'Upload failed.' })
+      })
+    }
+  }
+
+  const remove = (f) => {
+    if (f.id) leaveApi.removeAttachment(f.id)
+    setFiles((list) => list.filter((x) => x.key !== f.key))
+  }
+
+  return (
+    <div className="field">
+      <label>
+        Attachments {required ? '*' : <span className="muted">(optional)</span>}
+      </label>
+      <div>
+        <button type="button" className="btnGhost" onClick={() => inputRef.current?.click()}
+          disabled={files.length >= MAX_ATTACHMENTS}>
+          {Icons.paperclip} Add file
+        </button>
+        <span className="muted" style={{ fontSize: 12, marginLeft: 8 }}>PDF, JPEG, PNG or WebP · up to 5 MB each</span>
+        <input ref={inputRef} type="file" accept={ATTACHMENT_ACCEPT} multiple hidden onChange={pick} />
+      </div>
+      {error && <p className="fieldError" style={{ marginTop: 6 }}>{error}</p>}
+      {files.length > 0 && (
+        <div className="attachList">
+          {files.map((f) => (
+            <div key={f.key} className="attachItem">
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <span className="attachItem__name" title={f.name}>{f.name}</span>
+                  <span className="muted">{fmtSize(f.size)}</span>
+                </div>
+                {f.error ? (
+                  <div className="fieldError">{f.error}</div>
+                ) : !f.id && (
+                  <div className="attachProgress"><div className="attachProgress__bar" style={{ width: `${f.progress}%` }} /></div>
+                )}
+              </div>
+              <button type="button" className="iconBtn" title="Remove" onClick={() => remove(f)}>{Icons.close}</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// One attachment as a thumbnail (images) or file tile (PDFs); clicking opens it in a new tab.
+// Files sit behind the Bearer header, so each is fetched as a blob into an object URL.
+function AttachmentThumb({ file }) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    let created = null
+    leaveApi.attachment(file.id).then((res) => {
+      if (!alive || !res.isSuccess) return
+      created = URL.createObjectURL(res.data)
+      setUrl(created)
+    })
+    return () => {
+      alive = false
+      if (created) URL.revokeObjectURL(created)
+    }
+  }, [file.id])
+
+  const isImage = file.contentType?.startsWith('image/')
+  return (
+    <a className="attachThumb" href={url || undefined} target="_blank" rel="noreferrer"
+      title={`${file.fileName} · ${fmtSize(file.sizeBytes)}`}>
+      <span className="attachThumb__img">
+        {isImage && url ? <img src={url} alt={file.fileName} /> : url ? Icons.leave : <span className="spinner spinner--blue" />}
+      </span>
+      <span className="attachThumb__name">{file.fileName}</span>
+    </a>
+  )
+}
+
+// Previews of a request's attachments (LeaveResponseDTO.attachments) for the review modal.
+export function AttachmentPreviews({ attachments }) {
+  if (!attachments?.length) return null
+  return (
+    <div className="attachThumbs">
+      {attachments.map((a) => <AttachmentThumb key={a.id} file={a} />)}
+    </div>
+  )
+}
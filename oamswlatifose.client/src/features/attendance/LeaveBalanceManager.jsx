@@ -0,0 +1,304 @@
+import { useEffect, useMemo, useState } from 'react'
+import { leaveBalanceApi } from '../../lib/api'
+import { fmtDays, fmtSigned } from '../../lib/leave'
+import { Icons } from '../../lib/ui'
+import { ApprovalChainModal } from './LeaveApprovals'
+import MonitoringTable from './MonitoringTable'
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// ── Adjust one employee's balance (with the audit trail for the year) ────
+function AdjustModal({ row, year, onClose, onDone }) {
+  const types = row.balances.map((b) => b.leaveType)
+  const [form, setForm] = useState({ leaveType: types[0] || '', days: '', note: '' })
+  const [history, setHistory] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }))
+  const balance = row.balances.find((b) => b.leaveType === form.leaveType)
+
+  useEffect(() => {
+    let alive = true
+    leaveBalanceApi.adjustments(row.employeeId, year).then((res) => {
+      if (alive) setHistory(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [row.employeeId, year])
+
+  const submit = async () => {
+    setError(null)
+    const days = Number(form.days)
+    if (!days) { setError('Enter the days to add (e.g. 2) or remove (e.g. -1.5).'); return }
+    if (!form.note.trim()) { setError('A note is required — it is kept with the adjustment.'); return }
+    setSaving(true)
+    const res = await leaveBalanceApi.adjust({ employeeId: row.employeeId, leaveType: form.leaveType, year, days, note: form.note.trim() })
+    setSaving(false)
+    if (res.isSuccess) { onDone(`${row.employeeName}: ${form.leaveType} ${fmtSigned(days)} day(s) for ${year}.`); onClose() }
+    else setError(res.message || 'Could not adjust the balance.')
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Adjust balance · {row.employeeName}</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+
+          <div className="fieldRow" style={{ marginTop: 16 }}>
+            <div className="field">
+              <label>Type</label>
+              <select className="select" value={form.leaveType} onChange={(e) => set('leaveType', e.target.value)}>
+                {types.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+            <div className="field">
+              <label>Days (+/−)</label>
+              <input type="number" step="0.5" className="input" value={form.days} onChange={(e) => set('days', e.target.value)} placeholder="e.g. 2 or -1" />
+            </div>
+          </div>
+          {balance && (
+            <p className="muted" style={{ fontSize: 12, margin: '8px 0 12px' }}>
+              {year}: {fmtDays(balance.remaining)} left now
+              {Number(form.days) ? ` → ${fmtDays(balance.remaining + Number(form.days))} after this adjustment` : ''}
+            </p>
+          )}
+
+          <div className="field">
+            <label>Note *</label>
+            <input className="input" value={form.note} maxLength={500} onChange={(e) => set('note', e.target.value)}
+              placeholder="Why — e.g. carried over by agreement, correction for 2026-03-04" />
+          </div>
+
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={submit} disabled={saving || !types.length}>
+              {saving ? 'Saving…' : 'Save adjustment'}
+            </button>
+          </div>
+
+          <h4 style={{ margin: '20px 0 6px', fontSize: 13 }}>Adjustments in {year}</h4>
+          {history === null ? (
+            <p className="muted" style={{ fontSize: 12 }}>Loading…</p>
+          ) : history.length === 0 ? (
+            <p className="muted" style={{ fontSize: 12 }}>None yet.</p>
+          ) : (
+            history.map((a) => (
+              <div key={a.id} style={{ padding: '8px 0', borderBottom: '1px solid var(--border-color)', fontSize: 12 }}>
+                <strong>{a.leaveType} {fmtSigned(a.days)}</strong>
+                <span className="muted"> · {a.createdAt}{a.adjustedBy ? ` · ${a.adjustedBy}` : ''}</span>
+                <div style={{ color: 'var(--text-secondary)', marginTop: 2 }}>{a.note}</div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ── Edit the per-type policies ───────────────────────────────────────────
+function PolicyModal({ policies, onClose, onSaved }) {
+  const [rows, setRows] = useState(policies)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const set = (type, k, v) => setRows((rs) => rs.map((r) => (r.leaveType === type ? { ...r, [k]: v } : r)))
+
+  const save = async () => {
+    setError(null)
+    const changed = rows.filter((r) => JSON.stringify(r) !== JSON.stringify(policies.find((p) => p.leaveType === r.leaveType)))
+    if (!changed.length) { onClose(); return }
+    setSaving(true)
+    const results = await Promise.all(changed.map((r) => leaveBalanceApi.updatePolicy(r.leaveType, {
+      yearlyDays: Number(r.yearlyDays) || 0,
+      accruesMonthly: r.accruesMonthly,
+      carryOverCap: Number(r.carryOverCap) || 0,
+      blockWhenExceeded: r.blockWhenExceeded,
+      requiresAttachment: r.requiresAttachment,
+      attachmentOverDays: Number(r.attachmentOverDays) || 0,
+    })))
+    setSaving(false)
+    const failed = results.find((res) => !res.isSuccess)
+    if (failed) { setError(failed.message || 'Could not save the policies.'); return }
+    onSaved(); onClose()
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Leave policies</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+          <p className="muted" style={{ fontSize: 12, margin: '12px 0' }}>
+            Days per year are prorated from the hire month in the hire year. Unused days carry into the next year up
+            to the cap. Types not listed here (e.g. Other) aren't tracked. A required attachment (e.g. a medical
+            certificate) applies to requests longer than the days given — 0 means every request.
+          </p>
+          {rows.map((r) => (
+            <div key={r.leaveType} className="fieldRow" style={{ padding: '10px 0', borderBottom: '1px solid var(--border-color)' }}>
+              <div className="field" style={{ minWidth: 90 }}><label>Type</label><strong style={{ fontSize: 14 }}>{r.leaveType}</strong></div>
+              <div className="field">
+                <label>Days / year</label>
+                <input type="number" min="0" step="0.5" className="input" style={{ width: 90 }} value={r.yearlyDays}
+                  onChange={(e) => set(r.leaveType, 'yearlyDays', e.target.value)} />
+              </div>
+              <div className="field">
+                <label>Carry-over cap</label>
+                <input type="number" min="0" step="0.5" className="input" style={{ width: 90 }} value={r.carryOverCap}
+                  onChange={(e) => set(r.leaveType, 'carryOverCap', e.target.value)} />
+              </div>
+              <div className="field">
+                <label>Accrual</label>
+                <label className="toggleLabel">
+                  <input type="checkbox" checked={r.accruesMonthly} onChange={(e) => set(r.leaveType, 'accruesMonthly', e.target.checked)} />
+                  {r.accruesMonthly ? ' Monthly' : ' Up front'}
+                </label>
+              </div>
+              <div className="field">
+                <label>Over balance</label>
+                <label className="toggleLabel">
+                  <input type="checkbox" checked={r.blockWhenExceeded} onChange={(e) => set(r.leaveType, 'blockWhenExceeded', e.target.checked)} />
+                  {r.blockWhenExceeded ? ' Block' : ' Warn'}
+                </label>
+              </div>
+              <div className="field">
+                <label>Attachment</label>
+                <label className="toggleLabel">
+                  <input type="checkbox" checked={r.requiresAttachment} onChange={(e) => set(r.leaveType, 'requiresAttachment', e.target.checked)} />
+                  {r.requiresAttachment ? ' Required' : ' Optional'}
+                </label>
+              </div>
+              {r.requiresAttachment && (
+                <div className="field">
+                  <label>Over days</label>
+                  <input type="number" min="0" step="0.5" className="input" style={{ width: 90 }} value={r.attachmentOverDays}
+                    onChange={(e) => set(r.leaveType, 'attachmentOverDays', e.target.value)} />
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save policies'}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ── HR/Admin panel: every active employee's remaining days per type ──────
+// `refreshKey` is the console's leave tick, so approvals elsewhere show up here too.
+export default function LeaveBalanceManager({ refreshKey = 0 }) {
+  const thisYear = new Date().getFullYear()
+  const [year, setYear] = useState(thisYear)
+  const [rows, setRows] = useState([])
+  const [policies, setPolicies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [notice, setNotice] = useState(null)
+  const [adjusting, setAdjusting] = useState(null)
+  const [editingPolicies, setEditingPolicies] = useState(false)
+  const [editingChains, setEditingChains] = useState(false)
+
+  useEffect(() => {
+    let alive = true
+    Promise.all([leaveBalanceApi.all(year), leaveBalanceApi.policies()]).then(([b, p]) => {
+      if (!alive) return
+      setRows(b.isSuccess && Array.isArray(b.data) ? b.data : [])
+      setPolicies(p.isSuccess && Array.isArray(p.data) ? p.data : [])
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [year, refreshKey, reloadKey])
+
+  const changeYear = (value) => {
+    const y = Number(value)
+    if (!y || y === year) return
+    setLoading(true)
+    setYear(y)
+  }
+  const reload = (text) => {
+    if (text) setNotice(text)
+    setReloadKey((k) => k + 1)
+  }
+
+  // One `left_<type>` field per tracked type so the table can sort, filter and export it.
+  const tableRows = useMemo(() => rows.map((r) => {
+    const flat = { ...r }
+    for (const b of r.balances) flat[`left_${b.leaveType}`] = round2(b.remaining)
+    return flat
+  }), [rows])
+
+  const typeColumns = policies.map((p) => ({
+    key: `left_${p.leaveType}`,
+    label: `${p.leaveType} left`,
+    num: true,
+    render: (r) => {
+      const b = r.balances.find((x) => x.leaveType === p.leaveType)
+      if (!b) return <span className="muted">—</span>
+      return (
+        <span style={{ color: b.remaining < 0 ? 'var(--gcp-red)' : undefined }}
+          title={`Carried ${round2(b.carriedOver)} · accrued ${round2(b.accrued)} · adjusted ${fmtSigned(b.adjusted)} · used ${round2(b.used)} · pending ${round2(b.pending)}`}>
+          {round2(b.remaining)}
+        </span>
+      )
+    },
+  }))
+
+  return (
+    <div className="panel" style={{ marginTop: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between', marginBottom: 12, flexWrap: 'wrap', gap: 8 }}>
+        <div>
+          <h3 className="panel__title" style={{ margin: 0 }}>Leave balances</h3>
+          <p className="pageSub" style={{ marginTop: 2 }}>Days left per type after approved and pending requests. Hover a number for the breakdown.</p>
+        </div>
+        <div className="fieldRow">
+          <div className="field">
+            <label htmlFor="lb-year">Year</label>
+            <input id="lb-year" type="number" className="input" style={{ width: 100 }} min={thisYear - 10} max={thisYear + 1}
+              value={year} onChange={(e) => changeYear(e.target.value)} />
+          </div>
+          <button className="btnGhost" onClick={() => setEditingPolicies(true)} disabled={!policies.length}>Policies</button>
+          <button className="btnGhost" onClick={() => setEditingChains(true)}>Approval chains</button>
+        </div>
+      </div>
+
+      {notice && <p className="alert alert--ok" style={{ marginBottom: 12 }}>{notice}</p>}
+
+      <MonitoringTable
+        loading={loading}
+        emptyText="No active employees."
+        filterKeys={['employeeName', 'department', 'employeeNo']}
+        facets={['department']}
+        exportOptions={{ filename: `leave_balances_${year}`, title: `Leave balances · ${year}`, sheetName: 'Balances' }}
+        rows={tableRows}
+        columns={[
+          { key: 'employeeNo', label: 'No.', num: true, hideSm: true },
+          { key: 'employeeName', label: 'Employee' },
+          { key: 'department', label: 'Dept', hideSm: true },
+          ...typeColumns,
+          { key: '_actions', label: '', sortable: false,
+            render: (r) => <button className="btnSm" onClick={() => setAdjusting(r)}>Adjust</button> },
+        ]}
+      />
+
+      {adjusting && (
+        <AdjustModal row={adjusting} year={year} onClose={() => setAdjusting(null)} onDone={reload} />
+      )}
+      {editingPolicies && (
+        <PolicyModal policies={policies} onClose={() => setEditingPolicies(false)} onSaved={() => reload('Leave policies saved.')} />
+      )}
+      {editingChains && (
+        <ApprovalChainModal onClose={() => setEditingChains(false)} onSaved={() => setNotice('Approval chains saved. New requests follow them; filed ones keep their steps.')} />
+      )}
+    </div>
+  )
+}
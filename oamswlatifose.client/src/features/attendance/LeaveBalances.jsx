@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react'
+import { leaveBalanceApi } from '../../lib/api'
+import { checkBalance, fmtDays, fmtSigned } from '../../lib/leave'
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// "Carried over 2 · Accrued 12.5 · Adjusted +1 · Used 4 · Pending 1" — zero parts left out. Days
+// overdrawn last year carry over as a debt ("Overdrawn last year 1.5").
+function breakdown(b) {
+  const parts = []
+  if (b.carriedOver > 0) parts.push(`Carried over ${round2(b.carriedOver)}`)
+  if (b.carriedOver < 0) parts.push(`Overdrawn last year ${round2(-b.carriedOver)}`)
+  parts.push(`${b.accruesMonthly ? 'Accrued' : 'Granted'} ${round2(b.accrued)}`)
+  if (b.adjusted) parts.push(`Adjusted ${fmtSigned(b.adjusted)}`)
+  parts.push(`Used ${round2(b.used)}`)
+  if (b.pending) parts.push(`Pending ${round2(b.pending)}`)
+  return parts.join(' · ')
+}
+
+// Balance card in the request modal: what's left of the type and what this request leaves.
+// Types without a policy (e.g. "Other") aren't tracked and show nothing.
+export function BalanceSummary({ balance, days }) {
+  if (!balance) return null
+  const check = checkBalance(balance, days)
+
+  return (
+    <div style={{ margin: '0 0 12px' }}>
+      <div style={{ padding: '10px 14px', borderRadius: 8, background: 'var(--bg-hover)' }}>
+        <div style={{ fontSize: 13 }}>
+          <strong>{fmtDays(balance.remaining)}</strong> of {balance.leaveType} leave left
+          {days > 0 && <> · <strong style={{ color: check.exceeded ? 'var(--gcp-red)' : undefined }}>{fmtDays(check.left)}</strong> after this request</>}
+        </div>
+        <div className="muted" style={{ fontSize: 12, marginTop: 2 }}>
+          {breakdown(balance)} · as of {balance.asOf}
+        </div>
+      </div>
+      {check.blocked && (
+        <p className="alert alert--error" style={{ marginTop: 8 }}>
+          This request is {fmtDays(-check.left)} over your {balance.leaveType} balance and can't be filed. Ask HR if you need more days.
+        </p>
+      )}
+      {check.exceeded && !check.blocked && (
+        <p className="alert alert--warn" style={{ marginTop: 8 }}>
+          This request is {fmtDays(-check.left)} over your {balance.leaveType} balance. You can still file it; HR will see the shortfall.
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Employee's own balances as mini stats above their requests. `refreshKey` reloads them after a
+// request is filed or cancelled.
+export function MyLeaveBalances({ refreshKey = 0 }) {
+  const [balances, setBalances] = useState([])
+
+  useEffect(() => {
+    let alive = true
+    leaveBalanceApi.mine().then((res) => {
+      if (alive) setBalances(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [refreshKey])
+
+  if (!balances.length) return null
+
+  return (
+    <div className="miniStats" style={{ gridTemplateColumns: `repeat(${Math.min(balances.length, 5)}, 1fr)`, marginBottom: 14 }}>
+      {balances.map((b) => (
+        <div key={b.leaveType} className="miniStat" title={breakdown(b)}>
+          <span className="miniStat__value" style={{ color: b.remaining < 0 ? 'var(--gcp-red)' : undefined }}>{round2(b.remaining)}</span>
+          <span className="miniStat__label">{b.leaveType} days left</span>
+        </div>
+      ))}
+    </div>
+  )
+}
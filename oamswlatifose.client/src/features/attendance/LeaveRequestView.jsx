@@ -1,8 +1,17 @@
-import { useCallback, useEffect, useState } from 'react'
-import { leaveApi, auth } from '../../lib/api'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { leaveApi, leaveBalanceApi, scheduleApi, workEventApi, auth } from '../../lib/api'
+import { eventMonths } from '../../lib/holidays'
+import {
+  approvalChainFor, approverLabel, attachmentRequired, checkBalance, fmtDays, LEAVE_TYPES, PORTIONS, portionLabel, requestDays,
+} from '../../lib/leave'
+import { scheduleOn, shiftsOn } from '../../lib/schedule'
+import { DEFAULT_SCHEDULE } from '../../lib/timesheet'
 import { Icons } from '../../lib/ui'
-
-const LEAVE_TYPES = ['Annual', 'Sick', 'Emergency', 'Other']
+import { ApprovalTimeline } from './LeaveApprovals'
+import { AttachmentPicker, AttachmentPreviews } from './LeaveAttachments'
+import LeaveBalanceManager from './LeaveBalanceManager'
+import { BalanceSummary, MyLeaveBalances } from './LeaveBalances'
+import { CoverageWarning } from './TeamLeaveCalendar'
 
 const STATUS_STYLE = {
   Pending:  { color: '#e37400',          bg: 'rgba(251,188,4,.18)' },
@@ -10,6 +19,13 @@ const STATUS_STYLE = {
   Rejected: { color: 'var(--gcp-red)',   bg: 'rgba(234,67,53,.12)' },
 }
 
+// "2025-03-10 → 2025-03-12", or "2025-03-10 · Morning" for a partial day.
+function whenLabel(row) {
+  const dates = row.startDate === row.endDate ? row.startDate : `${row.startDate} → ${row.endDate}`
+  const portion = portionLabel(row)
+  return portion ? `${dates} · ${portion}` : dates
+}
+
 function StatusBadge({ status }) {
   const s = STATUS_STYLE[status] || { color: 'var(--text-muted)', bg: 'transparent' }
   return (
@@ -19,42 +35,119 @@ function StatusBadge({ status }) {
   )
 }
 
+// day → whether the signed-in employee is due at work, as the server charges full-day leave: a
+// shift under the schedule version then in force, and no work event (byMonth gives the caller's).
+function workDayTest(versions, events) {
+  const off = new Set(events.map((e) => e.date))
+  return (day) => {
+    const date = new Date(`${day}T00:00:00`)
+    return !off.has(day) && shiftsOn(scheduleOn(versions, date) || DEFAULT_SCHEDULE, date).length > 0
+  }
+}
+
 // ── Request leave modal ───────────────────────────────────────────────
 function RequestLeaveModal({ onClose, onSubmitted }) {
   const today = new Date().toISOString().slice(0, 10)
-  const [form, setForm] = useState({ startDate: today, endDate: today, leaveType: 'Annual', reason: '' })
+  const [form, setForm] = useState({
+    startDate: today, endDate: today, portion: 'Full', startTime: '09:00', endTime: '11:00', leaveType: 'Annual', reason: '',
+  })
+  const [balances, setBalances] = useState([])
+  const [chains, setChains] = useState([])
+  const [versions, setVersions] = useState([])
+  const [events, setEvents] = useState([])
+  const [files, setFiles] = useState([])
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState(null)
 
   const set = (k, v) => setForm((f) => ({ ...f, [k]: v }))
 
-  const days =
-    form.startDate && form.endDate && form.endDate >= form.startDate
-      ? Math.round((new Date(form.endDate) - new Date(form.startDate)) / 86400000) + 1
-      : 0
+  // Closing without filing drops whatever was already uploaded.
+  const discard = () => {
+    files.forEach((f) => f.id && leaveApi.removeAttachment(f.id))
+    onClose()
+  }
+
+  // Half-day and hourly leave cover the start date only.
+  const partial = form.portion !== 'Full'
+  const endDate = partial ? form.startDate : form.endDate
+  const isWorkDay = useMemo(() => workDayTest(versions, events), [versions, events])
+  const days = requestDays({ ...form, endDate }, isWorkDay)
+
+  useEffect(() => {
+    let alive = true
+    scheduleApi.myHistory().then((res) => {
+      if (alive) setVersions(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [])
+
+  // Work events of every month the request spans — those days aren't charged.
+  useEffect(() => {
+    if (!form.startDate || !endDate || endDate < form.startDate) return
+    let alive = true
+    Promise.all(eventMonths(form.startDate, endDate).map(([y, m]) => workEventApi.byMonth(y, m))).then((res) => {
+      if (alive) setEvents(res.flatMap((r) => (r.isSuccess && Array.isArray(r.data) ? r.data : [])))
+    })
+    return () => { alive = false }
+  }, [form.startDate, endDate])
+
+  // Balances as of the start date, so leave booked ahead counts the days accrued by then.
+  useEffect(() => {
+    if (!form.startDate) return
+    let alive = true
+    leaveBalanceApi.mine(form.startDate).then((res) => {
+      if (alive) setBalances(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [form.startDate])
+
+  useEffect(() => {
+    let alive = true
+    leaveApi.approvalChains().then((res) => {
+      if (alive) setChains(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [])
+
+  const balance = balances.find((b) => b.leaveType === form.leaveType)
+  const check = checkBalance(balance, days)
+  const needsFile = attachmentRequired(balance, days)
+  const uploaded = files.filter((f) => f.id)
+  const uploading = files.some((f) => !f.id && !f.error)
+  const chain = approvalChainFor(chains, form.leaveType, days)
 
   const submit = async () => {
     setError(null)
-    if (!form.startDate || !form.endDate) { setError('Start and end dates are required.'); return }
-    if (form.endDate < form.startDate) { setError('End date must be on or after start date.'); return }
+    if (!form.startDate || !endDate) { setError('Start and end dates are required.'); return }
+    if (endDate < form.startDate) { setError('End date must be on or after start date.'); return }
+    if (form.portion === 'Hours' && !(form.startTime && form.endTime && form.endTime > form.startTime)) {
+      setError('Leave end time must be after its start time.'); return
+    }
+    if (check?.blocked) { setError(`Not enough ${form.leaveType} leave for this request.`); return }
+    if (uploading) { setError('Wait for the attachments to finish uploading.'); return }
+    if (needsFile && !uploaded.length) { setError(`Attach a medical certificate or other document for this ${form.leaveType} request.`); return }
     setSaving(true)
     const res = await leaveApi.submit({
       startDate: form.startDate,
-      endDate: form.endDate,
+      endDate,
+      portion: form.portion,
+      startTime: form.portion === 'Hours' ? form.startTime : null,
+      endTime: form.portion === 'Hours' ? form.endTime : null,
       leaveType: form.leaveType,
       reason: form.reason,
+      attachmentIds: uploaded.map((f) => f.id),
     })
     setSaving(false)
-    if (res.isSuccess) { onSubmitted(); onClose() }
+    if (res.isSuccess) { onSubmitted(!!check?.exceeded); onClose() }
     else setError(res.message || 'Could not submit leave request.')
   }
 
   return (
-    <div className="modalOverlay" onClick={onClose}>
+    <div className="modalOverlay" onClick={discard}>
       <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
         <div className="modal__header">
           <h3 className="modal__title" style={{ margin: 0 }}>Request leave</h3>
-          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+          <button className="iconBtn" onClick={discard}>{Icons.close}</button>
         </div>
         <div style={{ padding: '0 24px 24px' }}>
           {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
@@ -65,11 +158,33 @@ function RequestLeaveModal({ onClose, onSubmitted }) {
               <input type="date" className="input" value={form.startDate}
                 onChange={(e) => set('startDate', e.target.value)} />
             </div>
+            {!partial && (
+              <div className="field">
+                <label>To *</label>
+                <input type="date" className="input" value={form.endDate}
+                  onChange={(e) => set('endDate', e.target.value)} />
+              </div>
+            )}
             <div className="field">
-              <label>To *</label>
-              <input type="date" className="input" value={form.endDate}
-                onChange={(e) => set('endDate', e.target.value)} />
+              <label>Duration</label>
+              <select className="select" value={form.portion} onChange={(e) => set('portion', e.target.value)}>
+                {PORTIONS.map((p) => <option key={p.value} value={p.value}>{p.label}</option>)}
+              </select>
             </div>
+            {form.portion === 'Hours' && (
+              <>
+                <div className="field">
+                  <label>From time *</label>
+                  <input type="time" className="input" value={form.startTime}
+                    onChange={(e) => set('startTime', e.target.value)} />
+                </div>
+                <div className="field">
+                  <label>To time *</label>
+                  <input type="time" className="input" value={form.endTime}
+                    onChange={(e) => set('endTime', e.target.value)} />
+                </div>
+              </>
+            )}
             <div className="field">
               <label>Type *</label>
               <select className="select" value={form.leaveType} onChange={(e) => set('leaveType', e.target.value)}>
@@ -80,9 +195,20 @@ function RequestLeaveModal({ onClose, onSubmitted }) {
 
           {days > 0 && (
             <p className="muted" style={{ fontSize: 12, margin: '-4px 0 12px' }}>
-              {days} day{days !== 1 ? 's' : ''} of {form.leaveType} leave
+              {fmtDays(days)} of {form.leaveType} leave
+              {' · '}approved by {(chain?.steps ?? ['HR']).map(approverLabel).join(' → ')}
+            </p>
+          )}
+
+          <BalanceSummary balance={balance} days={days} />
+
+          {needsFile && (
+            <p className="muted" style={{ fontSize: 12, margin: '0 0 8px' }}>
+              {form.leaveType} leave {balance.attachmentOverDays > 0 ? `over ${fmtDays(balance.attachmentOverDays)} ` : ''}needs
+              an attachment, such as a medical certificate.
             </p>
           )}
+          <AttachmentPicker files={files} setFiles={setFiles} required={needsFile} />
 
           <div className="field">
             <label>Reason <span className="muted">(optional)</span></label>
@@ -93,8 +219,8 @@ function RequestLeaveModal({ onClose, onSubmitted }) {
           </div>
 
           <div className="modal__actions">
-            <button className="btnGhost" onClick={onClose}>Cancel</button>
-            <button className="btnPrimary" onClick={submit} disabled={saving}>
+            <button className="btnGhost" onClick={discard}>Cancel</button>
+            <button className="btnPrimary" onClick={submit} disabled={saving || uploading || check?.blocked}>
               {saving ? 'Submitting…' : 'Submit request'}
             </button>
           </div>
@@ -107,28 +233,46 @@ function RequestLeaveModal({ onClose, onSubmitted }) {
 // ── Review (approve / reject) modal ──────────────────────────────────
 function ReviewModal({ row, onClose, onDone }) {
   const [note, setNote] = useState('')
+  const [balance, setBalance] = useState(null)
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState(null)
 
+  // As the server counts it: full-day leave only charges the employee's work days.
+  const daysCount = row.days ?? (requestDays(row) || 1)
+  const current = row.approvals?.find((s) => s.isCurrent)
+  const forwards = !!current && row.approvals.some((s) => s.order > current.order && s.status === 'Pending')
+
+  // The employee's balance as of the leave's start; this request is still counted as pending,
+  // so hand it back before showing what approving it leaves. Balances are HR/Admin's — a team
+  // lead reviews without them.
+  useEffect(() => {
+    if (!auth.isManager) return
+    let alive = true
+    leaveBalanceApi.employee(row.employeeId, row.startDate).then((res) => {
+      if (!alive || !res.isSuccess || !Array.isArray(res.data)) return
+      const b = res.data.find((x) => x.leaveType === row.leaveType)
+      setBalance(b ? { ...b, pending: b.pending - daysCount, remaining: b.remaining + daysCount } : null)
+    })
+    return () => { alive = false }
+  }, [row.employeeId, row.startDate, row.leaveType, daysCount])
+
   const act = async (isApproved) => {
     setSaving(true)
     setError(null)
     const res = await leaveApi.approve(row.id, { isApproved, note })
     setSaving(false)
-    if (res.isSuccess) { onDone(); onClose() }
+    if (res.isSuccess) { onDone(res.message); onClose() }
     else setError(res.message || 'Action failed.')
   }
 
-  const daysCount =
-    row.startDate && row.endDate
-      ? Math.round((new Date(row.endDate) - new Date(row.startDate)) / 86400000) + 1
-      : 1
-
   return (
     <div className="modalOverlay" onClick={onClose}>
       <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
         <div className="modal__header">
-          <h3 className="modal__title" style={{ margin: 0 }}>Review leave request</h3>
+          <h3 className="modal__title" style={{ margin: 0 }}>
+            Review leave request
+            {current && <span className="muted" style={{ fontSize: 13, fontWeight: 400 }}> · step {current.order} of {row.approvals.length} ({approverLabel(current.approverRole)})</span>}
+          </h3>
           <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
         </div>
         <div style={{ padding: '0 24px 24px' }}>
@@ -139,15 +283,21 @@ function ReviewModal({ row, onClose, onDone }) {
             <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
               <span style={{ fontWeight: 600 }}>{row.leaveType}</span>
               {' · '}
-              {row.startDate === row.endDate ? row.startDate : `${row.startDate} → ${row.endDate}`}
+              {whenLabel(row)}
               {' · '}
-              {daysCount} day{daysCount !== 1 ? 's' : ''}
+              {fmtDays(daysCount)}
             </div>
             {row.reason && (
               <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>"{row.reason}"</div>
             )}
+            <ApprovalTimeline steps={row.approvals} />
           </div>
 
+          <AttachmentPreviews attachments={row.attachments} />
+
+          <BalanceSummary balance={balance} days={daysCount} />
+          <CoverageWarning requestId={row.id} />
+
           <div className="field">
             <label>Note <span className="muted">(optional — shown to employee)</span></label>
             <input className="input" value={note} onChange={(e) => setNote(e.target.value)}
@@ -161,7 +311,7 @@ function ReviewModal({ row, onClose, onDone }) {
             </button>
             <button className="btnPrimary" onClick={() => act(true)} disabled={saving}
               style={{ background: 'var(--gcp-green)', borderColor: 'var(--gcp-green)' }}>
-              {saving ? 'Saving…' : `${Icons.check} Approve`}
+              {saving ? 'Saving…' : <>{Icons.check} {forwards ? 'Approve & forward' : 'Approve'}</>}
             </button>
           </div>
         </div>
@@ -171,7 +321,7 @@ function ReviewModal({ row, onClose, onDone }) {
 }
 
 // ── Leave row ─────────────────────────────────────────────────────────
-function LeaveRow({ row, onCancel, onApprove, showEmployee }) {
+function LeaveRow({ row, onCancel, onReviewed, showEmployee }) {
   const isManager = auth.isManager
   const [showReview, setShowReview] = useState(false)
 
@@ -184,21 +334,23 @@ function LeaveRow({ row, onCancel, onApprove, showEmployee }) {
             <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
               <span style={{ fontWeight: 600 }}>{row.leaveType}</span>
               {' · '}
-              {row.startDate === row.endDate ? row.startDate : `${row.startDate} → ${row.endDate}`}
+              {whenLabel(row)}
+              {row.attachments?.length > 0 && ` · ${row.attachments.length} attachment${row.attachments.length !== 1 ? 's' : ''}`}
             </div>
             {row.reason && <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 3 }}>{row.reason}</div>}
-            {row.approvalNote && row.status !== 'Pending' && (
+            {row.approvalNote && row.status !== 'Pending' && !row.approvals?.length && (
               <div style={{ fontSize: 12, color: 'var(--text-secondary)', marginTop: 3, fontStyle: 'italic' }}>
                 Note: {row.approvalNote}
               </div>
             )}
+            <ApprovalTimeline steps={row.approvals} />
           </div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
             <StatusBadge status={row.status} />
-            {row.status === 'Pending' && isManager && (
+            {row.canReview && (
               <button className="btnSm" onClick={() => setShowReview(true)}>Review</button>
             )}
-            {row.status === 'Pending' && !isManager && (
+            {row.status === 'Pending' && !isManager && onCancel && (
               <button className="btnSm btnSm--danger" onClick={() => onCancel(row.id)}>Cancel</button>
             )}
           </div>
@@ -209,7 +361,7 @@ function LeaveRow({ row, onCancel, onApprove, showEmployee }) {
         <ReviewModal
           row={row}
           onClose={() => setShowReview(false)}
-          onDone={onApprove}
+          onDone={onReviewed}
         />
       )}
     </>
@@ -217,27 +369,41 @@ function LeaveRow({ row, onCancel, onApprove, showEmployee }) {
 }
 
 // ── Main view ─────────────────────────────────────────────────────────
-export default function LeaveRequestView() {
+// `refreshKey` is bumped by the console when the live feed reports a leave change; those
+// reloads are quiet (no loading state) so the table doesn't flicker under the reader.
+export default function LeaveRequestView({ refreshKey = 0 }) {
   const isManager = auth.isManager
   const [myLeaves, setMyLeaves] = useState([])
   const [allLeaves, setAllLeaves] = useState([])
+  const [awaiting, setAwaiting] = useState([])
   const [loading, setLoading] = useState(true)
   const [filterStatus, setFilterStatus] = useState('')
   const [notice, setNotice] = useState(null)
   const [showRequest, setShowRequest] = useState(false)
+  const [balanceTick, setBalanceTick] = useState(0)
+
+  const seenKey = useRef(refreshKey)
 
-  const load = useCallback(async () => {
-    setLoading(true)
-    const [mine, all] = await Promise.all([
+  const load = useCallback(async (quiet = false) => {
+    if (!quiet) setLoading(true)
+    // HR/Admin review from the full list; everyone else (team leads) from what's waiting on them.
+    const [mine, all, waiting] = await Promise.all([
       leaveApi.mine(),
       isManager ? leaveApi.all(filterStatus || undefined) : Promise.resolve({ isSuccess: false }),
+      isManager ? Promise.resolve({ isSuccess: false }) : leaveApi.awaitingMe(),
     ])
     setMyLeaves(mine.isSuccess ? (mine.data ?? []) : [])
     setAllLeaves(all.isSuccess ? (all.data ?? []) : [])
+    setAwaiting(waiting.isSuccess ? (waiting.data ?? []) : [])
+    setBalanceTick((t) => t + 1)
     setLoading(false)
   }, [isManager, filterStatus])
 
-  useEffect(() => { load() }, [load])
+  useEffect(() => {
+    const quiet = seenKey.current !== refreshKey
+    seenKey.current = refreshKey
+    load(quiet)
+  }, [load, refreshKey])
 
   const cancel = async (id) => {
     const res = await leaveApi.cancel(id)
@@ -245,10 +411,26 @@ export default function LeaveRequestView() {
     else setNotice({ type: 'error', text: res.message })
   }
 
+  const reviewed = (message) => {
+    setNotice({ type: 'ok', text: message || 'Leave request updated.' })
+    load()
+  }
+
   return (
     <div>
       {notice && (
-        <p className={`alert alert--${notice.type === 'ok' ? 'ok' : 'error'}`}>{notice.text}</p>
+        <p className={`alert alert--${notice.type}`}>{notice.text}</p>
+      )}
+
+      {/* Team leads: requests whose current step is theirs */}
+      {awaiting.length > 0 && (
+        <div className="panel" style={{ marginBottom: 16 }}>
+          <h3 className="panel__title" style={{ margin: 0 }}>Awaiting my approval ({awaiting.length})</h3>
+          <p className="pageSub" style={{ marginTop: 2 }}>Your team's requests, and any handed to you while their lead is on leave.</p>
+          {awaiting.map((r) => (
+            <LeaveRow key={r.id} row={r} onReviewed={reviewed} showEmployee />
+          ))}
+        </div>
       )}
 
       {/* My leave history */}
@@ -265,6 +447,8 @@ export default function LeaveRequestView() {
           )}
         </div>
 
+        <MyLeaveBalances refreshKey={balanceTick} />
+
         {loading ? (
           <p className="muted">Loading…</p>
         ) : myLeaves.length === 0 ? (
@@ -273,7 +457,7 @@ export default function LeaveRequestView() {
           </p>
         ) : (
           myLeaves.map((r) => (
-            <LeaveRow key={r.id} row={r} onCancel={cancel} onApprove={load} showEmployee={false} />
+            <LeaveRow key={r.id} row={r} onCancel={cancel} onReviewed={reviewed} showEmployee={false} />
           ))
         )}
       </div>
@@ -298,16 +482,23 @@ export default function LeaveRequestView() {
             <p className="muted" style={{ fontSize: 13 }}>No leave requests.</p>
           ) : (
             allLeaves.map((r) => (
-              <LeaveRow key={r.id} row={r} onCancel={cancel} onApprove={load} showEmployee />
+              <LeaveRow key={r.id} row={r} onCancel={cancel} onReviewed={reviewed} showEmployee />
             ))
           )}
         </div>
       )}
 
+      {isManager && <LeaveBalanceManager refreshKey={balanceTick} />}
+
       {showRequest && (
         <RequestLeaveModal
           onClose={() => setShowRequest(false)}
-          onSubmitted={() => { setNotice({ type: 'ok', text: 'Leave request submitted.' }); load() }}
+          onSubmitted={(overBalance) => {
+            setNotice(overBalance
+              ? { type: 'warn', text: 'Leave request submitted. It goes past your balance, so HR will see the shortfall.' }
+              : { type: 'ok', text: 'Leave request submitted.' })
+            load()
+          }}
         />
       )}
     </div>
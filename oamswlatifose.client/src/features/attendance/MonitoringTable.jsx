@@ -1,20 +1,103 @@
 import { useMemo, useState } from 'react'
 import { Icons } from '../../lib/ui'
-import { exportCSV, exportExcel, printTable } from '../../lib/export'
+import { exportCSV, exportExcel, exportPDF, printTable } from '../../lib/export'
 
-// GCP-style table card: funnel filter bar + a sortable-looking header + rows.
-// columns: [{ key, label, num?, render(row) }]. filterKeys: row keys to match the filter against.
-// exportOptions: { filename: string, title?: string } — if provided, renders Print / CSV / Excel buttons.
-export default function MonitoringTable({ columns, rows, loading, emptyText, filterKeys = [], exportOptions }) {
+const PAGE_SIZES = [25, 50, 100]
+
+// Turns a cell value into something comparable. Times ("08:05 AM", "17:30") compare as
+// minutes since midnight and durations ("7h 30m") as minutes, so the In/Out/Hrs columns sort
+// chronologically instead of alphabetically. `num` columns fall back to the leading number.
+function sortValue(v, num) {
+  if (v === null || v === undefined || v === '') return null
+  if (typeof v === 'number') return v
+  if (typeof v === 'boolean') return v ? 1 : 0
+  const s = String(v).trim()
+  const time = s.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?$/i)
+  if (time) {
+    let h = Number(time[1]) % (time[3] ? 12 : 24)
+    if (time[3]?.toUpperCase() === 'PM') h += 12
+    return h * 60 + Number(time[2])
+  }
+  const dur = s.match(/^(\d+)h(?:\s*(\d+)m)?$/)
+  if (dur) return Number(dur[1]) * 60 + Number(dur[2] || 0)
+  if (num) {
+    const n = parseFloat(s.replace(/[^\d.-]/g, ''))
+    return Number.isNaN(n) ? null : n
+  }
+  return s.toLowerCase()
+}
+
+// Empty cells always sink to the bottom, whichever way the column is sorted.
+function compareCells(a, b, dir) {
+  if (a === null && b === null) return 0
+  if (a === null) return 1
+  if (b === null) return -1
+  const c = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true })
+  return dir === 'desc' ? -c : c
+}
+
+// GCP-style table card: funnel filter bar + clickable sort headers + paged rows.
+// columns: [{ key, label, num?, hideSm?, sortable?, render(row) }] — a column sorts on row[key]
+// (time/duration aware, numeric when `num`); label-less columns and `sortable: false` don't sort.
+// filterKeys: row keys to match the free-text filter against.
+// facets: column keys that get a "pick one value" dropdown next to the filter (e.g. status, workLocation).
+// pageSize: rows per page (the user can switch between 25/50/100); exports always cover every filtered row.
+// exportOptions: { filename: string, title?: string, sheetName?: string, summary?: (rows) => sheet,
+// classify?: (row) => class } — if provided, renders Print / PDF / CSV / Excel buttons; `summary` adds a
+// summary sheet to the .xlsx and `classify` grades the PDF totals (see lib/export, lib/attendance).
+export default function MonitoringTable({ columns, rows, loading, emptyText, filterKeys = [], facets = [], pageSize = 25, exportOptions }) {
   const [filter, setFilter] = useState('')
+  const [facetValues, setFacetValues] = useState({})
+  const [sort, setSort] = useState(null) // { key, dir: 'asc' | 'desc' }
+  const [page, setPage] = useState(0)
+  const [perPage, setPerPage] = useState(pageSize)
+
+  const facetOptions = useMemo(() => facets.map((key) => {
+    const values = [...new Set(rows.map((r) => r[key]).filter((v) => v !== null && v !== undefined && v !== ''))]
+    return { key, label: columns.find((c) => c.key === key)?.label || key, values: values.sort() }
+  }), [rows, facets, columns])
+
+  // A picked value the current rows no longer have (e.g. after a reload) is dropped, the same way
+  // the page is clamped below, so a stale facet can't silently empty the table.
+  const activeFacets = useMemo(() => Object.fromEntries(facetOptions
+    .filter((f) => facetValues[f.key] && f.values.some((v) => String(v) === facetValues[f.key]))
+    .map((f) => [f.key, facetValues[f.key]])), [facetOptions, facetValues])
 
   const visible = useMemo(() => {
     const f = filter.trim().toLowerCase()
-    if (!f || !filterKeys.length) return rows
+    const active = Object.entries(activeFacets)
     return rows.filter((r) =>
-      filterKeys.some((k) => String(r[k] ?? '').toLowerCase().includes(f)),
+      (!f || !filterKeys.length || filterKeys.some((k) => String(r[k] ?? '').toLowerCase().includes(f))) &&
+      active.every(([k, v]) => String(r[k] ?? '') === v),
     )
-  }, [rows, filter, filterKeys])
+  }, [rows, filter, filterKeys, activeFacets])
+
+  const sorted = useMemo(() => {
+    if (!sort) return visible
+    const col = columns.find((c) => c.key === sort.key)
+    return visible
+      .map((r, i) => ({ r, i, v: sortValue(r[sort.key], col?.num) }))
+      .sort((a, b) => compareCells(a.v, b.v, sort.dir) || a.i - b.i)
+      .map((x) => x.r)
+  }, [visible, sort, columns])
+
+  // Clamp rather than reset in an effect: a shrinking result set just lands on its last page.
+  const pageCount = Math.max(1, Math.ceil(sorted.length / perPage))
+  const current = Math.min(page, pageCount - 1)
+  const paged = sorted.length > perPage ? sorted.slice(current * perPage, (current + 1) * perPage) : sorted
+
+  const canSort = (c) => c.label && c.sortable !== false
+  // Click cycles ascending → descending → unsorted.
+  const toggleSort = (key) => {
+    setSort((s) => (s?.key !== key ? { key, dir: 'asc' } : s.dir === 'asc' ? { key, dir: 'desc' } : null))
+    setPage(0)
+  }
+  const setFacet = (key, value) => {
+    setFacetValues((v) => ({ ...v, [key]: value }))
+    setPage(0)
+  }
 
   return (
     <section className="tableCard">
@@ -24,14 +107,27 @@ export default function MonitoringTable({ columns, rows, loading, emptyText, fil
           className="filterInput"
           placeholder="Filter"
           value={filter}
-          onChange={(e) => setFilter(e.target.value)}
+          onChange={(e) => { setFilter(e.target.value); setPage(0) }}
           aria-label="Filter rows"
         />
+        {facetOptions.map((f) => (
+          <select
+            key={f.key}
+            className="facetSelect"
+            value={activeFacets[f.key] || ''}
+            onChange={(e) => setFacet(f.key, e.target.value)}
+            aria-label={`Filter by ${f.label}`}
+          >
+            <option value="">All {f.label.toLowerCase()}</option>
+            {f.values.map((v) => <option key={String(v)} value={String(v)}>{String(v)}</option>)}
+          </select>
+        ))}
         {exportOptions && (
           <div className="exportBtns">
-            <button className="btnSm" onClick={() => printTable(visible, columns, exportOptions.title || exportOptions.filename)}>Print / PDF</button>
-            <button className="btnSm" onClick={() => exportCSV(visible, columns, exportOptions.filename)}>CSV</button>
-            <button className="btnSm" onClick={() => exportExcel(visible, columns, exportOptions.filename)}>Excel</button>
+            <button className="btnSm" onClick={() => printTable(sorted, columns, exportOptions.title || exportOptions.filename)}>Print</button>
+            <button className="btnSm" onClick={() => exportPDF(sorted, columns, exportOptions.filename, exportOptions)}>PDF</button>
+            <button className="btnSm" onClick={() => exportCSV(sorted, columns, exportOptions.filename)}>CSV</button>
+            <button className="btnSm" onClick={() => exportExcel(sorted, columns, exportOptions.filename, exportOptions)}>Excel</button>
           </div>
         )}
       </div>
@@ -39,19 +135,31 @@ export default function MonitoringTable({ columns, rows, loading, emptyText, fil
         <table className="table">
           <thead>
             <tr>
-              {columns.map((c) => (
-                <th key={c.key} className={`th${c.num ? ' thNum' : ''}${c.hideSm ? ' col-hide-sm' : ''}`}>{c.label}</th>
-              ))}
+              {columns.map((c) => {
+                const sortable = canSort(c)
+                const dir = sort?.key === c.key ? sort.dir : null
+                return (
+                  <th
+                    key={c.key}
+                    className={`th${c.num ? ' thNum' : ''}${c.hideSm ? ' col-hide-sm' : ''}${sortable ? ' thSort' : ''}`}
+                    onClick={sortable ? () => toggleSort(c.key) : undefined}
+                    aria-sort={dir === 'asc' ? 'ascending' : dir === 'desc' ? 'descending' : undefined}
+                  >
+                    {c.label}
+                    {sortable && <span className={`sortArrow${dir ? ' sortArrow--on' : ''}`}>{dir === 'desc' ? '↓' : '↑'}</span>}
+                  </th>
+                )
+              })}
             </tr>
           </thead>
           <tbody>
-            {loading && visible.length === 0 ? (
+            {loading && sorted.length === 0 ? (
               <tr><td className="stateCell" colSpan={columns.length}>Loading…</td></tr>
-            ) : visible.length === 0 ? (
+            ) : sorted.length === 0 ? (
               <tr><td className="stateCell" colSpan={columns.length}>{emptyText || 'No records.'}</td></tr>
             ) : (
-              visible.map((row, i) => (
-                <tr key={row.id ?? i} className="row">
+              paged.map((row, i) => (
+                <tr key={row.id ?? `${current}-${i}`} className="row">
                   {columns.map((c) => (
                     <td key={c.key} className={`td${c.num ? ' tdNum' : ''}${c.hideSm ? ' col-hide-sm' : ''}`}>
                       {c.render ? c.render(row) : (row[c.key] ?? <span className="muted">—</span>)}
@@ -63,6 +171,22 @@ export default function MonitoringTable({ columns, rows, loading, emptyText, fil
           </tbody>
         </table>
       </div>
+      {/* Shown whenever rows are cut off, and kept while a larger page size could be switched back down. */}
+      {sorted.length > Math.min(perPage, PAGE_SIZES[0]) && (
+        <div className="pager">
+          <label className="pager__size">
+            Rows per page
+            <select className="facetSelect" value={perPage} onChange={(e) => { setPerPage(Number(e.target.value)); setPage(0) }}>
+              {[...new Set([pageSize, ...PAGE_SIZES])].sort((a, b) => a - b).map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <span>
+            {current * perPage + 1}–{Math.min((current + 1) * perPage, sorted.length)} of {sorted.length}
+          </span>
+          <button className="btnSm" disabled={current === 0} onClick={() => setPage(current - 1)} aria-label="Previous page">‹</button>
+          <button className="btnSm" disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)} aria-label="Next page">›</button>
+        </div>
+      )}
     </section>
   )
 }
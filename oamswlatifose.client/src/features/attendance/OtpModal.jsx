@@ -2,8 +2,15 @@ import { useEffect, useRef, useState } from 'react'
 import { Icons } from '../../lib/ui'
 
 // Modal shown after "Time In" or "Time Out": the employee enters the emailed code.
-// mode: 'timein' (default) | 'timeout'
+// Also the second step of a two-factor sign-in on the login page.
+// mode: 'timein' (default) | 'timeout' | 'signin'
 // onVerify(code) and onResend() return the API ServiceResponse ({ isSuccess, message }).
+const TITLES = {
+  timein: 'Verify your clock-in',
+  timeout: 'Verify your clock-out',
+  signin: "Verify it's you",
+}
+
 export default function OtpModal({ info, onVerify, onResend, onClose, onRequestVerify, mode = 'timein' }) {
   const [code, setCode] = useState('')
   const [error, setError] = useState('')
@@ -69,7 +76,7 @@ export default function OtpModal({ info, onVerify, onResend, onClose, onRequestV
   return (
     <div className="overlay" role="dialog" aria-modal="true" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
       <form className="modal" onSubmit={verify}>
-        <h2 className="modal__title">{mode === 'timeout' ? 'Verify your clock-out' : 'Verify your clock-in'}</h2>
+        <h2 className="modal__title">{TITLES[mode] || TITLES.timein}</h2>
 
         {info?.requestedTimeFormatted && (
           <div style={{
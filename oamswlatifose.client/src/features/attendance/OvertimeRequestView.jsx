@@ -0,0 +1,302 @@
+import { useEffect, useState } from 'react'
+import { overtimeApi, auth } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+import { fmtOtHours } from '../../lib/overtime'
+import { shiftLabel, shiftsOn, toMinutes } from '../../lib/schedule'
+import { DEFAULT_SCHEDULE } from '../../lib/timesheet'
+
+const STATUS_STYLE = {
+  Pending:  { color: '#e37400',          bg: 'rgba(251,188,4,.18)' },
+  Approved: { color: 'var(--gcp-green)', bg: 'rgba(52,168,83,.12)' },
+  Rejected: { color: 'var(--gcp-red)',   bg: 'rgba(234,67,53,.12)' },
+}
+
+function StatusBadge({ status }) {
+  const s = STATUS_STYLE[status] || { color: 'var(--text-muted)', bg: 'transparent' }
+  return (
+    <span style={{ padding: '2px 10px', borderRadius: 20, background: s.bg, color: s.color, fontSize: 12, fontWeight: 600 }}>
+      {status}
+    </span>
+  )
+}
+
+const localDateStr = (d = new Date()) => {
+  const z = new Date(d.getTime() - d.getTimezoneOffset() * 60000)
+  return z.toISOString().slice(0, 10)
+}
+
+// Where `hours` of overtime after the last shift on `date` would end, or '' when nothing is
+// scheduled (no schedule = the server's Mon–Fri default).
+function overtimeWindow(schedule, date, hours) {
+  const shifts = date ? shiftsOn(schedule || DEFAULT_SCHEDULE, new Date(`${date}T00:00:00`)) : []
+  if (!shifts.length) return ''
+  const last = shifts.reduce((a, b) => (b.end > a.end ? b : a))
+  const end = (toMinutes(last.endTime) + Math.round((Number(hours) || 0) * 60)) % (24 * 60)
+  const until = `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`
+  return `Shift ${shiftLabel(last)} · overtime until about ${until}`
+}
+
+// ── Request overtime modal ────────────────────────────────────────────
+function RequestOvertimeModal({ schedule, onClose, onSubmitted }) {
+  const [form, setForm] = useState({ date: localDateStr(), plannedHours: '2', reason: '' })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }))
+  const hours = Number(form.plannedHours)
+  const hint = overtimeWindow(schedule, form.date, hours)
+
+  const submit = async () => {
+    setError(null)
+    if (!form.date) { setError('Pick the day.'); return }
+    if (!(hours >= 0.5 && hours <= 12)) { setError('Planned hours must be between 0.5 and 12.'); return }
+    if (!form.reason.trim()) { setError('Say what the overtime is for.'); return }
+    setSaving(true)
+    const res = await overtimeApi.submit({ date: form.date, plannedHours: hours, reason: form.reason.trim() })
+    setSaving(false)
+    if (res.isSuccess) { onSubmitted(); onClose() }
+    else setError(res.message || 'Could not submit the overtime request.')
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Request overtime</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+
+          <div className="fieldRow" style={{ marginTop: 16, flexWrap: 'wrap' }}>
+            <div className="field">
+              <label htmlFor="ot-date">Day *</label>
+              <input id="ot-date" type="date" className="input" value={form.date} onChange={(e) => set('date', e.target.value)} />
+            </div>
+            <div className="field" style={{ maxWidth: 140 }}>
+              <label htmlFor="ot-hours">Planned hours *</label>
+              <input id="ot-hours" type="number" className="input" min="0.5" max="12" step="0.5" value={form.plannedHours}
+                onChange={(e) => set('plannedHours', e.target.value)} />
+            </div>
+          </div>
+
+          <p className="muted" style={{ fontSize: 12, margin: '8px 0 12px' }}>
+            {hint || 'Nothing scheduled that day — the whole day counts as overtime.'}
+          </p>
+
+          <div className="field">
+            <label htmlFor="ot-reason">Reason *</label>
+            <input id="ot-reason" className="input" value={form.reason}
+              onChange={(e) => set('reason', e.target.value)}
+              placeholder="What needs the extra hours"
+              onKeyDown={(e) => e.key === 'Enter' && submit()} />
+          </div>
+
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose}>Cancel</button>
+            <button className="btnPrimary" onClick={submit} disabled={saving}>
+              {saving ? 'Submitting…' : 'Submit request'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ── Review (approve / reject) modal ──────────────────────────────────
+function ReviewModal({ row, onClose, onDone }) {
+  const [note, setNote] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const act = async (isApproved) => {
+    setSaving(true)
+    setError(null)
+    const res = await overtimeApi.approve(row.id, { isApproved, note })
+    setSaving(false)
+    if (res.isSuccess) { onDone(); onClose() }
+    else setError(res.message || 'Action failed.')
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Review overtime request</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+
+          <div style={{ padding: '14px 0', borderBottom: '1px solid var(--border-color)', marginBottom: 16 }}>
+            <div style={{ fontWeight: 600, fontSize: 15, marginBottom: 4 }}>{row.employeeName}</div>
+            <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
+              <span style={{ fontWeight: 600 }}>{fmtOtHours(row.plannedHours)}</span>
+              {' · '}
+              {row.date}
+              {row.department && ` · ${row.department}`}
+            </div>
+            {row.reason && (
+              <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 6 }}>"{row.reason}"</div>
+            )}
+          </div>
+
+          <div className="field">
+            <label htmlFor="ot-note">Note <span className="muted">(optional — shown to employee)</span></label>
+            <input id="ot-note" className="input" value={note} onChange={(e) => setNote(e.target.value)}
+              placeholder="Reason for approval or rejection" />
+          </div>
+
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnSm btnSm--danger" onClick={() => act(false)} disabled={saving}>
+              Reject
+            </button>
+            <button className="btnPrimary" onClick={() => act(true)} disabled={saving}
+              style={{ background: 'var(--gcp-green)', borderColor: 'var(--gcp-green)' }}>
+              {saving ? 'Saving…' : <>{Icons.check} Approve</>}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ── Overtime row ──────────────────────────────────────────────────────
+function OvertimeRow({ row, onCancel, onReview, showEmployee }) {
+  const isManager = auth.isManager
+  return (
+    <div style={{ padding: '14px 0', borderBottom: '1px solid var(--border-color)' }}>
+      <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: 180 }}>
+          {showEmployee && <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 2 }}>{row.employeeName}</div>}
+          <div style={{ fontSize: 13, color: 'var(--text-secondary)' }}>
+            <span style={{ fontWeight: 600 }}>{fmtOtHours(row.plannedHours)}</span>
+            {' · '}
+            {row.date}
+          </div>
+          {row.reason && <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 3 }}>{row.reason}</div>}
+          {row.approvalNote && row.status !== 'Pending' && (
+            <div style={{ fontSize: 12, color: 'var(--text-secondary)', marginTop: 3, fontStyle: 'italic' }}>
+              Note: {row.approvalNote}
+            </div>
+          )}
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <StatusBadge status={row.status} />
+          {row.status === 'Pending' && isManager && (
+            <button className="btnSm" onClick={() => onReview(row)}>Review</button>
+          )}
+          {row.status === 'Pending' && !isManager && (
+            <button className="btnSm btnSm--danger" onClick={() => onCancel(row.id)}>Cancel</button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ── Main view ─────────────────────────────────────────────────────────
+// Employees file overtime for a day (hours past their shift end, with a reason); HR/Admin approve
+// or reject with a note. `refreshKey` is bumped by the console on live overtime events and
+// reloads quietly, like LeaveRequestView.
+export default function OvertimeRequestView({ schedule = null, refreshKey = 0 }) {
+  const isManager = auth.isManager
+  const [mine, setMine] = useState([])
+  const [all, setAll] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filterStatus, setFilterStatus] = useState('Pending')
+  const [notice, setNotice] = useState(null)
+  const [showRequest, setShowRequest] = useState(false)
+  const [reviewing, setReviewing] = useState(null)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    let alive = true
+    Promise.all([
+      isManager ? Promise.resolve({ isSuccess: false }) : overtimeApi.mine(),
+      isManager ? overtimeApi.all(filterStatus) : Promise.resolve({ isSuccess: false }),
+    ]).then(([m, a]) => {
+      if (!alive) return
+      setMine(m.isSuccess ? (m.data ?? []) : [])
+      setAll(a.isSuccess ? (a.data ?? []) : [])
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [isManager, filterStatus, refreshKey, reloadKey])
+
+  const reload = () => setReloadKey((k) => k + 1)
+  const pickStatus = (s) => {
+    if (s === filterStatus) return
+    setLoading(true)
+    setFilterStatus(s)
+  }
+
+  const cancel = async (id) => {
+    const res = await overtimeApi.cancel(id)
+    if (res.isSuccess) { setNotice({ type: 'ok', text: 'Request cancelled.' }); reload() }
+    else setNotice({ type: 'error', text: res.message })
+  }
+
+  const rows = isManager ? all : mine
+
+  return (
+    <div>
+      {notice && (
+        <p className={`alert alert--${notice.type === 'ok' ? 'ok' : 'error'}`}>{notice.text}</p>
+      )}
+
+      <div className="panel">
+        <div className="topRow" style={{ marginBottom: 12 }}>
+          <div>
+            <h3 className="panel__title" style={{ margin: 0 }}>{isManager ? 'Overtime requests' : 'My overtime requests'}</h3>
+            <p className="pageSub" style={{ marginTop: 2 }}>
+              {isManager
+                ? 'Approved hours are the authorised overtime on attendance rows and timesheets.'
+                : 'File overtime before working past your shift; approved hours show on your attendance.'}
+            </p>
+          </div>
+          {isManager ? (
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+              {['Pending', 'Approved', 'Rejected', ''].map((s) => (
+                <button key={s} className={`chip ${filterStatus === s ? 'chip--active' : ''}`} onClick={() => pickStatus(s)}>
+                  {s || 'All'}{filterStatus === s && ' ✓'}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button className="btnPrimary" onClick={() => setShowRequest(true)}>
+              {Icons.plus} Request overtime
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <p className="muted">Loading…</p>
+        ) : rows.length === 0 ? (
+          <p className="muted" style={{ fontSize: 13 }}>
+            {isManager ? 'No overtime requests.' : 'No overtime requests yet. Click "Request overtime" to file one.'}
+          </p>
+        ) : (
+          rows.map((r) => (
+            <OvertimeRow key={r.id} row={r} onCancel={cancel} onReview={setReviewing} showEmployee={isManager} />
+          ))
+        )}
+      </div>
+
+      {showRequest && (
+        <RequestOvertimeModal
+          schedule={schedule}
+          onClose={() => setShowRequest(false)}
+          onSubmitted={() => { setNotice({ type: 'ok', text: 'Overtime request submitted.' }); reload() }}
+        />
+      )}
+
+      {reviewing && (
+        <ReviewModal row={reviewing} onClose={() => setReviewing(null)} onDone={reload} />
+      )}
+    </div>
+  )
+}
@@ -1,21 +1,28 @@
 import { useEffect, useMemo, useState } from 'react'
 import { scheduleApi, attendanceApi } from '../../lib/api'
-
-const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+import { defaultHours, hoursFromSchedule, hoursToPayload, weekLetter } from '../../lib/schedule'
+import HoursEditor from './HoursEditor'
 
 function empName(e) {
   return e.fullName || `${e.firstName || ''} ${e.lastName || ''}`.trim() || `Employee #${e.id}`
 }
 
+const todayIso = () => {
+  const d = new Date()
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10)
+}
+
 // Admin/Manager panel to set "the schedule time" an employee's attendance is graded against.
 // `schedulesByEmp` (employeeId -> WorkScheduleDTO) is used to prefill when an employee is picked.
+// The hours themselves are edited by HoursEditor (plain shift, per-day pattern, rotation).
+// Saving creates a new version from "Effective from" — days before it keep their old schedule.
 export default function ScheduleEditor({ schedulesByEmp = {}, onSaved, prefillEmployeeId, hideTitle = false }) {
   const [employees, setEmployees] = useState([])
   const [employeeId, setEmployeeId] = useState('')
-  const [start, setStart] = useState('08:00')
-  const [end, setEnd] = useState('17:00')
-  const [grace, setGrace] = useState(5)
-  const [days, setDays] = useState(['Mon', 'Tue', 'Wed', 'Thu', 'Fri'])
+  const [hours, setHours] = useState(defaultHours)
+  const [startWeek, setStartWeek] = useState(0)
+  const [today] = useState(todayIso)
+  const [effectiveFrom, setEffectiveFrom] = useState(today)
   const [saving, setSaving] = useState(false)
   const [notice, setNotice] = useState(null)
 
@@ -39,10 +46,8 @@ export default function ScheduleEditor({ schedulesByEmp = {}, onSaved, prefillEm
     if (!employeeId) return
     const s = schedulesByEmp[employeeId]
     if (s) {
-      setStart(s.startTime || '08:00')
-      setEnd(s.endTime || '17:00')
-      setGrace(s.graceMinutes ?? 5)
-      setDays((s.workDays || '').split(',').map((d) => d.trim()).filter(Boolean))
+      setHours(hoursFromSchedule(s))
+      setStartWeek(s.rotationStartWeek || 0)
     }
   }, [employeeId, schedulesByEmp])
 
@@ -51,23 +56,21 @@ export default function ScheduleEditor({ schedulesByEmp = {}, onSaved, prefillEm
     [employees],
   )
 
-  const toggleDay = (d) =>
-    setDays((cur) => (cur.includes(d) ? cur.filter((x) => x !== d) : [...cur, d]))
-
   const save = async () => {
     setNotice(null)
     if (!employeeId) { setNotice({ type: 'error', text: 'Pick an employee first.' }); return }
+    const { payload, error } = hoursToPayload(hours)
+    if (error) { setNotice({ type: 'error', text: error }); return }
     setSaving(true)
     const res = await scheduleApi.set({
+      ...payload,
       employeeId: Number(employeeId),
-      startTime: start,
-      endTime: end,
-      graceMinutes: Number(grace),
-      workDays: DAYS.filter((d) => days.includes(d)).join(','),
+      effectiveFrom,
+      rotationStartWeek: Math.min(startWeek, payload.rotationWeeks - 1),
     })
     setSaving(false)
     if (res.isSuccess) {
-      setNotice({ type: 'ok', text: 'Schedule saved.' })
+      setNotice({ type: 'ok', text: effectiveFrom > today ? `Schedule saved — takes effect ${effectiveFrom}.` : 'Schedule saved.' })
       onSaved?.(res.data)
     } else {
       setNotice({ type: 'error', text: res.message || 'Could not save schedule.' })
@@ -95,30 +98,26 @@ export default function ScheduleEditor({ schedulesByEmp = {}, onSaved, prefillEm
           </select>
         </div>
         <div className="field">
-          <label htmlFor="st">Start time</label>
-          <input id="st" type="time" className="input" value={start} onChange={(e) => setStart(e.target.value)} />
-        </div>
-        <div className="field">
-          <label htmlFor="en">End time</label>
-          <input id="en" type="time" className="input" value={end} onChange={(e) => setEnd(e.target.value)} />
-        </div>
-        <div className="field">
-          <label htmlFor="gr">Grace (min)</label>
-          <input id="gr" type="number" min="0" max="120" className="input" style={{ minWidth: 90 }}
-                 value={grace} onChange={(e) => setGrace(e.target.value)} />
+          <label htmlFor="eff">Effective from</label>
+          <input id="eff" type="date" className="input" min={today} value={effectiveFrom}
+                 onChange={(e) => setEffectiveFrom(e.target.value || today)} />
         </div>
+        {hours.perDay && hours.weeks.length > 1 && (
+          <div className="field">
+            <label htmlFor="sw">First week</label>
+            <select id="sw" className="select" value={Math.min(startWeek, hours.weeks.length - 1)} onChange={(e) => setStartWeek(Number(e.target.value))}>
+              {hours.weeks.map((_, i) => <option key={i} value={i}>Week {weekLetter(i)}</option>)}
+            </select>
+          </div>
+        )}
       </div>
+      {employeeId && schedulesByEmp[employeeId]?.nextEffectiveFrom && (
+        <p className="muted" style={{ fontSize: 12, marginTop: 8 }}>
+          A change is already scheduled from {schedulesByEmp[employeeId].nextEffectiveFrom}; saving with that date replaces it.
+        </p>
+      )}
 
-      <div className="field" style={{ marginTop: 14 }}>
-        <label>Work days</label>
-        <div className="rangeRow">
-          {DAYS.map((d) => (
-            <button key={d} type="button" className={`chip ${days.includes(d) ? 'chip--active' : ''}`} onClick={() => toggleDay(d)}>
-              {d}
-            </button>
-          ))}
-        </div>
-      </div>
+      <HoursEditor value={hours} onChange={setHours} />
 
       <div className="actions">
         <button className="btnPrimary" onClick={save} disabled={saving}>
@@ -0,0 +1,45 @@
+import { rotationWeek, shiftLabel, weekLetter, weekShifts } from '../../lib/schedule'
+
+// Key/value rows for a schedule: one row per weekday when it has a shift pattern (per week for a
+// rotation), else the classic start/end/late-after rows. Followed by where the schedule came from.
+export default function ScheduleRows({ schedule, graceLabel = 'Grace' }) {
+  const cycle = schedule.rotationWeeks || 1
+  const source = (
+    <>
+      {cycle > 1 && (
+        <div className="kv">
+          <span className="kv__k">Rotation</span>
+          <span className="kv__v">{cycle} weeks · this week is {weekLetter(rotationWeek(schedule, new Date()))}</span>
+        </div>
+      )}
+      {schedule.templateName && <div className="kv"><span className="kv__k">Template</span><span className="kv__v">{schedule.templateName}</span></div>}
+      {schedule.effectiveFrom && <div className="kv"><span className="kv__k">Effective from</span><span className="kv__v">{schedule.effectiveFrom}</span></div>}
+      {schedule.nextEffectiveFrom && <div className="kv"><span className="kv__k">Next change</span><span className="kv__v">{schedule.nextEffectiveFrom}</span></div>}
+    </>
+  )
+  if (schedule.usesShiftPattern || cycle > 1) {
+    return (
+      <>
+        {Array.from({ length: cycle }, (_, w) => weekShifts(schedule, w).map(({ day, shifts }) => (
+          <div className="kv" key={`${w}-${day}`}>
+            <span className="kv__k">{cycle > 1 ? `${weekLetter(w)} · ${day}` : day}</span>
+            <span className="kv__v">{shifts.map((s) => `${shiftLabel(s)} · late after ${s.lateAfter}`).join(', ')}</span>
+          </div>
+        )))}
+        <div className="kv"><span className="kv__k">{graceLabel}</span><span className="kv__v">{schedule.graceMinutes} min</span></div>
+        {source}
+      </>
+    )
+  }
+  const overnight = schedule.endTime && schedule.startTime && schedule.endTime < schedule.startTime
+  return (
+    <>
+      <div className="kv"><span className="kv__k">Start time</span><span className="kv__v">{schedule.startTime}</span></div>
+      <div className="kv"><span className="kv__k">End time</span><span className="kv__v">{schedule.endTime}{overnight ? ' (next day)' : ''}</span></div>
+      <div className="kv"><span className="kv__k">Late after</span><span className="kv__v">{schedule.lateAfter}</span></div>
+      <div className="kv"><span className="kv__k">{graceLabel}</span><span className="kv__v">{schedule.graceMinutes} min</span></div>
+      <div className="kv"><span className="kv__k">Work days</span><span className="kv__v">{schedule.workDays}</span></div>
+      {source}
+    </>
+  )
+}
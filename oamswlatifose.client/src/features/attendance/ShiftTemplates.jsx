@@ -0,0 +1,338 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { attendanceApi, scheduleApi } from '../../lib/api'
+import { defaultHours, describeSchedule, hoursFromSchedule, hoursToPayload, weekLetter } from '../../lib/schedule'
+import { Icons } from '../../lib/ui'
+import ConfirmDeleteModal from './ConfirmDeleteModal'
+import HoursEditor from './HoursEditor'
+
+const todayIso = () => {
+  const d = new Date()
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10)
+}
+
+function empName(e) {
+  return e.fullName || `${e.firstName || ''} ${e.lastName || ''}`.trim() || `Employee #${e.id}`
+}
+
+function TemplateFormModal({ initial, onSave, onClose }) {
+  const [name, setName] = useState(initial?.name || '')
+  const [description, setDescription] = useState(initial?.description || '')
+  const [hours, setHours] = useState(() => (initial ? hoursFromSchedule(initial) : defaultHours()))
+  const [saving, setSaving] = useState(false)
+  const [notice, setNotice] = useState(null)
+  const firstRef = useRef(null)
+
+  useEffect(() => { firstRef.current?.focus() }, [])
+
+  const submit = async () => {
+    setNotice(null)
+    if (!name.trim()) { setNotice('Template name is required.'); return }
+    const { payload, error } = hoursToPayload(hours)
+    if (error) { setNotice(error); return }
+    setSaving(true)
+    const res = await scheduleApi.saveTemplate({
+      ...payload,
+      id: initial?.id || undefined,
+      name: name.trim(),
+      description: description.trim(),
+    })
+    setSaving(false)
+    if (res.isSuccess) onSave()
+    else setNotice(res.message || 'Could not save template.')
+  }
+
+  const handleKey = (e) => { if (e.key === 'Escape') onClose() }
+
+  return (
+    <div className="modalOverlay" onClick={onClose} onKeyDown={handleKey}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>{initial ? 'Edit shift template' : 'New shift template'}</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+
+        <div style={{ padding: '16px 24px 24px' }}>
+          {notice && <p className="alert alert--error" style={{ marginBottom: 14 }}>{notice}</p>}
+          {initial?.assignedCount > 0 && (
+            <p className="alert alert--info" style={{ marginBottom: 14 }}>
+              Changes apply to future assignments only — the {initial.assignedCount} employee(s) already on this template keep their hours until it is assigned again.
+            </p>
+          )}
+
+          <div className="fieldRow">
+            <div className="field" style={{ flex: '1 1 200px' }}>
+              <label>Name *</label>
+              <input ref={firstRef} className="input" value={name} onChange={(e) => setName(e.target.value)} placeholder="Morning 8–5 Mon–Fri" />
+            </div>
+            <div className="field" style={{ flex: '1 1 240px' }}>
+              <label>Description (optional)</label>
+              <input className="input" value={description} onChange={(e) => setDescription(e.target.value)} />
+            </div>
+          </div>
+
+          <HoursEditor value={hours} onChange={setHours} />
+
+          <div className="modal__actions" style={{ marginTop: 20 }}>
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={submit} disabled={saving}>
+              {saving ? 'Saving…' : initial ? 'Update template' : 'Add template'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Pick employees (and/or a whole department) and an effective date, then copy the template
+// into each one's schedule as a new version.
+function AssignTemplateModal({ template, onDone, onClose }) {
+  const [employees, setEmployees] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selected, setSelected] = useState([])
+  const [department, setDepartment] = useState('')
+  const [filter, setFilter] = useState('')
+  const [today] = useState(todayIso)
+  const [effectiveFrom, setEffectiveFrom] = useState(today)
+  const [startWeek, setStartWeek] = useState(0)
+  const [saving, setSaving] = useState(false)
+  const [notice, setNotice] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    attendanceApi.employees().then((res) => {
+      if (!alive) return
+      const list = res?.data?.items ?? res?.data ?? []
+      setEmployees(Array.isArray(list) ? [...list].sort((a, b) => empName(a).localeCompare(empName(b))) : [])
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [])
+
+  const departments = useMemo(
+    () => [...new Set(employees.map((e) => e.department).filter(Boolean))].sort(),
+    [employees],
+  )
+  const visible = useMemo(() => {
+    const f = filter.trim().toLowerCase()
+    return f ? employees.filter((e) => `${empName(e)} ${e.department || ''}`.toLowerCase().includes(f)) : employees
+  }, [employees, filter])
+
+  // Everyone the server will touch: the ticked employees plus the chosen department.
+  const targetCount = useMemo(
+    () => employees.filter((e) => selected.includes(e.id) || (department && e.department === department)).length,
+    [employees, selected, department],
+  )
+
+  const toggle = (id) => setSelected((cur) => (cur.includes(id) ? cur.filter((x) => x !== id) : [...cur, id]))
+  const allVisibleSelected = visible.length > 0 && visible.every((e) => selected.includes(e.id))
+  const toggleAllVisible = () => {
+    const ids = visible.map((e) => e.id)
+    setSelected((cur) => (allVisibleSelected ? cur.filter((id) => !ids.includes(id)) : [...new Set([...cur, ...ids])]))
+  }
+
+  const submit = async () => {
+    setNotice(null)
+    if (!targetCount) { setNotice('Pick at least one employee or a department.'); return }
+    setSaving(true)
+    const res = await scheduleApi.assign({
+      templateId: template.id,
+      employeeIds: selected,
+      department: department || undefined,
+      effectiveFrom,
+      rotationStartWeek: startWeek,
+    })
+    setSaving(false)
+    if (res.isSuccess) onDone(res.message || `Assigned to ${res.data?.assignedCount ?? targetCount} employee(s).`)
+    else setNotice(res.message || 'Could not assign template.')
+  }
+
+  const handleKey = (e) => { if (e.key === 'Escape') onClose() }
+
+  return (
+    <div className="modalOverlay" onClick={onClose} onKeyDown={handleKey}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Assign “{template.name}”</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+
+        <div style={{ padding: '16px 24px 24px' }}>
+          {notice && <p className="alert alert--error" style={{ marginBottom: 14 }}>{notice}</p>}
+          <p className="muted" style={{ fontSize: 12, marginTop: 0 }}>{describeSchedule(template)}</p>
+
+          <div className="fieldRow">
+            <div className="field">
+              <label htmlFor="as-eff">Effective from</label>
+              <input id="as-eff" type="date" className="input" min={today} value={effectiveFrom}
+                     onChange={(e) => setEffectiveFrom(e.target.value || today)} />
+            </div>
+            {template.rotationWeeks > 1 && (
+              <div className="field">
+                <label htmlFor="as-week">First week</label>
+                <select id="as-week" className="select" value={startWeek} onChange={(e) => setStartWeek(Number(e.target.value))}>
+                  {Array.from({ length: template.rotationWeeks }, (_, i) => <option key={i} value={i}>Week {weekLetter(i)}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="field" style={{ minWidth: 200 }}>
+              <label htmlFor="as-dept">Whole department</label>
+              <select id="as-dept" className="select" value={department} onChange={(e) => setDepartment(e.target.value)}>
+                <option value="">—</option>
+                {departments.map((d) => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div style={{ marginTop: 16 }}>
+            <div className="filterBar" style={{ padding: '0 0 8px', border: 'none' }}>
+              <span className="filterIcon">{Icons.filter}</span>
+              <input className="filterInput" placeholder="Filter employees" value={filter} onChange={(e) => setFilter(e.target.value)} aria-label="Filter employees" />
+              <button type="button" className="btnSm" onClick={toggleAllVisible} disabled={!visible.length}>
+                {allVisibleSelected ? 'Clear shown' : 'Select shown'}
+              </button>
+            </div>
+            {loading ? (
+              <p style={{ fontSize: 13, color: 'var(--text-muted)' }}>Loading employees…</p>
+            ) : (
+              <div className="checkList">
+                {visible.map((e) => {
+                  const viaDept = department && e.department === department
+                  return (
+                    <label key={e.id} className={`checkList__row${selected.includes(e.id) || viaDept ? ' checkList__row--on' : ''}`}>
+                      <input type="checkbox" checked={selected.includes(e.id) || !!viaDept} disabled={!!viaDept} onChange={() => toggle(e.id)} />
+                      <span style={{ flex: 1 }}>{empName(e)}</span>
+                      <span className="muted" style={{ fontSize: 11 }}>{e.department || ''}</span>
+                    </label>
+                  )
+                })}
+                {visible.length === 0 && <p className="stateCell">No employees match.</p>}
+              </div>
+            )}
+          </div>
+
+          <div className="modal__actions" style={{ marginTop: 20 }}>
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={submit} disabled={saving || !targetCount}>
+              {saving ? 'Assigning…' : `Assign to ${targetCount} employee${targetCount === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Admin/Manager panel: named shift templates ("Morning 8–5 Mon–Fri", "Weekend Ops") and bulk
+// assignment to many employees or a department from an effective date. Assigning copies the
+// hours, so editing a template never changes schedules already handed out.
+export default function ShiftTemplates({ onChanged }) {
+  const [templates, setTemplates] = useState([])
+  const [formTarget, setFormTarget] = useState(null) // null | 'new' | template
+  const [assignTarget, setAssignTarget] = useState(null)
+  const [deleteTarget, setDeleteTarget] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const applyTemplates = (res) => setTemplates(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+  const load = async () => applyTemplates(await scheduleApi.templates())
+
+  useEffect(() => {
+    let alive = true
+    scheduleApi.templates().then((res) => { if (alive) applyTemplates(res) })
+    return () => { alive = false }
+  }, [])
+
+  const handleSaved = async () => {
+    setFormTarget(null)
+    await load()
+  }
+
+  const handleAssigned = async (text) => {
+    setAssignTarget(null)
+    setNotice({ type: 'ok', text })
+    await load()
+    onChanged?.()
+  }
+
+  const confirmDelete = async () => {
+    const t = deleteTarget
+    const res = await scheduleApi.removeTemplate(t.id)
+    setDeleteTarget(null)
+    if (res.isSuccess) await load()
+    else setNotice({ type: 'error', text: res.message || 'Could not delete template.' })
+  }
+
+  return (
+    <div className="panel">
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+        <h3 className="panel__title" style={{ margin: 0 }}>Shift templates</h3>
+        <button className="btnPrimary" onClick={() => setFormTarget('new')}>+ New template</button>
+      </div>
+
+      {notice && (
+        <p className={`alert ${notice.type === 'ok' ? 'alert--ok' : 'alert--error'}`} style={{ marginBottom: 14 }}>
+          {notice.text}
+          <button className="linkBtn" style={{ marginLeft: 8 }} onClick={() => setNotice(null)}>×</button>
+        </p>
+      )}
+
+      <div className="tableScroll">
+        <table className="table">
+          <thead>
+            <tr>
+              <th className="th">Name</th>
+              <th className="th">Hours</th>
+              <th className="th thNum col-hide-sm">Grace</th>
+              <th className="th thNum">Assigned</th>
+              <th className="th" />
+            </tr>
+          </thead>
+          <tbody>
+            {templates.length === 0 ? (
+              <tr><td className="stateCell" colSpan={5}>No templates yet — click &ldquo;New template&rdquo; to create one.</td></tr>
+            ) : templates.map((t) => (
+              <tr key={t.id} className="row">
+                <td className="td" style={{ fontWeight: 500 }}>
+                  {t.name}
+                  {t.description && <div className="muted" style={{ fontSize: 12, fontWeight: 400 }}>{t.description}</div>}
+                </td>
+                <td className="td" style={{ fontSize: 12, color: 'var(--text-secondary)' }}>{describeSchedule(t)}</td>
+                <td className="td tdNum col-hide-sm">{t.graceMinutes} min</td>
+                <td className="td tdNum">{t.assignedCount}</td>
+                <td className="td" style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                  <button className="btnSm" onClick={() => setAssignTarget(t)}>Assign</button>
+                  <button className="linkBtn" onClick={() => setFormTarget(t)}>Edit</button>
+                  <button className="linkBtn" style={{ color: 'var(--gcp-red)' }} onClick={() => setDeleteTarget(t)} title="Delete">
+                    {Icons.trash}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {formTarget && (
+        <TemplateFormModal
+          initial={formTarget === 'new' ? null : formTarget}
+          onSave={handleSaved}
+          onClose={() => setFormTarget(null)}
+        />
+      )}
+
+      {assignTarget && (
+        <AssignTemplateModal template={assignTarget} onDone={handleAssigned} onClose={() => setAssignTarget(null)} />
+      )}
+
+      {deleteTarget && (
+        <ConfirmDeleteModal
+          title="Delete shift template"
+          description={`This removes the "${deleteTarget.name}" template. Employees already assigned from it keep their schedules.`}
+          confirmText={deleteTarget.name}
+          onConfirm={confirmDelete}
+          onClose={() => setDeleteTarget(null)}
+        />
+      )}
+    </div>
+  )
+}
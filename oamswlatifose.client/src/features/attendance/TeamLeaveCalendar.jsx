@@ -0,0 +1,324 @@
+import { useEffect, useState } from 'react'
+import { branchApi, leaveCalendarApi } from '../../lib/api'
+import { portionLabel } from '../../lib/leave'
+import { Icons } from '../../lib/ui'
+
+const pad = (n) => String(n).padStart(2, '0')
+const isoDate = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+]
+
+// Chips shown per day before collapsing the rest into "+N more".
+const MAX_CHIPS = 3
+
+const STATUS_STYLE = {
+  Approved: { color: 'var(--gcp-blue)', bg: 'rgba(66,133,244,.12)' },
+  Pending:  { color: '#e37400',         bg: 'rgba(251,188,4,.18)' },
+}
+const SHORT_STYLE = { color: 'var(--gcp-red)', bg: 'rgba(234,67,53,.10)' }
+
+const onDay = (entries, ds) => entries.filter((e) => e.startDate <= ds && e.endDate >= ds)
+
+function DayModal({ day, entries, short, onClose }) {
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>
+            {new Date(day + 'T00:00:00').toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+          </h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {short.map((s) => (
+            <p key={s.department} className="alert alert--warn" style={{ margin: '12px 0 0' }}>
+              {s.department}: {s.available} available, minimum {s.minHeadcount}
+            </p>
+          ))}
+          {entries.length === 0 ? (
+            <p className="muted" style={{ marginTop: 12 }}>Nobody is on leave.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 12 }}>
+              {entries.map((e) => (
+                <div key={e.requestId} className="kv">
+                  <span className="kv__k">
+                    {e.employeeName}
+                    <span className="muted" style={{ fontSize: 12 }}>{[e.department, e.branchName].filter(Boolean).map((x) => ` · ${x}`).join('')}</span>
+                  </span>
+                  <span className="kv__v" style={{ color: STATUS_STYLE[e.status]?.color }}>
+                    {e.leaveType}{portionLabel(e) ? ` (${portionLabel(e)})` : ''} · {e.status}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Review-modal warning: the days approving request `requestId` would leave its department below
+// the minimum headcount, counting leave already approved. Renders nothing when coverage holds.
+export function CoverageWarning({ requestId }) {
+  const [coverage, setCoverage] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    leaveCalendarApi.coverage(requestId).then((res) => {
+      if (alive && res.isSuccess) setCoverage(res.data)
+    })
+    return () => { alive = false }
+  }, [requestId])
+
+  if (!coverage?.shortDays?.length) return null
+  const days = coverage.shortDays
+  return (
+    <div className="alert alert--warn" style={{ marginBottom: 12 }}>
+      Approving leaves {coverage.department} below its minimum of {coverage.minHeadcount} at work on{' '}
+      {days.length === 1 ? '' : `${days.length} days: `}
+      {days.map((d) => `${d.date} (${d.available} available)`).join(', ')}.
+    </div>
+  )
+}
+
+// HR/Admin editor for each department's minimum headcount. Saving replaces them all; 0 (or blank)
+// means no minimum.
+export function CoverageRulesModal({ onClose, onSaved }) {
+  const [rows, setRows] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let alive = true
+    leaveCalendarApi.rules().then((res) => {
+      if (alive) setRows(res.isSuccess && Array.isArray(res.data) ? res.data : [])
+    })
+    return () => { alive = false }
+  }, [])
+
+  const set = (department, value) =>
+    setRows((list) => list.map((r) => (r.department === department ? { ...r, minHeadcount: value } : r)))
+
+  const save = async () => {
+    setError(null)
+    setSaving(true)
+    const res = await leaveCalendarApi.saveRules(rows.map((r) => ({ department: r.department, minHeadcount: Number(r.minHeadcount) || 0 })))
+    setSaving(false)
+    if (res.isSuccess) { onSaved(); onClose() }
+    else setError(res.message || 'Could not save the minimum headcounts.')
+  }
+
+  return (
+    <div className="modalOverlay" onClick={onClose}>
+      <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal__header">
+          <h3 className="modal__title" style={{ margin: 0 }}>Minimum headcount</h3>
+          <button className="iconBtn" onClick={onClose}>{Icons.close}</button>
+        </div>
+        <div style={{ padding: '0 24px 24px' }}>
+          {error && <p className="alert alert--error" style={{ margin: '12px 0' }}>{error}</p>}
+          <p className="muted" style={{ fontSize: 12, margin: '12px 0' }}>
+            How many of a department's active employees must be at work on any day. Reviewers are warned before
+            approving leave that would go below it. Half-day and hourly leave don't count; 0 means no minimum.
+          </p>
+          {!rows ? <p className="muted">Loading…</p> : rows.length === 0 ? <p className="muted">No departments yet.</p> : rows.map((r) => (
+            <div key={r.department} className="fieldRow" style={{ padding: '10px 0', borderBottom: '1px solid var(--border-color)', alignItems: 'flex-end' }}>
+              <div className="field" style={{ minWidth: 160 }}>
+                <label>Department</label>
+                <strong style={{ fontSize: 14 }}>{r.department}</strong>
+              </div>
+              <div className="field">
+                <label>Employees</label>
+                <span style={{ fontSize: 14 }}>{r.headcount}</span>
+              </div>
+              <div className="field">
+                <label>Minimum at work</label>
+                <input type="number" min="0" max={1000} className="input" style={{ width: 90 }} value={r.minHeadcount}
+                  onChange={(e) => set(r.department, e.target.value)} />
+              </div>
+              {Number(r.minHeadcount) > r.headcount && (
+                <span className="fieldError" style={{ alignSelf: 'center' }}>Above the headcount</span>
+              )}
+            </div>
+          ))}
+          <div className="modal__actions">
+            <button className="btnGhost" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btnPrimary" onClick={save} disabled={saving || !rows?.length}>{saving ? 'Saving…' : 'Save minimums'}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Month grid of everyone's approved and pending leave (HR/Admin), filterable by department and
+// branch. Days on which approved leave leaves a department below its minimum are flagged.
+export default function TeamLeaveCalendar({ refreshKey }) {
+  const now = new Date()
+  const [year, setYear] = useState(now.getFullYear())
+  const [month, setMonth] = useState(now.getMonth() + 1) // 1-based
+  const [department, setDepartment] = useState('')
+  const [branchId, setBranchId] = useState('')
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [branches, setBranches] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [reloadKey, setReloadKey] = useState(0)
+  const [notice, setNotice] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [editingRules, setEditingRules] = useState(false)
+
+  useEffect(() => {
+    let alive = true
+    leaveCalendarApi.month(year, month, department, branchId).then((res) => {
+      if (!alive) return
+      setData(res.isSuccess ? res.data : null)
+      setError(res.isSuccess ? null : res.message || 'Could not load the leave calendar.')
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [year, month, department, branchId, refreshKey, reloadKey])
+
+  // Filter options don't depend on the month; departments come from the minimum-headcount list.
+  useEffect(() => {
+    let alive = true
+    Promise.all([branchApi.list(true), leaveCalendarApi.rules()]).then(([b, r]) => {
+      if (!alive) return
+      setBranches(b.isSuccess && Array.isArray(b.data) ? b.data : [])
+      setDepartments(r.isSuccess && Array.isArray(r.data) ? r.data.map((d) => d.department) : [])
+    })
+    return () => { alive = false }
+  }, [reloadKey])
+
+  const go = (y, m) => { setLoading(true); setYear(y); setMonth(m) }
+  const prevMonth = () => (month === 1 ? go(year - 1, 12) : go(year, month - 1))
+  const nextMonth = () => (month === 12 ? go(year + 1, 1) : go(year, month + 1))
+  const goToday = () => go(now.getFullYear(), now.getMonth() + 1)
+  const filter = (setter) => (e) => { setLoading(true); setter(e.target.value) }
+
+  const entries = data?.entries ?? []
+  const shortDays = data?.shortDays ?? []
+  const shortOn = (ds) => shortDays.filter((s) => s.date === ds)
+
+  const firstDow    = new Date(year, month - 1, 1).getDay()
+  const daysInMonth = new Date(year, month, 0).getDate()
+  const cells = [
+    ...Array(firstDow).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => i + 1),
+  ]
+  const today = isoDate(now.getFullYear(), now.getMonth() + 1, now.getDate())
+  const isCurrentMonth = year === now.getFullYear() && month === now.getMonth() + 1
+
+  return (
+    <div>
+      <div className="fieldRow" style={{ marginBottom: 12, alignItems: 'flex-end' }}>
+        <div className="field">
+          <label htmlFor="tlc-dept">Department</label>
+          <select id="tlc-dept" className="select" value={department} onChange={filter(setDepartment)}>
+            <option value="">All departments</option>
+            {departments.map((d) => <option key={d} value={d}>{d}</option>)}
+          </select>
+        </div>
+        <div className="field">
+          <label htmlFor="tlc-branch">Branch</label>
+          <select id="tlc-branch" className="select" value={branchId} onChange={filter(setBranchId)}>
+            <option value="">All branches</option>
+            {branches.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+          </select>
+        </div>
+        <button className="btnGhost" onClick={() => setEditingRules(true)}>Minimum headcount</button>
+      </div>
+
+      {notice && <p className="alert alert--ok" style={{ marginBottom: 12 }}>{notice}</p>}
+      {error && <p className="alert alert--error" style={{ marginBottom: 12 }}>{error}</p>}
+
+      <div className="calendarWrap">
+        <div className="calendarNav">
+          <button className="iconBtn" onClick={prevMonth} title="Previous month">{Icons.chevLeft}</button>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            <span className="calendarNavTitle">{MONTH_NAMES[month - 1]} {year}</span>
+            {!isCurrentMonth && (
+              <button className="btnGhost" style={{ padding: '2px 10px', fontSize: 12 }} onClick={goToday}>Today</button>
+            )}
+          </div>
+          <button className="iconBtn" onClick={nextMonth} title="Next month">{Icons.chevRight}</button>
+        </div>
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: 48, color: 'var(--text-muted)' }}>
+            <span className="spinner spinner--blue" style={{ display: 'inline-block', marginBottom: 10 }} />
+            <div style={{ fontSize: 13 }}>Loading leave…</div>
+          </div>
+        ) : (
+          <>
+            <div className="calendarGrid">
+              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((d) => (
+                <div key={d} className="calendarDow">{d}</div>
+              ))}
+
+              {cells.map((d, i) => {
+                if (d === null) return <div key={`pad-${i}`} className="calendarCell calendarCell--empty" />
+
+                const ds    = isoDate(year, month, d)
+                const off   = onDay(entries, ds)
+                const short = shortOn(ds)
+
+                return (
+                  <div
+                    key={ds}
+                    className={`calendarCell${ds === today ? ' calendarCell--today' : ''}`}
+                    onClick={() => setDetail({ day: ds, entries: off, short })}
+                    title={short.map((s) => `${s.department}: ${s.available}/${s.minHeadcount}`).join('\n') || undefined}
+                  >
+                    <span className="calendarDay">{d}</span>
+
+                    {short.length > 0 && (
+                      <span className="calendarChip" style={{ background: SHORT_STYLE.bg, color: SHORT_STYLE.color }}>
+                        Short · {short.map((s) => s.department).join(', ')}
+                      </span>
+                    )}
+
+                    {off.slice(0, MAX_CHIPS).map((e) => (
+                      <span key={e.requestId} className="calendarChip"
+                        style={{ background: STATUS_STYLE[e.status]?.bg, color: STATUS_STYLE[e.status]?.color }}>
+                        {e.employeeName}{portionLabel(e) ? ` · ${portionLabel(e)}` : ''}
+                      </span>
+                    ))}
+                    {off.length > MAX_CHIPS && (
+                      <span className="calendarChip calendarChip--off">+{off.length - MAX_CHIPS} more</span>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            <div className="calendarLegend">
+              {[
+                { label: 'Approved', ...STATUS_STYLE.Approved },
+                { label: 'Pending', ...STATUS_STYLE.Pending },
+                { label: 'Below minimum headcount', ...SHORT_STYLE },
+              ].map((l) => (
+                <span key={l.label} className="calendarLegendItem">
+                  <span style={{ width: 10, height: 10, borderRadius: 3, background: l.bg, border: `1.5px solid ${l.color}`, flexShrink: 0, display: 'inline-block' }} />
+                  <span style={{ color: l.color, fontSize: 11, fontWeight: 500 }}>{l.label}</span>
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {detail && (
+        <DayModal day={detail.day} entries={detail.entries} short={detail.short} onClose={() => setDetail(null)} />
+      )}
+      {editingRules && (
+        <CoverageRulesModal onClose={() => setEditingRules(false)} onSaved={() => { setNotice('Minimum headcounts saved.'); setReloadKey((k) => k + 1) }} />
+      )}
+    </div>
+  )
+}
@@ -6,8 +6,19 @@ import { Icons } from '../../lib/ui'
 const EMPTY = {
   firstName: '', lastName: '', email: '', phone: '',
   position: '', department: '', username: '', password: '', confirmPw: '', roleId: '',
+  employeeId: null, employeeBadge: '',
 }
 
+// Pre-fills the create form from an Employees row; the account is then linked to that record
+// (server side, by employeeId) instead of creating a second employee.
+const formFor = (e) => ({
+  ...EMPTY,
+  firstName: e.firstName || '', lastName: e.lastName || '', email: e.email || '', phone: e.phone || '',
+  position: e.position || '', department: e.department || '',
+  username: `${(e.firstName || '').slice(0, 1)}${e.lastName || ''}`.toLowerCase().replace(/[^a-z0-9]/g, ''),
+  employeeId: e.id, employeeBadge: String(e.employeeID ?? ''),
+})
+
 function activeBadge(isActive) {
   const c = isActive ? 'var(--gcp-green)' : 'var(--gcp-red)'
   return (
@@ -18,14 +29,14 @@ function activeBadge(isActive) {
   )
 }
 
-export default function UserManager() {
+export default function UserManager({ prefill = null, onPrefillUsed }) {
   const [roles, setRoles] = useState([])
   const [users, setUsers] = useState([])
   const [loading, setLoading] = useState(true)
 
   // Create modal
-  const [showCreate, setShowCreate] = useState(false)
-  const [form, setForm] = useState(EMPTY)
+  const [showCreate, setShowCreate] = useState(() => prefill != null)
+  const [form, setForm] = useState(() => (prefill ? formFor(prefill) : EMPTY))
   const [saving, setSaving] = useState(false)
   const [createNotice, setCreateNotice] = useState(null)
 
@@ -56,7 +67,9 @@ export default function UserManager() {
   const setE = (k, v) => setEditForm((f) => ({ ...f, [k]: v }))
 
   const openCreate = () => { setCreateNotice(null); setShowCreate(true) }
-  const closeCreate = () => { setShowCreate(false); setCreateNotice(null); setForm((f) => ({ ...EMPTY, roleId: f.roleId })) }
+  const closeCreate = () => { setShowCreate(false); setCreateNotice(null); setForm((f) => ({ ...EMPTY, roleId: f.roleId })); onPrefillUsed?.() }
+
+  const linked = form.employeeId != null
 
   const save = async () => {
     setCreateNotice(null)
@@ -73,7 +86,7 @@ export default function UserManager() {
       email: form.email.trim(), phone: form.phone.trim(),
       position: form.position.trim(), department: form.department.trim(),
       username: form.username.trim(), password: form.password,
-      roleId: Number(form.roleId),
+      roleId: Number(form.roleId), employeeId: form.employeeId,
     })
     setSaving(false)
     if (res.isSuccess) {
@@ -95,6 +108,7 @@ export default function UserManager() {
       department: row.department || '',
       roleId: String(row.roleId || ''),
       isActive: row.isActive !== false,
+      twoFactorRequiredByAdmin: row.twoFactorRequiredByAdmin === true,
       newPassword: '', confirmNewPw: '',
     })
   }
@@ -113,6 +127,7 @@ export default function UserManager() {
       email: editForm.email.trim(), phone: editForm.phone?.trim() || '',
       position: editForm.position?.trim() || '', department: editForm.department?.trim() || '',
       roleId: Number(editForm.roleId), isActive: editForm.isActive,
+      twoFactorRequiredByAdmin: editForm.twoFactorRequiredByAdmin,
       newPassword: editForm.newPassword || null,
     })
     setEditSaving(false)
@@ -136,6 +151,7 @@ export default function UserManager() {
         loading={loading}
         emptyText="No user accounts yet."
         filterKeys={['username', 'employeeName', 'roleName', 'department']}
+        facets={['roleName', 'department']}
         rows={users}
         columns={[
           { key: 'username', label: 'Username' },
@@ -145,6 +161,11 @@ export default function UserManager() {
           { key: 'department', label: 'Dept', hideSm: true },
           { key: 'hiredAtFormatted', label: 'Hired', hideSm: true, render: (r) => r.hiredAtFormatted || <span className="muted">—</span> },
           { key: 'isActive', label: 'Status', render: (r) => activeBadge(r.isActive) },
+          { key: 'requireTwoFactor', label: '2FA', hideSm: true, render: (r) => (
+            r.twoFactorRequiredByRole ? <span className="muted">Always</span>
+              : r.twoFactorRequiredByAdmin ? 'Required'
+                : r.requireTwoFactor ? 'On' : <span className="muted">Off</span>
+          ) },
           { key: '_actions', label: '', render: (r) => (
             <button className="btnSm" onClick={() => openEdit(r)}>Edit</button>
           ) },
@@ -156,7 +177,7 @@ export default function UserManager() {
         <div className="modalOverlay" onClick={closeCreate}>
           <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
             <div className="modal__header">
-              <h3 className="modal__title" style={{ margin: 0 }}>New user</h3>
+              <h3 className="modal__title" style={{ margin: 0 }}>{linked ? `New login · ${form.firstName} ${form.lastName}` : 'New user'}</h3>
               <button className="iconBtn" onClick={closeCreate}>{Icons.close}</button>
             </div>
             <div style={{ padding: '0 24px 24px' }}>
@@ -165,21 +186,26 @@ export default function UserManager() {
                   {createNotice.text}
                 </p>
               )}
+              {linked && (
+                <p className="alert alert--info" style={{ margin: '14px 0 0' }}>
+                  Creating a login for existing employee #{form.employeeBadge}. Edit their details from Employees.
+                </p>
+              )}
               <div className="fieldRow" style={{ marginTop: 16 }}>
                 <div className="field"><label>First name *</label>
-                  <input className="input" value={form.firstName} onChange={(e) => set('firstName', e.target.value)} /></div>
+                  <input className="input" value={form.firstName} readOnly={linked} onChange={(e) => set('firstName', e.target.value)} /></div>
                 <div className="field"><label>Last name *</label>
-                  <input className="input" value={form.lastName} onChange={(e) => set('lastName', e.target.value)} /></div>
+                  <input className="input" value={form.lastName} readOnly={linked} onChange={(e) => set('lastName', e.target.value)} /></div>
                 <div className="field" style={{ minWidth: 200 }}><label>Email *</label>
-                  <input className="input" type="email" value={form.email} onChange={(e) => set('email', e.target.value)} /></div>
+                  <input className="input" type="email" value={form.email} readOnly={linked} onChange={(e) => set('email', e.target.value)} /></div>
                 <div className="field"><label>Phone</label>
-                  <input className="input" value={form.phone} onChange={(e) => set('phone', e.target.value)} /></div>
+                  <input className="input" value={form.phone} readOnly={linked} onChange={(e) => set('phone', e.target.value)} /></div>
               </div>
               <div className="fieldRow" style={{ marginTop: 12 }}>
                 <div className="field"><label>Position</label>
-                  <input className="input" value={form.position} onChange={(e) => set('position', e.target.value)} /></div>
+                  <input className="input" value={form.position} readOnly={linked} onChange={(e) => set('position', e.target.value)} /></div>
                 <div className="field"><label>Department</label>
-                  <input className="input" value={form.department} onChange={(e) => set('department', e.target.value)} /></div>
+                  <input className="input" value={form.department} readOnly={linked} onChange={(e) => set('department', e.target.value)} /></div>
                 <div className="field"><label>Role *</label>
                   <select className="select" value={form.roleId} onChange={(e) => set('roleId', e.target.value)}>
                     <option value="">Select role...</option>
@@ -240,6 +266,17 @@ export default function UserManager() {
                     {editForm.isActive ? ' Active' : ' Inactive'}
                   </label>
                 </div>
+                <div className="field">
+                  <label>Two-step sign-in</label>
+                  <label className="toggleLabel" title={editUser.twoFactorRequiredByRole ? 'Always on for Admin and HR' : undefined}>
+                    <input type="checkbox" disabled={editUser.twoFactorRequiredByRole}
+                      checked={editUser.twoFactorRequiredByRole || editForm.twoFactorRequiredByAdmin || false}
+                      onChange={(e) => setE('twoFactorRequiredByAdmin', e.target.checked)} />
+                    {editUser.twoFactorRequiredByRole ? ' Always (role)'
+                      : editForm.twoFactorRequiredByAdmin ? ' Required'
+                        : editUser.requireTwoFactor ? ' Not required (on by the user\'s choice)' : ' Off'}
+                  </label>
+                </div>
               </div>
               <div className="fieldRow" style={{ marginTop: 12 }}>
                 <div className="field"><label>New password <span className="muted">(leave blank to keep)</span></label>
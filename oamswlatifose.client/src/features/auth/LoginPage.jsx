@@ -1,18 +1,25 @@
 import { useState } from 'react'
 import { authApi, auth } from '../../lib/api'
 import { Icons } from '../../lib/ui'
+import PasswordReset from './PasswordReset'
+import OtpModal from '../attendance/OtpModal'
 
-export default function LoginPage({ onLoggedIn }) {
+export default function LoginPage({ onLoggedIn, notice: initialNotice = '' }) {
   const [username, setUsername] = useState('')
   const [password, setPassword] = useState('')
   const [showPw, setShowPw] = useState(false)
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
   const [shake, setShake] = useState(false)
+  const [resetting, setResetting] = useState(false)
+  const [notice, setNotice] = useState(initialNotice)
+  // Set when the account needs the emailed code: { challengeToken, emailMasked, expiresInMinutes, sent, message }
+  const [challenge, setChallenge] = useState(null)
 
   const submit = async (e) => {
     e.preventDefault()
     setError('')
+    setNotice('')
     setLoading(true)
     const res = await authApi.login(username.trim(), password)
     setLoading(false)
@@ -22,8 +29,27 @@ export default function LoginPage({ onLoggedIn }) {
       setShake(true)
       return
     }
-    auth.set(res.data.accessToken, res.data.user)
-    onLoggedIn(res.data.user)
+    if (res.data.requiresTwoFactor) {
+      setChallenge(res.data.twoFactor)
+      return
+    }
+    finish(res.data)
+  }
+
+  const finish = (data) => {
+    auth.set(data.accessToken, data.user, data.refreshToken)
+    onLoggedIn(data.user)
+  }
+
+  const verifyCode = async (code) => {
+    const res = await authApi.verifyTwoFactor({ challengeToken: challenge.challengeToken, code })
+    if (res.isSuccess) finish(res.data)
+    return res
+  }
+
+  const cancelChallenge = () => {
+    setChallenge(null)
+    setPassword('')
   }
 
   const handleUsernameChange = (e) => {
@@ -36,6 +62,23 @@ export default function LoginPage({ onLoggedIn }) {
     if (error) setError('')
   }
 
+  if (resetting) {
+    return (
+      <div className="loginWrap">
+        <PasswordReset
+          initialEmail={username.trim()}
+          onCancel={() => setResetting(false)}
+          onDone={() => {
+            setResetting(false)
+            setPassword('')
+            setError('')
+            setNotice('Password updated — sign in with your new password.')
+          }}
+        />
+      </div>
+    )
+  }
+
   return (
     <div className="loginWrap">
       <form
@@ -84,6 +127,13 @@ export default function LoginPage({ onLoggedIn }) {
           </div>
         </div>
 
+        {notice && !error && (
+          <p className="alert alert--ok" style={{ marginBottom: 12, display: 'flex', alignItems: 'center', gap: 8 }}>
+            {Icons.check}
+            {notice}
+          </p>
+        )}
+
         {error && (
           <p className="alert alert--error" style={{ marginBottom: 12, display: 'flex', alignItems: 'center', gap: 8 }}>
             {Icons.alert}
@@ -94,7 +144,20 @@ export default function LoginPage({ onLoggedIn }) {
         <button className="loginBtn" type="submit" disabled={loading || !username || !password}>
           {loading ? 'Signing in…' : 'Sign in'}
         </button>
+        <div className="loginLinks">
+          <button type="button" className="linkBtn" onClick={() => setResetting(true)}>Forgot password?</button>
+        </div>
       </form>
+
+      {challenge && (
+        <OtpModal
+          mode="signin"
+          info={challenge}
+          onVerify={verifyCode}
+          onResend={() => authApi.resendTwoFactor(challenge.challengeToken)}
+          onClose={cancelChallenge}
+        />
+      )}
     </div>
   )
 }
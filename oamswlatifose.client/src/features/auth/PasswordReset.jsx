@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import { authApi } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+import { checkPassword, isStrongPassword } from '../../lib/password'
+
+// Two steps inside the login card: ask for the account email, then take the emailed 6-digit code
+// plus the new password. `onDone()` goes back to sign-in after a successful reset; `onCancel()`
+// goes back without one.
+export default function PasswordReset({ initialEmail = '', onDone, onCancel }) {
+  const [step, setStep] = useState('email')
+  const [email, setEmail] = useState(initialEmail.includes('@') ? initialEmail : '')
+  const [sentTo, setSentTo] = useState('')
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [showPw, setShowPw] = useState(false)
+  const [notice, setNotice] = useState(null)
+  const [errors, setErrors] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  const rules = checkPassword(password)
+  const mismatch = confirm.length > 0 && confirm !== password
+  const canReset = /^\d{6}$/.test(code) && isStrongPassword(password) && confirm === password
+
+  const sendCode = async (e) => {
+    e?.preventDefault()
+    setErrors([])
+    setNotice(null)
+    setLoading(true)
+    const res = await authApi.forgotPassword(email.trim())
+    setLoading(false)
+    if (!res.isSuccess) {
+      setErrors(res.errors?.length ? res.errors : [res.message || 'Could not send a reset code.'])
+      return
+    }
+    setSentTo(res.data || email.trim())
+    setStep('code')
+    setNotice({ type: 'ok', text: res.message || 'If that email belongs to an account, a reset code is on its way.' })
+  }
+
+  const reset = async (e) => {
+    e.preventDefault()
+    setErrors([])
+    setNotice(null)
+    setLoading(true)
+    const res = await authApi.resetPassword({
+      email: email.trim(),
+      token: code.trim(),
+      newPassword: password,
+      confirmPassword: confirm,
+    })
+    setLoading(false)
+    if (!res.isSuccess) {
+      setErrors(res.errors?.length ? res.errors : [res.message || 'Could not reset your password.'])
+      return
+    }
+    onDone()
+  }
+
+  const errorBox = errors.length > 0 && (
+    <div className="alert alert--error" style={{ marginBottom: 12, display: 'flex', alignItems: 'flex-start', gap: 8 }}>
+      {Icons.alert}
+      <div>{errors.map((msg) => <div key={msg}>{msg}</div>)}</div>
+    </div>
+  )
+
+  if (step === 'email') {
+    return (
+      <form className="loginCard" onSubmit={sendCode}>
+        <h1>Reset password</h1>
+        <p className="sub">Enter your account email and we'll send you a 6-digit code.</p>
+
+        <div className="loginField">
+          <label htmlFor="fp-email">Email</label>
+          <input
+            id="fp-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            autoFocus
+            required
+          />
+        </div>
+
+        {errorBox}
+
+        <button className="loginBtn" type="submit" disabled={loading || !email.trim()}>
+          {loading ? 'Sending…' : 'Send code'}
+        </button>
+        <div className="loginLinks">
+          <button type="button" className="linkBtn" onClick={onCancel}>Back to sign in</button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <form className="loginCard" onSubmit={reset}>
+      <h1>Choose a new password</h1>
+      <p className="sub">Enter the code sent to {sentTo}. It expires in 15 minutes.</p>
+
+      {notice && <p className={`alert alert--${notice.type}`} style={{ marginBottom: 12 }}>{notice.text}</p>}
+
+      <div className="loginField">
+        <label htmlFor="fp-code">Reset code</label>
+        <input
+          id="fp-code"
+          className="input--code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="000000"
+          autoFocus
+          required
+        />
+      </div>
+
+      <div className="loginField">
+        <label htmlFor="fp-new">New password</label>
+        <div className="pwWrap">
+          <input
+            id="fp-new"
+            type={showPw ? 'text' : 'password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="new-password"
+            required
+          />
+          <button
+            type="button"
+            className="pwToggle"
+            onClick={() => setShowPw((v) => !v)}
+            tabIndex={-1}
+            aria-label={showPw ? 'Hide password' : 'Show password'}
+          >
+            {showPw ? Icons.eyeOff : Icons.eye}
+          </button>
+        </div>
+        <ul className="pwRules">
+          {rules.map((r) => (
+            <li key={r.id} className={r.ok ? 'pwRules__ok' : ''}>
+              {r.ok ? Icons.check : <span className="pwRules__dot" />}
+              {r.label}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="loginField">
+        <label htmlFor="fp-confirm">Confirm new password</label>
+        <input
+          id="fp-confirm"
+          className={mismatch ? 'input--error' : ''}
+          type={showPw ? 'text' : 'password'}
+          value={confirm}
+          onChange={(e) => setConfirm(e.target.value)}
+          autoComplete="new-password"
+          required
+        />
+        {mismatch && <span className="fieldError">Passwords don't match.</span>}
+      </div>
+
+      {errorBox}
+
+      <button className="loginBtn" type="submit" disabled={loading || !canReset}>
+        {loading ? 'Saving…' : 'Reset password'}
+      </button>
+      <div className="loginLinks">
+        <button type="button" className="linkBtn" onClick={() => sendCode()} disabled={loading}>Resend code</button>
+        <button type="button" className="linkBtn" onClick={onCancel}>Back to sign in</button>
+      </div>
+    </form>
+  )
+}
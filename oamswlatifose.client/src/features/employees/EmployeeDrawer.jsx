@@ -0,0 +1,160 @@
+import { useEffect, useMemo, useState } from 'react'
+import { attendanceApi, leaveApi, scheduleApi } from '../../lib/api'
+import { Icons, statusBadge } from '../../lib/ui'
+import { classifier } from '../../lib/attendance'
+import { attendanceSummary } from '../../lib/employees'
+import ScheduleRows from '../attendance/ScheduleRows'
+
+const SUMMARY_DAYS = 30
+
+const localDateStr = (d = new Date()) => {
+  const z = new Date(d.getTime() - d.getTimezoneOffset() * 60000)
+  return z.toISOString().slice(0, 10)
+}
+const since = () => { const d = new Date(); d.setDate(d.getDate() - (SUMMARY_DAYS - 1)); return localDateStr(d) }
+
+const fmtDate = (iso) => (iso ? new Date(iso).toLocaleDateString('en-PH', { year: 'numeric', month: 'short', day: 'numeric' }) : '')
+
+function Row({ label, value }) {
+  return (
+    <div className="kv">
+      <span className="kv__k">{label}</span>
+      <span className="kv__v">{value || '—'}</span>
+    </div>
+  )
+}
+
+function Stat({ label, value, color }) {
+  return (
+    <div className="miniStat">
+      <span className="miniStat__value" style={{ color }}>{value}</span>
+      <span className="miniStat__label">{label}</span>
+    </div>
+  )
+}
+
+// Profile side panel for one employee: their record, the last 30 days of attendance (absences
+// graded against their schedule, as in Reports), current schedule and recent clock-ins. The
+// actions are the parent's — this only renders buttons for them. `leads` are the employees that can
+// be picked as this one's team lead (their first leave approver).
+export default function EmployeeDrawer({ employee, leads, onClose, onEdit, onToggleActive, onSetTeamLead, toggling, onCreateAccount }) {
+  const [data, setData] = useState({ records: [], absences: [], schedule: null, versions: [], leaves: [] })
+  const [loading, setLoading] = useState(true)
+  const [confirmDeactivate, setConfirmDeactivate] = useState(false)
+  const id = employee.id
+
+  useEffect(() => {
+    let alive = true
+    const from = since()
+    Promise.all([
+      attendanceApi.employeeHistory(id, 60),
+      attendanceApi.absences(from, localDateStr(), id),
+      scheduleApi.forEmployee(id),
+      // Late is graded from TimeIn against the schedule version and any partial leave that day.
+      scheduleApi.history(id),
+      leaveApi.all('Approved', id),
+    ]).then(([h, a, s, sv, lv]) => {
+      if (!alive) return
+      setData({
+        records: h.isSuccess ? (h.data?.items ?? []) : [],
+        absences: a.isSuccess && Array.isArray(a.data) ? a.data : [],
+        schedule: s.isSuccess ? s.data : null,
+        versions: sv.isSuccess && Array.isArray(sv.data) ? sv.data : [],
+        leaves: lv.isSuccess && Array.isArray(lv.data) ? lv.data : [],
+      })
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [id])
+
+  // The records (AttendanceSummaryDTO) carry no employee id; they're all this employee's.
+  const classify = useMemo(() => classifier(data.versions, data.leaves, { own: true }), [data.versions, data.leaves])
+  const summary = attendanceSummary(data.records, data.absences, since(), classify)
+
+  return (
+    <div className="drawerOverlay" onClick={onClose}>
+      <aside className="drawer" onClick={(e) => e.stopPropagation()} aria-label={`${employee.fullName} profile`}>
+        <div className="topRow" style={{ marginBottom: 12 }}>
+          <div>
+            <h3 className="modal__title">{employee.fullName}</h3>
+            <p className="pageSub" style={{ margin: 0 }}>
+              {[employee.position, employee.department].filter(Boolean).join(' · ') || 'No position or department'}
+            </p>
+          </div>
+          <button className="iconBtn" onClick={onClose} aria-label="Close">{Icons.close}</button>
+        </div>
+
+        {!employee.isActive && (
+          <p className="alert alert--error">Deactivated {employee.deactivatedAtFormatted}. Not counted in reports and cannot sign in.</p>
+        )}
+
+        <div className="panel" style={{ marginBottom: 12 }}>
+          <Row label="Employee no." value={employee.employeeID} />
+          <Row label="Email" value={employee.email} />
+          <Row label="Phone" value={employee.phone} />
+          <Row label="Branch" value={employee.branchName} />
+          <div className="kv" style={{ alignItems: 'center' }}>
+            <span className="kv__k">Team lead</span>
+            <select className="select" value={employee.teamLeadId ?? ''} disabled={toggling || !employee.isActive}
+              onChange={(e) => onSetTeamLead(employee, e.target.value ? Number(e.target.value) : null)}>
+              <option value="">None</option>
+              {leads.map((l) => <option key={l.id} value={l.id}>{l.fullName}</option>)}
+            </select>
+          </div>
+          <Row label="City" value={employee.city} />
+          <Row label="Hired" value={fmtDate(employee.hiredAt)} />
+          <Row label="Login" value={employee.hasUserAccount ? employee.username : 'No account'} />
+        </div>
+
+        <div className="panel" style={{ marginBottom: 12 }}>
+          <h3 className="panel__title">Last {SUMMARY_DAYS} days {loading && <span className="spinner spinner--blue" style={{ marginLeft: 8 }} />}</h3>
+          <div className="miniStats">
+            <Stat label="Present" value={summary.present} color="var(--gcp-green)" />
+            <Stat label="Late" value={summary.late} color="var(--gcp-yellow)" />
+            <Stat label="Absent" value={summary.absent} color="var(--gcp-red)" />
+            <Stat label="Time off" value={summary.timeOff} color="var(--gcp-blue)" />
+            <Stat label="Hours" value={summary.hours} />
+          </div>
+          {data.records.slice(0, 5).map((r) => (
+            <div key={r.id} className="kv">
+              <span className="kv__k">{r.date} · {r.timeIn}–{r.timeOut}</span>
+              <span className="kv__v">{statusBadge(r.status)}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="panel" style={{ marginBottom: 12 }}>
+          <h3 className="panel__title">Schedule</h3>
+          {data.schedule ? <ScheduleRows schedule={data.schedule} /> : (
+            <p className="muted" style={{ fontSize: 13, margin: 0 }}>{loading ? 'Loading…' : 'No schedule — Mon–Fri from 09:00 by default.'}</p>
+          )}
+        </div>
+
+        <div className="fieldRow">
+          <button className="btnSm" onClick={() => onEdit(employee)}>Edit</button>
+          {employee.isActive && !employee.hasUserAccount && (
+            <button className="btnSm" onClick={() => onCreateAccount(employee)}>{Icons.user} Create account</button>
+          )}
+          <div style={{ flex: 1 }} />
+          {!employee.isActive ? (
+            <button className="btnSm" onClick={() => onToggleActive(employee)} disabled={toggling}>Reactivate</button>
+          ) : confirmDeactivate ? (
+            <>
+              <button className="btnSm" onClick={() => setConfirmDeactivate(false)} disabled={toggling}>Cancel</button>
+              <button className="btnSm btnSm--danger" onClick={() => onToggleActive(employee)} disabled={toggling}>
+                {toggling ? 'Deactivating…' : 'Yes, deactivate'}
+              </button>
+            </>
+          ) : (
+            <button className="btnSm btnSm--danger" onClick={() => setConfirmDeactivate(true)}>Deactivate</button>
+          )}
+        </div>
+        {employee.isActive && confirmDeactivate && (
+          <p className="pageSub" style={{ marginTop: 8 }}>
+            {employee.hasUserAccount ? 'Their login is disabled too. ' : ''}Records are kept and you can reactivate them later.
+          </p>
+        )}
+      </aside>
+    </div>
+  )
+}
@@ -0,0 +1,228 @@
+import { useEffect, useState } from 'react'
+import { branchApi, employeesApi } from '../../lib/api'
+import { Icons } from '../../lib/ui'
+import { EMPTY_EMPLOYEE, checkEmployeeForm, employeeForm, employeePayload, nextBadge } from '../../lib/employees'
+import MonitoringTable from '../attendance/MonitoringTable'
+import EmployeeDrawer from './EmployeeDrawer'
+
+const SHOW = [
+  { key: 'active', label: 'Active' },
+  { key: 'inactive', label: 'Deactivated' },
+  { key: 'all', label: 'All' },
+]
+
+function activeBadge(isActive) {
+  const c = isActive ? 'var(--gcp-green)' : 'var(--gcp-red)'
+  return (
+    <span className="badge" style={{ background: `color-mix(in srgb, ${c} 16%, transparent)`, color: c }}>
+      <span className="statusDot" style={{ background: c, margin: 0 }} />
+      {isActive ? 'Active' : 'Deactivated'}
+    </span>
+  )
+}
+
+// HR "Employees" view: the directory of employee records (whether or not they can sign in),
+// create/edit/deactivate, a profile drawer, and the employees still without a login —
+// `onCreateAccount(employee)` hands one to the Users view to pre-fill its form.
+export default function Employees({ onCreateAccount }) {
+  const [rows, setRows] = useState([])
+  const [branches, setBranches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [reloadKey, setReloadKey] = useState(0)
+  const [show, setShow] = useState('active')
+
+  const [editing, setEditing] = useState(null) // 'new' | employee row
+  const [form, setForm] = useState(EMPTY_EMPLOYEE)
+  const [formError, setFormError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const [viewing, setViewing] = useState(null)
+  const [toggling, setToggling] = useState(false)
+
+  useEffect(() => {
+    let alive = true
+    Promise.all([employeesApi.directory(), branchApi.list()]).then(([d, b]) => {
+      if (!alive) return
+      setError(d.isSuccess ? '' : d.message || 'Could not load employees.')
+      setRows(d.isSuccess && Array.isArray(d.data) ? d.data : [])
+      setBranches(b.isSuccess && Array.isArray(b.data) ? b.data : [])
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [reloadKey])
+
+  const reload = () => setReloadKey((k) => k + 1)
+  const set = (k, v) => setForm((f) => ({ ...f, [k]: v }))
+
+  const openNew = () => { setFormError(''); setForm({ ...EMPTY_EMPLOYEE, employeeID: nextBadge(rows) }); setEditing('new') }
+  const openEdit = (row) => { setFormError(''); setForm(employeeForm(row)); setEditing(row) }
+  const closeForm = () => setEditing(null)
+
+  const save = async () => {
+    const problem = checkEmployeeForm(form)
+    if (problem) { setFormError(problem); return }
+    setFormError('')
+    setSaving(true)
+    const payload = employeePayload(form)
+    const res = editing === 'new' ? await employeesApi.create(payload) : await employeesApi.update(editing.id, payload)
+    setSaving(false)
+    if (!res.isSuccess) {
+      setFormError(res.errors?.length ? res.errors.join(' ') : res.message || 'Could not save the employee.')
+      return
+    }
+    if (viewing && res.data?.id === viewing.id) setViewing(res.data)
+    closeForm()
+    reload()
+  }
+
+  const toggleActive = async (row) => {
+    setError('')
+    setToggling(true)
+    const res = await employeesApi.setActive(row.id, !row.isActive)
+    setToggling(false)
+    if (!res.isSuccess) { setError(res.message || 'Could not update the employee.'); return }
+    if (viewing?.id === row.id) setViewing(res.data)
+    reload()
+  }
+
+  const setTeamLead = async (row, teamLeadId) => {
+    setError('')
+    setToggling(true)
+    const res = await employeesApi.setTeamLead(row.id, teamLeadId)
+    setToggling(false)
+    if (!res.isSuccess) { setError(res.message || 'Could not set the team lead.'); return }
+    if (viewing?.id === row.id) setViewing(res.data)
+    reload()
+  }
+
+  const withoutLogin = rows.filter((r) => r.isActive && !r.hasUserAccount)
+  const listed = rows
+    .filter((r) => show === 'all' || (show === 'active') === r.isActive)
+    .map((r) => ({ ...r, login: r.username || '', branchName: r.branchName || '', status: r.isActive ? 'Active' : 'Deactivated' }))
+
+  return (
+    <>
+      <div className="topRow" style={{ marginBottom: 8 }}>
+        <div className="rangeRow">
+          {SHOW.map((s) => (
+            <button key={s.key} className={`chip ${show === s.key ? 'chip--active' : ''}`} onClick={() => setShow(s.key)}>
+              {show === s.key && '✓ '}{s.label}
+            </button>
+          ))}
+        </div>
+        <button className="btnPrimary" onClick={openNew} disabled={loading}>+ Add employee</button>
+      </div>
+
+      {error && <p className="alert alert--error">{error}</p>}
+
+      {withoutLogin.length > 0 && (
+        <div className="panel" style={{ marginBottom: 16 }}>
+          <h3 className="panel__title">Without a login ({withoutLogin.length})</h3>
+          <p className="pageSub" style={{ marginTop: -8 }}>These employees can't clock in until they have an account.</p>
+          {withoutLogin.map((r) => (
+            <div key={r.id} className="kv" style={{ alignItems: 'center' }}>
+              <span className="kv__k">
+                <button className="linkBtn" onClick={() => setViewing(r)}>{r.fullName}</button>
+                <span className="muted"> · #{r.employeeID}{r.department ? ` · ${r.department}` : ''}</span>
+              </span>
+              <button className="btnSm" onClick={() => onCreateAccount(r)}>{Icons.user} Create account</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <MonitoringTable
+        loading={loading}
+        emptyText={show === 'inactive' ? 'No deactivated employees.' : 'No employees yet.'}
+        filterKeys={['fullName', 'email', 'department', 'position', 'employeeID', 'login']}
+        facets={['department', 'branchName']}
+        exportOptions={{ filename: 'employees', title: 'Employees', sheetName: 'Employees' }}
+        rows={listed}
+        columns={[
+          { key: 'employeeID', label: 'No.', num: true },
+          { key: 'fullName', label: 'Name' },
+          { key: 'email', label: 'Email', hideSm: true },
+          { key: 'department', label: 'Dept' },
+          { key: 'position', label: 'Position', hideSm: true },
+          { key: 'branchName', label: 'Branch', hideSm: true, render: (r) => r.branchName || <span className="muted">—</span> },
+          { key: 'login', label: 'Login', hideSm: true, render: (r) => r.login || <span className="muted">None</span> },
+          { key: 'status', label: 'Status', render: (r) => activeBadge(r.isActive) },
+          { key: '_actions', label: '', render: (r) => (
+            <div className="fieldRow" style={{ flexWrap: 'nowrap' }}>
+              <button className="btnSm" onClick={() => setViewing(r)}>View</button>
+              <button className="btnSm" onClick={() => openEdit(r)}>Edit</button>
+            </div>
+          ) },
+        ]}
+      />
+
+      {viewing && (
+        <EmployeeDrawer
+          key={viewing.id}
+          employee={viewing}
+          leads={rows.filter((r) => r.isActive && r.id !== viewing.id)}
+          onClose={() => setViewing(null)}
+          onEdit={openEdit}
+          onToggleActive={toggleActive}
+          onSetTeamLead={setTeamLead}
+          toggling={toggling}
+          onCreateAccount={onCreateAccount}
+        />
+      )}
+
+      {editing && (
+        <div className="modalOverlay" onClick={closeForm}>
+          <div className="modal modal--wide" onClick={(e) => e.stopPropagation()}>
+            <div className="modal__header">
+              <h3 className="modal__title" style={{ margin: 0 }}>{editing === 'new' ? 'New employee' : `Edit employee · ${editing.fullName}`}</h3>
+              <button className="iconBtn" onClick={closeForm}>{Icons.close}</button>
+            </div>
+            <div style={{ padding: '0 24px 24px' }}>
+              {formError && <p className="alert alert--error" style={{ margin: '14px 0' }}>{formError}</p>}
+              <div className="fieldRow" style={{ marginTop: 16 }}>
+                <div className="field" style={{ maxWidth: 120 }}><label htmlFor="emp-no">Employee no. *</label>
+                  <input id="emp-no" className="input" inputMode="numeric" value={form.employeeID} disabled={editing !== 'new'}
+                    onChange={(e) => set('employeeID', e.target.value)} /></div>
+                <div className="field"><label htmlFor="emp-first">First name *</label>
+                  <input id="emp-first" className="input" value={form.firstName} onChange={(e) => set('firstName', e.target.value)} /></div>
+                <div className="field"><label htmlFor="emp-last">Last name *</label>
+                  <input id="emp-last" className="input" value={form.lastName} onChange={(e) => set('lastName', e.target.value)} /></div>
+              </div>
+              <div className="fieldRow" style={{ marginTop: 12 }}>
+                <div className="field" style={{ minWidth: 200 }}><label htmlFor="emp-email">Email *</label>
+                  <input id="emp-email" className="input" type="email" value={form.email} onChange={(e) => set('email', e.target.value)} /></div>
+                <div className="field"><label htmlFor="emp-phone">Phone</label>
+                  <input id="emp-phone" className="input" value={form.phone} onChange={(e) => set('phone', e.target.value)} /></div>
+                <div className="field"><label htmlFor="emp-city">City</label>
+                  <input id="emp-city" className="input" value={form.city} onChange={(e) => set('city', e.target.value)} /></div>
+              </div>
+              <div className="fieldRow" style={{ marginTop: 12 }}>
+                <div className="field"><label htmlFor="emp-pos">Position</label>
+                  <input id="emp-pos" className="input" value={form.position} onChange={(e) => set('position', e.target.value)} /></div>
+                <div className="field"><label htmlFor="emp-dept">Department</label>
+                  <input id="emp-dept" className="input" list="emp-depts" value={form.department} onChange={(e) => set('department', e.target.value)} />
+                  <datalist id="emp-depts">
+                    {[...new Set(rows.map((r) => r.department).filter(Boolean))].sort().map((d) => <option key={d} value={d} />)}
+                  </datalist></div>
+                <div className="field"><label htmlFor="emp-branch">Branch</label>
+                  <select id="emp-branch" className="select" value={form.branchId} onChange={(e) => set('branchId', e.target.value)}>
+                    <option value="">{editing === 'new' ? 'None' : 'Keep current'}</option>
+                    {branches.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                  </select></div>
+                <div className="field"><label htmlFor="emp-hired">Hired</label>
+                  <input id="emp-hired" className="input" type="date" value={form.hiredAt} onChange={(e) => set('hiredAt', e.target.value)} /></div>
+              </div>
+              <div className="modal__actions">
+                <button className="btnGhost" onClick={closeForm}>Cancel</button>
+                <button className="btnPrimary" onClick={save} disabled={saving}>
+                  {saving ? 'Saving...' : editing === 'new' ? 'Create employee' : 'Save changes'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
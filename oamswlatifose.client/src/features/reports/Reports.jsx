@@ -0,0 +1,197 @@
+import { useEffect, useMemo, useState } from 'react'
+import { attendanceApi } from '../../lib/api'
+import { absenceRows, lateRows, lateOffenders, summarizeAbsences } from '../../lib/reports'
+import { statusBadge } from '../../lib/ui'
+import MonitoringTable from '../attendance/MonitoringTable'
+
+const MAX_DAYS = 93
+const REPEAT_OPTIONS = [2, 3, 5]
+
+const localDateStr = (d = new Date()) => {
+  const z = new Date(d.getTime() - d.getTimezoneOffset() * 60000)
+  return z.toISOString().slice(0, 10)
+}
+
+// Quick ranges ending today (or covering a whole calendar month).
+const PRESETS = [
+  { key: '7d', label: '7 days', range: () => { const d = new Date(); d.setDate(d.getDate() - 6); return [localDateStr(d), localDateStr()] } },
+  { key: '30d', label: '30 days', range: () => { const d = new Date(); d.setDate(d.getDate() - 29); return [localDateStr(d), localDateStr()] } },
+  { key: 'month', label: 'This month', range: () => { const d = new Date(); return [localDateStr(new Date(d.getFullYear(), d.getMonth(), 1)), localDateStr()] } },
+  { key: 'last', label: 'Last month', range: () => { const d = new Date(); return [localDateStr(new Date(d.getFullYear(), d.getMonth() - 1, 1)), localDateStr(new Date(d.getFullYear(), d.getMonth(), 0))] } },
+]
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000)
+
+function Card({ title, value, color, sub }) {
+  return (
+    <div className="card">
+      <div className="cardHead"><span className="cardTitle">{title}</span></div>
+      <div className="cardValueRow"><span className="cardValue" style={{ color }}>{value}</span></div>
+      {sub && <span className="muted" style={{ fontSize: 12 }}>{sub}</span>}
+    </div>
+  )
+}
+
+function SectionHead({ title, sub, children }) {
+  return (
+    <div className="topRow" style={{ margin: '20px 0 8px' }}>
+      <div>
+        <h2 className="pageTitle" style={{ fontSize: 16 }}>{title}</h2>
+        <p className="pageSub">{sub}</p>
+      </div>
+      {children}
+    </div>
+  )
+}
+
+// Manager "Reports" view: absences (scheduled day, no record, no approved leave) and late
+// arrivals for a chosen range, graded server-side against each employee's own schedule.
+export default function Reports() {
+  const [preset, setPreset] = useState('30d')
+  const [[from, to], setRange] = useState(() => PRESETS[1].range())
+  const [minTimes, setMinTimes] = useState(2)
+
+  const [data, setData] = useState({ absences: [], late: [], report: null })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const rangeError = !from || !to ? 'Pick a start and end date.'
+    : to < from ? 'The end date is before the start date.'
+      : daysBetween(from, to) >= MAX_DAYS ? `Pick a range of at most ${MAX_DAYS} days.`
+        : ''
+
+  useEffect(() => {
+    if (rangeError) return
+    let alive = true
+    Promise.all([
+      attendanceApi.absences(from, to),
+      attendanceApi.lateArrivals(from, to),
+      attendanceApi.report(from, to),
+    ]).then(([a, l, r]) => {
+      if (!alive) return
+      const failed = [a, l].find((res) => !res.isSuccess)
+      setError(failed ? failed.message || 'Could not load the reports.' : '')
+      setData({
+        absences: a.isSuccess ? absenceRows(a.data || []) : [],
+        late: l.isSuccess ? lateRows(l.data || []) : [],
+        // Needs the generate_reports permission; the cards just skip it without.
+        report: r.isSuccess ? r.data : null,
+      })
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [from, to, rangeError])
+
+  const pickPreset = (p) => {
+    const [f, t] = p.range()
+    setPreset(p.key)
+    if (f === from && t === to) return
+    setLoading(true)
+    setRange([f, t])
+  }
+  const setDate = (which, value) => {
+    setPreset('')
+    setLoading(true)
+    setRange(([f, t]) => (which === 'from' ? [value, t] : [f, value]))
+  }
+
+  const offenders = useMemo(() => lateOffenders(data.late, minTimes), [data.late, minTimes])
+  const label = `${from} to ${to}`
+  const busy = loading && !rangeError
+
+  return (
+    <>
+      <div className="rangeRow" style={{ alignItems: 'flex-end' }}>
+        {PRESETS.map((p) => (
+          <button key={p.key} className={`chip ${preset === p.key ? 'chip--active' : ''}`} onClick={() => pickPreset(p)}>
+            {preset === p.key && '✓ '}{p.label}
+          </button>
+        ))}
+        <div style={{ flex: 1 }} />
+        <div className="field">
+          <label htmlFor="rep-from">From</label>
+          <input id="rep-from" type="date" className="input" value={from} max={to || undefined} onChange={(e) => setDate('from', e.target.value)} />
+        </div>
+        <div className="field">
+          <label htmlFor="rep-to">To</label>
+          <input id="rep-to" type="date" className="input" value={to} min={from || undefined} onChange={(e) => setDate('to', e.target.value)} />
+        </div>
+      </div>
+
+      {(rangeError || error) && <p className="alert alert--error">{rangeError || error}</p>}
+
+      <div className="cardsGrid">
+        <Card title="Absences" value={busy ? '…' : data.absences.length} color="var(--gcp-red)"
+          sub={`${new Set(data.absences.map((r) => r.employeeId)).size} employee(s)`} />
+        <Card title="Late arrivals" value={busy ? '…' : data.late.length} color="var(--gcp-yellow)"
+          sub={data.late.length ? `avg ${Math.round(data.late.reduce((s, r) => s + (r.minutesLate || 0), 0) / data.late.length)} min late` : ''} />
+        <Card title="Repeat late" value={busy ? '…' : offenders.length} color="var(--gcp-yellow)" sub={`late ${minTimes}+ times`} />
+        {data.report && (
+          <Card title="On-time days" value={busy ? '…' : data.report.totalPresent} color="var(--gcp-green)"
+            sub={`${Math.round((data.report.totalHoursWorked || 0) * 10) / 10} h worked`} />
+        )}
+      </div>
+
+      <SectionHead title="Absent" sub="Scheduled work days with no attendance record and no approved leave. Holidays and closures are skipped." />
+      <MonitoringTable
+        loading={busy}
+        emptyText="No absences in this range."
+        filterKeys={['employeeName', 'department', 'date']}
+        facets={['department']}
+        exportOptions={{ filename: `absences_${from}_${to}`, title: `Absences · ${label}`, sheetName: 'Absences', summary: summarizeAbsences }}
+        rows={data.absences}
+        columns={[
+          { key: 'date', label: 'Date' },
+          { key: 'employeeName', label: 'Employee' },
+          { key: 'department', label: 'Dept', hideSm: true },
+          { key: 'position', label: 'Position', hideSm: true },
+          { key: 'expected', label: 'Shift start', hideSm: true },
+          { key: 'leave', label: 'Leave', render: (r) => (r.leave ? statusBadge('Pending request') : <span className="muted">—</span>) },
+        ]}
+      />
+
+      <SectionHead title="Repeat late arrivals" sub="Employees late several times in this range, measured from the start of their own shift.">
+        <div className="field">
+          <label htmlFor="rep-min">Late at least</label>
+          <select id="rep-min" className="select" value={minTimes} onChange={(e) => setMinTimes(Number(e.target.value))}>
+            {REPEAT_OPTIONS.map((n) => <option key={n} value={n}>{n} times</option>)}
+          </select>
+        </div>
+      </SectionHead>
+      <MonitoringTable
+        loading={busy}
+        emptyText="Nobody was late that often in this range."
+        filterKeys={['employeeName', 'department']}
+        facets={['department']}
+        exportOptions={{ filename: `repeat_late_${from}_${to}`, title: `Repeat late arrivals · ${label}`, sheetName: 'Repeat late' }}
+        rows={offenders}
+        columns={[
+          { key: 'employeeName', label: 'Employee' },
+          { key: 'department', label: 'Dept', hideSm: true },
+          { key: 'times', label: 'Times late', num: true },
+          { key: 'avgMinutes', label: 'Avg min late', num: true },
+          { key: 'maxMinutes', label: 'Worst (min)', num: true, hideSm: true },
+          { key: 'lastDate', label: 'Last late', hideSm: true },
+        ]}
+      />
+
+      <SectionHead title="All late arrivals" sub="Every clock-in graded Late in this range." />
+      <MonitoringTable
+        loading={busy}
+        emptyText="No late arrivals in this range."
+        filterKeys={['employeeName', 'department', 'date']}
+        facets={['department']}
+        exportOptions={{ filename: `late_arrivals_${from}_${to}`, title: `Late arrivals · ${label}`, sheetName: 'Late arrivals' }}
+        rows={data.late}
+        columns={[
+          { key: 'date', label: 'Date' },
+          { key: 'employeeName', label: 'Employee' },
+          { key: 'department', label: 'Dept', hideSm: true },
+          { key: 'expected', label: 'Shift start', hideSm: true },
+          { key: 'timeInFormatted', label: 'In' },
+          { key: 'minutesLate', label: 'Min late', num: true },
+        ]}
+      />
+    </>
+  )
+}
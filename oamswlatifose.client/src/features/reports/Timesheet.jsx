@@ -0,0 +1,167 @@
+import { useEffect, useState } from 'react'
+import { attendanceApi, employeesApi, leaveApi, overtimeApi, scheduleApi, workEventApi } from '../../lib/api'
+import { eventMonths } from '../../lib/holidays'
+import { PERIOD_KINDS, buildTimesheet, periodRange, thisHalf, thisMonth } from '../../lib/timesheet'
+import MonitoringTable from '../attendance/MonitoringTable'
+
+const MAX_DAYS = 93
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000)
+
+function Card({ title, value, color, sub }) {
+  return (
+    <div className="card">
+      <div className="cardHead"><span className="cardTitle">{title}</span></div>
+      <div className="cardValueRow"><span className="cardValue" style={{ color }}>{value}</span></div>
+      {sub && <span className="muted" style={{ fontSize: 12 }}>{sub}</span>}
+    </div>
+  )
+}
+
+// [from, to] of a period picker state; '' when the month input is cleared.
+const rangeOf = (p) => (p.kind === 'custom' ? p.custom : p.month ? periodRange(p.kind, p.month, p.half) : ['', ''])
+
+const sum = (rows, key) => Math.round(rows.reduce((s, r) => s + (r[key] || 0), 0) * 100) / 100
+
+// Manager "Timesheets" view: pick a pay period and get one payroll-ready row per employee —
+// regular hours, late and undertime minutes, overtime past the shift end (and how much of it was
+// approved), night differential and approved-leave days (see lib/timesheet). Each day is graded
+// against the schedule version in force then, and work-event days expect nobody.
+export default function Timesheet() {
+  const [period, setPeriod] = useState(() => ({
+    kind: 'semi', month: thisMonth(), half: thisHalf(), custom: periodRange('semi', thisMonth(), thisHalf()),
+  }))
+
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const { kind, month, half } = period
+  const [from, to] = rangeOf(period)
+  const rangeError = !from || !to ? 'Pick a pay period.'
+    : to < from ? 'The end date is before the start date.'
+      : daysBetween(from, to) >= MAX_DAYS ? `Pick a period of at most ${MAX_DAYS} days.`
+        : ''
+
+  useEffect(() => {
+    if (rangeError) return
+    let alive = true
+    Promise.all([
+      employeesApi.directory(),
+      attendanceApi.adminRange(from, to),
+      scheduleApi.allHistory(),
+      leaveApi.all('Approved'),
+      overtimeApi.all('Approved', from, to),
+      Promise.all(eventMonths(from, to).map(([y, m]) => workEventApi.allBranches(y, m))),
+    ]).then(([e, a, s, l, o, ev]) => {
+      if (!alive) return
+      const failed = [e, a].find((res) => !res.isSuccess)
+      setError(failed ? failed.message || 'Could not load the timesheet.' : '')
+      setRows(failed ? [] : buildTimesheet({
+        employees: e.data || [],
+        records: a.data || [],
+        schedules: s.isSuccess && Array.isArray(s.data) ? s.data : [],
+        leaves: l.isSuccess && Array.isArray(l.data) ? l.data : [],
+        overtime: o.isSuccess && Array.isArray(o.data) ? o.data : [],
+        events: ev.flatMap((res) => (res.isSuccess && Array.isArray(res.data) ? res.data : [])),
+        from,
+        to,
+      }))
+      setLoading(false)
+    })
+    return () => { alive = false }
+  }, [from, to, rangeError])
+
+  // A change that moves the range shows the loading state until the new rows land; switching to
+  // Custom starts from the period on screen.
+  const update = (patch) => {
+    const next = { ...period, ...patch }
+    if (patch.kind === 'custom') next.custom = [from, to]
+    const [f, t] = rangeOf(next)
+    if (f !== from || t !== to) setLoading(true)
+    setPeriod(next)
+  }
+  const setCustomDate = (which, value) => update({ custom: which === 'from' ? [value, to] : [from, value] })
+
+  const busy = loading && !rangeError
+  const label = `${from} to ${to}`
+
+  return (
+    <>
+      <div className="rangeRow" style={{ alignItems: 'flex-end' }}>
+        {PERIOD_KINDS.map((p) => (
+          <button key={p.key} className={`chip ${kind === p.key ? 'chip--active' : ''}`} onClick={() => update({ kind: p.key })}>
+            {kind === p.key && '✓ '}{p.label}
+          </button>
+        ))}
+        <div style={{ flex: 1 }} />
+        {kind === 'custom' ? (
+          <>
+            <div className="field">
+              <label htmlFor="ts-from">From</label>
+              <input id="ts-from" type="date" className="input" value={from} max={to || undefined} onChange={(e) => setCustomDate('from', e.target.value)} />
+            </div>
+            <div className="field">
+              <label htmlFor="ts-to">To</label>
+              <input id="ts-to" type="date" className="input" value={to} min={from || undefined} onChange={(e) => setCustomDate('to', e.target.value)} />
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="field">
+              <label htmlFor="ts-month">Month</label>
+              <input id="ts-month" type="month" className="input" value={month} onChange={(e) => update({ month: e.target.value })} />
+            </div>
+            {kind === 'semi' && (
+              <div className="field">
+                <label htmlFor="ts-half">Cut-off</label>
+                <select id="ts-half" className="select" value={half} onChange={(e) => update({ half: Number(e.target.value) })}>
+                  <option value={1}>1st–15th</option>
+                  <option value={2}>16th–end</option>
+                </select>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {(rangeError || error) && <p className="alert alert--error">{rangeError || error}</p>}
+
+      <div className="cardsGrid">
+        <Card title="Regular hours" value={busy ? '…' : sum(rows, 'regularHours')} color="var(--gcp-green)" sub={`${rows.length} employee(s)`} />
+        <Card title="Overtime hours" value={busy ? '…' : sum(rows, 'overtimeHours')} color="var(--gcp-blue)" sub={busy ? 'past the shift end' : `${sum(rows, 'approvedOvertimeHours')} approved`} />
+        <Card title="Night diff hours" value={busy ? '…' : sum(rows, 'nightDiffHours')} sub="22:00–06:00" />
+        <Card title="Late / undertime" value={busy ? '…' : `${sum(rows, 'lateMinutes')} / ${sum(rows, 'undertimeMinutes')}`} color="var(--gcp-yellow)" sub="minutes" />
+      </div>
+
+      <p className="pageSub" style={{ margin: '16px 0 8px' }}>
+        One row per employee for {label}. Days without a clock-out count as worked but add no hours — fix them before exporting.
+      </p>
+      <MonitoringTable
+        loading={busy}
+        emptyText="No employees."
+        filterKeys={['employeeName', 'department', 'employeeNo']}
+        facets={['department']}
+        pageSize={50}
+        exportOptions={{ filename: `timesheet_${from}_${to}`, title: `Timesheet · ${label}`, sheetName: 'Timesheet' }}
+        rows={rows}
+        columns={[
+          { key: 'employeeNo', label: 'No.', num: true },
+          { key: 'employeeName', label: 'Employee' },
+          { key: 'department', label: 'Dept', hideSm: true },
+          { key: 'period', label: 'Period', hideSm: true },
+          { key: 'daysWorked', label: 'Days', num: true },
+          { key: 'regularHours', label: 'Regular h', num: true },
+          { key: 'lateMinutes', label: 'Late min', num: true },
+          { key: 'undertimeMinutes', label: 'Undertime min', num: true, hideSm: true },
+          { key: 'overtimeHours', label: 'OT h', num: true },
+          { key: 'approvedOvertimeHours', label: 'Approved OT h', num: true },
+          { key: 'nightDiffHours', label: 'ND h', num: true, hideSm: true },
+          { key: 'leaveDays', label: 'Leave days', num: true },
+          { key: 'incomplete', label: 'No clock-out', num: true, hideSm: true,
+            render: (r) => (r.incomplete ? <span style={{ color: 'var(--gcp-red)' }}>{r.incomplete}</span> : <span className="muted">0</span>) },
+        ]}
+      />
+    </>
+  )
+}
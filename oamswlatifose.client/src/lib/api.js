@@ -4,9 +4,14 @@
 // same-origin — no CORS, no cookies needed. The access token from /api/auth/login is
 // kept in localStorage and sent as a Bearer header. Plain JSON in/out (the backend
 // LoginRequestDTO etc. expect plain fields — we deliberately do NOT encrypt).
+//
+// Access tokens are short-lived. On a 401 the client trades the stored refresh token at
+// /api/auth/refresh for a new pair and replays the request once; the session only ends
+// (`auth:expired`) when that refresh is refused.
 
 const TOKEN_KEY = 'att_token'
 const USER_KEY = 'att_user'
+const REFRESH_KEY = 'att_refresh'
 
 export const auth = {
   get token() {
@@ -19,13 +24,24 @@ export const auth = {
       return null
     }
   },
-  set(token, user) {
+  get refreshToken() {
+    return localStorage.getItem(REFRESH_KEY)
+  },
+  set(token, user, refreshToken) {
     localStorage.setItem(TOKEN_KEY, token)
     localStorage.setItem(USER_KEY, JSON.stringify(user ?? null))
+    if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken)
+    else localStorage.removeItem(REFRESH_KEY)
+  },
+  // Swaps in a refreshed token pair without touching the stored user.
+  setTokens(token, refreshToken) {
+    localStorage.setItem(TOKEN_KEY, token)
+    if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken)
   },
   clear() {
     localStorage.removeItem(TOKEN_KEY)
     localStorage.removeItem(USER_KEY)
+    localStorage.removeItem(REFRESH_KEY)
   },
   // Admin + HR get the management views (team table, schedule editor, branch editor).
   // The "User" role is the basic employee who just clocks in.
@@ -41,31 +57,70 @@ export const auth = {
   },
 }
 
-async function request(method, path, body) {
+const OFFLINE = { isSuccess: false, message: 'Cannot reach the server. Is the API running?', data: null, offline: true }
+
+let refreshing = null
+
+// Trades the refresh token for a new pair → 'ok' | 'failed' | 'offline'. Single-flight: the
+// server rotates refresh tokens (the old one is revoked on use), so concurrent 401s must all
+// wait on the same exchange instead of each spending the token.
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = auth.refreshToken
+      if (!refreshToken) return 'failed'
+      let res
+      try {
+        res = await fetch('/api/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        })
+      } catch {
+        return 'offline'
+      }
+      const payload = await res.json().catch(() => null)
+      if (!res.ok || !payload?.isSuccess || !payload.data?.accessToken) return 'failed'
+      auth.setTokens(payload.data.accessToken, payload.data.refreshToken)
+      return 'ok'
+    })().finally(() => {
+      refreshing = null
+    })
+  }
+  return refreshing
+}
+
+async function request(method, path, body, retried = false) {
+  const sentToken = auth.token
   let res
   try {
     res = await fetch(`/api${path}`, {
       method,
       headers: {
         'Content-Type': 'application/json',
-        ...(auth.token ? { Authorization: `Bearer ${auth.token}` } : {}),
+        ...(sentToken ? { Authorization: `Bearer ${sentToken}` } : {}),
       },
       body: body === undefined ? undefined : JSON.stringify(body),
     })
   } catch {
-    return { isSuccess: false, message: 'Cannot reach the server. Is the API running?', data: null }
+    // `offline` lets callers tell "no connection" apart from a server-side refusal
+    // (the Time In button queues the tap locally in that case — see lib/offlineQueue.js).
+    return { ...OFFLINE }
   }
 
-  if (res.status === 401) {
-    const wasLoggedIn = !!auth.token
-    auth.clear()
-    // Only treat as session expiry when the user was already authenticated.
-    // Login failures (wrong password) also return 401 but should show the server's message.
-    if (wasLoggedIn) {
-      window.dispatchEvent(new Event('auth:expired'))
-      return { isSuccess: false, message: 'Your session expired. Please sign in again.', data: null, status: 401 }
+  // Only treat as session expiry when the user was already authenticated.
+  // Login failures (wrong password) also return 401 but should show the server's message.
+  if (res.status === 401 && sentToken) {
+    if (!retried) {
+      // Another request may already have refreshed while this one was in flight.
+      const outcome = auth.token && auth.token !== sentToken ? 'ok' : await refreshSession()
+      if (outcome === 'ok') return request(method, path, body, true)
+      // No connection to refresh with — keep the session and let the caller retry later.
+      if (outcome === 'offline') return { ...OFFLINE }
     }
-    // Not logged in — fall through to read the actual error body from the server.
+    auth.clear()
+    window.dispatchEvent(new Event('auth:expired'))
+    return { isSuccess: false, message: 'Your session expired. Please sign in again.', data: null, status: 401 }
   }
 
   let payload = null
@@ -84,23 +139,131 @@ async function request(method, path, body) {
   return { isSuccess: true, data: payload }
 }
 
+// Opens a long-lived GET (Server-Sent Events) and hands back the raw Response for the caller to
+// read — or null when the server can't be reached. EventSource can't send the Bearer header, so
+// this is a plain streaming fetch; a 401 gets the same single refresh-and-retry as request().
+async function openStream(path, signal, retried = false) {
+  const sentToken = auth.token
+  let res
+  try {
+    res = await fetch(`/api${path}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(sentToken ? { Authorization: `Bearer ${sentToken}` } : {}),
+      },
+      signal,
+    })
+  } catch {
+    return null
+  }
+  if (res.status === 401 && sentToken && !retried) {
+    const outcome = auth.token && auth.token !== sentToken ? 'ok' : await refreshSession()
+    if (outcome === 'ok') return openStream(path, signal, true)
+  }
+  return res
+}
+
+// Multipart upload of one file (form field "file"). XHR rather than fetch so `onProgress` can
+// report the percentage sent; same ServiceResponse shape, offline result and single
+// refresh-and-retry on 401 as request().
+function upload(path, file, onProgress, retried = false) {
+  const sentToken = auth.token
+  return new Promise((resolve) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open('POST', `/api${path}`)
+    if (sentToken) xhr.setRequestHeader('Authorization', `Bearer ${sentToken}`)
+    xhr.upload.onprogress = (e) => {
+      if (onProgress && e.lengthComputable) onProgress(Math.round((e.loaded * 100) / e.total))
+    }
+    xhr.onerror = () => resolve({ ...OFFLINE })
+    xhr.onload = async () => {
+      if (xhr.status === 401 && sentToken && !retried) {
+        const outcome = auth.token && auth.token !== sentToken ? 'ok' : await refreshSession()
+        if (outcome === 'ok') { resolve(upload(path, file, onProgress, true)); return }
+      }
+      let payload = null
+      try {
+        payload = JSON.parse(xhr.responseText)
+      } catch {
+        payload = null
+      }
+      if (payload && typeof payload.isSuccess === 'boolean') resolve(payload)
+      else if (xhr.status === 413) resolve({ isSuccess: false, message: 'The file is too large.', data: null })
+      else resolve({ isSuccess: xhr.status < 400, message: payload?.message || (xhr.status < 400 ? '' : `Upload failed (${xhr.status})`), data: payload })
+    }
+    const form = new FormData()
+    form.append('file', file)
+    xhr.send(form)
+  })
+}
+
+// GET a file as a Blob (attachments are behind the Bearer header, so a plain link won't do).
+async function getBlob(path, retried = false) {
+  const sentToken = auth.token
+  let res
+  try {
+    res = await fetch(`/api${path}`, { headers: sentToken ? { Authorization: `Bearer ${sentToken}` } : {} })
+  } catch {
+    return { ...OFFLINE }
+  }
+  if (res.status === 401 && sentToken && !retried) {
+    const outcome = auth.token && auth.token !== sentToken ? 'ok' : await refreshSession()
+    if (outcome === 'ok') return getBlob(path, true)
+  }
+  if (!res.ok) return { isSuccess: false, message: `Could not load the file (${res.status})`, data: null }
+  return { isSuccess: true, data: await res.blob() }
+}
+
 export const api = {
   get: (p) => request('GET', p),
   post: (p, b) => request('POST', p, b ?? {}),
   put: (p, b) => request('PUT', p, b ?? {}),
   del: (p) => request('DELETE', p),
+  upload,
+  blob: getBlob,
 }
 
 // ── Endpoint helpers ───────────────────────────────────────────────
 export const authApi = {
   login: (username, password) => api.post('/auth/login', { username, password }),
+  // Always answers success (no account enumeration); the 6-digit code only goes out by email.
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: ({ email, token, newPassword, confirmPassword }) =>
+    api.post('/auth/reset-password', { email, token, newPassword, confirmPassword }),
+  // Second step when login answered { requiresTwoFactor, twoFactor: { challengeToken, ... } }.
+  verifyTwoFactor: ({ challengeToken, code }) => api.post('/auth/login/verify-2fa', { challengeToken, code }),
+  // send-2fa answers a bare OTPGenerationResponseDTO; reshaped to what OtpModal's resend reads.
+  resendTwoFactor: async (challengeToken) => {
+    const res = await api.post('/requestotp/send-2fa', { challengeToken })
+    if (!res.isSuccess) return res
+    const { success, message, expiresInMinutes, emailMasked } = res.data || {}
+    return { isSuccess: true, message, data: { sent: success, message, expiresInMinutes, emailMasked } }
+  },
+  // Opt in/out of the emailed sign-in code (Admin/HR always have it). Opting out takes the password.
+  setTwoFactor: (enabled, currentPassword) => api.put('/auth/two-factor', { enabled, currentPassword }),
+  me: () => api.get('/auth/me'),
+  // The server revokes every token on success, so the caller signs out afterwards.
+  changePassword: ({ currentPassword, newPassword, confirmPassword }) =>
+    api.post('/auth/change-password', { currentPassword, newPassword, confirmPassword }),
+  // everywhere = revoke the refresh tokens held by every other device as well.
+  logout: (everywhere = false) => api.post(`/auth/logout${everywhere ? '?everywhere=true' : ''}`),
 }
 
 export const scheduleApi = {
   mine: () => api.get('/schedule/my'),
+  myHistory: () => api.get('/schedule/my/history'),
   all: () => api.get('/schedule'),
+  history: (employeeId) => api.get(`/schedule/employee/${employeeId}/history`),
+  // Every employee's versions at once (oldest first per employee) — for grading past days.
+  allHistory: () => api.get('/schedule/history'),
   set: (dto) => api.post('/schedule', dto),
+  forEmployee: (employeeId) => api.get(`/schedule/employee/${employeeId}`),
   remove: (employeeId) => api.del(`/schedule/employee/${employeeId}`),
+  templates: () => api.get('/schedule/templates'),
+  saveTemplate: (dto) => api.post('/schedule/templates', dto),
+  removeTemplate: (id) => api.del(`/schedule/templates/${id}`),
+  // dto = { templateId, employeeIds: [], department?, effectiveFrom?: 'YYYY-MM-DD', rotationStartWeek? }
+  assign: (dto) => api.post('/schedule/assign', dto),
 }
 
 export const attendanceApi = {
@@ -120,8 +283,31 @@ export const attendanceApi = {
   timeOff: () => api.post('/attendance/time-off', {}),
   byDate: (date) => api.get(`/attendance/admin/by-date/${date}`),
   employees: () => api.get('/employees?pageNumber=1&pageSize=200'),
+  employeeHistory: (employeeId, size = 100) => api.get(`/attendance/admin/employee/${employeeId}?pageNumber=1&pageSize=${size}`),
   myCalendar: (year, month) => api.get(`/attendance/my-calendar?year=${year}&month=${month}`),
   bulkImport: (records) => api.post('/attendance/admin/bulk-import', records),
+  // Reports — dates are 'YYYY-MM-DD', at most 93 days apart.
+  // employeeId (optional) narrows it to one employee.
+  absences: (startDate, endDate, employeeId = '') =>
+    api.get(`/attendance/admin/absent-employees?startDate=${startDate}&endDate=${endDate}${employeeId ? `&employeeId=${employeeId}` : ''}`),
+  lateArrivals: (startDate, endDate) => api.get(`/attendance/admin/late-arrivals?startDate=${startDate}&endDate=${endDate}`),
+  departmentBreakdown: (date, days = 7) => api.get(`/attendance/admin/department-breakdown?date=${date}&days=${days}`),
+  report: (startDate, endDate) => api.post('/attendance/admin/report', { startDate, endDate }),
+  // Every record in the range as one array — admin/all caps pages at 100, so this walks them.
+  adminRange: async (startDate, endDate) => {
+    const items = []
+    for (let page = 1; ; page++) {
+      const res = await attendanceApi.adminAll(startDate, endDate, page, 100)
+      if (!res.isSuccess) return res
+      items.push(...(res.data?.items ?? []))
+      if (!res.data?.hasNextPage) return { ...res, data: items }
+    }
+  },
+}
+
+// Manager dashboard push channel — read through lib/live.js, which adds reconnects and polling.
+export const liveApi = {
+  team: (signal) => openStream('/live/team', signal),
 }
 
 export const branchApi = {
@@ -137,20 +323,89 @@ export const usersApi = {
   update: (id, dto) => api.put(`/users/${id}`, dto),
 }
 
+// HR employee records — independent of login accounts (see usersApi).
+export const employeesApi = {
+  directory: () => api.get('/employees/directory'),
+  create: (dto) => api.post('/employees', dto),
+  update: (id, dto) => api.put(`/employees/${id}`, dto),
+  setActive: (id, isActive) => api.put(`/employees/${id}/active`, { isActive }),
+  // teamLeadId = another employee's id, or null to clear it
+  setTeamLead: (id, teamLeadId) => api.put(`/employees/${id}/team-lead`, { teamLeadId }),
+}
+
 export const leaveApi = {
   mine: () => api.get('/leave/mine'),
   submit: (dto) => api.post('/leave', dto),
   cancel: (id) => api.del(`/leave/${id}`),
-  all: (status) => api.get(`/leave/all${status ? `?status=${status}` : ''}`),
+  // Both filters are optional.
+  all: (status = '', employeeId = '') => api.get(`/leave/all?status=${status}&employeeId=${employeeId}`),
+  // Decides the step the request is waiting on; it's only Approved after the chain's last step.
   approve: (id, dto) => api.put(`/leave/${id}/approve`, dto),
+  // Pending requests whose current step the signed-in user can decide (team leads included).
+  awaitingMe: () => api.get('/leave/approvals'),
+  approvalChains: () => api.get('/leave/approval-chains'),
+  // Replaces every chain: [{ name, leaveType (null = any), overDays, steps: ['TeamLead', 'HR', ...] }]
+  saveApprovalChains: (chains) => api.put('/leave/approval-chains', chains),
+  // Files are uploaded before the request is filed and linked through submit's attachmentIds.
+  uploadAttachment: (file, onProgress) => api.upload('/leave/attachments', file, onProgress),
+  removeAttachment: (id) => api.del(`/leave/attachments/${id}`),
+  attachment: (id) => api.blob(`/leave/attachments/${id}`),
+}
+
+// Team leave calendar and per-department minimum headcounts (LeaveCalendarController).
+export const leaveCalendarApi = {
+  // Approved and pending leave overlapping the month; department and branchId are optional filters.
+  month: (year, month, department = '', branchId = '') =>
+    api.get(`/leave/calendar?year=${year}&month=${month}&department=${encodeURIComponent(department)}&branchId=${branchId}`),
+  // Days approving the request would leave its department below the minimum.
+  coverage: (id) => api.get(`/leave/${id}/coverage`),
+  rules: () => api.get('/leave/coverage-rules'),
+  // Replaces every minimum: [{ department, minHeadcount }] (0 removes the department's rule).
+  saveRules: (rules) => api.put('/leave/coverage-rules', rules),
+}
+
+// Leave balances — per-type entitlements, accrual and HR adjustments (LeaveBalanceController).
+export const leaveBalanceApi = {
+  mine: (asOf = '') => api.get(`/leave/balances/mine${asOf ? `?asOf=${asOf}` : ''}`),
+  all: (year) => api.get(`/leave/balances/all?year=${year}`),
+  employee: (employeeId, asOf = '') => api.get(`/leave/balances/employee/${employeeId}${asOf ? `?asOf=${asOf}` : ''}`),
+  adjustments: (employeeId, year) => api.get(`/leave/balances/adjustments?employeeId=${employeeId}&year=${year}`),
+  adjust: (dto) => api.post('/leave/balances/adjustments', dto),
+  policies: () => api.get('/leave/policies'),
+  updatePolicy: (leaveType, dto) => api.put(`/leave/policies/${encodeURIComponent(leaveType)}`, dto),
+}
+
+// Overtime requests — same shape and flow as leave; approved ones are the authorised overtime.
+export const overtimeApi = {
+  mine: () => api.get('/overtime/mine'),
+  // dto = { date: 'YYYY-MM-DD', plannedHours, reason }
+  submit: (dto) => api.post('/overtime', dto),
+  cancel: (id) => api.del(`/overtime/${id}`),
+  // Any of the filters may be left out; dates are 'YYYY-MM-DD', inclusive.
+  all: (status = '', startDate = '', endDate = '') =>
+    api.get(`/overtime/all?status=${status}&startDate=${startDate}&endDate=${endDate}`),
+  approve: (id, dto) => api.put(`/overtime/${id}/approve`, dto),
 }
 
 export const workEventApi = {
-  byMonth: (year, month) => api.get(`/work-events?year=${year}&month=${month}`),
+  // Company-wide events plus the caller's branch's; HR/Admin can pass another `branchId`.
+  byMonth: (year, month, branchId = '') => api.get(`/work-events?year=${year}&month=${month}&branchId=${branchId}`),
+  // Every branch's events (HR/Admin) — the events screen.
+  allBranches: (year, month) => api.get(`/work-events?year=${year}&month=${month}&all=true`),
   create: (dto) => api.post('/work-events', dto),
+  // [{ date, eventType, name, branchId }] from an .ics/.csv file → WorkEventImportResultDTO.
+  import: (events) => api.post('/work-events/import', events),
   remove: (id) => api.del(`/work-events/${id}`),
 }
 
+// The caller's work calendar as iCalendar: a one-off download, or a token URL calendar apps subscribe to.
+export const calendarApi = {
+  download: () => api.blob('/calendar/my.ics'),
+  feed: () => api.get('/calendar/feed'),
+  resetFeed: () => api.post('/calendar/feed'),
+  removeFeed: () => api.del('/calendar/feed'),
+}
+
 export const licenseApi = {
   status: () => api.get('/license/status'),
   activate: (licenseKey) => api.post('/license/activate', { licenseKey }),
@@ -0,0 +1,85 @@
+// How an attendance record counts in summaries, exports and the employee drawer: present, late,
+// absent, time off, leave or other. Clock-out replaces the clock-in status ("Present", "Late") with
+// "Completed", "Early Departure" or "Partial Day", so the status can't tell a late day from an
+// on-time one. With the day's schedule known, lateness is graded from TimeIn against the shift it
+// falls in — as the server's WorkScheduleService.ComputeStatus does for the reports.
+
+import { isPartial, leaveWindow } from './leave'
+import { activeShift, scheduleOn, toMinutes } from './schedule'
+import { DEFAULT_SCHEDULE } from './timesheet'
+
+export const ATTENDANCE_CLASSES = ['present', 'late', 'absent', 'timeOff', 'leave', 'other']
+
+/** The class a status alone implies — what's left when the schedule isn't known. */
+export function statusClass(status) {
+  const s = String(status || '')
+  if (/late/i.test(s)) return 'late'
+  if (/absent/i.test(s)) return 'absent'
+  if (/time.?off/i.test(s)) return 'timeOff'
+  if (/leave/i.test(s)) return 'leave'
+  if (/present|on time|half|completed|early departure|partial day/i.test(s)) return 'present'
+  return 'other'
+}
+
+// "08:05:00" (AttendanceResponseDTO) or "08:05 AM" (AttendanceSummaryDTO) → minutes; null for "--:--".
+function clockMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?$/i.exec(String(value || '').trim())
+  if (!m) return null
+  const h = Number(m[1]) % (m[3] ? 12 : 24) + (/pm/i.test(m[3] || '') ? 12 : 0)
+  return h * 60 + Number(m[2])
+}
+
+const recordDay = (r) => String(r.attendanceDate || r.date || '').slice(0, 10)
+
+/**
+ * The class of one record graded against `schedule` — the WorkScheduleDTO in force that day, or
+ * null when the employee has none (the server's default hours apply). `partialLeave` is an
+ * approved half-day or hourly leave on that day; leave over the shift start moves it to when the
+ * leave ends.
+ */
+export function attendanceClass(record, schedule, partialLeave = null) {
+  const cls = statusClass(record.status)
+  const inMin = clockMinutes(record.timeIn)
+  const day = recordDay(record)
+  if ((cls !== 'present' && cls !== 'late') || inMin == null || !day) return cls
+
+  const date = new Date(`${day}T00:00:00`)
+  const hours = schedule || DEFAULT_SCHEDULE
+  // Nothing scheduled that day: graded against the plain start time, as on the server.
+  const shift = activeShift(hours, date, inMin)
+  const grace = shift ? shift.graceMinutes : (hours.graceMinutes ?? 0)
+  const shiftStart = shift ? shift.start : toMinutes(hours.startTime)
+  const win = partialLeave ? leaveWindow(partialLeave, hours, date) : null
+  const start = win && win.start <= shiftStart + grace && win.end > shiftStart ? win.end : shiftStart
+  return inMin > start + grace ? 'late' : 'present'
+}
+
+/**
+ * A record → class function: each record is graded against its employee's schedule version that
+ * day (`versions` — WorkScheduleDTOs from scheduleApi.allHistory, oldest first) and any approved
+ * partial leave in `leaves`. With `own`, every record is the caller's (AttendanceSummaryDTOs carry
+ * no employee) and `versions` / `leaves` are theirs (myHistory, leaveApi.mine).
+ */
+export function classifier(versions, leaves = [], { own = false } = {}) {
+  const byEmployee = new Map()
+  for (const v of versions) {
+    const key = own ? 0 : v.employeeId
+    if (!byEmployee.has(key)) byEmployee.set(key, [])
+    byEmployee.get(key).push(v)
+  }
+  const partials = leaves.filter((l) => l.status === 'Approved' && isPartial(l))
+  return (record) => {
+    const day = recordDay(record)
+    const mine = byEmployee.get(own ? 0 : record.employeeId) || []
+    const schedule = day && mine.length ? scheduleOn(mine, new Date(`${day}T00:00:00`)) : null
+    const partial = partials.find((l) => (own || l.employeeId === record.employeeId) && l.startDate === day)
+    return attendanceClass(record, schedule, partial)
+  }
+}
+
+/** Counts of each class over `records`, graded with `classify` (statusClass of the status by default). */
+export function countClasses(records, classify = (r) => statusClass(r.status)) {
+  const counts = Object.fromEntries(ATTENDANCE_CLASSES.map((c) => [c, 0]))
+  for (const r of records) counts[classify(r)]++
+  return counts
+}
@@ -0,0 +1,69 @@
+// Shaping for the HR Employees view: the create/edit form ↔ /employees DTOs, and the 30-day
+// attendance summary shown in the profile drawer.
+
+import { countClasses } from './attendance'
+
+export const EMPTY_EMPLOYEE = {
+  employeeID: '', firstName: '', lastName: '', email: '', phone: '',
+  position: '', department: '', city: '', hiredAt: '', branchId: '',
+}
+
+// Badge numbers are unique; suggest the next one after the highest on file (accounts made from
+// the Users view start at 1001 too).
+export const nextBadge = (rows) => String(Math.max(1000, ...rows.map((r) => r.employeeID || 0)) + 1)
+
+export const employeeForm = (e) => ({
+  employeeID: String(e.employeeID ?? ''),
+  firstName: e.firstName || '',
+  lastName: e.lastName || '',
+  email: e.email || '',
+  phone: e.phone || '',
+  position: e.position || '',
+  department: e.department || '',
+  city: e.city || '',
+  hiredAt: e.hiredAt ? String(e.hiredAt).slice(0, 10) : '',
+  branchId: e.branchId ? String(e.branchId) : '',
+})
+
+// Blank optional fields go as null: [Phone] rejects "". On update the server keeps a field sent as
+// null, except hire date and branch, which null clears.
+export function employeePayload(form) {
+  const opt = (v) => (v && v.trim() ? v.trim() : null)
+  return {
+    employeeID: Number(form.employeeID),
+    firstName: form.firstName.trim(),
+    lastName: form.lastName.trim(),
+    email: form.email.trim(),
+    phone: opt(form.phone),
+    position: opt(form.position),
+    department: opt(form.department),
+    city: opt(form.city),
+    hiredAt: form.hiredAt || null,
+    branchId: form.branchId ? Number(form.branchId) : null,
+  }
+}
+
+/** Returns the first problem with the form, or ''. */
+export function checkEmployeeForm(form) {
+  if (!/^\d+$/.test(form.employeeID) || Number(form.employeeID) < 1) return 'Employee no. must be a positive number.'
+  if (form.firstName.trim().length < 2 || form.lastName.trim().length < 2) return 'First and last name need at least 2 letters.'
+  if (!/^\S+@\S+\.\S+$/.test(form.email.trim())) return 'Enter a valid email.'
+  return ''
+}
+
+/**
+ * Counts over an employee's records (AttendanceSummaryDTO: `date` 'YYYY-MM-DD', `hoursWorked`
+ * "7.5h") on or after `since`, graded with `classify` (lib/attendance's classifier), plus their
+ * absences over the same days.
+ */
+export function attendanceSummary(records, absences, since, classify) {
+  const recent = records.filter((r) => (r.date || '') >= since)
+  const counts = countClasses(recent, classify)
+  return {
+    present: counts.present,
+    late: counts.late,
+    timeOff: counts.timeOff + counts.leave,
+    absent: absences.length,
+    hours: Math.round(recent.reduce((sum, r) => sum + (parseFloat(r.hoursWorked) || 0), 0) * 10) / 10,
+  }
+}
@@ -1,4 +1,11 @@
-// Client-side export utilities: CSV, Excel (SpreadsheetML), Print, and CSV import parser.
+// Client-side export utilities: CSV, Excel (.xlsx — see xlsx.js), PDF (pdf.js), Print, and CSV import parser.
+
+import { countClasses, statusClass } from './attendance'
+import { buildXlsx, durationHours, dateSerial, timeSerial } from './xlsx'
+import { buildTablePdf } from './pdf'
+
+// Printed at the top of PDF reports; set VITE_COMPANY_NAME to override the console brand.
+const COMPANY = import.meta.env.VITE_COMPANY_NAME || 'AGLIPAY'
 
 function plainText(row, col) {
   const v = row[col.key]
@@ -14,14 +21,6 @@ function csvEsc(val) {
     : s
 }
 
-function xmlEsc(s) {
-  return String(s ?? '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-}
-
 function htmlEsc(s) {
   return String(s ?? '')
     .replace(/&/g, '&amp;')
@@ -31,7 +30,7 @@ function htmlEsc(s) {
 
 const exportCols = (columns) => columns.filter((c) => !c.key.startsWith('_'))
 
-function downloadBlob(blob, filename) {
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob)
   const a = Object.assign(document.createElement('a'), { href: url, download: filename })
   document.body.appendChild(a)
@@ -52,22 +51,104 @@ export function exportCSV(rows, columns, filename = 'export') {
   )
 }
 
-export function exportExcel(rows, columns, filename = 'export') {
+// Detail cell for the .xlsx writer: keeps numbers numeric and turns dates ("2024-01-15"),
+// clock times ("08:05 AM") and durations ("7h 30m") into real Excel values.
+function typedCell(row, col) {
+  const v = row[col.key]
+  if (v == null || typeof v === 'object') return null
+  if (typeof v === 'number') return { t: 'n', v }
+  if (typeof v === 'boolean') return v ? 'Yes' : 'No'
+  const s = String(v).trim()
+  const d = dateSerial(s)
+  if (d !== null) return { t: 'd', v: d }
+  const t = timeSerial(s)
+  if (t !== null) return { t: 't', v: t }
+  const h = durationHours(s)
+  if (h !== null) return { t: 'h', v: h }
+  if (col.num && s !== '' && !Number.isNaN(Number(s))) return { t: 'n', v: Number(s) }
+  return s
+}
+
+function toSheet(name, rows, columns) {
+  const cols = exportCols(columns)
+  return { name, columns: cols, rows: rows.map((r) => cols.map((c) => typedCell(r, c))) }
+}
+
+// options.summary: (rows) => { name?, rows, columns } — adds a summary sheet in front of the detail
+// sheet, built from the same rows (e.g. summarizeAttendance below).
+export function exportExcel(rows, columns, filename = 'export', { sheetName = 'Attendance', summary } = {}) {
+  const sheets = [toSheet(sheetName, rows, columns)]
+  if (summary) {
+    const s = summary(rows)
+    sheets.unshift(toSheet(s.name || 'Summary', s.rows, s.columns))
+  }
+  downloadBlob(buildXlsx(sheets), `${filename}.xlsx`)
+}
+
+// Per-employee roll-up of attendance rows for the Excel summary sheet. `classify` grades a row
+// (lib/attendance — pass a schedule-aware classifier so late days that were clocked out count as late).
+export function summarizeAttendance(rows, classify = (r) => statusClass(r.status)) {
+  const byEmp = new Map()
+  for (const r of rows) {
+    const key = r.employeeId ?? r.employeeName ?? ''
+    if (!byEmp.has(key)) {
+      byEmp.set(key, { employeeName: r.employeeName || '—', department: r.department || '', days: 0, present: 0, late: 0, absent: 0, other: 0, hours: 0 })
+    }
+    const s = byEmp.get(key)
+    const cls = classify(r)
+    s.days++
+    if (cls === 'present' || cls === 'late' || cls === 'absent') s[cls]++
+    else s.other++
+    const hours = typeof r.hoursWorked === 'number'
+      ? r.hoursWorked
+      : durationHours(r.hoursWorkedFormatted ?? r.hoursWorked) ?? (parseFloat(r.hoursWorked) || 0)
+    s.hours += hours
+  }
+  return {
+    name: 'Summary',
+    rows: [...byEmp.values()]
+      .map((s) => ({ ...s, hours: Math.round(s.hours * 100) / 100 }))
+      .sort((a, b) => a.employeeName.localeCompare(b.employeeName)),
+    columns: [
+      { key: 'employeeName', label: 'Employee' },
+      { key: 'department', label: 'Dept' },
+      { key: 'days', label: 'Days', num: true },
+      { key: 'present', label: 'Present', num: true },
+      { key: 'late', label: 'Late', num: true },
+      { key: 'absent', label: 'Absent', num: true },
+      { key: 'other', label: 'Other', num: true },
+      { key: 'hours', label: 'Hours', num: true },
+    ],
+  }
+}
+
+// Totals footer for the PDF: record count plus Present/Late/Absent when the rows carry a status,
+// graded with `classify` as in summarizeAttendance.
+function attendanceTotals(rows, classify) {
+  const lines = [`Totals — ${rows.length} record${rows.length === 1 ? '' : 's'}`]
+  if (rows.some((r) => r.status)) {
+    const { present, late, absent } = countClasses(rows, classify)
+    const other = rows.length - present - late - absent
+    lines.push(`Present ${present} · Late ${late} · Absent ${absent}${other ? ` · Other ${other}` : ''}`)
+  }
+  return lines
+}
+
+// Downloads a paginated PDF (company header, repeated table header, page numbers, totals and
+// payroll sign-off lines) — no popup, so popup blockers can't swallow it like printTable.
+// options.classify grades rows for the totals (see summarizeAttendance).
+export function exportPDF(rows, columns, filename = 'export', { title, classify = (r) => statusClass(r.status) } = {}) {
   const cols = exportCols(columns)
-  const cell = (v) => `<Cell><Data ss:Type="String">${xmlEsc(v)}</Data></Cell>`
-  const xmlRow = (cells) => `<Row>${cells}</Row>`
-  const header = xmlRow(cols.map((c) => cell(c.label)).join(''))
-  const body = rows
-    .map((r) => xmlRow(cols.map((c) => cell(plainText(r, c))).join('')))
-    .join('\n')
-  const xml = `<?xml version="1.0"?>
-<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
- xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
-<Worksheet ss:Name="Attendance"><Table>${header}${body}</Table></Worksheet>
-</Workbook>`
   downloadBlob(
-    new Blob([xml], { type: 'application/vnd.ms-excel;charset=utf-8;' }),
-    `${filename}.xls`,
+    buildTablePdf({
+      company: COMPANY,
+      title,
+      columns: cols,
+      rows: rows.map((r) => cols.map((c) => plainText(r, c))),
+      totals: attendanceTotals(rows, classify),
+      signatures: ['Prepared by', 'Reviewed by (HR)', 'Approved by'],
+    }),
+    `${filename}.pdf`,
   )
 }
 
@@ -102,7 +183,7 @@ ${title ? `<h2>${htmlEsc(title)}</h2>` : ''}
 
 // ── CSV import ─────────────────────────────────────────────────────────
 
-function parseCsvRow(line) {
+function parseCsvRow(line, delimiter = ',') {
   const cells = []
   let inq = false, cell = ''
   for (let i = 0; i < line.length; i++) {
@@ -110,7 +191,7 @@ function parseCsvRow(line) {
     if (c === '"') {
       if (inq && line[i + 1] === '"') { cell += '"'; i++ }
       else inq = !inq
-    } else if (c === ',' && !inq) {
+    } else if (c === delimiter && !inq) {
       cells.push(cell.trim()); cell = ''
     } else {
       cell += c
@@ -120,37 +201,204 @@ function parseCsvRow(line) {
   return cells
 }
 
+// Picks the delimiter that splits the header line into the most columns (outside quotes).
+function detectDelimiter(headerLine) {
+  const counts = { ',': 0, ';': 0, '\t': 0 }
+  let inq = false
+  for (const c of headerLine) {
+    if (c === '"') inq = !inq
+    else if (!inq && c in counts) counts[c]++
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+  return n ? best : ','
+}
+
+// Accepts 24-hour "8:30" / "08:30:15" and 12-hour "8:30 AM" / "8:30pm" → "HH:mm:ss".
 function normalizeTime(val) {
   const s = (val ?? '').trim()
   if (!s) return null
-  if (/^\d{2}:\d{2}:\d{2}$/.test(s)) return s
-  if (/^\d{1,2}:\d{2}$/.test(s)) return s.padStart(5, '0') + ':00'
-  return null
-}
-
-// Returns array of CreateAttendanceDTO-shaped objects ready to POST to /api/attendance/admin/bulk-import
-export function parseCsvImport(text) {
-  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean)
-  if (lines.length < 2) return []
-  const headers = parseCsvRow(lines[0]).map((h) => h.toLowerCase().replace(/\s+/g, ''))
-  const idx = (name) => headers.indexOf(name)
-  const records = []
-  for (let i = 1; i < lines.length; i++) {
-    const cells = parseCsvRow(lines[i])
-    const empId = parseInt(cells[idx('employeeid')] ?? '', 10)
-    const date = (cells[idx('date')] ?? cells[idx('attendancedate')] ?? '').trim()
-    if (!empId || !date) continue
-    records.push({
-      employeeId: empId,
-      attendanceDate: date,
-      timeIn: normalizeTime(cells[idx('timein')]),
-      timeOut: normalizeTime(cells[idx('timeout')]),
-      status: (cells[idx('status')] ?? '').trim() || null,
-      shift: (cells[idx('shift')] ?? '').trim() || null,
-      remarks: (cells[idx('remarks')] ?? '').trim() || null,
-    })
+  const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp])\.?\s*[Mm]?\.?$/) || s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/)
+  if (!m) return null
+  let h = Number(m[1])
+  const min = Number(m[2]), sec = Number(m[3] || 0)
+  if (m[4]) {
+    if (h < 1 || h > 12) return null
+    h = (h % 12) + (m[4].toLowerCase() === 'p' ? 12 : 0)
   }
-  return records
+  if (h > 23 || min > 59 || sec > 59) return null
+  return [h, min, sec].map((n) => String(n).padStart(2, '0')).join(':')
+}
+
+// Accepts ISO "2024-01-15", US "1/15/2024" / "01-15-2024" → "YYYY-MM-DD" (null if not a real date).
+export function normalizeDate(val) {
+  const s = (val ?? '').trim()
+  const iso = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/)
+  const us = s.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/)
+  if (!iso && !us) return null
+  const [y, mo, d] = iso ? [iso[1], iso[2], iso[3]] : [us[3], us[1], us[2]]
+  const date = new Date(+y, +mo - 1, +d)
+  if (date.getMonth() !== +mo - 1 || date.getDate() !== +d) return null
+  return `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+}
+
+function localDate() {
+  const d = new Date()
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+// Mirrors CreateAttendanceValidator on the server so bad rows are caught in the preview.
+export const IMPORT_STATUSES = ['Present', 'Absent', 'Late', 'Half-Day', 'Holiday', 'Leave']
+export const IMPORT_SHIFTS = ['Morning', 'Afternoon', 'Evening', 'Night']
+export const IMPORT_FIELDS = ['employeeId', 'date', 'timeIn', 'timeOut', 'status', 'shift', 'remarks']
+export const REQUIRED_IMPORT_FIELDS = ['employeeId', 'date']
+
+// Header spellings we recognise out of the box (compared lower-case, non-alphanumerics stripped),
+// covering our template and the biometric terminal exports ("Emp No", "Clock In", …).
+const FIELD_ALIASES = {
+  employeeId: ['employeeid', 'empid', 'empno', 'employeeno', 'employeenumber', 'badgeno', 'badge', 'id'],
+  date: ['date', 'attendancedate', 'workdate', 'day'],
+  timeIn: ['timein', 'clockin', 'checkin', 'punchin', 'in'],
+  timeOut: ['timeout', 'clockout', 'checkout', 'punchout', 'out'],
+  status: ['status'],
+  shift: ['shift'],
+  remarks: ['remarks', 'remark', 'notes', 'note', 'comment', 'comments'],
+}
+
+const headerKey = (h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Splits a CSV file into headers + data records. Handles a UTF-8 BOM and comma, semicolon or
+ * tab delimiters. Returns null when there is no header or no data row.
+ * @returns {{ headers: string[], records: { line: number, cells: string[] }[], delimiter: string } | null}
+ */
+export function readCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((l, i) => ({ text: l.trim(), line: i + 1 }))
+    .filter((l) => l.text)
+  if (lines.length < 2) return null
+  const delimiter = detectDelimiter(lines[0].text)
+  return {
+    headers: parseCsvRow(lines[0].text, delimiter),
+    records: lines.slice(1).map(({ text, line }) => ({ line, cells: parseCsvRow(text, delimiter) })),
+    delimiter,
+  }
+}
+
+// Column mappings are remembered per "source" — the set of headers a file has — so the next
+// export from the same terminal maps itself.
+const MAPPINGS_KEY = 'att_import_mappings'
+const sourceKey = (headers) => headers.map(headerKey).join('|')
+
+/** field → header name, from the remembered mapping for these headers or a guess by alias. */
+export function suggestImportMapping(headers) {
+  let saved = null
+  try {
+    saved = JSON.parse(localStorage.getItem(MAPPINGS_KEY) || '{}')[sourceKey(headers)]
+  } catch {
+    saved = null
+  }
+  if (saved) return Object.fromEntries(IMPORT_FIELDS.map((f) => [f, headers.includes(saved[f]) ? saved[f] : '']))
+  const keys = headers.map(headerKey)
+  const used = new Set()
+  return Object.fromEntries(IMPORT_FIELDS.map((f) => {
+    const i = FIELD_ALIASES[f].map((a) => keys.indexOf(a)).find((x) => x >= 0 && !used.has(x))
+    if (i === undefined) return [f, '']
+    used.add(i)
+    return [f, headers[i]]
+  }))
+}
+
+export function rememberImportMapping(headers, mapping) {
+  try {
+    const all = JSON.parse(localStorage.getItem(MAPPINGS_KEY) || '{}')
+    all[sourceKey(headers)] = mapping
+    localStorage.setItem(MAPPINGS_KEY, JSON.stringify(all))
+  } catch {
+    // Private mode / quota — the mapping just won't be remembered.
+  }
+}
+
+// Turns raw records into editable preview rows using `mapping` (field → header). Dates and times
+// are normalised when they parse; otherwise the raw text is kept so the preview can flag it.
+// Nothing is dropped here. `line` is the 1-based line in the file.
+export function applyImportMapping({ headers, records }, mapping) {
+  const index = Object.fromEntries(IMPORT_FIELDS.map((f) => [f, mapping[f] ? headers.indexOf(mapping[f]) : -1]))
+  const raw = (cells, f) => (index[f] >= 0 ? (cells[index[f]] ?? '').trim() : '')
+  const time = (v) => normalizeTime(v)?.slice(0, 5) ?? v
+  return records.map(({ line, cells }) => ({
+    line,
+    employeeId: raw(cells, 'employeeId'),
+    date: normalizeDate(raw(cells, 'date')) ?? raw(cells, 'date'),
+    timeIn: time(raw(cells, 'timeIn')),
+    timeOut: time(raw(cells, 'timeOut')),
+    status: raw(cells, 'status'),
+    shift: raw(cells, 'shift'),
+    remarks: raw(cells, 'remarks'),
+  }))
+}
+
+/**
+ * Checks one parsed row; returns `{ field: message }` (empty when the row is importable).
+ * @param {object} row        A row from applyImportMapping (possibly edited in the preview).
+ * @param {Set<number>} [employeeIds] Known employee IDs; skipped when not loaded.
+ * @param {Set<string>} [seen] `${employeeId}|${date}` keys of earlier rows, to flag in-file duplicates.
+ */
+export function validateImportRow(row, employeeIds, seen) {
+  const errors = {}
+  const empId = Number(row.employeeId)
+  if (!row.employeeId) errors.employeeId = 'Employee ID is required'
+  else if (!Number.isInteger(empId) || empId <= 0) errors.employeeId = 'Not a valid employee ID'
+  else if (employeeIds?.size && !employeeIds.has(empId)) errors.employeeId = `No employee with ID ${empId}`
+
+  const iso = normalizeDate(row.date)
+  if (!row.date) errors.date = 'Date is required'
+  else if (!iso) errors.date = 'Use YYYY-MM-DD or MM/DD/YYYY'
+  else if (iso > localDate()) errors.date = 'Date cannot be in the future'
+
+  const tin = row.timeIn ? normalizeTime(row.timeIn) : null
+  const tout = row.timeOut ? normalizeTime(row.timeOut) : null
+  if (row.timeIn && !tin) errors.timeIn = 'Use HH:mm or h:mm AM'
+  if (row.timeOut && !tout) errors.timeOut = 'Use HH:mm or h:mm AM'
+  if (tin && tout && tin >= tout) errors.timeOut = 'Time out must be after time in'
+
+  if (row.status && !IMPORT_STATUSES.includes(row.status)) errors.status = `One of ${IMPORT_STATUSES.join(', ')}`
+  if (row.shift && !IMPORT_SHIFTS.includes(row.shift)) errors.shift = `One of ${IMPORT_SHIFTS.join(', ')}`
+  if ((row.remarks || '').length > 500) errors.remarks = 'At most 500 characters'
+
+  if (seen && !errors.employeeId && !errors.date) {
+    const key = `${empId}|${iso}`
+    if (seen.has(key)) errors.date = 'Duplicate of an earlier row'
+    seen.add(key)
+  }
+  return errors
+}
+
+// CreateAttendanceDTO for POST /api/attendance/admin/bulk-import.
+export function importRowToDTO(row) {
+  return {
+    employeeId: Number(row.employeeId),
+    attendanceDate: normalizeDate(row.date),
+    timeIn: normalizeTime(row.timeIn),
+    timeOut: normalizeTime(row.timeOut),
+    status: row.status || null,
+    shift: row.shift || null,
+    remarks: row.remarks || null,
+  }
+}
+
+// Downloads the rejected rows with an extra Error column, ready to fix and re-import.
+export function downloadImportErrors(rows, filename = 'attendance_import_errors') {
+  exportCSV(rows, [
+    { key: 'line', label: 'Line' },
+    { key: 'employeeId', label: 'EmployeeId' },
+    { key: 'date', label: 'Date' },
+    { key: 'timeIn', label: 'TimeIn' },
+    { key: 'timeOut', label: 'TimeOut' },
+    { key: 'status', label: 'Status' },
+    { key: 'shift', label: 'Shift' },
+    { key: 'remarks', label: 'Remarks' },
+    { key: 'error', label: 'Error' },
+  ], filename)
 }
 
 const TEMPLATE = 'EmployeeId,Date,TimeIn,TimeOut,Status,Shift,Remarks\r\n1,2024-01-15,08:30,17:00,Present,Morning,\r\n'
@@ -0,0 +1,147 @@
+// Work events (WorkEventResponseDTO from /work-events) — the app's holiday calendar — and the
+// iCalendar / CSV holiday files HR imports into it. Every type means no attendance is expected;
+// Closed also blocks clock-ins. An event with a branchId applies to that branch only.
+
+import { normalizeDate, readCsv } from './export'
+
+/** Event types in the order the pickers list them. */
+export const EVENT_TYPES = ['Holiday', 'SpecialNonWorking', 'DayOff', 'Closed']
+
+// Which event governs a date that has several, strongest first (the server's WorkEventDays.Types).
+const EVENT_PRECEDENCE = ['Closed', 'Holiday', 'SpecialNonWorking', 'DayOff']
+const eventRank = (type) => {
+  const i = EVENT_PRECEDENCE.indexOf(type)
+  return i < 0 ? EVENT_PRECEDENCE.length : i
+}
+
+/** [year, month] of each month from `from` to `to` ('YYYY-MM-DD') — events load a month at a time. */
+export function eventMonths(from, to) {
+  let [y, m] = from.split('-').map(Number)
+  const [toY, toM] = to.split('-').map(Number)
+  const months = []
+  while (y < toY || (y === toY && m <= toM)) {
+    months.push([y, m])
+    if (++m > 12) { y++; m = 1 }
+  }
+  return months
+}
+
+/** `{ [date]: event }` — the event that applies on each date, the strongest type winning. */
+export function strongestByDate(events) {
+  const byDate = {}
+  for (const e of events) {
+    if (!e.date) continue
+    const held = byDate[e.date]
+    if (!held || eventRank(e.eventType) < eventRank(held.eventType)) byDate[e.date] = e
+  }
+  return byDate
+}
+
+export const EVENT_META = {
+  Holiday:           { color: '#9334e6', bg: 'rgba(147,52,230,.12)', label: 'Holiday', desc: 'Company / public holiday — no attendance required.' },
+  SpecialNonWorking: { color: '#c5221f', bg: 'rgba(197,34,31,.08)', label: 'Special non-working day', desc: 'Proclaimed special non-working day — no attendance required, clock-ins still allowed.' },
+  DayOff:            { color: 'var(--text-muted)', bg: 'rgba(120,120,120,.10)', label: 'Day Off', desc: 'No attendance expected for this day.' },
+  Closed:            { color: 'var(--gcp-red)', bg: 'rgba(234,67,53,.12)', label: 'Closed', desc: 'Clock-ins are blocked — employees cannot Time In.' },
+}
+
+/** EVENT_META for a type, falling back to DayOff's look for anything unknown. */
+export const eventMeta = (type) => EVENT_META[type] || EVENT_META.DayOff
+
+// "Regular holiday", "special (non-working)", "day off" … → an EVENT_TYPES value, or null.
+function eventType(val) {
+  const key = String(val ?? '').toLowerCase().replace(/[^a-z]/g, '')
+  if (!key) return null
+  if (key.startsWith('special')) return 'SpecialNonWorking'
+  if (key.includes('holiday')) return 'Holiday'
+  if (key === 'dayoff' || key === 'off') return 'DayOff'
+  if (key === 'closed') return 'Closed'
+  return null
+}
+
+// RFC 5545 text: \n, \, \; and \\ escapes.
+const icsText = (s) => s.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim()
+
+// DTSTART/DTEND value → "YYYY-MM-DD" ("20250612" or "20250612T000000Z").
+const icsDate = (v) => {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(v || '')
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null
+}
+
+const nextDay = (iso) => {
+  const d = new Date(`${iso}T12:00:00`)
+  d.setDate(d.getDate() + 1)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * VEVENTs of an iCalendar file as `[{ date, name, type }]`; type comes from CATEGORIES when it names
+ * one, otherwise null and the importer picks it.
+ * An all-day event spanning several days becomes one row per day (DTEND is exclusive).
+ */
+export function parseIcs(text) {
+  // Unfold continuation lines (a line starting with a space or tab continues the previous one).
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const rows = []
+  let ev = null
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { ev = {}; continue }
+    if (line === 'END:VEVENT') {
+      const start = icsDate(ev?.DTSTART)
+      if (start) {
+        const end = icsDate(ev.DTEND)
+        let day = start
+        do {
+          rows.push({ date: day, name: icsText(ev.SUMMARY || ''), type: eventType(ev.CATEGORIES) })
+          day = nextDay(day)
+        } while (end && day < end && rows.length < 1000)
+      }
+      ev = null
+      continue
+    }
+    if (!ev) continue
+    const colon = line.indexOf(':')
+    if (colon < 0) continue
+    const name = line.slice(0, colon).split(';')[0].toUpperCase()
+    if (!(name in ev)) ev[name] = line.slice(colon + 1)
+  }
+  return rows
+}
+
+const headerKey = (h) => String(h).toLowerCase().replace(/[^a-z]/g, '')
+const DATE_HEADERS = ['date', 'day', 'observed']
+const NAME_HEADERS = ['name', 'holiday', 'summary', 'title', 'description', 'event']
+const TYPE_HEADERS = ['type', 'category', 'kind']
+
+/**
+ * Rows of a holiday CSV (columns Date, Name and optionally Type, in any order) as
+ * `[{ date, name, type }]`, or null when there's no Date or Name column. Dates that don't parse
+ * keep their raw text so the preview can flag them.
+ */
+export function parseHolidayCsv(text) {
+  const csv = readCsv(text)
+  if (!csv) return null
+  const keys = csv.headers.map(headerKey)
+  const col = (names) => keys.findIndex((k) => names.includes(k))
+  const [date, name, type] = [col(DATE_HEADERS), col(NAME_HEADERS), col(TYPE_HEADERS)]
+  if (date < 0 || name < 0) return null
+  return csv.records.map(({ cells }) => ({
+    date: normalizeDate(cells[date]) ?? (cells[date] ?? '').trim(),
+    name: (cells[name] ?? '').trim(),
+    type: type >= 0 ? eventType(cells[type]) : null,
+  }))
+}
+
+/** Parses an .ics or .csv holiday file by its extension; null when it isn't one. */
+export function parseHolidayFile(fileName, text) {
+  if (/\.ics$/i.test(fileName)) return parseIcs(text)
+  if (/\.csv$/i.test(fileName)) return parseHolidayCsv(text)
+  return null
+}
+
+/** Why a parsed row can't be imported, or null. */
+export function holidayRowError(row) {
+  if (!row.date || normalizeDate(row.date) !== row.date) return 'Use YYYY-MM-DD or MM/DD/YYYY'
+  if (!row.name) return 'Name is required'
+  if (row.name.length > 200) return 'At most 200 characters'
+  return null
+}
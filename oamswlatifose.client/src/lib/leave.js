@@ -0,0 +1,141 @@
+// Leave day counts and balances (LeaveBalanceDTO from /leave/balances). Full-day leave counts the
+// days from start to end, inclusive, that the employee was due at work (a shift scheduled and no
+// work event — pass `isWorkDay`; without it every calendar day counts); a half day (AM/PM) 0.5; an
+// hour range its hours over an 8-hour day — the same count the server charges against a balance
+// (LeaveDays).
+
+import { shiftsOn, toMinutes } from './schedule'
+
+export const HOURS_PER_DAY = 8
+
+export const LEAVE_TYPES = ['Annual', 'Sick', 'Emergency', 'Other']
+
+/** Leave durations (SubmitLeaveDTO.portion). Anything but Full covers a single day. */
+export const PORTIONS = [
+  { value: 'Full', label: 'Full day(s)' },
+  { value: 'AM', label: 'Morning (half day)' },
+  { value: 'PM', label: 'Afternoon (half day)' },
+  { value: 'Hours', label: 'Hours' },
+]
+
+const isoDay = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+
+/**
+ * Days from `start` to `end` ('YYYY-MM-DD') that `isWorkDay(day)` accepts (all of them without
+ * it), or 0 when the range is empty or backwards.
+ */
+export function leaveDays(start, end, isWorkDay = null) {
+  if (!start || !end || end < start) return 0
+  if (!isWorkDay) return Math.round((new Date(end) - new Date(start)) / 86400000) + 1
+  let days = 0
+  for (const d = new Date(`${start}T00:00:00`); isoDay(d) <= end; d.setDate(d.getDate() + 1)) {
+    if (isWorkDay(isoDay(d))) days++
+  }
+  return days
+}
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/** "1 day", "2.5 days" */
+export const fmtDays = (n) => {
+  const v = round2(Number(n) || 0)
+  return `${v} day${v === 1 ? '' : 's'}`
+}
+
+/** "+2", "-1.5" — for adjustments. */
+export const fmtSigned = (n) => `${n > 0 ? '+' : ''}${round2(n)}`
+
+/**
+ * How a request of `days` sits against `balance`: what would be left after it (may go negative),
+ * whether that overdraws the balance and whether the type's policy then refuses the request.
+ */
+export function checkBalance(balance, days) {
+  if (!balance) return null
+  const left = round2(balance.remaining - days)
+  const exceeded = days > 0 && left < 0
+  return { left, exceeded, blocked: exceeded && balance.blockWhenExceeded }
+}
+
+/** True for half-day and hourly leave. */
+export const isPartial = (l) => l?.portion === 'AM' || l?.portion === 'PM' || l?.portion === 'Hours'
+
+/** Days a request counts for (LeaveResponseDTO or the request form's values); see leaveDays for `isWorkDay`. */
+export function requestDays(l, isWorkDay = null) {
+  if (!isPartial(l)) return leaveDays(l.startDate, l.endDate, isWorkDay)
+  if (l.portion !== 'Hours') return 0.5
+  const min = toMinutes(l.endTime) - toMinutes(l.startTime)
+  return l.startTime && l.endTime && min > 0 ? round2(min / 60 / HOURS_PER_DAY) : 0
+}
+
+/** "Morning", "Afternoon", "10:00–12:00"; null for full-day leave. */
+export function portionLabel(l) {
+  if (l?.portion === 'AM') return 'Morning'
+  if (l?.portion === 'PM') return 'Afternoon'
+  if (l?.portion === 'Hours') return `${l.startTime}–${l.endTime}`
+  return null
+}
+
+/**
+ * The part of `date` a partial leave takes off, as { start, end } minutes from midnight — mirrors
+ * the server's WorkScheduleService.LeaveWindow: AM/PM split the working day (first shift's start to
+ * last shift's end) at its midpoint, or at the split-shift break the midpoint falls in; hourly leave
+ * uses its own range. Null for full-day leave or when nothing is scheduled that day.
+ * Pass DEFAULT_SCHEDULE (lib/timesheet) for an employee without a schedule.
+ */
+export function leaveWindow(leave, schedule, date) {
+  if (!isPartial(leave)) return null
+  if (leave.portion === 'Hours') return { start: toMinutes(leave.startTime), end: toMinutes(leave.endTime) }
+  const shifts = shiftsOn(schedule, date)
+  if (!shifts.length) return null
+  const dayStart = shifts[0].start
+  const dayEnd = Math.max(...shifts.map((s) => s.end))
+  const middle = dayStart + Math.round((dayEnd - dayStart) / 2)
+  let [amEnd, pmStart] = [middle, middle]
+  for (let i = 1; i < shifts.length; i++) {
+    const breakStart = Math.max(...shifts.slice(0, i).map((s) => s.end))
+    if (breakStart <= middle && middle < shifts[i].start) { [amEnd, pmStart] = [breakStart, shifts[i].start]; break }
+  }
+  return leave.portion === 'AM' ? { start: dayStart, end: amEnd } : { start: pmStart, end: dayEnd }
+}
+
+// Attachments — the same limits LeaveRequestController enforces.
+export const MAX_ATTACHMENT_MB = 5
+export const MAX_ATTACHMENTS = 5
+export const ATTACHMENT_ACCEPT = '.pdf,.jpg,.jpeg,.png,.webp'
+const ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp']
+
+/** Why `file` can't be attached, or null when it can. */
+export function attachmentError(file) {
+  if (!ATTACHMENT_TYPES.includes(file.type)) return `${file.name}: attach a PDF or a JPEG, PNG or WebP image.`
+  if (file.size > MAX_ATTACHMENT_MB * 1024 * 1024) return `${file.name} is over ${MAX_ATTACHMENT_MB} MB.`
+  return null
+}
+
+/** Whether the type's policy (from its LeaveBalanceDTO) wants a file for a request of `days`. */
+export const attachmentRequired = (balance, days) =>
+  !!balance?.requiresAttachment && days > (balance.attachmentOverDays || 0)
+
+/** "820 KB", "1.4 MB" */
+export const fmtSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${round2(bytes / (1024 * 1024))} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+
+// Approval chains (LeaveApprovalChainDTO) and the steps copied onto each request (LeaveApprovalStepDTO).
+export const APPROVER_ROLES = [
+  { value: 'TeamLead', label: 'Team lead' },
+  { value: 'HR', label: 'HR' },
+  { value: 'Admin', label: 'Admin' },
+]
+
+export const approverLabel = (role) => APPROVER_ROLES.find((r) => r.value === role)?.label ?? role
+
+/**
+ * The chain a request of `days` of `leaveType` goes through — the same pick as the server's
+ * LeaveApprovalService: the highest "over days" the request passes wins, a chain for the type
+ * beating one for every type at equal thresholds. Null when none applies (the server then uses HR).
+ */
+export function approvalChainFor(chains, leaveType, days) {
+  return chains
+    .filter((c) => (!c.leaveType || c.leaveType === leaveType) && days > c.overDays)
+    .sort((a, b) => b.overDays - a.overDays || (b.leaveType ? 1 : 0) - (a.leaveType ? 1 : 0))[0] ?? null
+}
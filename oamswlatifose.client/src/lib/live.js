@@ -0,0 +1,99 @@
+// Live updates for the manager dashboard. Holds the Server-Sent Events stream at
+// GET /api/live/team open and reports each change; while the stream is down it falls back to
+// polling so nothing goes stale, and keeps trying to reconnect in the background.
+//
+// onEvent({ type, action, employeeId, employeeName, message, date }) where type is
+//   'attendance' | 'verify-request' | 'leave' — something changed, reload that panel
+//   'resync'                                   — (re)connected or a poll tick: reload everything
+// onMode('connecting' | 'live' | 'polling')
+
+import { liveApi } from './api'
+
+const POLL_MS = 30000
+const RETRY_MS = [2000, 5000, 15000, 30000, 60000]
+
+// Splits the byte stream into SSE messages and calls `onMessage(eventName, data)` for each.
+// Comment lines (": ping" heartbeats) and `retry:` hints are skipped.
+async function readEvents(body, onMessage) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+    buffer += value.replace(/\r\n?/g, '\n')
+    let cut
+    while ((cut = buffer.indexOf('\n\n')) >= 0) {
+      const block = buffer.slice(0, cut)
+      buffer = buffer.slice(cut + 2)
+      let name = 'message'
+      const data = []
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) name = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart())
+      }
+      if (data.length) onMessage(name, data.join('\n'))
+    }
+  }
+}
+
+/** Starts listening; returns a function that stops it. */
+export function subscribeLive({ onEvent, onMode }) {
+  let stopped = false
+  let failures = 0
+  let controller = null
+  let pollTimer = null
+  let retryTimer = null
+
+  const startPolling = () => {
+    if (pollTimer) return
+    onMode?.('polling')
+    pollTimer = setInterval(() => onEvent({ type: 'resync' }), POLL_MS)
+  }
+  const stopPolling = () => {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+
+  const connect = async () => {
+    if (stopped) return
+    controller = new AbortController()
+    try {
+      const res = await liveApi.team(controller.signal)
+      if (!res?.ok || !res.body || !/event-stream/.test(res.headers.get('content-type') || '')) {
+        throw new Error('No event stream')
+      }
+      await readEvents(res.body, (name, raw) => {
+        let data = {}
+        try { data = JSON.parse(raw) } catch { /* keep the name only */ }
+        if (name === 'ready') {
+          // Anything that happened while we were away was missed — reload once.
+          if (failures > 0) onEvent({ type: 'resync' })
+          failures = 0
+          stopPolling()
+          onMode?.('live')
+          return
+        }
+        onEvent({ ...data, type: name })
+      })
+    } catch {
+      // Aborted, offline, refused, or the server doesn't stream — handled below.
+    }
+    if (stopped) return
+    failures += 1
+    startPolling()
+    retryTimer = setTimeout(connect, RETRY_MS[Math.min(failures, RETRY_MS.length) - 1])
+  }
+
+  if (typeof ReadableStream === 'undefined' || typeof TextDecoderStream === 'undefined') startPolling()
+  else {
+    onMode?.('connecting')
+    connect()
+  }
+
+  return () => {
+    stopped = true
+    controller?.abort()
+    clearTimeout(retryTimer)
+    stopPolling()
+  }
+}
@@ -0,0 +1,65 @@
+// IndexedDB-backed queue of Time In taps made while the API was unreachable. Field staff
+// often tap with no signal; instead of losing the tap we keep the exact tap time + GPS fix
+// here and replay it through the normal OTP/verify flow once the server answers again.
+//
+// Entry: { id, username, kind: 'timeIn', date: 'YYYY-MM-DD', clientTimestampMs,
+//          coords: { latitude, longitude } | null, status, message?, createdAt }
+// status: 'queued' (waiting for connection) | 'sent' (code emailed, awaiting entry)
+//       | 'conflict' (server already has a record) | 'failed' (server refused it)
+
+const DB_NAME = 'att_offline'
+const STORE = 'clockQueue'
+
+let dbPromise = null
+
+function openDb() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser.'))
+      return
+    }
+    const req = indexedDB.open(DB_NAME, 1)
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+      store.createIndex('username', 'username')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => {
+      dbPromise = null
+      reject(req.error)
+    }
+  })
+  return dbPromise
+}
+
+// Runs `fn(store)` inside one transaction and resolves with the request's result.
+async function tx(mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode)
+    const req = fn(t.objectStore(STORE))
+    t.oncomplete = () => resolve(req?.result)
+    t.onerror = () => reject(t.error)
+  })
+}
+
+export const clockQueue = {
+  /** Adds a tap; resolves to the stored entry (with its generated id). */
+  async add(entry) {
+    const row = { status: 'queued', createdAt: Date.now(), ...entry }
+    const id = await tx('readwrite', (s) => s.add(row))
+    return { ...row, id }
+  },
+  /** Every queued tap for `username`, oldest first. Resolves to [] when IndexedDB is unusable. */
+  async list(username) {
+    try {
+      const rows = await tx('readonly', (s) => s.index('username').getAll(username))
+      return (rows || []).sort((a, b) => a.clientTimestampMs - b.clientTimestampMs)
+    } catch {
+      return []
+    }
+  },
+  update: (entry) => tx('readwrite', (s) => s.put(entry)),
+  remove: (id) => tx('readwrite', (s) => s.delete(id)),
+}
@@ -0,0 +1,24 @@
+// Approved overtime (OvertimeResponseDTO: `date` 'YYYY-MM-DD', `plannedHours`) looked up by day,
+// for flagging attendance rows and the timesheet. Only Approved requests count as authorised.
+
+const isApproved = (r) => r.status === 'Approved'
+
+/** Key of `approvedOvertime`'s map for an employee's day. */
+export const otKey = (employeeId, date) => `${employeeId}|${String(date || '').slice(0, 10)}`
+
+/** employeeId|date → approved hours, across employees (manager views). */
+export function approvedOvertime(requests) {
+  const map = new Map()
+  for (const r of requests || []) if (isApproved(r)) map.set(otKey(r.employeeId, r.date), Number(r.plannedHours) || 0)
+  return map
+}
+
+/** date → approved hours, for one employee's own requests. */
+export function approvedOvertimeByDate(requests) {
+  const map = new Map()
+  for (const r of requests || []) if (isApproved(r)) map.set(r.date, Number(r.plannedHours) || 0)
+  return map
+}
+
+/** "2h", "1.5h" */
+export const fmtOtHours = (h) => `${Math.round(h * 100) / 100}h`
@@ -0,0 +1,18 @@
+// Password rules enforced by the API (ResetPasswordValidator / RegisterDTO): checked live on the
+// client so the user sees what's missing before submitting.
+
+const SPECIALS = '@$!%*?&'
+
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: (pw) => pw.length >= 8 && pw.length <= 100 },
+  { id: 'upper', label: 'An uppercase letter', test: (pw) => /[A-Z]/.test(pw) },
+  { id: 'lower', label: 'A lowercase letter', test: (pw) => /[a-z]/.test(pw) },
+  { id: 'digit', label: 'A number', test: (pw) => /\d/.test(pw) },
+  { id: 'special', label: `One of ${SPECIALS}`, test: (pw) => /[@$!%*?&]/.test(pw) },
+  { id: 'charset', label: `Only letters, numbers and ${SPECIALS}`, test: (pw) => /^[A-Za-z\d@$!%*?&]*$/.test(pw) },
+]
+
+/** → [{ id, label, ok }] for the checklist. */
+export const checkPassword = (pw) => PASSWORD_RULES.map((r) => ({ id: r.id, label: r.label, ok: r.test(pw || '') }))
+
+export const isStrongPassword = (pw) => PASSWORD_RULES.every((r) => r.test(pw || ''))
@@ -0,0 +1,213 @@
+// Minimal in-browser PDF writer for tabular reports, no dependencies.
+//
+// Produces an A4-landscape document using the 14 standard fonts (Helvetica / Helvetica-Bold,
+// WinAnsi encoding), so nothing has to be embedded. Layout is done here rather than by the
+// browser's print engine: the table header repeats on every page, rows never split, and each
+// page carries "Page x of y" — the same output in every browser, no popup needed.
+
+const PAGE_W = 842
+const PAGE_H = 595
+const MARGIN = 36
+const ROW_H = 16
+const FONT_SIZE = 8.5
+const PAD = 5
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126; anything else is treated as 556.
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+]
+
+function textWidth(s, size, bold) {
+  let w = 0
+  for (const ch of String(s)) {
+    const c = ch.charCodeAt(0)
+    w += c >= 32 && c <= 126 ? HELVETICA[c - 32] : 556
+  }
+  // Helvetica-Bold runs ~5% wider; close enough for column sizing.
+  return (w * size * (bold ? 1.05 : 1)) / 1000
+}
+
+// WinAnsi (cp1252) code points for the few typographic characters the console uses;
+// Latin-1 maps straight through and anything else becomes '?'.
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 }
+
+function pdfString(s) {
+  let out = ''
+  for (const ch of String(s ?? '')) {
+    const c = ch.charCodeAt(0)
+    const code = WIN_ANSI[ch] ?? (c < 256 ? c : 63)
+    const b = String.fromCharCode(code)
+    out += b === '\\' || b === '(' || b === ')' ? `\\${b}` : b
+  }
+  return `(${out})`
+}
+
+// Shortens `s` with an ellipsis until it fits `width` points.
+function fit(s, width, size, bold) {
+  s = String(s ?? '')
+  if (textWidth(s, size, bold) <= width) return s
+  while (s.length > 1 && textWidth(`${s}…`, size, bold) > width) s = s.slice(0, -1)
+  return `${s}…`
+}
+
+const fmt = (n) => Number(n.toFixed(2))
+
+// Content-stream builder for one page.
+function pageOps() {
+  const ops = []
+  return {
+    ops,
+    text(x, y, s, { size = FONT_SIZE, bold = false, gray = 0 } = {}) {
+      ops.push(`BT ${gray} g /${bold ? 'F2' : 'F1'} ${size} Tf ${fmt(x)} ${fmt(y)} Td ${pdfString(s)} Tj ET`)
+    },
+    rect(x, y, w, h, gray) {
+      ops.push(`${gray} g ${fmt(x)} ${fmt(y)} ${fmt(w)} ${fmt(h)} re f 0 g`)
+    },
+    line(x1, y1, x2, y2, gray = 0.75, width = 0.5) {
+      ops.push(`${gray} G ${width} w ${fmt(x1)} ${fmt(y1)} m ${fmt(x2)} ${fmt(y2)} l S`)
+    },
+  }
+}
+
+// Column widths from content, scaled to exactly fill the printable width.
+function columnWidths(columns, rows, avail) {
+  const natural = columns.map((c, i) =>
+    Math.max(
+      textWidth(c.label, FONT_SIZE, true),
+      ...rows.map((r) => textWidth(r[i] ?? '', FONT_SIZE)),
+    ) + PAD * 2,
+  )
+  const total = natural.reduce((a, b) => a + b, 0) || 1
+  return natural.map((w) => (w / total) * avail)
+}
+
+// Serializes the pages into PDF bytes (every char is < 256, so string length = byte length).
+function serialize(streams) {
+  const objects = []
+  const add = (body) => objects.push(body) // object number = index + 1
+  add('<< /Type /Catalog /Pages 2 0 R >>')
+  add('') // Pages — filled in once the kids are known
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+  const kids = []
+  for (const content of streams) {
+    add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+    const contentRef = objects.length
+    add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`)
+    kids.push(`${objects.length} 0 R`)
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`
+
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+  const offsets = objects.map((body, i) => {
+    const at = out.length
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`
+    return at
+  })
+  const xref = out.length
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('')
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+
+  const bytes = new Uint8Array(out.length)
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i)
+  return bytes
+}
+
+/**
+ * Builds a paginated table report.
+ * @param {object} o
+ * @param {string} o.company      Header line printed on every page.
+ * @param {string} [o.title]      Report title (e.g. "All Attendance · Last 30 days").
+ * @param {{label: string, num?: boolean}[]} o.columns
+ * @param {string[][]} o.rows     Plain-text cells, same order as columns.
+ * @param {string[]} [o.totals]   Lines printed under the table on the last page.
+ * @param {string[]} [o.signatures] Sign-off captions (a signature line is drawn above each).
+ * @returns {Blob}
+ */
+export function buildTablePdf({ company, title, columns, rows, totals = [], signatures = [] }) {
+  const avail = PAGE_W - MARGIN * 2
+  const widths = columnWidths(columns, rows, avail)
+  const generated = `Generated ${new Date().toLocaleString('en-PH')}`
+  const pages = []
+  let page
+  let y
+
+  const startPage = () => {
+    page = pageOps()
+    pages.push(page)
+    y = PAGE_H - MARGIN
+    page.text(MARGIN, y - 12, company, { size: 14, bold: true })
+    page.text(PAGE_W - MARGIN - textWidth(generated, 8), y - 10, generated, { size: 8, gray: 0.4 })
+    y -= 30
+    if (title) {
+      page.text(MARGIN, y, title, { size: 11 })
+      y -= 18
+    }
+    // Table header, repeated on every page.
+    page.rect(MARGIN, y - ROW_H + 4, avail, ROW_H, 0.93)
+    let x = MARGIN
+    columns.forEach((c, i) => {
+      const label = fit(c.label, widths[i] - PAD * 2, FONT_SIZE, true)
+      const tx = c.num ? x + widths[i] - PAD - textWidth(label, FONT_SIZE, true) : x + PAD
+      page.text(tx, y - 8, label, { bold: true })
+      x += widths[i]
+    })
+    y -= ROW_H
+    page.line(MARGIN, y + 4, PAGE_W - MARGIN, y + 4, 0.5, 0.75)
+  }
+
+  // Room kept free at the bottom of each page for the "Page x of y" footer.
+  const bottom = MARGIN + 20
+  startPage()
+  if (!rows.length) {
+    page.text(MARGIN + PAD, y - 8, 'No records.', { gray: 0.4 })
+    y -= ROW_H
+  }
+  rows.forEach((r, ri) => {
+    if (y - ROW_H < bottom) startPage()
+    if (ri % 2 === 1) page.rect(MARGIN, y - ROW_H + 4, avail, ROW_H, 0.97)
+    let x = MARGIN
+    columns.forEach((c, i) => {
+      const s = fit(r[i] ?? '', widths[i] - PAD * 2, FONT_SIZE)
+      const tx = c.num ? x + widths[i] - PAD - textWidth(s, FONT_SIZE) : x + PAD
+      page.text(tx, y - 8, s)
+      x += widths[i]
+    })
+    y -= ROW_H
+    page.line(MARGIN, y + 4, PAGE_W - MARGIN, y + 4, 0.88, 0.4)
+  })
+
+  // Totals + sign-off block stays together on the last page.
+  const blockH = (totals.length ? totals.length * 14 + 16 : 0) + (signatures.length ? 56 : 0)
+  if (blockH && y - blockH < bottom) startPage()
+  if (totals.length) {
+    y -= 12
+    totals.forEach((t, i) => {
+      page.text(MARGIN, y - 8, t, { size: 9, bold: i === 0 })
+      y -= 14
+    })
+  }
+  if (signatures.length) {
+    y -= 40
+    const slot = avail / signatures.length
+    signatures.forEach((s, i) => {
+      const x = MARGIN + slot * i
+      page.line(x, y, x + Math.min(200, slot - 24), y, 0, 0.6)
+      page.text(x, y - 11, s, { size: 8, gray: 0.3 })
+    })
+  }
+
+  const streams = pages.map((p, i) => {
+    const label = `Page ${i + 1} of ${pages.length}`
+    p.text((PAGE_W - textWidth(label, 8)) / 2, MARGIN - 6, label, { size: 8, gray: 0.4 })
+    p.text(MARGIN, MARGIN - 6, company, { size: 8, gray: 0.4 })
+    return p.ops.join('\n')
+  })
+  return new Blob([serialize(streams)], { type: 'application/pdf' })
+}
@@ -0,0 +1,87 @@
+// Shaping for the manager Reports view: rows from GET /attendance/admin/absent-employees and
+// /admin/late-arrivals (one row per employee per day) rolled up per employee, plus the
+// formatting the tables and exports share.
+
+const DAY_MIN = 24 * 60
+
+// Server TimeSpan ("09:15:00", or "-02:00:00" for last night's overnight shift) → "09:15 AM".
+export function fmtClock(span) {
+  if (!span) return ''
+  const m = String(span).match(/^(-)?(?:\d+\.)?(\d{1,2}):(\d{2})/)
+  if (!m) return String(span)
+  let min = Number(m[2]) * 60 + Number(m[3])
+  if (m[1]) min = DAY_MIN - min
+  const h = Math.floor(min / 60) % 24
+  const ampm = h < 12 ? 'AM' : 'PM'
+  return `${String(h % 12 || 12).padStart(2, '0')}:${String(min % 60).padStart(2, '0')} ${ampm}`
+}
+
+export const isoDate = (value) => (value ? String(value).slice(0, 10) : '')
+
+/** Absence rows as the table shows them. */
+export const absenceRows = (rows) => rows.map((r) => ({
+  ...r,
+  date: isoDate(r.date),
+  expected: fmtClock(r.expectedTime),
+  leave: r.hasPendingLeave ? 'Pending' : '',
+}))
+
+/** Late-arrival rows as the table shows them. */
+export const lateRows = (rows) => rows.map((r) => ({
+  ...r,
+  date: isoDate(r.date),
+  timeInFormatted: fmtClock(r.timeIn),
+  expected: fmtClock(r.expectedTime),
+}))
+
+function byEmployee(rows) {
+  const map = new Map()
+  for (const r of rows) {
+    if (!map.has(r.employeeId)) map.set(r.employeeId, [])
+    map.get(r.employeeId).push(r)
+  }
+  return [...map.values()]
+}
+
+/**
+ * Employees late at least `minTimes` times, worst first: count, average and worst minutes late,
+ * and the most recent date.
+ */
+export function lateOffenders(rows, minTimes = 2) {
+  return byEmployee(rows)
+    .filter((list) => list.length >= minTimes)
+    .map((list) => {
+      const total = list.reduce((sum, r) => sum + (r.minutesLate || 0), 0)
+      return {
+        employeeId: list[0].employeeId,
+        employeeName: list[0].employeeName,
+        department: list[0].department || '',
+        times: list.length,
+        avgMinutes: Math.round(total / list.length),
+        maxMinutes: Math.max(...list.map((r) => r.minutesLate || 0)),
+        lastDate: list.map((r) => isoDate(r.date)).sort().at(-1),
+      }
+    })
+    .sort((a, b) => b.times - a.times || b.avgMinutes - a.avgMinutes || a.employeeName.localeCompare(b.employeeName))
+}
+
+// Excel summary sheet for the absences export (see exportExcel's `summary` option).
+export function summarizeAbsences(rows) {
+  return {
+    name: 'By employee',
+    rows: byEmployee(rows)
+      .map((list) => ({
+        employeeName: list[0].employeeName,
+        department: list[0].department || '',
+        days: list.length,
+        pendingLeave: list.filter((r) => r.hasPendingLeave).length,
+      }))
+      .sort((a, b) => b.days - a.days || a.employeeName.localeCompare(b.employeeName)),
+    columns: [
+      { key: 'employeeName', label: 'Employee' },
+      { key: 'department', label: 'Dept' },
+      { key: 'days', label: 'Days absent', num: true },
+      { key: 'pendingLeave', label: 'With pending leave', num: true },
+    ],
+  }
+}
@@ -0,0 +1,215 @@
+// Reading a WorkScheduleDTO on the client.
+//
+// The server always sends `shifts`: the per-weekday pattern, or — for a plain schedule — the
+// single Start/End shift repeated on every work day. Start/end here are minutes from the
+// midnight of the shift's own day; an overnight shift (22:00–06:00) ends past 1440.
+// Rotating schedules tag each shift with a `week` (0 = week A) and cycle from `rotationAnchor`.
+
+export const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const DAY_MIN = 24 * 60
+
+export function toMinutes(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number)
+  return (h || 0) * 60 + (m || 0)
+}
+
+/** "HH:mm" clock time of `min` minutes from midnight (wraps past 24h). */
+export function fmtMinutes(min) {
+  const m = ((min % DAY_MIN) + DAY_MIN) % DAY_MIN
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`
+}
+
+/** "Mon".."Sun" for a Date. */
+export const dayName = (date) => DAYS[(date.getDay() + 6) % 7]
+
+/** "A", "B", … for a rotation week index. */
+export const weekLetter = (week) => String.fromCharCode(65 + (week || 0))
+
+const isoDay = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+/** The rotation week (0-based) `date` falls in; always 0 for a schedule without a rotation. */
+export function rotationWeek(schedule, date) {
+  const cycle = schedule?.rotationWeeks || 1
+  if (cycle <= 1 || !schedule.rotationAnchor) return 0
+  const anchor = new Date(`${schedule.rotationAnchor}T00:00:00`)
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7))
+  const weeks = Math.round((monday - anchor) / (7 * 86400000))
+  return (((weeks + (schedule.rotationStartWeek || 0)) % cycle) + cycle) % cycle
+}
+
+/**
+ * The version in force on `date` from an employee's schedule history (oldest first, as the
+ * server returns it): the latest one whose effectiveFrom is on or before that day. Null when
+ * there's none, or when that one ends the schedule (`endsSchedule`, left by a delete).
+ */
+export function scheduleOn(versions, date) {
+  const day = isoDay(date)
+  let found = null
+  for (const v of versions || []) {
+    if (!v.effectiveFrom || v.effectiveFrom <= day) found = v
+  }
+  return found?.endsSchedule ? null : found
+}
+
+/** Every shift in the cycle, normalized and sorted by week, day, then start. */
+export function scheduleShifts(schedule) {
+  if (!schedule) return []
+  const source = schedule.shifts?.length
+    ? schedule.shifts
+    : (schedule.workDays || '').split(',').map((d) => d.trim()).filter(Boolean).map((day) => ({
+      day, week: 0, startTime: schedule.startTime, endTime: schedule.endTime, graceMinutes: schedule.graceMinutes,
+    }))
+  return source
+    .map((s) => {
+      const start = toMinutes(s.startTime)
+      let end = toMinutes(s.endTime)
+      if (end <= start) end += DAY_MIN
+      const grace = s.graceMinutes ?? 0
+      return {
+        week: s.week || 0,
+        day: s.day,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        graceMinutes: grace,
+        start,
+        end,
+        overnight: end > DAY_MIN,
+        lateAfter: s.lateAfter || fmtMinutes(start + grace),
+      }
+    })
+    .sort((a, b) => a.week - b.week || DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.start - b.start)
+}
+
+/** The shifts that start on `date` (its weekday, in the rotation week it falls in). */
+export function shiftsOn(schedule, date) {
+  const day = dayName(date)
+  const week = rotationWeek(schedule, date)
+  return scheduleShifts(schedule).filter((s) => s.day === day && s.week === week)
+}
+
+/**
+ * The shift a clock-in at `nowMin` on `date` is graded against (mirrors the server): the one in
+ * progress — including last night's overnight shift, returned with negative start/end offsets —
+ * else the next one today, else today's last. Null when nothing is scheduled.
+ */
+export function activeShift(schedule, date, nowMin) {
+  const prev = new Date(date)
+  prev.setDate(prev.getDate() - 1)
+  const candidates = [
+    ...shiftsOn(schedule, prev)
+      .filter((s) => s.overnight)
+      .map((s) => ({ ...s, start: s.start - DAY_MIN, end: s.end - DAY_MIN })),
+    ...shiftsOn(schedule, date),
+  ].sort((a, b) => a.start - b.start)
+  if (!candidates.length) return null
+  return candidates.find((s) => s.end > nowMin) ?? candidates[candidates.length - 1]
+}
+
+/** "08:00–17:00", with "(+1)" when the shift ends the next day. */
+export const shiftLabel = (s) => `${s.startTime}–${s.endTime}${s.overnight ? ' (+1)' : ''}`
+
+/** [{ day, shifts }] for each scheduled weekday of rotation week `week`, Mon first. */
+export function weekShifts(schedule, week = 0) {
+  const all = scheduleShifts(schedule).filter((s) => s.week === week)
+  return DAYS
+    .map((day) => ({ day, shifts: all.filter((s) => s.day === day) }))
+    .filter((d) => d.shifts.length)
+}
+
+function describeWeek(schedule, week) {
+  const groups = []
+  for (const { day, shifts } of weekShifts(schedule, week)) {
+    const hours = shifts.map(shiftLabel).join(', ')
+    const last = groups[groups.length - 1]
+    if (last && last.hours === hours && DAYS.indexOf(day) === DAYS.indexOf(last.to) + 1) last.to = day
+    else groups.push({ from: day, to: day, hours })
+  }
+  return groups.map((g) => `${g.from === g.to ? g.from : `${g.from}–${g.to}`} ${g.hours}`).join(' · ')
+}
+
+/**
+ * One-line summary for tables: consecutive days with the same shifts are grouped, e.g.
+ * "Mon–Fri 08:00–12:00, 13:00–17:00 · Sat 22:00–06:00 (+1)"; rotations list each week
+ * ("A: Mon–Fri 06:00–14:00 | B: Mon–Fri 14:00–22:00").
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return '—'
+  const cycle = schedule.rotationWeeks || 1
+  if (cycle > 1) {
+    return Array.from({ length: cycle }, (_, w) => `${weekLetter(w)}: ${describeWeek(schedule, w) || 'off'}`).join(' | ')
+  }
+  return describeWeek(schedule, 0) || `${schedule.startTime}–${schedule.endTime}`
+}
+
+// ── Editor form state ────────────────────────────────────────────────
+// The schedule and template editors share one shape for "the hours":
+//   { start, end, grace, days, perDay, weeks }
+// where `weeks` is one { Mon: [{ start, end }], … } map per rotation week (just one without a rotation).
+
+const DEFAULT_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']
+
+/** Day -> [{ start, end }], seeded with the plain start/end on each of `days`. */
+export function weekPattern(days = [], start = '', end = '') {
+  return Object.fromEntries(DAYS.map((d) => [d, days.includes(d) ? [{ start, end }] : []]))
+}
+
+export function defaultHours() {
+  return { start: '08:00', end: '17:00', grace: 5, days: [...DEFAULT_DAYS], perDay: false, weeks: [weekPattern(DEFAULT_DAYS, '08:00', '17:00')] }
+}
+
+/** Editor state from a WorkScheduleDTO or ShiftTemplateDTO. */
+export function hoursFromSchedule(s) {
+  if (!s) return defaultHours()
+  const start = s.startTime || '08:00'
+  const end = s.endTime || '17:00'
+  const days = (s.workDays || '').split(',').map((d) => d.trim()).filter(Boolean)
+  const cycle = s.rotationWeeks || 1
+  const perDay = !!s.usesShiftPattern || cycle > 1
+  const weeks = perDay
+    ? Array.from({ length: cycle }, (_, w) => {
+      const p = weekPattern()
+      for (const x of s.shifts || []) if ((x.week || 0) === w) p[x.day]?.push({ start: x.startTime, end: x.endTime })
+      return p
+    })
+    : [weekPattern(days, start, end)]
+  return { start, end, grace: s.graceMinutes ?? 5, days, perDay, weeks }
+}
+
+/**
+ * The hours part of a save payload ({ startTime, endTime, graceMinutes, workDays, shifts, rotationWeeks }),
+ * or `{ error }` when the per-day pattern is incomplete. In per-day mode the first shift doubles as the
+ * plain start/end for anything that still reads those.
+ */
+export function hoursToPayload(h) {
+  const grace = Number(h.grace)
+  if (!h.perDay) {
+    return {
+      payload: {
+        startTime: h.start,
+        endTime: h.end,
+        graceMinutes: grace,
+        workDays: DAYS.filter((d) => h.days.includes(d)).join(','),
+        shifts: [],
+        rotationWeeks: 1,
+      },
+    }
+  }
+  const shifts = h.weeks.flatMap((p, week) =>
+    DAYS.flatMap((day) => p[day].map((x) => ({ week, day, startTime: x.start, endTime: x.end, graceMinutes: grace }))))
+  if (!shifts.length) return { error: 'Add at least one shift.' }
+  if (shifts.some((x) => !x.startTime || !x.endTime || x.startTime === x.endTime)) {
+    return { error: 'Every shift needs a start and an end time that differ.' }
+  }
+  return {
+    payload: {
+      startTime: shifts[0].startTime,
+      endTime: shifts[0].endTime,
+      graceMinutes: grace,
+      workDays: DAYS.filter((d) => h.weeks.some((p) => p[d].length)).join(','),
+      shifts,
+      rotationWeeks: h.weeks.length,
+    },
+  }
+}
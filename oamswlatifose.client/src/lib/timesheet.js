@@ -0,0 +1,193 @@
+// Payroll timesheet: one row per employee per pay period, computed from the period's attendance
+// records (AttendanceResponseDTO — TimeIn/TimeOut as "HH:mm:ss" spans), the schedule version each
+// employee had on each day, their approved leave and the period's work events (holidays, closures).
+//
+// Per recorded day, against that day's shifts (lib/schedule's shiftsOn; late is graded against the
+// one the clock-in falls in, lib/schedule's activeShift, as the server does):
+//   regular    — worked minutes inside the day's shifts; the break between split shifts isn't work
+//   late       — minutes after shift start when the clock-in came after start + grace; a half-day
+//                or hourly leave covering the start moves it to when the leave ends. Graded from
+//                the times, as the Late Arrivals report does — a clock-out replaces the "Late" status
+//   undertime  — scheduled minutes left after the clock-out
+//   overtime   — minutes worked past the day's last shift; on a day with no shift or with a work
+//                event, all of it
+//   approved   — the part of that overtime covered by an approved overtime request (lib/overtime)
+//   night diff — worked minutes between 22:00 and 06:00
+// Days without a clock-out count as worked but add no hours ("incomplete").
+
+import { isPartial, leaveWindow, requestDays } from './leave'
+import { approvedOvertime, otKey } from './overtime'
+import { activeShift, scheduleOn, shiftsOn, toMinutes } from './schedule'
+
+const DAY_MIN = 24 * 60
+const NIGHT_START = 22 * 60
+const NIGHT_END = 6 * 60
+
+// Without a schedule the server expects Mon–Fri from 09:00 with 5 minutes' grace; payroll assumes
+// the standard 8 hours.
+export const DEFAULT_SCHEDULE = { workDays: 'Mon,Tue,Wed,Thu,Fri', startTime: '09:00', endTime: '17:00', graceMinutes: 5 }
+
+export const PERIOD_KINDS = [
+  { key: 'semi', label: 'Semi-monthly' },
+  { key: 'month', label: 'Monthly' },
+  { key: 'custom', label: 'Custom' },
+]
+
+const pad = (n) => String(n).padStart(2, '0')
+const isoDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+const parseDay = (s) => new Date(`${s}T00:00:00`)
+
+/** 'YYYY-MM' of today. */
+export const thisMonth = () => isoDay(new Date()).slice(0, 7)
+
+/** 1 for the 1st–15th, 2 for the 16th to month end. */
+export const thisHalf = () => (new Date().getDate() <= 15 ? 1 : 2)
+
+/** [from, to] ('YYYY-MM-DD') of a semi-monthly half or a whole month. */
+export function periodRange(kind, month, half = 1) {
+  const [y, m] = month.split('-').map(Number)
+  const last = new Date(y, m, 0).getDate()
+  if (kind === 'semi') return half === 1 ? [`${month}-01`, `${month}-15`] : [`${month}-16`, `${month}-${pad(last)}`]
+  return [`${month}-01`, `${month}-${pad(last)}`]
+}
+
+/** Each 'YYYY-MM-DD' from `from` to `to`, inclusive. */
+function eachDay(from, to) {
+  const days = []
+  for (let d = parseDay(from); isoDay(d) <= to; d.setDate(d.getDate() + 1)) days.push(isoDay(d))
+  return days
+}
+
+const overlap = (a1, a2, b1, b2) => Math.max(0, Math.min(a2, b2) - Math.max(a1, b1))
+
+// Worked minutes inside 22:00–06:00 windows; `inMin`/`outMin` are from the record day's midnight
+// and may run into the next day.
+function nightMinutes(inMin, outMin) {
+  let total = 0
+  for (let k = 0; k < 3; k++) total += overlap(inMin, outMin, (k - 1) * DAY_MIN + NIGHT_START, k * DAY_MIN + NIGHT_END)
+  return total
+}
+
+/**
+ * Minute counts for one attendance record, or null when it has no clock-in. `partialLeave` is an
+ * approved half-day or hourly leave on the record's day, if any; `offDay` is true on a work-event
+ * day, when nothing is expected and all the time worked is overtime.
+ */
+export function recordMinutes(record, schedule, partialLeave = null, offDay = false) {
+  if (!record.timeIn) return null
+  const date = parseDay(String(record.attendanceDate).slice(0, 10))
+  const inMin = toMinutes(record.timeIn)
+  if (!record.timeOut) return { worked: 0, regular: 0, late: 0, undertime: 0, overtime: 0, night: 0, incomplete: true }
+
+  let outMin = toMinutes(record.timeOut)
+  if (outMin <= inMin) outMin += DAY_MIN
+  const worked = outMin - inMin
+  const night = nightMinutes(inMin, outMin)
+  const plan = schedule || DEFAULT_SCHEDULE
+  const shift = offDay ? null : activeShift(plan, date, inMin)
+  if (!shift) return { worked, regular: 0, late: 0, undertime: 0, overtime: worked, night, incomplete: false }
+
+  // As the server's WorkScheduleService.AfterLeave: leave over the shift start moves it to the leave's end.
+  const win = partialLeave ? leaveWindow(partialLeave, plan, date) : null
+  const start = win && win.start <= shift.start + shift.graceMinutes && win.end > shift.start ? win.end : shift.start
+
+  // The rest of the day's shifts count too — both halves of a split shift. A clock-in in last
+  // night's overnight shift (negative offsets), or after the day's last shift, has just that one.
+  const later = shift.start < 0 ? [] : shiftsOn(plan, date).filter((s) => s.end > inMin)
+  const shifts = later.length ? later : [shift]
+  const lastEnd = Math.max(...shifts.map((s) => s.end))
+
+  return {
+    worked,
+    regular: shifts.reduce((sum, s) => sum + overlap(inMin, outMin, s.start, s.end), 0),
+    late: inMin > start + shift.graceMinutes ? inMin - start : 0,
+    undertime: shifts.reduce((sum, s) => sum + Math.max(0, s.end - Math.max(outMin, s.start)), 0),
+    overtime: Math.max(0, outMin - Math.max(lastEnd, inMin)),
+    night,
+    incomplete: false,
+  }
+}
+
+// Approved-leave days in [from, to] that were scheduled work days without a work event; a half
+// day counts 0.5 and an hourly leave its share of an 8-hour day (lib/leave), capped at one per day.
+// `scheduleFor(day)` is the schedule in force that day and `offDay(day)` whether an event covers it.
+function leaveDays(leaves, scheduleFor, offDay, from, to) {
+  const days = new Map()
+  for (const l of leaves) {
+    const start = l.startDate > from ? l.startDate : from
+    const end = l.endDate < to ? l.endDate : to
+    if (start > end) continue
+    const share = isPartial(l) ? requestDays(l) : 1
+    for (const day of eachDay(start, end)) {
+      if (offDay(day) || !shiftsOn(scheduleFor(day) || DEFAULT_SCHEDULE, parseDay(day)).length) continue
+      days.set(day, Math.min(1, (days.get(day) || 0) + share))
+    }
+  }
+  return Math.round([...days.values()].reduce((a, b) => a + b, 0) * 100) / 100
+}
+
+const hours = (min) => Math.round((min / 60) * 100) / 100
+
+/**
+ * Timesheet rows for [from, to]: every active employee, plus deactivated ones with records in the
+ * period. `employees` are directory rows, `schedules` every WorkScheduleDTO version
+ * (scheduleApi.allHistory, oldest first — each day uses the one in force), `leaves` approved
+ * LeaveResponseDTOs, `events` the period's work events of every branch and `overtime` approved
+ * OvertimeResponseDTOs — a day's overtime counts as approved up to the hours approved for it.
+ */
+export function buildTimesheet({ employees, records, schedules, leaves, events = [], overtime = [], from, to }) {
+  const versionsOf = new Map()
+  for (const s of schedules) {
+    if (!versionsOf.has(s.employeeId)) versionsOf.set(s.employeeId, [])
+    versionsOf.get(s.employeeId).push(s)
+  }
+  const approvedOf = approvedOvertime(overtime)
+  const byEmployee = new Map()
+  for (const r of records) {
+    const day = String(r.attendanceDate).slice(0, 10)
+    if (day < from || day > to) continue
+    if (!byEmployee.has(r.employeeId)) byEmployee.set(r.employeeId, [])
+    byEmployee.get(r.employeeId).push(r)
+  }
+
+  const period = `${from} to ${to}`
+  return employees
+    .filter((e) => e.isActive || byEmployee.has(e.id))
+    .map((e) => {
+      const scheduleFor = (day) => scheduleOn(versionsOf.get(e.id), parseDay(day))
+      // Any work event for everyone or for the employee's branch means nobody was expected (WorkEventDays).
+      const offDay = (day) => events.some((ev) => ev.date === day && (ev.branchId == null || ev.branchId === e.branchId))
+      const t = { days: 0, regular: 0, late: 0, undertime: 0, overtime: 0, approved: 0, night: 0, incomplete: 0 }
+      for (const r of byEmployee.get(e.id) || []) {
+        const day = String(r.attendanceDate).slice(0, 10)
+        const partial = leaves.find((l) => l.employeeId === e.id && isPartial(l) && l.startDate === day)
+        const m = recordMinutes(r, scheduleFor(day), partial, offDay(day))
+        if (!m) continue
+        t.days++
+        if (m.incomplete) { t.incomplete++; continue }
+        t.regular += m.regular
+        t.late += m.late
+        t.undertime += m.undertime
+        t.overtime += m.overtime
+        t.approved += Math.min(m.overtime, (approvedOf.get(otKey(e.id, r.attendanceDate)) || 0) * 60)
+        t.night += m.night
+      }
+      return {
+        employeeId: e.id,
+        employeeNo: e.employeeID,
+        employeeName: e.fullName,
+        department: e.department || '',
+        period,
+        daysWorked: t.days,
+        regularHours: hours(t.regular),
+        lateMinutes: t.late,
+        undertimeMinutes: t.undertime,
+        overtimeHours: hours(t.overtime),
+        approvedOvertimeHours: hours(t.approved),
+        nightDiffHours: hours(t.night),
+        leaveDays: leaveDays(leaves.filter((l) => l.employeeId === e.id), scheduleFor, offDay, from, to),
+        incomplete: t.incomplete,
+      }
+    })
+    .sort((a, b) => a.employeeName.localeCompare(b.employeeName))
+}
@@ -0,0 +1,250 @@
+// Minimal in-browser .xlsx writer (Office Open XML), no dependencies.
+//
+// An .xlsx is a zip of XML parts. We write the zip ourselves with "stored" (uncompressed)
+// entries — attendance exports are small, and it keeps this synchronous and tiny. Cells are
+// typed: numbers stay numbers (so hours can be summed), dates/times become Excel serials with a
+// number format, strings are written inline (no sharedStrings part needed).
+//
+// sheet: { name, columns: [{ label, width? }], rows: [[cell, …]] }
+// cell:  null | string | { t: 'n' | 'd' | 't' | 'h', v: number }  (h = hours, shown as 0.00)
+
+// ── Zip (stored) ──────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    t[n] = c >>> 0
+  }
+  return t
+})()
+
+function crc32(bytes) {
+  let c = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+// DOS date/time stamp for the zip headers.
+function dosStamp(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  }
+}
+
+// files: [{ name, data: string }] → Uint8Array of the whole archive.
+function zip(files) {
+  const enc = new TextEncoder()
+  const { time, date } = dosStamp(new Date())
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const f of files) {
+    const name = enc.encode(f.name)
+    const data = enc.encode(f.data)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+    locals.push(new Uint8Array(local.buffer), name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true) // version made by
+    central.setUint16(6, 20, true) // version needed
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true) // remaining fields (extra/comment/disk/attrs) are 0
+    centrals.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, cdSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)]
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0))
+  let p = 0
+  for (const b of parts) {
+    out.set(b, p)
+    p += b.length
+  }
+  return out
+}
+
+// ── Cell conversion ───────────────────────────────────────────────────
+
+// Excel day 0 is 1899-12-30 (keeps the 1900 leap-year bug compatible).
+const EXCEL_EPOCH_OFFSET = 25569
+
+/** 'YYYY-MM-DD' → Excel date serial, or null. */
+export function dateSerial(s) {
+  const m = String(s ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (!m) return null
+  return Date.UTC(+m[1], +m[2] - 1, +m[3]) / 86400000 + EXCEL_EPOCH_OFFSET
+}
+
+/** '08:05', '08:05:00' or '08:05 AM' → fraction of a day, or null. */
+export function timeSerial(s) {
+  const m = String(s ?? '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?$/i)
+  if (!m) return null
+  let h = Number(m[1]) % (m[4] ? 12 : 24)
+  if (m[4]?.toUpperCase() === 'PM') h += 12
+  return (h * 3600 + Number(m[2]) * 60 + Number(m[3] || 0)) / 86400
+}
+
+/** '7h 30m' / '8h' → 7.5 / 8, or null. */
+export function durationHours(s) {
+  const m = String(s ?? '').trim().match(/^(\d+)h(?:\s*(\d+)m)?$/)
+  return m ? Number(m[1]) + Number(m[2] || 0) / 60 : null
+}
+
+// ── Workbook parts ────────────────────────────────────────────────────
+
+function xmlEsc(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+}
+
+function colName(i) {
+  let s = ''
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s
+  return s
+}
+
+// Style indexes into cellXfs below.
+const STYLE = { header: 1, d: 2, t: 3, h: 4, n: 0 }
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="3"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="h:mm AM/PM"/><numFmt numFmtId="166" formatCode="0.00"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFF2F2F2"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`
+
+function cellXml(cell, ref, style) {
+  if (cell === null || cell === undefined || cell === '') return ''
+  if (typeof cell === 'object') {
+    const s = STYLE[cell.t] ?? 0
+    return `<c r="${ref}"${s ? ` s="${s}"` : ''}><v>${cell.v}</v></c>`
+  }
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${xmlEsc(cell)}</t></is></c>`
+}
+
+// Rough display width of a cell, in characters, for auto-sizing columns.
+function cellWidth(cell) {
+  if (cell === null || cell === undefined) return 0
+  if (typeof cell !== 'object') return String(cell).length
+  return cell.t === 'd' ? 10 : cell.t === 't' ? 8 : String(cell.v).length
+}
+
+function sheetXml({ columns, rows }) {
+  const widths = columns.map((c, i) =>
+    c.width ?? Math.min(50, Math.max(String(c.label).length, ...rows.map((r) => cellWidth(r[i]))) + 2),
+  )
+  const header = `<row r="1">${columns.map((c, i) => cellXml(String(c.label), `${colName(i)}1`, STYLE.header)).join('')}</row>`
+  const body = rows
+    .map((r, ri) => `<row r="${ri + 2}">${r.map((cell, i) => cellXml(cell, `${colName(i)}${ri + 2}`)).join('')}</row>`)
+    .join('')
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>
+<sheetData>${header}${body}</sheetData>
+</worksheet>`
+}
+
+// Sheet names: ≤31 chars, no []:*?/\ and unique within the workbook.
+function sheetNames(sheets) {
+  const used = new Set()
+  return sheets.map((s, i) => {
+    let base = String(s.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31)
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 28)} (${n})`
+    used.add(name.toLowerCase())
+    return name
+  })
+}
+
+/** Builds an .xlsx Blob from one or more sheets (first sheet opens first). */
+export function buildXlsx(sheets) {
+  const names = sheetNames(sheets)
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((n, i) => `<sheet name="${xmlEsc(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>
+</workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s) })),
+  ]
+  return new Blob([zip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+}